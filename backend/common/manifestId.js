@@ -0,0 +1,52 @@
+/**
+ * Content-addressed manifest IDs. Computed with Web Crypto only, so the extension
+ * derives the same ID the registry will assign.
+ */
+
+export const MANIFEST_ID_PREFIX = 'mf-';
+const MANIFEST_ID_VERSION = 1;
+
+/**
+ * Canonical JSON of the fields that define a manifest's content. Presentation
+ * fields (file name, timestamps, replicas, pointers) are left out so they cannot
+ * change the ID.
+ */
+export function canonicalManifestContent(manifest) {
+  const files = Array.isArray(manifest?.files)
+    ? manifest.files.map((file) => ({
+        path: file?.path ?? null,
+        mimeType: file?.mimeType ?? null,
+        size: file?.size ?? null,
+        sha256: file?.sha256 ?? null,
+        chunkStart: file?.chunkStart ?? null,
+        chunkCount: file?.chunkCount ?? null
+      }))
+    : null;
+
+  return JSON.stringify({
+    version: MANIFEST_ID_VERSION,
+    mimeType: manifest?.mimeType ?? null,
+    fileSize: manifest?.fileSize ?? null,
+    chunkSize: manifest?.chunkSize ?? null,
+    chunkCount: manifest?.chunkCount ?? null,
+    sha256: manifest?.sha256 ?? null,
+    chunkHashes: Array.isArray(manifest?.chunkHashes) ? manifest.chunkHashes : [],
+    entryPath: files ? manifest?.entryPath ?? null : null,
+    files
+  });
+}
+
+export async function computeManifestId(manifest) {
+  const bytes = new TextEncoder().encode(canonicalManifestContent(manifest));
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return `${MANIFEST_ID_PREFIX}${toBase64Url(digest)}`;
+}
+
+function toBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.byteLength; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
@@ -0,0 +1,77 @@
+import { validateDomainName } from '../../common/domainName.js';
+
+const DOMAIN_RECORD_TYPES = ['ALIAS', 'REDIRECT', 'TXT', 'PEERS'];
+const MAX_DOMAIN_RECORDS = 32;
+const MAX_TXT_RECORD_LENGTH = 255;
+const MAX_RECORD_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Validates a full DNS-style record set and returns it normalised:
+ * ALIAS (another .dweb name), REDIRECT (http/https URL), TXT (free text) and
+ * PEERS (peer ID hint). ALIAS and REDIRECT are exclusive and at most one of each.
+ */
+export function normalizeDomainRecords(records, domain) {
+  if (!Array.isArray(records) || records.length > MAX_DOMAIN_RECORDS) {
+    throw new Error('INVALID_RECORDS');
+  }
+
+  const normalized = records.map((record) => {
+    const type = typeof record?.type === 'string' ? record.type.trim().toUpperCase() : '';
+    if (!DOMAIN_RECORD_TYPES.includes(type)) {
+      throw new Error('RECORD_TYPE_UNSUPPORTED');
+    }
+    if (typeof record.value !== 'string' || !record.value.trim()) {
+      throw new Error('RECORD_VALUE_INVALID');
+    }
+    const ttl = record.ttl ?? null;
+    if (ttl !== null && (!Number.isInteger(ttl) || ttl < 0 || ttl > MAX_RECORD_TTL_SECONDS)) {
+      throw new Error('RECORD_TTL_INVALID');
+    }
+    return { type, value: normalizeRecordValue(type, record.value.trim(), domain), ttl };
+  });
+
+  const count = (type) => normalized.filter((record) => record.type === type).length;
+  if (count('ALIAS') > 1 || count('REDIRECT') > 1) {
+    throw new Error('RECORD_DUPLICATE_TYPE');
+  }
+  if (count('ALIAS') && count('REDIRECT')) {
+    throw new Error('RECORD_ALIAS_CONFLICT');
+  }
+  return normalized;
+}
+
+function normalizeRecordValue(type, value, domain) {
+  if (type === 'ALIAS') {
+    const target = validateDomainName(value);
+    if (!target.ok) {
+      throw new Error(target.code);
+    }
+    if (target.domain === domain) {
+      throw new Error('RECORD_ALIAS_SELF');
+    }
+    return target.domain;
+  }
+  if (type === 'REDIRECT') {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error('RECORD_VALUE_INVALID');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('RECORD_VALUE_INVALID');
+    }
+    return url.toString();
+  }
+  if (type === 'TXT') {
+    if (value.length > MAX_TXT_RECORD_LENGTH) {
+      throw new Error('RECORD_VALUE_INVALID');
+    }
+    return value;
+  }
+  // PEERS
+  if (!/^[A-Za-z0-9._:-]{1,128}$/.test(value)) {
+    throw new Error('RECORD_VALUE_INVALID');
+  }
+  return value;
+}
@@ -0,0 +1,152 @@
+/**
+ * Stable error codes of the registry API.
+ *
+ * Every error response has the same shape,
+ * `{ error: CODE, message, statusCode, details? }`; clients branch on `error`
+ * and treat `message` as human-readable text that may change. `statusCode` here is
+ * the usual status for the code; a route may answer a code with a more specific one.
+ */
+export const REGISTRY_ERRORS = {
+  // Generic request errors
+  INVALID_REQUEST: { statusCode: 400, message: 'Request is malformed' },
+  UNAUTHENTICATED: { statusCode: 401, message: 'A valid API key is required' },
+  FORBIDDEN: { statusCode: 403, message: 'This API key may not use this route' },
+  ROUTE_NOT_FOUND: { statusCode: 404, message: 'No route matches this method and URL' },
+  PAYLOAD_TOO_LARGE: { statusCode: 413, message: 'Request body exceeds the size limit' },
+  UNSUPPORTED_MEDIA_TYPE: { statusCode: 415, message: 'Request body must be JSON' },
+  RATE_LIMITED: { statusCode: 429, message: 'Too many requests for this API key' },
+  INTERNAL_ERROR: { statusCode: 500, message: 'The registry failed to process the request' },
+
+  // Listing and paging
+  INVALID_LIST_LIMIT: { statusCode: 400, message: 'limit must be a positive integer' },
+  INVALID_LIST_SORT: { statusCode: 400, message: 'sort is not supported for this list' },
+  INVALID_LIST_VIEW: { statusCode: 400, message: 'view must be summary or full' },
+  INVALID_LIST_FILTER: { statusCode: 400, message: 'A list filter has an invalid value' },
+  INVALID_CURSOR: { statusCode: 400, message: 'cursor does not belong to this listing' },
+  INVALID_CHANGE_SEQ: { statusCode: 400, message: 'Change sequence must be a non-negative integer' },
+  INVALID_FEDERATION_CURSOR: { statusCode: 400, message: 'after must be a non-negative log position' },
+  SEARCH_QUERY_REQUIRED: { statusCode: 400, message: 'Search query q is required' },
+
+  // Manifests, chunks and replicas
+  INVALID_MANIFEST: { statusCode: 400, message: 'Manifest is malformed' },
+  MANIFEST_ID_MISMATCH: { statusCode: 400, message: 'manifestId does not match the manifest content' },
+  MERKLE_ROOT_MISMATCH: { statusCode: 400, message: 'merkleRoot does not match the chunk hashes' },
+  MANIFEST_IMMUTABLE: { statusCode: 409, message: 'A different manifest is already stored under this ID' },
+  MANIFEST_NOT_FOUND: { statusCode: 404, message: 'Manifest not found' },
+  MANIFEST_ID_REQUIRED: { statusCode: 400, message: 'manifestId is required' },
+  CHUNK_HASH_MISMATCH: { statusCode: 400, message: 'Inline chunk data does not match its chunk hash' },
+  CHUNK_NOT_FOUND: { statusCode: 404, message: 'Chunk not found' },
+  INVALID_CHUNK_INDEX: { statusCode: 400, message: 'Chunk index must be a non-negative integer' },
+  INVALID_CHUNK_INDEXES: { statusCode: 400, message: 'chunkIndexes must be non-negative integers' },
+  INVALID_POINTER_PAYLOAD: { statusCode: 400, message: 'Chunk pointer update is malformed' },
+  INVALID_PEER_ID: { statusCode: 400, message: 'peerId is required' },
+  INVALID_MANIFEST_IDS: { statusCode: 400, message: 'manifestIds must be an array of manifest IDs' },
+  REPLICA_NOT_FOUND: { statusCode: 404, message: 'Peer holds no replica of this manifest' },
+  INVALID_REPLICATION_FACTOR: { statusCode: 400, message: 'replicationFactor is out of range' },
+  QUOTA_EXCEEDED: { statusCode: 403, message: 'Owner quota exceeded' },
+  CONTENT_SUSPENDED: { statusCode: 451, message: 'Content is suspended by the registry' },
+
+  // Domain names
+  DOMAIN_REQUIRED: { statusCode: 400, message: 'Domain name is required' },
+  DOMAIN_INVALID_CHARACTERS: { statusCode: 400, message: 'Domain name contains invalid characters' },
+  DOMAIN_LABEL_EMPTY: { statusCode: 400, message: 'Domain name contains an empty label' },
+  DOMAIN_TLD_REQUIRED: { statusCode: 400, message: 'Domain name must end with .dweb' },
+  DOMAIN_INVALID_PUNYCODE: { statusCode: 400, message: 'Domain name is not valid punycode' },
+  DOMAIN_TOO_LONG: { statusCode: 400, message: 'Domain name is too long' },
+  DOMAIN_LABEL_TOO_LONG: { statusCode: 400, message: 'Domain label is too long' },
+  DOMAIN_INVALID_LABEL: { statusCode: 400, message: 'Domain label is invalid' },
+  DOMAIN_MIXED_SCRIPT: { statusCode: 400, message: 'Domain label mixes scripts' },
+  DOMAIN_CONFUSABLE: { statusCode: 400, message: 'Domain label imitates Latin characters' },
+  DOMAIN_RESERVED: { statusCode: 400, message: 'Domain name is reserved' },
+
+  // Domains
+  OWNER_REQUIRED: { statusCode: 400, message: 'owner is required' },
+  INVALID_DOMAIN_PAYLOAD: { statusCode: 400, message: 'Domain payload is malformed' },
+  INVALID_RECORDS: { statusCode: 400, message: 'records must be an array of at most 32 records' },
+  DOMAIN_NOT_FOUND: { statusCode: 404, message: 'Domain not found' },
+  DOMAIN_ALREADY_REGISTERED: { statusCode: 409, message: 'Domain is already registered' },
+  DOMAIN_IN_COOLDOWN: { statusCode: 409, message: 'Domain was released recently and is in cooldown' },
+  DOMAIN_EXPIRED: { statusCode: 410, message: 'Domain lease has expired' },
+  SUBDOMAIN_LEASE_INHERITED: { statusCode: 409, message: 'Subdomains share the lease of their root domain' },
+  PARENT_DOMAIN_NOT_FOUND: { statusCode: 404, message: 'Parent domain is not registered' },
+  SUBDOMAIN_ALREADY_REGISTERED: { statusCode: 409, message: 'Subdomain is already registered' },
+  INVALID_SUBDOMAIN: { statusCode: 400, message: 'Subdomain must be a direct child of the domain' },
+  INVALID_DELEGATE: { statusCode: 400, message: 'toOwner must be a dweb:0x owner ID' },
+  DELEGATION_NOT_FOUND: { statusCode: 404, message: 'Subdomain delegation not found' },
+  NOT_SUBDOMAIN_DELEGATE: { statusCode: 403, message: 'Only the delegate may register this subdomain' },
+  NOT_PARENT_OWNER: { statusCode: 403, message: 'Only the parent domain owner may register this subdomain' },
+  RECORD_TYPE_UNSUPPORTED: { statusCode: 400, message: 'Record type must be ALIAS, REDIRECT, TXT or PEERS' },
+  RECORD_VALUE_INVALID: { statusCode: 400, message: 'Record value is invalid for its type' },
+  RECORD_TTL_INVALID: { statusCode: 400, message: 'Record ttl is out of range' },
+  RECORD_DUPLICATE_TYPE: { statusCode: 400, message: 'A domain holds at most one ALIAS and one REDIRECT' },
+  RECORD_ALIAS_CONFLICT: { statusCode: 400, message: 'ALIAS and REDIRECT records are exclusive' },
+  RECORD_ALIAS_SELF: { statusCode: 400, message: 'A domain cannot alias itself' },
+  RECORD_ALIAS_LOOP: { statusCode: 409, message: 'ALIAS records would form a loop' },
+  ROLLBACK_TARGET_NOT_FOUND: { statusCode: 404, message: 'Manifest was never bound to this domain' },
+  ROLLBACK_TARGET_ACTIVE: { statusCode: 409, message: 'Manifest is already bound to this domain' },
+
+  // Ownership and signatures
+  SIGNATURE_REQUIRED: { statusCode: 401, message: 'A signed operation is required' },
+  INVALID_SIGNATURE: { statusCode: 401, message: 'Signature does not verify' },
+  INVALID_SIGNED_MESSAGE: { statusCode: 400, message: 'signedMessage is malformed' },
+  SIGNED_PAYLOAD_MISMATCH: { statusCode: 401, message: 'Signed operation does not match the request' },
+  SIGNATURE_EXPIRED: { statusCode: 401, message: 'Signed operation has expired' },
+  NONCE_REPLAYED: { statusCode: 409, message: 'Signed operation was already used' },
+  OWNER_MISMATCH: { statusCode: 401, message: 'Owner ID does not match the public key' },
+  OWNER_KEY_MISSING: { statusCode: 409, message: 'Domain has a cryptographic owner but no stored key' },
+  OWNER_PUBLIC_KEY_REQUIRED: { statusCode: 400, message: 'ownerPublicKey is required for dweb:0x owners' },
+  OWNER_CLAIM_REQUIRED: { statusCode: 403, message: 'A domain without a key takes a dweb:0x owner only through an admin claim' },
+  NOT_DOMAIN_OWNER: { statusCode: 403, message: 'Request is not signed by the domain owner' },
+
+  // Transfers
+  TRANSFER_REQUIRED: { statusCode: 409, message: 'Signed domains change owner through a transfer' },
+  INVALID_RECIPIENT: { statusCode: 400, message: 'toOwner must be a dweb:0x owner ID' },
+  TRANSFER_NOT_FOUND: { statusCode: 404, message: 'Transfer not found' },
+  TRANSFER_TO_SELF: { statusCode: 400, message: 'Domain already belongs to this owner' },
+  TRANSFER_ALREADY_PENDING: { statusCode: 409, message: 'Domain already has a pending transfer' },
+  TRANSFER_NOT_PENDING: { statusCode: 409, message: 'Transfer is no longer pending' },
+  TRANSFER_STALE: { statusCode: 409, message: 'Domain changed owner after the transfer was offered' },
+  NOT_TRANSFER_RECIPIENT: { statusCode: 403, message: 'Only the recipient may accept this transfer' },
+
+  // Moderation
+  INVALID_REPORT_TARGET: { statusCode: 400, message: 'targetType must be domain or manifest' },
+  INVALID_REPORT_REASON: { statusCode: 400, message: 'reason is not a supported report reason' },
+  INVALID_REPORT_DETAILS: { statusCode: 400, message: 'details must be text of at most 2000 characters' },
+  INVALID_REPORT_STATUS: { statusCode: 400, message: 'status must be actioned or dismissed' },
+  REPORT_NOT_FOUND: { statusCode: 404, message: 'Report not found' },
+  REPORT_NOT_OPEN: { statusCode: 409, message: 'Report is already resolved' },
+  SUSPENSION_NOT_FOUND: { statusCode: 404, message: 'Target is not suspended' }
+};
+
+export const REGISTRY_ERROR_CODES = Object.keys(REGISTRY_ERRORS);
+
+export function isRegistryErrorCode(code) {
+  return Object.hasOwn(REGISTRY_ERRORS, code);
+}
+
+/**
+ * Builds the response body for `code`. `message` defaults to the catalogue text and
+ * `statusCode` to the catalogue status (or 400 for unknown codes).
+ */
+export function errorBody(code, { statusCode, message, details } = {}) {
+  const entry = REGISTRY_ERRORS[code];
+  const body = {
+    error: code,
+    message: message ?? entry?.message ?? code,
+    statusCode: statusCode ?? entry?.statusCode ?? 400
+  };
+  if (details && Object.keys(details).length) {
+    body.details = details;
+  }
+  return body;
+}
+
+/**
+ * Error carrying a stable code (see REGISTRY_ERRORS) and a message for this occurrence;
+ * the error handler answers it in the RegistryError shape.
+ */
+export function codedError(code, detail) {
+  const error = new Error(code);
+  error.detail = detail;
+  return error;
+}
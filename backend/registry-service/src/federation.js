@@ -0,0 +1,454 @@
+import crypto from 'crypto';
+import { deriveOwnerIdFromPublicKey, verifySignature } from '../../common/crypto.js';
+import { parentDomainOf } from '../../common/domainName.js';
+import { computeManifestId } from '../../common/manifestId.js';
+import { computeMerkleRoot } from '../../common/merkle.js';
+import { normalizeDomainRecords } from './domainRecords.js';
+import {
+  canonicalDomain,
+  isWithinSignatureWindow,
+  parseSignedOperation,
+  stableStringify,
+  verifySignedRequest
+} from './signedOperations.js';
+
+/**
+ * Registry federation: every node keeps an append-only log of the domain and
+ * manifest writes it accepted, signed with its own key, and pulls the logs of its
+ * peers over `GET /federation/ops`. Only nodes on the trusted list are pulled from.
+ *
+ * A node key only vouches for the order of its log, not for domain ownership:
+ * every domain op carries the owner's signed request it was made with, and a
+ * domain's state is rebuilt from those requests (foldDomainRegistration), so a
+ * node can neither forge an owner's write nor rewrite one.
+ */
+
+export const FEDERATION_OP_VERSION = 2;
+export const FEDERATION_OP_TYPES = ['domain.put', 'domain.delete', 'manifest.put'];
+
+// Signed operations each domain op type may carry.
+const DOMAIN_OP_OPERATIONS = {
+  'domain.put': ['register', 'update', 'renew', 'rollback', 'transfer-accept'],
+  'domain.delete': ['delete']
+};
+
+const OP_FIELDS = ['version', 'origin', 'seq', 'prev', 'type', 'target', 'payload', 'timestamp'];
+const DEFAULT_SYNC_BATCH_SIZE = 200;
+
+/**
+ * Canonical string a node signs for one op. Object keys are sorted at every depth,
+ * so a peer that rebuilds the op from JSON verifies the same bytes.
+ */
+export function canonicalFederationMessage(op) {
+  const canonical = {};
+  OP_FIELDS.forEach((field) => {
+    const value = op?.[field];
+    canonical[field] = value === undefined ? null : value;
+  });
+  return stableStringify(canonical);
+}
+
+export function federationOpId(message) {
+  return crypto.createHash('sha256').update(message).digest('base64url');
+}
+
+// A registration is named after the owner's signed register request, so no node can pick the ID.
+export function registrationIdOf(authorization) {
+  return federationOpId(authorization.signedMessage);
+}
+
+/**
+ * New P-256 signing key for this node. The node ID is derived from the public key
+ * the same way owner IDs are, so peers can check who signed an op without a
+ * separate key directory.
+ */
+export function createNodeIdentity() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const publicKeyBase64 = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+  return {
+    nodeId: deriveOwnerIdFromPublicKey(publicKeyBase64),
+    publicKey: publicKeyBase64,
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64')
+  };
+}
+
+export function signFederationMessage(privateKeyBase64, message) {
+  const key = crypto.createPrivateKey({
+    key: Buffer.from(privateKeyBase64, 'base64'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return crypto.sign('sha256', Buffer.from(message), key).toString('base64');
+}
+
+/**
+ * Checks that an op received from a peer is well formed, was signed by the node it
+ * names as origin and that the origin is in `trustedNodes`. Manifest ops must
+ * carry the manifest their ID is the hash of, domain ops a valid owner request
+ * (verifyDomainAuthorization). Returns an error code, or null for a valid op.
+ * Chain order is checked by the store.
+ */
+export async function verifyFederationOp(op, { trustedNodes = [] } = {}) {
+  if (
+    !op ||
+    typeof op !== 'object' ||
+    op.version !== FEDERATION_OP_VERSION ||
+    !FEDERATION_OP_TYPES.includes(op.type) ||
+    typeof op.origin !== 'string' ||
+    typeof op.target !== 'string' ||
+    !op.target ||
+    !Number.isInteger(op.seq) ||
+    op.seq < 1 ||
+    !Number.isFinite(op.timestamp) ||
+    !op.payload ||
+    typeof op.payload !== 'object' ||
+    typeof op.publicKey !== 'string' ||
+    typeof op.signature !== 'string'
+  ) {
+    return 'INVALID_FEDERATION_OP';
+  }
+  if (deriveOwnerIdFromPublicKey(op.publicKey) !== op.origin) {
+    return 'INVALID_FEDERATION_OP';
+  }
+  if (!trustedNodes.includes(op.origin)) {
+    return 'UNTRUSTED_FEDERATION_NODE';
+  }
+
+  const message = canonicalFederationMessage(op);
+  if (federationOpId(message) !== op.opId) {
+    return 'INVALID_FEDERATION_OP';
+  }
+  const valid = await verifySignature(op.publicKey, message, op.signature);
+  if (!valid) {
+    return 'INVALID_FEDERATION_SIGNATURE';
+  }
+
+  if (op.type !== 'manifest.put') {
+    return (await verifyDomainAuthorization(op)) ? null : 'INVALID_DOMAIN_AUTHORIZATION';
+  }
+  const manifest = op.payload.manifest;
+  if (!manifest || typeof manifest !== 'object' || (await computeManifestId(manifest)) !== op.target) {
+    return 'INVALID_FEDERATION_OP';
+  }
+  // A manifest root that does not match its chunk hashes would make every proof for it fail.
+  if (typeof manifest.merkleRoot === 'string') {
+    const merkleRoot = await computeMerkleRoot(manifest.chunkHashes);
+    if (merkleRoot !== manifest.merkleRoot) {
+      return 'INVALID_FEDERATION_OP';
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the owner request a domain op carries, on its own: the request is signed
+ * and names the op's domain, its operation fits the op type, and the origin logged
+ * it while the signature was fresh. A register request must be signed by the owner
+ * it names and give the op its registration ID; a transfer acceptance must carry
+ * the offer it accepts. Whether the signer actually held the name is decided when
+ * the registration is folded.
+ */
+async function verifyDomainAuthorization(op) {
+  const { registrationId, authorization, offer } = op.payload;
+  if (typeof registrationId !== 'string' || !registrationId) {
+    return false;
+  }
+  const envelope = await verifySignedRequest(authorization);
+  if (
+    !envelope ||
+    canonicalDomain(envelope.domain) !== op.target ||
+    !DOMAIN_OP_OPERATIONS[op.type].includes(envelope.operation) ||
+    !isWithinSignatureWindow(envelope.issuedAt, op.timestamp)
+  ) {
+    return false;
+  }
+
+  if (envelope.operation === 'register') {
+    return (
+      registrationId === registrationIdOf(authorization) &&
+      deriveOwnerIdFromPublicKey(authorization.publicKey) === envelope.owner
+    );
+  }
+  if (envelope.operation === 'transfer-accept') {
+    const offered = await verifySignedRequest(offer);
+    return (
+      Boolean(offered) &&
+      offered.operation === 'transfer-offer' &&
+      canonicalDomain(offered.domain) === op.target &&
+      offered.owner === envelope.owner &&
+      deriveOwnerIdFromPublicKey(authorization.publicKey) === envelope.owner
+    );
+  }
+  return true;
+}
+
+/**
+ * Pulls the op logs of `peers` (registry base URLs) into `store`. Each peer's
+ * cursor is its own log position, kept in the store, so a sync resumes where the
+ * last one stopped; ops the peer relayed from other nodes arrive the same way.
+ * An op that fails verification stops that peer's sync without advancing past it.
+ * Throws FEDERATION_TRUSTED_NODES_REQUIRED when `trustedNodes` is empty.
+ */
+export function createFederationSync({
+  store,
+  peers = [],
+  apiKey = null,
+  trustedNodes = [],
+  batchSize = DEFAULT_SYNC_BATCH_SIZE,
+  fetchImpl = fetch
+} = {}) {
+  if (!trustedNodes.length) {
+    // Without a trust list any node could feed this registry ops.
+    throw new Error('FEDERATION_TRUSTED_NODES_REQUIRED');
+  }
+  const headers = { Accept: 'application/json' };
+  if (apiKey) {
+    headers['X-API-Key'] = apiKey;
+  }
+
+  async function syncPeer(url) {
+    const peer = store.getFederationPeer(url);
+    let cursor = peer.cursor;
+    let nodeId = peer.nodeId;
+    let applied = 0;
+    let duplicates = 0;
+
+    try {
+      for (;;) {
+        const response = await fetchImpl(`${url}/federation/ops?after=${cursor}&limit=${batchSize}`, { headers });
+        if (!response.ok) {
+          throw new Error(`PEER_HTTP_${response.status}`);
+        }
+        const page = await response.json();
+        nodeId = page.node?.nodeId ?? nodeId;
+        const ops = Array.isArray(page.ops) ? page.ops : [];
+
+        for (const op of ops) {
+          const problem = await verifyFederationOp(op, { trustedNodes });
+          if (problem) {
+            const error = new Error(problem);
+            error.opId = op?.opId ?? null;
+            throw error;
+          }
+          const result = store.applyFederationOp(op);
+          if (result.duplicate) {
+            duplicates += 1;
+          } else {
+            applied += 1;
+          }
+          cursor = op.position;
+        }
+
+        if (!page.hasMore || !ops.length) break;
+      }
+    } catch (error) {
+      store.saveFederationPeer(url, { nodeId, cursor, lastError: error.message });
+      throw error;
+    }
+
+    const syncedAt = Date.now();
+    store.saveFederationPeer(url, { nodeId, cursor, lastSyncedAt: syncedAt, lastError: null }, syncedAt);
+    return { url, nodeId, applied, duplicates, cursor };
+  }
+
+  return {
+    peers,
+    syncPeer,
+    // Peers are synced one after another; a failing peer does not stop the others.
+    async syncAll() {
+      const results = [];
+      for (const url of peers) {
+        try {
+          results.push(await syncPeer(url));
+        } catch (error) {
+          results.push({ url, error: error.message });
+        }
+      }
+      return results;
+    }
+  };
+}
+
+/**
+ * State of one domain registration, rebuilt from the owner requests its ops carry.
+ * `entries` are the registration's ops as `{ opId, payload, receivedAt }`. Requests
+ * are applied in the order their owners signed them, each nonce once, and only
+ * when signed by the key that held the name at that time; any other request is
+ * skipped. A lapsed lease ends the registration like a delete does.
+ *
+ * A subdomain registration counts only when a key that held `parent` (the parent's
+ * fold) signed it, and ends when the parent's registration does.
+ *
+ * Returns `{ registrationId, registeredAt, releasedAt, receivedAt, opId, state,
+ * history, keys }`, or null when the entries hold no valid register request.
+ * `opId` is the last op that changed the state, `releasedAt` is Infinity while the
+ * registration is open-ended and `keys` lists the owner keys with the time each
+ * took the name over.
+ */
+export function foldDomainRegistration(
+  entries,
+  { domain, leaseMs, graceMs, transferOfferTtlMs, parent = null }
+) {
+  const requests = entries
+    .map((entry) => ({ ...entry, envelope: parseSignedOperation(entry.payload?.authorization?.signedMessage) }))
+    .filter((entry) => entry.envelope)
+    .sort((a, b) => a.envelope.issuedAt - b.envelope.issuedAt || compareText(a.opId, b.opId));
+  const start = requests.findIndex(
+    (entry) =>
+      entry.envelope.operation === 'register' &&
+      registrationIdOf(entry.payload.authorization) === entry.payload.registrationId
+  );
+  if (start < 0) {
+    return null;
+  }
+
+  const register = requests[start];
+  const { body, publicKey } = register.payload.authorization;
+  const registeredAt = register.envelope.issuedAt;
+  const parentDomain = parentDomainOf(domain);
+  if (body.owner !== register.envelope.owner) {
+    return null;
+  }
+  if (
+    parentDomain &&
+    !(
+      parent &&
+      registeredAt < parent.releasedAt &&
+      parent.keys.some((key) => key.publicKey === publicKey && key.from <= registeredAt && registeredAt < key.until)
+    )
+  ) {
+    return null;
+  }
+  const records = foldRecords(body.records, domain, []);
+  if (!records) {
+    return null;
+  }
+
+  const state = {
+    owner: body.owner,
+    publicKey,
+    manifestId: body.manifestId ?? null,
+    replicas: Array.isArray(body.replicas) ? body.replicas : [],
+    metadata: body.metadata ?? {},
+    records,
+    parentDomain,
+    expiresAt: parentDomain ? null : registeredAt + leaseMs,
+    createdAt: registeredAt,
+    updatedAt: registeredAt
+  };
+  const history = [
+    {
+      manifestId: state.manifestId,
+      previousManifestId: null,
+      actor: state.owner,
+      reason: 'register',
+      recordedAt: registeredAt
+    }
+  ];
+  const bind = (manifestId, reason, recordedAt) => {
+    history.push({ manifestId, previousManifestId: state.manifestId, actor: state.owner, reason, recordedAt });
+    state.manifestId = manifestId;
+  };
+  const keys = [{ publicKey, from: registeredAt, until: Infinity }];
+  const nonces = new Set([register.envelope.nonce]);
+  const endsAt = () =>
+    Math.min(state.expiresAt === null ? Infinity : state.expiresAt + graceMs, parent?.releasedAt ?? Infinity);
+  let releasedAt = Infinity;
+  let opId = register.opId;
+
+  for (const { envelope, payload, opId: entryOpId } of requests.slice(start + 1)) {
+    if (envelope.issuedAt >= endsAt()) break;
+    if (nonces.has(envelope.nonce)) continue;
+    const key = keys[keys.length - 1];
+    const { authorization } = payload;
+    const request = authorization.body;
+    const issuedAt = envelope.issuedAt;
+
+    if (envelope.operation === 'transfer-accept') {
+      // The offer must come from the key holding the name now and still be open.
+      const offer = parseSignedOperation(payload.offer?.signedMessage);
+      if (
+        !offer ||
+        payload.offer.publicKey !== key.publicKey ||
+        offer.issuedAt < key.from ||
+        nonces.has(offer.nonce) ||
+        offer.owner !== envelope.owner ||
+        envelope.owner === state.owner ||
+        issuedAt < offer.issuedAt ||
+        issuedAt > offer.issuedAt + transferOfferTtlMs
+      ) {
+        continue;
+      }
+      nonces.add(offer.nonce);
+      key.until = issuedAt;
+      keys.push({ publicKey: authorization.publicKey, from: issuedAt, until: Infinity });
+      state.owner = envelope.owner;
+      state.publicKey = authorization.publicKey;
+    } else if (authorization.publicKey !== key.publicKey) {
+      continue;
+    } else if (envelope.operation === 'update') {
+      const nextOwner = typeof request.owner === 'string' ? request.owner.trim() : '';
+      const nextRecords = foldRecords(request.records, domain, state.records);
+      if ((nextOwner && nextOwner !== state.owner) || !nextRecords) continue;
+      const manifestId = request.manifestId ?? request.contentId ?? request.manifest ?? state.manifestId;
+      if (manifestId !== state.manifestId) {
+        bind(manifestId, 'update', issuedAt);
+      }
+      state.replicas = Array.isArray(request.replicas) ? request.replicas : state.replicas;
+      state.metadata = request.metadata !== undefined ? request.metadata : state.metadata;
+      state.records = nextRecords;
+    } else if (envelope.operation === 'rollback') {
+      const target = request.manifestId;
+      const known = history.some((binding) => binding.manifestId === target || binding.previousManifestId === target);
+      if (target == null || !known || target === state.manifestId) continue;
+      bind(target, 'rollback', issuedAt);
+    } else if (envelope.operation === 'renew') {
+      if (state.expiresAt === null) continue;
+      state.expiresAt = Math.max(state.expiresAt, issuedAt) + leaseMs;
+    } else if (envelope.operation === 'delete') {
+      releasedAt = issuedAt;
+    } else {
+      continue;
+    }
+
+    nonces.add(envelope.nonce);
+    opId = entryOpId;
+    state.updatedAt = issuedAt;
+    if (releasedAt !== Infinity) break;
+  }
+
+  return {
+    registrationId: register.payload.registrationId,
+    registeredAt,
+    releasedAt: Math.min(releasedAt, endsAt()),
+    receivedAt: register.receivedAt ?? null,
+    opId,
+    state,
+    history,
+    keys
+  };
+}
+
+export function parsePeerList(value) {
+  return String(value ?? '')
+    .split(',')
+    .map((entry) => entry.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+// A request's records as the registry stores them: `current` when it sets none, null when invalid.
+function foldRecords(records, domain, current) {
+  if (records === undefined) {
+    return current;
+  }
+  try {
+    return normalizeDomainRecords(records, domain);
+  } catch {
+    return null;
+  }
+}
+
+function compareText(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
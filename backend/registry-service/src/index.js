@@ -1,7 +1,11 @@
+import crypto from 'crypto';
 import Fastify from 'fastify';
 import cors from '@fastify/cors';
 import { emitTelemetry } from '../../common/telemetry.js';
+import { errorBody } from './errors.js';
+import { createFederationSync, parsePeerList } from './federation.js';
 import { registerRoutes } from './routes.js';
+import { loadStorageEngine } from './storageEngines.js';
 import { RegistryStore } from './store.js';
 
 const PORT = Number(process.env.REGISTRY_PORT ?? 8788);
@@ -9,6 +13,15 @@ const HOST = process.env.REGISTRY_HOST ?? '0.0.0.0';
 const POINTER_SWEEP_INTERVAL_MS = Number(
   process.env.REGISTRY_POINTER_SWEEP_INTERVAL_MS ?? 5 * 60 * 1000
 );
+const DOMAIN_SWEEP_INTERVAL_MS = Number(
+  process.env.REGISTRY_DOMAIN_SWEEP_INTERVAL_MS ?? 10 * 60 * 1000
+);
+const REPLICA_SWEEP_INTERVAL_MS = Number(
+  process.env.REGISTRY_REPLICA_SWEEP_INTERVAL_MS ?? 5 * 60 * 1000
+);
+const FEDERATION_SYNC_INTERVAL_MS = Number(
+  process.env.REGISTRY_FEDERATION_SYNC_INTERVAL_MS ?? 30 * 1000
+);
 
 const app = Fastify({
   logger: {
@@ -36,7 +49,19 @@ function emitRegistryError({ context, message, code = null, manifestId = null, d
   emitTelemetry(COMPONENT_NAME, 'error.event', payload);
 }
 
-const store = new RegistryStore();
+await loadStorageEngine();
+let store;
+try {
+  store = new RegistryStore();
+} catch (error) {
+  // Refuse to run against a database written by a newer registry rather than corrupt it.
+  if (error.message === 'SCHEMA_VERSION_TOO_NEW') {
+    app.log.fatal(error.detail);
+    process.exit(1);
+  }
+  throw error;
+}
+app.log.info(`Registry schema at version ${store.schemaStatus.currentVersion}`);
 
 registerRoutes(app, store, { emitRegistryError });
 
@@ -44,11 +69,32 @@ const apiAuth = initialiseApiAuth(app.log);
 const rateLimiter = createRateLimiter(app.log);
 
 app.addHook('onRequest', async (request, reply) => {
-  if (!apiAuth.enabled) return;
   const route = request.routeOptions?.url ?? request.routerPath ?? '';
   if (String(request.method ?? '').toUpperCase() === 'OPTIONS') {
     return;
   }
+  // Moderation routes need an admin key whether or not regular API keys are configured.
+  if (isAdminRoute(route)) {
+    const credential = extractCredential(request);
+    if (!credential) {
+      reply.code(401).send(errorBody('UNAUTHENTICATED'));
+      return reply;
+    }
+    if (!apiAuth.isAdmin(credential)) {
+      reply.code(403).send(errorBody('FORBIDDEN'));
+      return reply;
+    }
+    request.apiKeyId = apiKeyIdOf(credential);
+    return;
+  }
+  if (!apiAuth.enabled) {
+    // The audit log names who changed what, so it is never served without API keys.
+    if (isAuditRoute(route)) {
+      reply.code(401).send(errorBody('UNAUTHENTICATED'));
+      return reply;
+    }
+    return;
+  }
   if (apiAuth.isPublicRoute(route, request.method)) {
     return;
   }
@@ -56,9 +102,10 @@ app.addHook('onRequest', async (request, reply) => {
   const credential = extractCredential(request);
   if (!credential || !apiAuth.isAllowed(credential)) {
     reply.code(401);
-    reply.send({ error: 'UNAUTHENTICATED' });
+    reply.send(errorBody('UNAUTHENTICATED'));
     return reply;
   }
+  request.apiKeyId = apiKeyIdOf(credential);
 
   if (rateLimiter.enabled && !rateLimiter.isPublicRoute(route)) {
     const identity = credential || request.ip || 'anonymous';
@@ -71,11 +118,13 @@ app.addHook('onRequest', async (request, reply) => {
       if (result.retryAfter !== undefined) {
         reply.header('Retry-After', result.retryAfter);
       }
-      reply.code(429).send({
-        error: 'RATE_LIMITED',
-        retryAfter:
-          result.retryAfter ?? Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000))
-      });
+      reply.code(429).send(
+        errorBody('RATE_LIMITED', {
+          details: {
+            retryAfter: result.retryAfter ?? Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000))
+          }
+        })
+      );
       return reply;
     }
     reply.header('RateLimit-Limit', rateLimiter.limit);
@@ -96,6 +145,7 @@ function startPointerSweep() {
     try {
       const result = store.pruneExpiredPointers();
       if (result.cleared > 0) {
+        store.recordAudit({ action: 'pointer-sweep', actor: 'system', after: result });
         app.log.info(
           { cleared: result.cleared, processedAt: result.processedAt },
           'Pruned expired chunk pointers.'
@@ -119,20 +169,167 @@ function startPointerSweep() {
   );
 }
 
-app.setErrorHandler((error, request, reply) => {
-  request.log.error(error);
-  const statusCode = Number.isInteger(error?.statusCode) ? error.statusCode : 400;
-  emitRegistryError({
-    context: 'request',
-    message: error?.message ?? 'BAD_REQUEST',
-    code: error?.code ?? error?.name ?? 'BAD_REQUEST'
+let domainSweepTimer = null;
+
+function startDomainLeaseSweep() {
+  if (!Number.isFinite(DOMAIN_SWEEP_INTERVAL_MS) || DOMAIN_SWEEP_INTERVAL_MS <= 0) {
+    app.log.info('Domain lease sweep scheduler disabled.');
+    return;
+  }
+
+  const runSweep = () => {
+    try {
+      const result = store.releaseExpiredDomains();
+      if (result.released.length > 0) {
+        result.released.forEach((entry) => {
+          store.recordAudit({ action: 'domain-lease-sweep', actor: 'system', domain: entry.domain, after: entry });
+        });
+        app.log.info(
+          {
+            released: result.released.map((entry) => entry.domain),
+            processedAt: result.processedAt
+          },
+          'Released lapsed domain leases.'
+        );
+      }
+    } catch (error) {
+      app.log.error({ err: error }, 'Failed to release lapsed domain leases');
+      emitRegistryError({
+        context: 'domain-sweep',
+        message: error?.message ?? 'domain_sweep_failed',
+        code: 'DOMAIN_SWEEP_FAILED'
+      });
+    }
+  };
+
+  domainSweepTimer = setInterval(runSweep, DOMAIN_SWEEP_INTERVAL_MS);
+  runSweep();
+  app.log.info(
+    { intervalMs: DOMAIN_SWEEP_INTERVAL_MS },
+    'Domain lease sweep scheduler started.'
+  );
+}
+
+let replicaSweepTimer = null;
+
+function startReplicaSweep() {
+  if (!Number.isFinite(REPLICA_SWEEP_INTERVAL_MS) || REPLICA_SWEEP_INTERVAL_MS <= 0) {
+    app.log.info('Replica sweep scheduler disabled.');
+    return;
+  }
+
+  const runSweep = () => {
+    try {
+      const result = store.expireStaleReplicas();
+      if (result.expired > 0) {
+        store.recordAudit({ action: 'replica-sweep', actor: 'system', after: result });
+        app.log.info(
+          { expired: result.expired, removed: result.removed.length, processedAt: result.processedAt },
+          'Expired stale chunk replicas.'
+        );
+      }
+    } catch (error) {
+      app.log.error({ err: error }, 'Failed to expire stale chunk replicas');
+      emitRegistryError({
+        context: 'replica-sweep',
+        message: error?.message ?? 'replica_sweep_failed',
+        code: 'REPLICA_SWEEP_FAILED'
+      });
+    }
+  };
+
+  replicaSweepTimer = setInterval(runSweep, REPLICA_SWEEP_INTERVAL_MS);
+  runSweep();
+  app.log.info(
+    { intervalMs: REPLICA_SWEEP_INTERVAL_MS, ttlMs: store.replicaTtlMs },
+    'Replica sweep scheduler started.'
+  );
+}
+
+// Manifests stored before roots were kept, or replicated from a node that sent none.
+async function backfillMerkleRoots() {
+  try {
+    const { updated } = await store.backfillMerkleRoots();
+    if (updated > 0) {
+      app.log.info({ updated }, 'Computed missing manifest Merkle roots.');
+    }
+  } catch (error) {
+    app.log.error({ err: error }, 'Failed to compute manifest Merkle roots');
+    emitRegistryError({
+      context: 'merkle-backfill',
+      message: error?.message ?? 'merkle_backfill_failed',
+      code: 'MERKLE_BACKFILL_FAILED'
+    });
+  }
+}
+
+let federationSyncTimer = null;
+
+function startFederationSync() {
+  const peers = parsePeerList(process.env.REGISTRY_FEDERATION_PEERS);
+  const { nodeId } = store.getNodeIdentity();
+  if (!peers.length) {
+    app.log.info({ nodeId }, 'Federation sync disabled (REGISTRY_FEDERATION_PEERS not set).');
+    return;
+  }
+  if (!Number.isFinite(FEDERATION_SYNC_INTERVAL_MS) || FEDERATION_SYNC_INTERVAL_MS <= 0) {
+    app.log.info({ nodeId }, 'Federation sync scheduler disabled.');
+    return;
+  }
+
+  const trustedNodes = parseKeyList(process.env.REGISTRY_FEDERATION_TRUSTED_NODES);
+  if (!trustedNodes.length) {
+    app.log.error({ nodeId }, 'Federation sync not started: REGISTRY_FEDERATION_TRUSTED_NODES is required with peers.');
+    return;
+  }
+  const federation = createFederationSync({
+    store,
+    peers,
+    apiKey: process.env.REGISTRY_FEDERATION_API_KEY ?? null,
+    trustedNodes
   });
-  reply.code(statusCode).send({ error: error.message ?? 'BAD_REQUEST' });
-});
+
+  // A slow peer must not stack overlapping syncs.
+  let running = false;
+  const runSync = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const results = await federation.syncAll();
+      results.forEach((result) => {
+        if (result.error) {
+          app.log.warn({ peer: result.url, error: result.error }, 'Federation sync with peer failed');
+          emitRegistryError({
+            context: 'federation-sync',
+            message: result.error,
+            code: 'FEDERATION_SYNC_FAILED'
+          });
+        } else if (result.applied > 0) {
+          app.log.info(
+            { peer: result.url, applied: result.applied, cursor: result.cursor },
+            'Applied federation ops from peer.'
+          );
+        }
+      });
+      if (results.some((result) => result.applied > 0)) {
+        await backfillMerkleRoots();
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  federationSyncTimer = setInterval(runSync, FEDERATION_SYNC_INTERVAL_MS);
+  runSync();
+  app.log.info(
+    { nodeId, peers, intervalMs: FEDERATION_SYNC_INTERVAL_MS },
+    'Federation sync scheduler started.'
+  );
+}
 
 app.register(cors, {
   origin: true,
-  methods: ['GET', 'POST', 'PATCH', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type'],
   credentials: false
 })
@@ -146,6 +343,10 @@ app.register(cors, {
   .then(() => {
     app.log.info(`Registry service listening on http://${HOST}:${PORT}`);
     startPointerSweep();
+    startDomainLeaseSweep();
+    startReplicaSweep();
+    startFederationSync();
+    backfillMerkleRoots();
   })
   .catch((error) => {
     app.log.error(error, 'Failed to start registry service');
@@ -157,20 +358,45 @@ app.addHook('onClose', () => {
     clearInterval(pointerSweepTimer);
     pointerSweepTimer = null;
   }
+  if (domainSweepTimer) {
+    clearInterval(domainSweepTimer);
+    domainSweepTimer = null;
+  }
+  if (replicaSweepTimer) {
+    clearInterval(replicaSweepTimer);
+    replicaSweepTimer = null;
+  }
+  if (federationSyncTimer) {
+    clearInterval(federationSyncTimer);
+    federationSyncTimer = null;
+  }
   rateLimiter.dispose?.();
+  store.close();
+});
+
+// Close cleanly so the SQLite WAL is checkpointed into the database file.
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, () => {
+    app.close().finally(() => process.exit(0));
+  });
 });
 
 function initialiseApiAuth(logger) {
-  const raw = process.env.REGISTRY_API_KEYS ?? '';
-  const keys = raw
-    .split(',')
-    .map((value) => value.trim())
-    .filter(Boolean);
+  const keys = parseKeyList(process.env.REGISTRY_API_KEYS);
+  const adminKeys = parseKeyList(process.env.REGISTRY_ADMIN_API_KEYS);
+  const isAdmin = (token) => adminKeys.includes(token);
+
+  if (adminKeys.length) {
+    logger.info({ keyIds: adminKeys.map(apiKeyIdOf) }, `Registry admin API keys configured (${adminKeys.length} entries)`);
+  } else {
+    logger.info('Registry admin routes disabled (REGISTRY_ADMIN_API_KEYS not set)');
+  }
 
   if (!keys.length) {
     logger.warn('Registry API running without authentication (REGISTRY_API_KEYS not set)');
     return {
       enabled: false,
+      isAdmin,
       isAllowed() {
         return true;
       },
@@ -180,16 +406,20 @@ function initialiseApiAuth(logger) {
     };
   }
 
-  logger.info(`Registry API keys configured (${keys.length} entries)`);
+  logger.info(
+    { keyIds: keys.map(apiKeyIdOf) },
+    `Registry API keys configured (${keys.length} entries)`
+  );
 
   return {
     enabled: true,
+    isAdmin,
     isAllowed(token) {
-      return keys.includes(token);
+      return keys.includes(token) || isAdmin(token);
     },
     isPublicRoute(route, method = 'GET') {
       if (!route) return false;
-      if (route === '/' || route === '/health') {
+      if (route === '/' || route === '/health' || route === '/openapi.json') {
         return true;
       }
       // Allow CORS preflight without credentials.
@@ -201,6 +431,26 @@ function initialiseApiAuth(logger) {
   };
 }
 
+// Audit entries name API keys by a short digest so the keys themselves are never stored.
+function apiKeyIdOf(credential) {
+  return crypto.createHash('sha256').update(credential).digest('hex').slice(0, 12);
+}
+
+function isAuditRoute(route) {
+  return route === '/audit';
+}
+
+function isAdminRoute(route) {
+  return route.startsWith('/admin/');
+}
+
+function parseKeyList(raw) {
+  return String(raw ?? '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
 function extractCredential(request) {
   const headerKey = request.headers['x-api-key'];
   if (typeof headerKey === 'string' && headerKey.trim()) {
@@ -230,7 +480,7 @@ function createRateLimiter(logger) {
       enabled: false,
       limit: 0,
       isPublicRoute(route) {
-        return route === '/' || route === '/health';
+        return route === '/' || route === '/health' || route === '/openapi.json';
       },
       check() {
         return { allowed: true, remaining: Infinity, resetAt: Date.now() + windowMs };
@@ -264,7 +514,7 @@ function createRateLimiter(logger) {
     enabled: true,
     limit,
     isPublicRoute(route) {
-      return route === '/' || route === '/health';
+      return route === '/' || route === '/health' || route === '/openapi.json';
     },
     check(identity) {
       const now = Date.now();
@@ -0,0 +1,69 @@
+import { buildMerkleTree, merkleProofFromTree } from '../../common/merkle.js';
+
+const DEFAULT_MAX_CACHED_LEAVES = Number(process.env.REGISTRY_MERKLE_CACHE_LEAVES ?? 100_000);
+
+/**
+ * Merkle trees of recently read manifests, so serving every chunk of a download
+ * hashes the manifest's tree once instead of once per chunk. Manifests are
+ * immutable, so a cached tree never goes stale; the cache is bounded by the total
+ * number of leaves it holds and evicts the least recently used trees first.
+ */
+export function createMerkleTreeCache(store, { maxLeaves = DEFAULT_MAX_CACHED_LEAVES } = {}) {
+  // manifestId -> Promise of { tree, leafCount }, in least-recently-used order.
+  const trees = new Map();
+  let cachedLeaves = 0;
+
+  async function loadTree(manifestId) {
+    const leaves = store.getMerkleLeaves(manifestId);
+    const tree = leaves ? await buildMerkleTree(leaves.chunkHashes) : null;
+    // The stored root is what manifests are served with; a tree that disagrees
+    // with it would hand out proofs no client can verify.
+    if (tree && leaves.merkleRoot && tree.root !== leaves.merkleRoot) {
+      console.warn(`[Registry] Stored Merkle root of ${manifestId} does not match its chunk hashes`);
+      return null;
+    }
+    return tree;
+  }
+
+  function remember(manifestId, pending) {
+    trees.set(manifestId, pending);
+    pending.then(
+      (tree) => {
+        if (trees.get(manifestId) !== pending) return;
+        if (!tree || tree.leafCount > maxLeaves) {
+          trees.delete(manifestId);
+          return;
+        }
+        pending.leafCount = tree.leafCount;
+        cachedLeaves += tree.leafCount;
+        for (const [oldestId, oldest] of trees) {
+          if (cachedLeaves <= maxLeaves) break;
+          trees.delete(oldestId);
+          cachedLeaves -= oldest.leafCount ?? 0;
+        }
+      },
+      () => {
+        if (trees.get(manifestId) === pending) trees.delete(manifestId);
+      }
+    );
+  }
+
+  return {
+    /**
+     * Inclusion proof for chunk `index` of `manifestId` against the manifest's
+     * stored Merkle root, or null when the manifest has no hash for that chunk.
+     */
+    async proof(manifestId, index) {
+      let pending = trees.get(manifestId);
+      if (pending) {
+        // Re-insert to mark the tree as most recently used.
+        trees.delete(manifestId);
+        trees.set(manifestId, pending);
+      } else {
+        pending = loadTree(manifestId);
+        remember(manifestId, pending);
+      }
+      return merkleProofFromTree(await pending, index);
+    }
+  };
+}
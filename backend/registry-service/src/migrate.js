@@ -0,0 +1,61 @@
+// Schema migration CLI for the registry database.
+//
+//   node src/migrate.js status        show applied and pending migrations
+//   node src/migrate.js up            apply pending migrations
+//   node src/migrate.js up --dry-run  run pending migrations and roll them back
+//
+// Uses the same REGISTRY_DB_PATH / REGISTRY_DB_ENGINE settings as the service.
+import { applyMigrations, getSchemaStatus } from './migrations.js';
+import { loadStorageEngine } from './storageEngines.js';
+import { RegistryStore } from './store.js';
+
+const args = process.argv.slice(2);
+const command = args.find((arg) => !arg.startsWith('--')) ?? 'status';
+const dryRun = args.includes('--dry-run');
+
+await loadStorageEngine();
+let store;
+try {
+  store = new RegistryStore({ migrate: false });
+} catch (error) {
+  console.error(error.detail ?? error.message);
+  process.exit(1);
+}
+
+try {
+  if (command === 'status') {
+    printStatus(getSchemaStatus(store));
+  } else if (command === 'up') {
+    const result = applyMigrations(store, { dryRun });
+    if (!result.applied.length) {
+      console.log(`Schema is up to date at version ${result.fromVersion}.`);
+    } else {
+      const verb = dryRun ? 'Would apply' : 'Applied';
+      result.applied.forEach((migration) => console.log(`${verb} ${migration.version} ${migration.name}`));
+      console.log(
+        dryRun
+          ? `Dry run succeeded; database left at version ${result.fromVersion}.`
+          : `Schema migrated from version ${result.fromVersion} to ${result.toVersion}.`
+      );
+    }
+  } else {
+    console.error(`Unknown command "${command}". Use "status" or "up [--dry-run]".`);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  store.close();
+}
+
+function printStatus(status) {
+  console.log(`Database: ${store.dbPath} (${store.engine.name})`);
+  console.log(`Schema version: ${status.currentVersion} (latest ${status.latestVersion})`);
+  status.applied.forEach((migration) => {
+    console.log(`  [x] ${migration.version} ${migration.name} (${new Date(migration.appliedAt).toISOString()})`);
+  });
+  status.pending.forEach((migration) => {
+    console.log(`  [ ] ${migration.version} ${migration.name}`);
+  });
+}
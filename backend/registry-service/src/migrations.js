@@ -0,0 +1,568 @@
+/**
+ * Numbered schema migrations for RegistryStore, tracked in `schema_migrations`.
+ *
+ * Migrations 1-6 reproduce the schema that registries built up before versioning
+ * existed. They are written to be idempotent (IF NOT EXISTS, tolerant column adds)
+ * so an unversioned database adopts them without changes. Later migrations run
+ * exactly once and may assume every earlier version is applied; add new entries
+ * at the end and never edit one that has shipped.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up(store) {
+      store.engine.exec(`
+        CREATE TABLE IF NOT EXISTS manifests (
+          manifest_id TEXT PRIMARY KEY,
+          transfer_id TEXT,
+          file_name TEXT,
+          file_size INTEGER,
+          mime_type TEXT,
+          chunk_size INTEGER,
+          chunk_count INTEGER,
+          sha256 TEXT,
+          chunk_hashes TEXT,
+          replicas TEXT,
+          metadata TEXT,
+          additional_data TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS manifest_chunks (
+          manifest_id TEXT NOT NULL,
+          chunk_index INTEGER NOT NULL,
+          data TEXT,
+          pointer TEXT,
+          PRIMARY KEY (manifest_id, chunk_index)
+        );
+
+        CREATE TABLE IF NOT EXISTS manifest_chunk_replicas (
+          manifest_id TEXT NOT NULL,
+          chunk_index INTEGER NOT NULL,
+          peer_id TEXT NOT NULL,
+          PRIMARY KEY (manifest_id, chunk_index, peer_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS manifest_chunk_pointer_history (
+          manifest_id TEXT NOT NULL,
+          chunk_index INTEGER NOT NULL,
+          pointer TEXT,
+          expires_at INTEGER,
+          recorded_at INTEGER NOT NULL,
+          PRIMARY KEY (manifest_id, chunk_index, recorded_at)
+        );
+
+        CREATE TABLE IF NOT EXISTS domains (
+          domain TEXT PRIMARY KEY,
+          owner TEXT NOT NULL,
+          manifest_id TEXT NOT NULL,
+          replicas TEXT,
+          metadata TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_manifest_chunks_manifest
+          ON manifest_chunks (manifest_id);
+
+        CREATE INDEX IF NOT EXISTS idx_manifest_chunk_replicas_manifest
+          ON manifest_chunk_replicas (manifest_id);
+
+        CREATE INDEX IF NOT EXISTS idx_manifest_chunk_history_manifest
+          ON manifest_chunk_pointer_history (manifest_id);
+
+        CREATE INDEX IF NOT EXISTS idx_manifest_chunk_history_pointer
+          ON manifest_chunk_pointer_history (manifest_id, chunk_index, recorded_at DESC);
+
+        CREATE INDEX IF NOT EXISTS idx_domains_manifest
+          ON domains (manifest_id);
+      `);
+      addColumn(store, 'manifest_chunks', 'expires_at INTEGER');
+    }
+  },
+  {
+    version: 2,
+    name: 'manifest_bundles',
+    up(store) {
+      store.engine.exec(`
+        CREATE TABLE IF NOT EXISTS manifest_bundles (
+          manifest_id TEXT PRIMARY KEY,
+          entry_path TEXT,
+          file_count INTEGER NOT NULL,
+          total_size INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS manifest_files (
+          manifest_id TEXT NOT NULL,
+          path TEXT NOT NULL,
+          mime_type TEXT,
+          size INTEGER,
+          sha256 TEXT,
+          chunk_start INTEGER NOT NULL,
+          chunk_count INTEGER NOT NULL,
+          PRIMARY KEY (manifest_id, path)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_manifest_files_manifest
+          ON manifest_files (manifest_id);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'domain_ownership_and_leases',
+    up(store) {
+      addColumn(store, 'domains', 'public_key TEXT');
+      addColumn(store, 'domains', 'expires_at INTEGER');
+      store.engine.exec(`
+        CREATE TABLE IF NOT EXISTS domain_tombstones (
+          domain TEXT PRIMARY KEY,
+          previous_owner TEXT,
+          released_at INTEGER NOT NULL,
+          available_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS domain_transfers (
+          transfer_id TEXT PRIMARY KEY,
+          domain TEXT NOT NULL,
+          from_owner TEXT NOT NULL,
+          to_owner TEXT NOT NULL,
+          status TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          expires_at INTEGER NOT NULL,
+          resolved_at INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS operation_nonces (
+          nonce TEXT PRIMARY KEY,
+          operation TEXT,
+          domain TEXT,
+          issued_at INTEGER,
+          retain_until INTEGER NOT NULL,
+          recorded_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_domains_expires
+          ON domains (expires_at);
+
+        CREATE INDEX IF NOT EXISTS idx_domain_transfers_domain
+          ON domain_transfers (domain, status);
+
+        CREATE INDEX IF NOT EXISTS idx_domain_transfers_to_owner
+          ON domain_transfers (to_owner, status);
+
+        CREATE INDEX IF NOT EXISTS idx_operation_nonces_retain
+          ON operation_nonces (retain_until);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'subdomains_records_and_history',
+    up(store, { now }) {
+      addColumn(store, 'domains', 'parent_domain TEXT');
+      // Domains registered before leases existed get a full term from the upgrade.
+      // Subdomains never carry their own lease; they follow their root domain.
+      store.run('UPDATE domains SET expires_at = ? WHERE expires_at IS NULL AND parent_domain IS NULL', [
+        now + store.domainLeaseMs
+      ]);
+      store.engine.exec(`
+        CREATE TABLE IF NOT EXISTS domain_bindings_history (
+          binding_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          domain TEXT NOT NULL,
+          manifest_id TEXT NOT NULL,
+          previous_manifest_id TEXT,
+          actor TEXT,
+          reason TEXT NOT NULL,
+          recorded_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS domain_records (
+          domain TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          value TEXT NOT NULL,
+          ttl INTEGER,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (domain, position)
+        );
+
+        CREATE TABLE IF NOT EXISTS domain_delegations (
+          domain TEXT PRIMARY KEY,
+          parent_domain TEXT NOT NULL,
+          delegate_owner TEXT NOT NULL,
+          created_by TEXT,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_domains_parent
+          ON domains (parent_domain);
+
+        CREATE INDEX IF NOT EXISTS idx_domain_bindings_history_domain
+          ON domain_bindings_history (domain, binding_id);
+
+        CREATE INDEX IF NOT EXISTS idx_domain_delegations_parent
+          ON domain_delegations (parent_domain);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'content_addressed_chunks',
+    up(store) {
+      store.engine.exec(`
+        CREATE TABLE IF NOT EXISTS chunks (
+          chunk_hash TEXT PRIMARY KEY,
+          data TEXT,
+          pointer TEXT,
+          expires_at INTEGER,
+          ref_count INTEGER NOT NULL DEFAULT 0,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS chunk_replicas (
+          chunk_hash TEXT NOT NULL,
+          peer_id TEXT NOT NULL,
+          PRIMARY KEY (chunk_hash, peer_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_chunks_expires
+          ON chunks (expires_at);
+      `);
+      addColumn(store, 'manifest_chunks', 'chunk_hash TEXT');
+      store.migrateInlineChunks();
+      store.engine.exec('CREATE INDEX IF NOT EXISTS idx_manifest_chunks_hash ON manifest_chunks (chunk_hash)');
+    }
+  },
+  {
+    version: 6,
+    name: 'manifest_owner_and_listing_indexes',
+    up(store) {
+      addColumn(store, 'manifests', 'owner TEXT');
+      store.engine.exec(`
+        CREATE INDEX IF NOT EXISTS idx_manifests_owner
+          ON manifests (owner, created_at);
+
+        CREATE INDEX IF NOT EXISTS idx_manifests_created
+          ON manifests (created_at);
+
+        CREATE INDEX IF NOT EXISTS idx_domains_owner
+          ON domains (owner);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'change_feed',
+    up(store) {
+      // AUTOINCREMENT keeps sequence numbers monotonic even after old events are pruned.
+      store.engine.exec(`
+        CREATE TABLE change_events (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          domain TEXT,
+          manifest_id TEXT,
+          data TEXT,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_change_events_created
+          ON change_events (created_at);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'audit_log',
+    up(store) {
+      store.engine.exec(`
+        CREATE TABLE audit_log (
+          audit_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          actor TEXT NOT NULL,
+          domain TEXT,
+          manifest_id TEXT,
+          request_digest TEXT,
+          status_code INTEGER,
+          before_state TEXT,
+          after_state TEXT,
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX idx_audit_log_created
+          ON audit_log (created_at);
+
+        CREATE INDEX idx_audit_log_domain
+          ON audit_log (domain, created_at);
+
+        CREATE INDEX idx_audit_log_manifest
+          ON audit_log (manifest_id, created_at);
+
+        CREATE INDEX idx_audit_log_actor
+          ON audit_log (actor, created_at);
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'replica_leases',
+    up(store, { now }) {
+      store.engine.exec(`
+        ALTER TABLE chunk_replicas ADD COLUMN last_confirmed_at INTEGER;
+        ALTER TABLE chunk_replicas ADD COLUMN expires_at INTEGER;
+
+        CREATE INDEX idx_chunk_replicas_expires
+          ON chunk_replicas (expires_at);
+
+        CREATE INDEX idx_chunk_replicas_peer
+          ON chunk_replicas (peer_id);
+      `);
+      // Existing replicas were never confirmed; they get one lease term to heartbeat.
+      store.run('UPDATE chunk_replicas SET last_confirmed_at = ?, expires_at = ?', [now, now + store.replicaTtlMs]);
+    }
+  },
+  {
+    version: 10,
+    name: 'replication_factor',
+    up(store) {
+      store.engine.exec('ALTER TABLE manifests ADD COLUMN replication_factor INTEGER;');
+      store.run('UPDATE manifests SET replication_factor = ?', [store.defaultReplicationFactor]);
+    }
+  },
+  {
+    version: 11,
+    name: 'owner_quotas',
+    up(store) {
+      // Inline bytes are charged to the manifest that uploaded them. Older manifests are
+      // estimated from the base64 data they reference, so shared chunks count once per manifest.
+      // `quota_owner` is who a row is charged to: the verified signer or `key:<id>`. Rows
+      // from before quotas have nothing better than the owner they name.
+      store.engine.exec(`
+        ALTER TABLE manifests ADD COLUMN inline_bytes INTEGER NOT NULL DEFAULT 0;
+        UPDATE manifests SET inline_bytes = COALESCE((
+          SELECT SUM(LENGTH(c.data) * 3 / 4)
+          FROM manifest_chunks mc
+          JOIN chunks c ON c.chunk_hash = mc.chunk_hash
+          WHERE mc.manifest_id = manifests.manifest_id AND c.data IS NOT NULL
+        ), 0);
+        ALTER TABLE manifests ADD COLUMN quota_owner TEXT;
+        UPDATE manifests SET quota_owner = owner;
+        CREATE INDEX idx_manifests_quota_owner ON manifests (quota_owner);
+        ALTER TABLE domains ADD COLUMN quota_owner TEXT;
+        UPDATE domains SET quota_owner = owner;
+        CREATE INDEX idx_domains_quota_owner ON domains (quota_owner);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'moderation',
+    up(store) {
+      // Suspensions are keyed by name rather than by row so a takedown survives the
+      // domain being deleted and registered again.
+      store.engine.exec(`
+        CREATE TABLE abuse_reports (
+          report_id TEXT PRIMARY KEY,
+          target_type TEXT NOT NULL,
+          target TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          details TEXT,
+          reporter TEXT,
+          status TEXT NOT NULL DEFAULT 'open',
+          resolution_note TEXT,
+          resolved_by TEXT,
+          created_at INTEGER NOT NULL,
+          resolved_at INTEGER
+        );
+        CREATE INDEX idx_abuse_reports_status
+          ON abuse_reports (status, created_at);
+        CREATE INDEX idx_abuse_reports_target
+          ON abuse_reports (target_type, target);
+        CREATE TABLE suspensions (
+          target_type TEXT NOT NULL,
+          target TEXT NOT NULL,
+          reason TEXT,
+          report_id TEXT,
+          suspended_by TEXT,
+          created_at INTEGER NOT NULL,
+          PRIMARY KEY (target_type, target)
+        );
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'federation_log',
+    up(store, { now }) {
+      // `position` is this node's order of arrival and serves as the peer-sync cursor;
+      // (origin, origin_seq) is the order the origin node signed its ops in.
+      store.engine.exec(`
+        CREATE TABLE federation_node (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          node_id TEXT NOT NULL,
+          public_key TEXT NOT NULL,
+          private_key TEXT NOT NULL,
+          created_at INTEGER NOT NULL
+        );
+        CREATE TABLE federation_ops (
+          position INTEGER PRIMARY KEY AUTOINCREMENT,
+          op_id TEXT NOT NULL UNIQUE,
+          version INTEGER NOT NULL,
+          origin TEXT NOT NULL,
+          origin_seq INTEGER NOT NULL,
+          prev_op_id TEXT,
+          type TEXT NOT NULL,
+          target TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          public_key TEXT NOT NULL,
+          signature TEXT NOT NULL,
+          received_at INTEGER NOT NULL,
+          UNIQUE (origin, origin_seq)
+        );
+        CREATE INDEX idx_federation_ops_target
+          ON federation_ops (target, type);
+        CREATE TABLE federation_domains (
+          domain TEXT PRIMARY KEY,
+          registration_id TEXT NOT NULL,
+          registered_at INTEGER NOT NULL,
+          op_id TEXT NOT NULL
+        );
+        CREATE TABLE federation_peers (
+          url TEXT PRIMARY KEY,
+          node_id TEXT,
+          cursor INTEGER NOT NULL DEFAULT 0,
+          last_synced_at INTEGER,
+          last_error TEXT,
+          updated_at INTEGER NOT NULL
+        );
+        ALTER TABLE domain_transfers ADD COLUMN offer_authorization TEXT;
+      `);
+      store.createNodeIdentity(now);
+      // Existing manifests enter the log as this node's ops so peers receive them too.
+      // Domain ops must carry the owner's signed request, which older rows never kept,
+      // so a domain enters the log with its next signed write (offer_authorization keeps
+      // the signed offer a transfer acceptance is logged with).
+      store.seedFederationLog(now);
+    }
+  },
+  {
+    version: 14,
+    name: 'manifest_merkle_roots',
+    up(store) {
+      // Roots of existing manifests are filled in at startup (RegistryStore.backfillMerkleRoots).
+      store.engine.exec('ALTER TABLE manifests ADD COLUMN merkle_root TEXT;');
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Thrown from inside a dry-run transaction so the engine rolls it back.
+const DRY_RUN_ROLLBACK = Symbol('dry-run-rollback');
+
+/**
+ * Current schema version and the migrations still to apply. Throws
+ * SCHEMA_VERSION_TOO_NEW when the database was written by a newer registry.
+ */
+export function getSchemaStatus(store) {
+  ensureMigrationsTable(store);
+  const applied = store.getAll('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const currentVersion = applied.length ? applied[applied.length - 1].version : 0;
+  const status = {
+    currentVersion,
+    latestVersion: LATEST_SCHEMA_VERSION,
+    applied: applied.map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+    pending: MIGRATIONS.filter((migration) => !appliedVersions.has(migration.version)).map(
+      ({ version, name }) => ({ version, name })
+    )
+  };
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    const error = new Error('SCHEMA_VERSION_TOO_NEW');
+    error.detail = `Database schema is at version ${currentVersion}; this registry only knows up to ${LATEST_SCHEMA_VERSION}`;
+    error.status = status;
+    throw error;
+  }
+  return status;
+}
+
+/**
+ * Applies pending migrations in version order, each in its own transaction.
+ * With `dryRun`, every pending migration still runs but is rolled back, which
+ * proves it would apply cleanly without changing the database.
+ * Returns `{ fromVersion, toVersion, applied: [{ version, name }], dryRun }`.
+ */
+export function applyMigrations(store, { dryRun = false, now = Date.now() } = {}) {
+  const status = getSchemaStatus(store);
+  const pending = MIGRATIONS.filter((migration) =>
+    status.pending.some((entry) => entry.version === migration.version)
+  );
+
+  const applied = [];
+  if (dryRun) {
+    try {
+      store.transaction(() => {
+        pending.forEach((migration) => {
+          runMigration(store, migration, now);
+          applied.push({ version: migration.version, name: migration.name });
+        });
+        throw DRY_RUN_ROLLBACK;
+      });
+    } catch (error) {
+      if (error !== DRY_RUN_ROLLBACK) {
+        throw error;
+      }
+    }
+  } else {
+    pending.forEach((migration) => {
+      store.transaction(() => runMigration(store, migration, now));
+      applied.push({ version: migration.version, name: migration.name });
+    });
+  }
+
+  return {
+    fromVersion: status.currentVersion,
+    toVersion: applied.length && !dryRun ? applied[applied.length - 1].version : status.currentVersion,
+    applied,
+    dryRun
+  };
+}
+
+function runMigration(store, migration, now) {
+  try {
+    migration.up(store, { now });
+  } catch (error) {
+    error.message = `Migration ${migration.version} (${migration.name}) failed: ${error.message}`;
+    throw error;
+  }
+  store.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [
+    migration.version,
+    migration.name,
+    now
+  ]);
+}
+
+function ensureMigrationsTable(store) {
+  store.engine.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER NOT NULL
+    );
+  `);
+}
+
+// ADD COLUMN is not idempotent in SQLite; the baseline migrations may meet columns
+// that an unversioned registry already added.
+function addColumn(store, table, definition) {
+  const column = definition.split(/\s+/)[0];
+  const exists = store.getAll(`PRAGMA table_info(${table})`).some((row) => row.name === column);
+  if (!exists) {
+    store.engine.exec(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+  }
+}
@@ -0,0 +1,127 @@
+import { sharedSchemas } from './schemas.js';
+
+const OPENAPI_VERSION = '3.1.0';
+const REF_PATTERN = /^([A-Za-z][\w-]*)#$/;
+
+/**
+ * Records the routes registered after it is called and builds an OpenAPI document
+ * from their schemas on first use. Routes without a schema and the HEAD routes
+ * Fastify adds for every GET are left out.
+ */
+export function createOpenApiCollector(app, { title, version, description }) {
+  const routes = [];
+  let document = null;
+
+  app.addHook('onRoute', (route) => {
+    if (!route.schema || route.schema.hide) return;
+    const methods = [].concat(route.method).filter((method) => method !== 'HEAD');
+    methods.forEach((method) => routes.push({ method, url: route.url, schema: route.schema }));
+  });
+
+  return {
+    document() {
+      document ??= buildOpenApiDocument(routes, { title, version, description });
+      return document;
+    }
+  };
+}
+
+function buildOpenApiDocument(routes, info) {
+  const paths = {};
+  routes.forEach(({ method, url, schema }) => {
+    const path = url.replace(/:(\w+)/g, '{$1}');
+    paths[path] ??= {};
+    paths[path][method.toLowerCase()] = buildOperation(schema);
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info,
+    paths,
+    components: {
+      schemas: Object.fromEntries(
+        sharedSchemas.map(({ $id, ...schema }) => [$id, toOpenApiSchema(schema)])
+      ),
+      // Keys are only enforced when REGISTRY_API_KEYS (or, for /admin, REGISTRY_ADMIN_API_KEYS) is set.
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        adminApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'A key from REGISTRY_ADMIN_API_KEYS' }
+      }
+    },
+    security: [{ apiKey: [] }, { bearerAuth: [] }]
+  };
+}
+
+function buildOperation(schema) {
+  const operation = {};
+  ['operationId', 'summary', 'description', 'tags', 'security'].forEach((key) => {
+    if (schema[key] !== undefined) operation[key] = schema[key];
+  });
+
+  const parameters = [
+    ...toParameters(schema.params, 'path'),
+    ...toParameters(schema.querystring, 'query')
+  ];
+  if (parameters.length) {
+    operation.parameters = parameters;
+  }
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: ![].concat(schema.body.type).includes('null'),
+      content: { 'application/json': { schema: toOpenApiSchema(schema.body) } }
+    };
+  }
+
+  operation.responses = {};
+  Object.entries(schema.response ?? {}).forEach(([status, response]) => {
+    operation.responses[status.toUpperCase()] = toResponse(status, response);
+  });
+  return operation;
+}
+
+function toParameters(schema, location) {
+  if (!schema?.properties) return [];
+  const required = new Set(schema.required ?? []);
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = property;
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || required.has(name),
+      schema: toOpenApiSchema(rest)
+    };
+    if (description) parameter.description = description;
+    return parameter;
+  });
+}
+
+function toResponse(status, response) {
+  if (response.content) {
+    const content = Object.fromEntries(
+      Object.entries(response.content).map(([type, entry]) => [type, { schema: toOpenApiSchema(entry.schema) }])
+    );
+    return { description: response.description ?? status, content };
+  }
+  const description = /^[45]/.test(status) ? 'Error (see RegistryError.error for the code)' : response.description ?? 'OK';
+  return { description, content: { 'application/json': { schema: toOpenApiSchema(response) } } };
+}
+
+// Fastify refers to shared schemas as `Name#`; OpenAPI wants component pointers.
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toOpenApiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => {
+      if (key === '$ref' && typeof value === 'string' && REF_PATTERN.test(value)) {
+        return [key, `#/components/schemas/${value.match(REF_PATTERN)[1]}`];
+      }
+      return [key, toOpenApiSchema(value)];
+    })
+  );
+}
@@ -1,7 +1,74 @@
+import crypto from 'crypto';
 import { emitTelemetry } from '../../common/telemetry.js';
-import { verifySignature, deriveOwnerIdFromPublicKey } from '../../common/crypto.js';
+import { deriveOwnerIdFromPublicKey } from '../../common/crypto.js';
+import { parentDomainOf, validateDomainName } from '../../common/domainName.js';
+import { computeManifestId } from '../../common/manifestId.js';
+import { computeMerkleRoot } from '../../common/merkle.js';
+import { normalizeDomainRecords } from './domainRecords.js';
+import { REGISTRY_ERRORS, codedError, errorBody, isRegistryErrorCode } from './errors.js';
+import { createMerkleTreeCache } from './merkleTrees.js';
+import { createOpenApiCollector } from './openapi.js';
+import { registerSchemas, routeOptions } from './schemas.js';
+import { signedRequestOf, verifySignedOperation } from './signedOperations.js';
 
 const COMPONENT_NAME = 'registry';
+const SERVICE_VERSION = '0.1.0';
+
+const TRANSFER_ERROR_STATUS = {
+  DOMAIN_NOT_FOUND: 404,
+  TRANSFER_NOT_FOUND: 404,
+  TRANSFER_TO_SELF: 400,
+  TRANSFER_ALREADY_PENDING: 409,
+  TRANSFER_NOT_PENDING: 409,
+  TRANSFER_STALE: 409
+};
+
+const MODERATION_ERROR_STATUS = {
+  INVALID_REPORT_TARGET: 400,
+  INVALID_REPORT_REASON: 400,
+  INVALID_REPORT_DETAILS: 400,
+  INVALID_REPORT_STATUS: 400,
+  DOMAIN_NOT_FOUND: 404,
+  MANIFEST_NOT_FOUND: 404,
+  REPORT_NOT_FOUND: 404,
+  SUSPENSION_NOT_FOUND: 404,
+  REPORT_NOT_OPEN: 409
+};
+
+const MAX_ALIAS_CHAIN = 8;
+const LIST_QUERY_ERRORS = new Set([
+  'INVALID_LIST_LIMIT',
+  'INVALID_LIST_SORT',
+  'INVALID_LIST_VIEW',
+  'INVALID_LIST_FILTER',
+  'INVALID_CURSOR'
+]);
+
+const CHANGE_STREAM_RETRY_MS = 3000;
+const CHANGE_STREAM_HEARTBEAT_MS = 15_000;
+const CHANGE_STREAM_PAGE_SIZE = 500;
+
+const AUDITED_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Codes for errors Fastify raises before a handler runs (bad JSON, oversized bodies).
+const CLIENT_ERROR_CODES = {
+  400: 'INVALID_REQUEST',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE'
+};
+
+const ROLLBACK_ERROR_STATUS = {
+  DOMAIN_NOT_FOUND: 404,
+  ROLLBACK_TARGET_NOT_FOUND: 404,
+  ROLLBACK_TARGET_ACTIVE: 409
+};
+
+const DELEGATION_ERROR_STATUS = {
+  INVALID_SUBDOMAIN: 400,
+  PARENT_DOMAIN_NOT_FOUND: 404,
+  DELEGATION_NOT_FOUND: 404,
+  SUBDOMAIN_ALREADY_REGISTERED: 409
+};
 
 export function registerRoutes(app, store, helpers = {}) {
   const emitError =
@@ -20,10 +87,9 @@ export function registerRoutes(app, store, helpers = {}) {
           emitTelemetry(COMPONENT_NAME, 'error.event', payload);
         };
 
-  function respondError(reply, { statusCode = 400, error, context, manifestId = null, domain = null, code = null }) {
-    if (typeof statusCode === 'number') {
-      reply.code(statusCode);
-    }
+  function respondError(reply, { statusCode, error, context, manifestId = null, domain = null, code = null, details = null }) {
+    const body = errorBody(error, { statusCode, details });
+    reply.code(body.statusCode);
     emitError({
       context,
       message: error,
@@ -31,30 +97,205 @@ export function registerRoutes(app, store, helpers = {}) {
       manifestId,
       domain
     });
-    return { error };
+    return body;
   }
-  app.get('/', async () => ({
+
+  registerSchemas(app);
+  const openApi = createOpenApiCollector(app, {
+    title: 'DWeb Registry API',
+    version: SERVICE_VERSION,
+    description: 'Content manifest and domain registry of the DWeb Hosting Network'
+  });
+  const merkleTrees = createMerkleTreeCache(store);
+
+  // Every error leaves in the RegistryError shape: schema failures get the code the
+  // route names for the offending field, store errors keep their code, and anything
+  // unexpected becomes INTERNAL_ERROR.
+  app.setErrorHandler((error, request, reply) => {
+    let body;
+    if (error.validation) {
+      const code = validationErrorCode(request, error);
+      body = errorBody(code, {
+        statusCode: REGISTRY_ERRORS[code]?.statusCode ?? 400,
+        message: error.message,
+        details: {
+          in: error.validationContext,
+          errors: error.validation.map(({ instancePath, message }) => ({ path: instancePath || '/', message }))
+        }
+      });
+    } else if (isRegistryErrorCode(error.message)) {
+      body = errorBody(error.message, { message: error.detail });
+    } else if (Number.isInteger(error.statusCode) && error.statusCode < 500) {
+      body = errorBody(CLIENT_ERROR_CODES[error.statusCode] ?? 'INVALID_REQUEST', {
+        statusCode: error.statusCode,
+        message: error.message
+      });
+    } else {
+      body = errorBody('INTERNAL_ERROR');
+    }
+    if (body.statusCode >= 500) {
+      request.log.error(error);
+    } else {
+      request.log.info({ err: error }, 'Registry request rejected');
+    }
+    emitError({ context: 'request', message: body.message, code: body.error });
+    reply.code(body.statusCode).send(body);
+  });
+
+  app.setNotFoundHandler((request, reply) => {
+    reply.code(404).send(errorBody('ROUTE_NOT_FOUND'));
+  });
+
+  // Every write route is audited: the state it can touch is snapshotted before the
+  // handler runs and again before the response goes out. Rejected requests change
+  // nothing and are not recorded.
+  app.addHook('preHandler', async (request) => {
+    if (!AUDITED_METHODS.has(request.method)) return;
+    const target = resolveAuditTarget(store, request);
+    request.audit = { target, before: store.getAuditSnapshot(target) };
+  });
+
+  app.addHook('onSend', async (request, reply, payload) => {
+    if (!request.audit || reply.statusCode >= 400) return payload;
+    try {
+      // Created manifests are only known by ID once the handler has answered.
+      const target = request.audit.target.manifestId || request.audit.target.domain
+        ? request.audit.target
+        : { ...request.audit.target, manifestId: readPayloadManifestId(payload) };
+      store.recordAudit({
+        action: `${request.method} ${request.routeOptions?.url ?? request.url}`,
+        actor: resolveAuditActor(request),
+        domain: target.domain,
+        manifestId: target.manifestId,
+        requestDigest: digestRequest(request),
+        statusCode: reply.statusCode,
+        before: request.audit.before,
+        after: request.audit.after ?? store.getAuditSnapshot(target)
+      });
+    } catch (error) {
+      request.log.error({ err: error }, 'Failed to record audit entry');
+    }
+    return payload;
+  });
+
+  app.get('/', routeOptions.getServiceInfo, async () => ({
     status: 'ok',
     service: 'registry',
-    version: '0.1.0'
+    version: SERVICE_VERSION
   }));
 
-  app.get('/health', async () => ({
+  app.get('/health', routeOptions.getHealth, async () => ({
     status: 'healthy',
     timestamp: Date.now()
   }));
 
-  app.post('/manifests', async (request, reply) => {
-    const manifest = request.body;
+  app.get('/openapi.json', routeOptions.getOpenApi, async () => openApi.document());
+
+  app.post('/manifests', routeOptions.createManifest, async (request, reply) => {
+    // The signature covers the body as sent, before validateManifest fills in defaults.
+    const signedBody = { ...request.body };
+    const { publicKey, signature, signedMessage, ...manifest } = request.body;
     validateManifest(manifest);
-    const record = store.createManifest(manifest);
+
+    // Manifests are content-addressed and immutable: the ID is derived from the body.
+    const manifestId = await computeManifestId(manifest);
+    const claimedId = typeof manifest.manifestId === 'string' && manifest.manifestId ? manifest.manifestId : null;
+    if (claimedId && claimedId !== manifestId) {
+      const conflict = Boolean(store.getManifest(claimedId));
+      return respondError(reply, {
+        statusCode: conflict ? 409 : 400,
+        error: conflict ? 'MANIFEST_IMMUTABLE' : 'MANIFEST_ID_MISMATCH',
+        context: 'create-manifest',
+        manifestId: claimedId,
+        details: { expectedManifestId: manifestId }
+      });
+    }
+
+    // The Merkle root is derived the same way; a root sent by the client must agree.
+    const merkleRoot = await computeMerkleRoot(manifest.chunkHashes);
+    if (typeof manifest.merkleRoot === 'string' && manifest.merkleRoot !== merkleRoot) {
+      return respondError(reply, {
+        statusCode: 400,
+        error: 'MERKLE_ROOT_MISMATCH',
+        context: 'create-manifest',
+        manifestId,
+        details: { expectedMerkleRoot: merkleRoot }
+      });
+    }
+
+    // A dweb:0x owner is only recorded, and charged, with that owner's signature.
+    const owner = typeof manifest.owner === 'string' && manifest.owner ? manifest.owner : null;
+    if (signature || signedMessage || owner?.startsWith('dweb:0x')) {
+      const authError = await verifyManifestOwnerSignature(request, store, signedBody, {
+        operation: 'publish',
+        domain: null,
+        manifestId: claimedId,
+        owner
+      });
+      if (authError) {
+        return respondError(reply, { ...authError, context: 'create-manifest', manifestId });
+      }
+    }
+
+    const existing = store.getManifest(manifestId);
+    if (existing) {
+      return existing;
+    }
+
+    let record;
+    try {
+      record = store.createManifest(
+        { ...manifest, manifestId, merkleRoot },
+        { quotaOwner: resolveQuotaOwner(request) }
+      );
+    } catch (error) {
+      if (error.message === 'CHUNK_HASH_MISMATCH') {
+        return respondError(reply, {
+          statusCode: 400,
+          error: 'CHUNK_HASH_MISMATCH',
+          context: 'create-manifest',
+          manifestId,
+          details: { chunkIndex: error.chunkIndex }
+        });
+      }
+      if (error.message === 'INVALID_REPLICATION_FACTOR') {
+        return respondError(reply, {
+          statusCode: 400,
+          error: 'INVALID_REPLICATION_FACTOR',
+          context: 'create-manifest',
+          manifestId
+        });
+      }
+      if (error.message === 'QUOTA_EXCEEDED') {
+        return respondError(reply, {
+          statusCode: 403,
+          error: 'QUOTA_EXCEEDED',
+          context: 'create-manifest',
+          manifestId,
+          details: quotaErrorDetails(error)
+        });
+      }
+      throw error;
+    }
     reply.code(201);
     return record;
   });
 
-  app.get('/manifests', async () => store.listManifests());
+  app.get('/manifests', routeOptions.listManifests, async (request, reply) => {
+    try {
+      const page = store.listManifests(parseListQuery(request.query));
+      return { manifests: page.items, nextCursor: page.nextCursor, total: page.total };
+    } catch (error) {
+      if (LIST_QUERY_ERRORS.has(error.message)) {
+        return respondError(reply, { statusCode: 400, error: error.message, context: 'list-manifests' });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/chunks/stats', routeOptions.getChunkStats, async () => store.getChunkStats());
 
-  app.get('/manifests/:manifestId', async (request, reply) => {
+  app.get('/manifests/:manifestId', routeOptions.getManifest, async (request, reply) => {
     const record = store.getManifest(request.params.manifestId);
     if (!record) {
       return respondError(reply, {
@@ -67,11 +308,10 @@ export function registerRoutes(app, store, helpers = {}) {
     return record;
   });
 
-  app.patch('/manifests/:manifestId/replicas', async (request, reply) => {
+  app.patch('/manifests/:manifestId/replicas', routeOptions.updateManifestReplicas, async (request, reply) => {
     const manifestId = request.params.manifestId;
-    const payload = request.body ?? {};
+    const payload = request.body;
     try {
-      validateReplicaPatch(payload);
       const record = store.updateManifestReplicas(manifestId, payload);
       return {
         manifestId: record.manifestId,
@@ -95,11 +335,28 @@ export function registerRoutes(app, store, helpers = {}) {
           manifestId
         });
       }
-      if (error.message === 'INVALID_CHUNK_INDEXES') {
+      throw error;
+    }
+  });
+
+  app.patch('/manifests/:manifestId/replication', routeOptions.setReplicationFactor, async (request, reply) => {
+    const manifestId = request.params.manifestId;
+    try {
+      return store.setManifestReplicationFactor(manifestId, request.body?.replicationFactor);
+    } catch (error) {
+      if (error.message === 'MANIFEST_NOT_FOUND') {
+        return respondError(reply, {
+          statusCode: 404,
+          error: 'MANIFEST_NOT_FOUND',
+          context: 'update-replication-factor',
+          manifestId
+        });
+      }
+      if (error.message === 'INVALID_REPLICATION_FACTOR') {
         return respondError(reply, {
           statusCode: 400,
-          error: 'INVALID_CHUNK_INDEXES',
-          context: 'update-manifest-replicas',
+          error: 'INVALID_REPLICATION_FACTOR',
+          context: 'update-replication-factor',
           manifestId
         });
       }
@@ -107,17 +364,52 @@ export function registerRoutes(app, store, helpers = {}) {
     }
   });
 
-  app.get('/manifests/:manifestId/chunks/:index', async (request, reply) => {
-    const { manifestId, index } = request.params;
-    const chunkIndex = Number.parseInt(index, 10);
-    if (Number.isNaN(chunkIndex)) {
-      return respondError(reply, {
-        statusCode: 400,
-        error: 'INVALID_CHUNK_INDEX',
-        context: 'get-chunk',
-        manifestId
-      });
+  app.get('/owners/:ownerId/usage', routeOptions.getOwnerUsage, async (request) => store.getOwnerUsage(request.params.ownerId));
+
+  app.get('/replication/health', routeOptions.getReplicationHealth, async (request, reply) => {
+    try {
+      const page = store.getReplicationHealth(parseListQuery(request.query));
+      return {
+        manifests: page.items,
+        nextCursor: page.nextCursor,
+        total: page.total,
+        checkedAt: page.checkedAt
+      };
+    } catch (error) {
+      if (LIST_QUERY_ERRORS.has(error.message)) {
+        return respondError(reply, { statusCode: 400, error: error.message, context: 'replication-health' });
+      }
+      throw error;
+    }
+  });
+
+  app.delete('/manifests/:manifestId/replicas/:peerId', routeOptions.removeManifestReplica, async (request, reply) => {
+    const { manifestId, peerId } = request.params;
+    try {
+      return store.removeManifestReplica(manifestId, peerId);
+    } catch (error) {
+      if (error.message === 'MANIFEST_NOT_FOUND' || error.message === 'REPLICA_NOT_FOUND') {
+        return respondError(reply, {
+          statusCode: 404,
+          error: error.message,
+          context: 'remove-manifest-replica',
+          manifestId
+        });
+      }
+      throw error;
     }
+  });
+
+  app.post('/replicas/heartbeat', routeOptions.heartbeatReplicas, async (request) => {
+    const payload = request.body;
+    const result = store.heartbeatReplicas(payload.peerId.trim(), { manifestIds: payload.manifestIds ?? null });
+    // A heartbeat touches leases across many manifests; record the renewal itself.
+    request.audit.after = result;
+    return result;
+  });
+
+  app.get('/manifests/:manifestId/chunks/:index', routeOptions.getChunk, async (request, reply) => {
+    const { manifestId, index: chunkIndex } = request.params;
     const chunk = store.getManifestChunk(manifestId, chunkIndex);
     if (!chunk) {
       return respondError(reply, {
@@ -127,33 +419,37 @@ export function registerRoutes(app, store, helpers = {}) {
         manifestId
       });
     }
+    // Suspended content stays listed so clients can explain the takedown, but is no longer served.
+    const suspension = store.getSuspension('manifest', manifestId);
+    if (suspension) {
+      return respondError(reply, {
+        statusCode: 451,
+        error: 'CONTENT_SUSPENDED',
+        context: 'get-chunk',
+        manifestId,
+        details: { reason: suspension.reason, suspendedAt: suspension.suspendedAt }
+      });
+    }
+    // Lets the client check this one chunk against the manifest's Merkle root.
+    const proof = await merkleTrees.proof(manifestId, chunkIndex);
     return {
       manifestId,
       chunkIndex,
       data: chunk.data,
       pointerExpiresAt: chunk.pointerExpiresAt ?? null,
       pointer: chunk.pointer ?? null,
-      replicas: chunk.replicas ?? []
+      replicas: chunk.replicas ?? [],
+      replicaLeases: chunk.replicaLeases ?? [],
+      chunkHash: chunk.chunkHash ?? null,
+      refCount: chunk.refCount ?? 0,
+      merkleRoot: proof?.root ?? null,
+      merkleProof: proof ? { leafCount: proof.leafCount, hashes: proof.hashes } : null
     };
   });
 
-  app.get('/manifests/:manifestId/chunks/:index/pointers', async (request, reply) => {
-    const { manifestId, index } = request.params;
-    const chunkIndex = Number.parseInt(index, 10);
-    if (Number.isNaN(chunkIndex)) {
-      return respondError(reply, {
-        statusCode: 400,
-        error: 'INVALID_CHUNK_INDEX',
-        context: 'get-chunk-pointers',
-        manifestId
-      });
-    }
-
-    const limitParam = request.query?.limit;
-    const limit = Number.parseInt(limitParam, 10);
-    const history = store.getChunkPointerHistory(manifestId, chunkIndex, {
-      limit: Number.isNaN(limit) ? undefined : limit
-    });
+  app.get('/manifests/:manifestId/chunks/:index/pointers', routeOptions.getChunkPointerHistory, async (request) => {
+    const { manifestId, index: chunkIndex } = request.params;
+    const history = store.getChunkPointerHistory(manifestId, chunkIndex, { limit: request.query.limit });
 
     return {
       manifestId,
@@ -162,22 +458,10 @@ export function registerRoutes(app, store, helpers = {}) {
     };
   });
 
-  app.patch('/manifests/:manifestId/chunks/:index', async (request, reply) => {
-    const { manifestId, index } = request.params;
-    const chunkIndex = Number.parseInt(index, 10);
-    if (Number.isNaN(chunkIndex)) {
-      return respondError(reply, {
-        statusCode: 400,
-        error: 'INVALID_CHUNK_INDEX',
-        context: 'update-chunk',
-        manifestId
-      });
-    }
-
-    const payload = request.body ?? {};
+  app.patch('/manifests/:manifestId/chunks/:index', routeOptions.updateChunkPointer, async (request, reply) => {
+    const { manifestId, index: chunkIndex } = request.params;
     try {
-      validatePointerPatch(payload);
-      const result = store.updateChunkPointer(manifestId, chunkIndex, payload);
+      const result = store.updateChunkPointer(manifestId, chunkIndex, request.body ?? {});
       if (!result) {
         return respondError(reply, {
           statusCode: 404,
@@ -203,34 +487,40 @@ export function registerRoutes(app, store, helpers = {}) {
           manifestId
         });
       }
-      if (error.message === 'INVALID_POINTER_PAYLOAD') {
-        return respondError(reply, {
-          statusCode: 400,
-          error: 'INVALID_POINTER_PAYLOAD',
-          context: 'update-chunk',
-          manifestId
-        });
-      }
       throw error;
     }
   });
 
-  app.post('/domains', async (request, reply) => {
+  app.post('/domains', routeOptions.registerDomain, async (request, reply) => {
     const payload = request.body;
+    // The payload digest covers the body as the client sent it, before normalisation.
+    const signedBody = { ...payload };
     validateDomainPayload(payload);
+    if (payload.records && createsAliasLoop(store, payload.domain, payload.records)) {
+      return respondError(reply, {
+        statusCode: 409,
+        error: 'RECORD_ALIAS_LOOP',
+        context: 'register-domain',
+        domain: payload.domain
+      });
+    }
 
     // Verify cryptographic signature (if provided)
+    let signingKey = null;
     if (payload.signature && payload.publicKey && payload.signedMessage) {
-      const valid = await verifySignature(
-        payload.publicKey,
-        payload.signedMessage,
-        payload.signature
-      );
-      
-      if (!valid) {
+      const verification = await verifyRequestSignature(request, store, {
+        publicKey: payload.publicKey,
+        payload: signedBody,
+        expected: {
+          operation: 'register',
+          domain: payload.domain,
+          manifestId: payload.manifestId,
+          owner: payload.owner
+        }
+      });
+      if (verification.error) {
         return respondError(reply, {
-          statusCode: 401,
-          error: 'INVALID_SIGNATURE',
+          ...verification.error,
           context: 'register-domain',
           domain: payload.domain
         });
@@ -247,6 +537,7 @@ export function registerRoutes(app, store, helpers = {}) {
         });
       }
       
+      signingKey = payload.publicKey;
       console.log(`[Registry] Cryptographic signature verified for ${payload.domain} by ${payload.owner}`);
     } else if (payload.owner && payload.owner.startsWith('dweb:0x')) {
       // If owner ID is cryptographic format but no signature, reject
@@ -258,14 +549,27 @@ export function registerRoutes(app, store, helpers = {}) {
       });
     }
 
-    try {
-      const record = store.registerDomain(payload.domain, {
-        owner: payload.owner,
-        manifestId: payload.manifestId,
-        replicas: payload.replicas ?? [],
-        metadata: payload.metadata ?? {},
-        publicKey: payload.publicKey ?? null
+    const subdomainError = checkSubdomainAuthority(store, payload, signingKey);
+    if (subdomainError) {
+      return respondError(reply, {
+        ...subdomainError,
+        context: 'register-domain',
+        domain: payload.domain
       });
+    }
+
+    try {
+      const record = store.withAuthorization(signedRequestOf(signedBody, signingKey), () =>
+        store.registerDomain(payload.domain, {
+          owner: payload.owner,
+          manifestId: payload.manifestId,
+          replicas: payload.replicas ?? [],
+          metadata: payload.metadata ?? {},
+          publicKey: payload.publicKey ?? null,
+          records: payload.records,
+          quotaOwner: resolveQuotaOwner(request)
+        })
+      );
       reply.code(201);
       return record;
     } catch (error) {
@@ -277,19 +581,84 @@ export function registerRoutes(app, store, helpers = {}) {
           domain: payload.domain
         });
       }
+      if (error.message === 'DOMAIN_IN_COOLDOWN') {
+        return respondError(reply, {
+          statusCode: 409,
+          error: 'DOMAIN_IN_COOLDOWN',
+          context: 'register-domain',
+          domain: payload.domain,
+          details: { availableAt: error.availableAt ?? null }
+        });
+      }
+      if (error.message === 'PARENT_DOMAIN_NOT_FOUND') {
+        return respondError(reply, {
+          statusCode: 404,
+          error: 'PARENT_DOMAIN_NOT_FOUND',
+          context: 'register-domain',
+          domain: payload.domain
+        });
+      }
+      if (error.message === 'QUOTA_EXCEEDED') {
+        return respondError(reply, {
+          statusCode: 403,
+          error: 'QUOTA_EXCEEDED',
+          context: 'register-domain',
+          domain: payload.domain,
+          details: quotaErrorDetails(error)
+        });
+      }
       throw error;
     }
   });
 
-  app.patch('/domains/:domain', async (request, reply) => {
+  app.patch('/domains/:domain', routeOptions.updateDomain, async (request, reply) => {
     const { domain } = request.params;
     const patch = request.body ?? {};
-    try {
-      const record = store.updateDomain(domain, {
-        manifestId: patch.manifestId ?? patch.contentId ?? patch.manifest,
-        replicas: patch.replicas,
-        metadata: patch.metadata
+    const existing = store.getDomain(domain);
+    if (!existing) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'update-domain',
+        domain
       });
+    }
+
+    const records = patch.records !== undefined ? normalizeDomainRecords(patch.records, existing.domain) : undefined;
+    if (records && createsAliasLoop(store, existing.domain, records)) {
+      return respondError(reply, {
+        statusCode: 409,
+        error: 'RECORD_ALIAS_LOOP',
+        context: 'update-domain',
+        domain
+      });
+    }
+
+    const authError = await verifyDomainOwnerSignature(request, store, existing, patch, {
+      operation: 'update',
+      domain: existing.domain,
+      manifestId: patch.manifestId ?? patch.contentId ?? patch.manifest ?? null,
+      owner: patch.owner ?? null
+    });
+    if (authError) {
+      return respondError(reply, { ...authError, context: 'update-domain', domain });
+    }
+
+    const ownerChange = resolveOwnerChange(existing, patch);
+    if (ownerChange.error) {
+      return respondError(reply, { ...ownerChange.error, context: 'update-domain', domain });
+    }
+
+    try {
+      const record = store.withAuthorization(signedRequestOf(patch, existing.publicKey), () =>
+        store.updateDomain(domain, {
+          manifestId: patch.manifestId ?? patch.contentId ?? patch.manifest,
+          replicas: patch.replicas,
+          metadata: patch.metadata,
+          records,
+          ...ownerChange.patch
+        })
+      );
       return record;
     } catch (error) {
       if (error.message === 'DOMAIN_NOT_FOUND') {
@@ -304,151 +673,1100 @@ export function registerRoutes(app, store, helpers = {}) {
     }
   });
 
-  app.get('/domains', async () => store.listDomains());
-
-  app.get('/domains/:domain', async (request, reply) => {
-    const record = store.getDomain(request.params.domain);
-    if (!record) {
+  app.delete('/domains/:domain', routeOptions.releaseDomain, async (request, reply) => {
+    const { domain } = request.params;
+    const payload = request.body ?? {};
+    const existing = store.getDomain(domain);
+    if (!existing) {
       return respondError(reply, {
         statusCode: 404,
         error: 'DOMAIN_NOT_FOUND',
-        context: 'get-domain',
-        domain: request.params.domain
+        context: 'delete-domain',
+        domain
       });
     }
-    return record;
-  });
-
-  app.post('/maintenance/prune-pointers', async (request) => {
-    const now = request.body?.now;
-    const timestamp = typeof now === 'number' && Number.isFinite(now) ? now : Date.now();
-    return store.pruneExpiredPointers(timestamp);
-  });
-}
-
-function validateManifest(manifest) {
-  const requiredFields = [
-    'transferId',
-    'fileName',
-    'fileSize',
-    'mimeType',
-    'chunkSize',
-    'chunkCount',
-    'sha256'
-  ];
 
-  for (const field of requiredFields) {
-    if (manifest[field] === undefined || manifest[field] === null) {
-      throw new Error(`Invalid manifest: missing ${field}`);
+    const authError = await verifyDomainOwnerSignature(request, store, existing, payload, {
+      operation: 'delete',
+      domain: existing.domain,
+      manifestId: null,
+      owner: null
+    });
+    if (authError) {
+      return respondError(reply, { ...authError, context: 'delete-domain', domain });
     }
-  }
 
-  if (!Array.isArray(manifest.chunkHashes)) {
-    throw new Error('Invalid manifest: chunkHashes must be array');
-  }
-  const chunkCount = Number(manifest.chunkCount);
-  if (manifest.chunkData === undefined || manifest.chunkData === null) {
-    if (!Number.isFinite(chunkCount) || chunkCount < 0) {
-      throw new Error('Invalid manifest: chunkCount must be a non-negative number');
-    }
-    manifest.chunkData = Array.from({ length: chunkCount }, () => null);
-  }
-  if (!Array.isArray(manifest.chunkData)) {
-    throw new Error('Invalid manifest: chunkData must be array');
-  }
-  if (
-    !manifest.chunkData.every(
-      (chunk) => chunk === null || typeof chunk === 'string'
-    )
-  ) {
-    throw new Error('Invalid manifest: chunkData entries must be base64 strings or null');
-  }
-  if (manifest.chunkReplicas) {
-    if (!Array.isArray(manifest.chunkReplicas)) {
-      throw new Error('Invalid manifest: chunkReplicas must be array');
-    }
-    if (manifest.chunkReplicas.length !== manifest.chunkCount) {
-      throw new Error('Invalid manifest: chunkReplicas length mismatch');
-    }
-    if (!manifest.chunkReplicas.every((entry) => Array.isArray(entry))) {
-      throw new Error('Invalid manifest: chunkReplicas entries must be arrays');
+    try {
+      return store.withAuthorization(signedRequestOf(payload, existing.publicKey), () => store.releaseDomain(domain));
+    } catch (error) {
+      if (error.message === 'DOMAIN_NOT_FOUND') {
+        return respondError(reply, {
+          statusCode: 404,
+          error: 'DOMAIN_NOT_FOUND',
+          context: 'delete-domain',
+          domain
+        });
+      }
+      throw error;
     }
-  }
-  if (manifest.chunkData.length !== manifest.chunkCount) {
-    throw new Error('Invalid manifest: chunkData length mismatch');
-  }
-}
+  });
 
-function validateDomainPayload(payload) {
-  if (!payload || typeof payload !== 'object') {
-    throw new Error('Invalid domain payload');
-  }
-  if (!payload.domain || typeof payload.domain !== 'string') {
-    throw new Error('Domain name is required');
-  }
-  if (!payload.owner || typeof payload.owner !== 'string') {
-    throw new Error('Owner identifier is required');
-  }
-  if (!payload.manifestId || typeof payload.manifestId !== 'string') {
-    throw new Error('Manifest ID is required');
-  }
-  if (payload.replicas && !Array.isArray(payload.replicas)) {
-    throw new Error('Replicas must be an array');
-  }
-  // If cryptographic owner ID, require signature fields
-  if (payload.owner.startsWith('dweb:0x')) {
-    if (!payload.signature || typeof payload.signature !== 'string') {
-      throw new Error('Signature is required for cryptographic owners');
-    }
-    if (!payload.publicKey || typeof payload.publicKey !== 'string') {
-      throw new Error('Public key is required for cryptographic owners');
-    }
-    if (!payload.signedMessage || typeof payload.signedMessage !== 'string') {
-      throw new Error('Signed message is required for cryptographic owners');
+  app.post('/domains/:domain/renew', routeOptions.renewDomain, async (request, reply) => {
+    const { domain } = request.params;
+    const payload = request.body ?? {};
+    const existing = store.getDomain(domain);
+    if (!existing) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'renew-domain',
+        domain
+      });
     }
-  }
-}
-
-function validateReplicaPatch(payload) {
-  if (!payload || typeof payload !== 'object') {
-    throw new Error('INVALID_PEER_ID');
-  }
-  if (typeof payload.peerId !== 'string' || !payload.peerId.trim()) {
-    throw new Error('INVALID_PEER_ID');
-  }
 
-  if (payload.chunkIndexes !== undefined) {
-    if (!Array.isArray(payload.chunkIndexes)) {
-      throw new Error('INVALID_CHUNK_INDEXES');
-    }
-    const invalid = payload.chunkIndexes.some(
-      (index) => !Number.isInteger(Number(index)) || Number(index) < 0
-    );
-    if (invalid) {
-      throw new Error('INVALID_CHUNK_INDEXES');
+    const authError = await verifyDomainOwnerSignature(request, store, existing, payload, {
+      operation: 'renew',
+      domain: existing.domain,
+      manifestId: null,
+      owner: null
+    });
+    if (authError) {
+      return respondError(reply, { ...authError, context: 'renew-domain', domain });
     }
-  }
-}
-
-function validatePointerPatch(payload) {
-  if (!payload || typeof payload !== 'object') {
-    throw new Error('INVALID_POINTER_PAYLOAD');
-  }
 
-  if (payload.pointer !== undefined) {
-    if (
-      typeof payload.pointer !== 'string' &&
-      !(payload.pointer && typeof payload.pointer === 'object')
-    ) {
-      throw new Error('INVALID_POINTER_PAYLOAD');
+    try {
+      return store.withAuthorization(signedRequestOf(payload, existing.publicKey), () => store.renewDomain(domain));
+    } catch (error) {
+      if (error.message === 'DOMAIN_EXPIRED') {
+        return respondError(reply, {
+          statusCode: 410,
+          error: 'DOMAIN_EXPIRED',
+          context: 'renew-domain',
+          domain
+        });
+      }
+      if (error.message === 'SUBDOMAIN_LEASE_INHERITED') {
+        return respondError(reply, {
+          statusCode: 409,
+          error: 'SUBDOMAIN_LEASE_INHERITED',
+          context: 'renew-domain',
+          domain
+        });
+      }
+      if (error.message === 'DOMAIN_NOT_FOUND') {
+        return respondError(reply, {
+          statusCode: 404,
+          error: 'DOMAIN_NOT_FOUND',
+          context: 'renew-domain',
+          domain
+        });
+      }
+      throw error;
+    }
+  });
+
+  app.post('/domains/:domain/delegations', routeOptions.delegateSubdomain, async (request, reply) => {
+    const { domain } = request.params;
+    const payload = request.body ?? {};
+    const parent = store.getDomain(domain);
+    if (!parent) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'delegate-subdomain',
+        domain
+      });
+    }
+
+    const subdomain = resolveSubdomainName(parent.domain, payload.subdomain);
+    if (!subdomain) {
+      return respondError(reply, {
+        statusCode: 400,
+        error: 'INVALID_SUBDOMAIN',
+        context: 'delegate-subdomain',
+        domain
+      });
+    }
+
+    const toOwner = typeof payload.toOwner === 'string' ? payload.toOwner.trim() : '';
+    if (!/^dweb:0x[0-9a-f]{40}$/.test(toOwner)) {
+      return respondError(reply, {
+        statusCode: 400,
+        error: 'INVALID_DELEGATE',
+        context: 'delegate-subdomain',
+        domain
+      });
+    }
+
+    const authError = await verifyDomainOwnerSignature(request, store, parent, payload, {
+      operation: 'delegate',
+      domain: subdomain,
+      manifestId: null,
+      owner: toOwner
+    });
+    if (authError) {
+      return respondError(reply, { ...authError, context: 'delegate-subdomain', domain });
+    }
+
+    try {
+      const delegation = store.createDomainDelegation(subdomain, {
+        delegateOwner: toOwner,
+        createdBy: parent.owner
+      });
+      reply.code(201);
+      return delegation;
+    } catch (error) {
+      const statusCode = DELEGATION_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'delegate-subdomain', domain });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/domains/:domain/delegations', routeOptions.listDelegations, async (request) => ({
+    domain: request.params.domain,
+    delegations: store.listDomainDelegations(request.params.domain)
+  }));
+
+  app.delete('/domains/:domain/delegations/:subdomain', routeOptions.revokeDelegation, async (request, reply) => {
+    const { domain } = request.params;
+    const payload = request.body ?? {};
+    const parent = store.getDomain(domain);
+    if (!parent) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'revoke-delegation',
+        domain
+      });
+    }
+
+    const subdomain = resolveSubdomainName(parent.domain, request.params.subdomain);
+    if (!subdomain) {
+      return respondError(reply, {
+        statusCode: 400,
+        error: 'INVALID_SUBDOMAIN',
+        context: 'revoke-delegation',
+        domain
+      });
+    }
+
+    const authError = await verifyDomainOwnerSignature(request, store, parent, payload, {
+      operation: 'undelegate',
+      domain: subdomain,
+      manifestId: null,
+      owner: null
+    });
+    if (authError) {
+      return respondError(reply, { ...authError, context: 'revoke-delegation', domain });
+    }
+
+    try {
+      return store.revokeDomainDelegation(subdomain);
+    } catch (error) {
+      const statusCode = DELEGATION_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'revoke-delegation', domain });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/domains/:domain/history', routeOptions.getDomainHistory, async (request, reply) => {
+    const record = store.getDomain(request.params.domain);
+    if (!record) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'domain-history',
+        domain: request.params.domain
+      });
+    }
+    return {
+      domain: record.domain,
+      currentManifestId: record.manifestId,
+      history: store.getDomainHistory(record.domain, { limit: request.query.limit })
+    };
+  });
+
+  app.post('/domains/:domain/rollback', routeOptions.rollbackDomain, async (request, reply) => {
+    const { domain } = request.params;
+    const payload = request.body ?? {};
+    const existing = store.getDomain(domain);
+    if (!existing) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'rollback-domain',
+        domain
+      });
+    }
+
+    const authError = await verifyDomainOwnerSignature(request, store, existing, payload, {
+      operation: 'rollback',
+      domain: existing.domain,
+      manifestId: payload.manifestId,
+      owner: null
+    });
+    if (authError) {
+      return respondError(reply, { ...authError, context: 'rollback-domain', domain });
+    }
+
+    try {
+      return store.withAuthorization(signedRequestOf(payload, existing.publicKey), () =>
+        store.rollbackDomain(domain, payload.manifestId, { actor: existing.owner })
+      );
+    } catch (error) {
+      const statusCode = ROLLBACK_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, {
+          statusCode,
+          error: error.message,
+          context: 'rollback-domain',
+          domain,
+          manifestId: payload.manifestId
+        });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/domains/:domain/records', routeOptions.getDomainRecords, async (request, reply) => {
+    const record = store.getDomain(request.params.domain);
+    if (!record) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'get-domain-records',
+        domain: request.params.domain
+      });
+    }
+    return {
+      domain: record.domain,
+      records: store.getDomainRecords(record.domain, {
+        type: typeof request.query?.type === 'string' ? request.query.type : null
+      })
+    };
+  });
+
+  app.get('/domains/:domain/resolve', routeOptions.resolveDomain, async (request, reply) => {
+    const record = store.resolveDomain(request.params.domain);
+    if (!record) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'resolve-domain',
+        domain: request.params.domain
+      });
+    }
+    return record;
+  });
+
+  app.post('/domains/:domain/transfers', routeOptions.offerTransfer, async (request, reply) => {
+    const { domain } = request.params;
+    const payload = request.body ?? {};
+    const existing = store.getDomain(domain);
+    if (!existing) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'offer-transfer',
+        domain
+      });
+    }
+
+    const toOwner = typeof payload.toOwner === 'string' ? payload.toOwner.trim() : '';
+    if (!/^dweb:0x[0-9a-f]{40}$/.test(toOwner)) {
+      return respondError(reply, {
+        statusCode: 400,
+        error: 'INVALID_RECIPIENT',
+        context: 'offer-transfer',
+        domain
+      });
+    }
+
+    const authError = await verifyDomainOwnerSignature(request, store, existing, payload, {
+      operation: 'transfer-offer',
+      domain: existing.domain,
+      manifestId: null,
+      owner: toOwner
+    });
+    if (authError) {
+      return respondError(reply, { ...authError, context: 'offer-transfer', domain });
+    }
+
+    try {
+      const transfer = store.createDomainTransfer(domain, {
+        toOwner,
+        authorization: signedRequestOf(payload, existing.publicKey)
+      });
+      reply.code(201);
+      return transfer;
+    } catch (error) {
+      const statusCode = TRANSFER_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'offer-transfer', domain });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/domains/:domain/transfers', routeOptions.listDomainTransfers, async (request) => ({
+    domain: request.params.domain,
+    transfers: store.listDomainTransfers({
+      domain: request.params.domain,
+      status: typeof request.query?.status === 'string' ? request.query.status : null
+    })
+  }));
+
+  app.get('/transfers', routeOptions.listTransfers, async (request) => ({
+    transfers: store.listDomainTransfers({
+      owner: typeof request.query?.owner === 'string' ? request.query.owner : null,
+      status: typeof request.query?.status === 'string' ? request.query.status : null
+    })
+  }));
+
+  app.post('/transfers/:transferId/accept', routeOptions.acceptTransfer, async (request, reply) => {
+    const { transferId } = request.params;
+    const payload = request.body ?? {};
+    const transfer = store.getDomainTransfer(transferId);
+    if (!transfer) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'TRANSFER_NOT_FOUND',
+        context: 'accept-transfer'
+      });
+    }
+
+    if (typeof payload.publicKey !== 'string' || !payload.publicKey) {
+      return respondError(reply, {
+        statusCode: 401,
+        error: 'SIGNATURE_REQUIRED',
+        context: 'accept-transfer',
+        domain: transfer.domain
+      });
+    }
+    if (deriveOwnerIdFromPublicKey(payload.publicKey) !== transfer.toOwner) {
+      return respondError(reply, {
+        statusCode: 403,
+        error: 'NOT_TRANSFER_RECIPIENT',
+        context: 'accept-transfer',
+        domain: transfer.domain
+      });
+    }
+
+    const verification = await verifyRequestSignature(request, store, {
+      publicKey: payload.publicKey,
+      payload,
+      expected: {
+        operation: 'transfer-accept',
+        domain: transfer.domain,
+        manifestId: null,
+        owner: transfer.toOwner
+      }
+    });
+    if (verification.error) {
+      return respondError(reply, {
+        ...verification.error,
+        context: 'accept-transfer',
+        domain: transfer.domain
+      });
+    }
+
+    try {
+      return store.withAuthorization(signedRequestOf(payload, payload.publicKey), () =>
+        store.acceptDomainTransfer(transferId, { publicKey: payload.publicKey })
+      );
+    } catch (error) {
+      const statusCode = TRANSFER_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, {
+          statusCode,
+          error: error.message,
+          context: 'accept-transfer',
+          domain: transfer.domain
+        });
+      }
+      throw error;
+    }
+  });
+
+  app.post('/transfers/:transferId/cancel', routeOptions.cancelTransfer, async (request, reply) => {
+    const { transferId } = request.params;
+    const payload = request.body ?? {};
+    const transfer = store.getDomainTransfer(transferId);
+    if (!transfer) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'TRANSFER_NOT_FOUND',
+        context: 'cancel-transfer'
+      });
+    }
+
+    const expected = {
+      operation: 'transfer-cancel',
+      domain: transfer.domain,
+      manifestId: null,
+      owner: transfer.toOwner
+    };
+
+    // The recipient may decline with their own key; otherwise the current owner cancels.
+    const declining =
+      typeof payload.publicKey === 'string' &&
+      deriveOwnerIdFromPublicKey(payload.publicKey) === transfer.toOwner;
+    let authError = null;
+    if (declining) {
+      const verification = await verifyRequestSignature(request, store, {
+        publicKey: payload.publicKey,
+        payload,
+        expected
+      });
+      authError = verification.error ?? null;
+    } else {
+      const existing = store.getDomain(transfer.domain);
+      if (existing) {
+        authError = await verifyDomainOwnerSignature(request, store, existing, payload, expected);
+      }
+    }
+    if (authError) {
+      return respondError(reply, { ...authError, context: 'cancel-transfer', domain: transfer.domain });
+    }
+
+    try {
+      return store.cancelDomainTransfer(transferId);
+    } catch (error) {
+      const statusCode = TRANSFER_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, {
+          statusCode,
+          error: error.message,
+          context: 'cancel-transfer',
+          domain: transfer.domain
+        });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/domains', routeOptions.listDomains, async (request, reply) => {
+    try {
+      const page = store.listDomains(parseListQuery(request.query));
+      return { domains: page.items, nextCursor: page.nextCursor, total: page.total };
+    } catch (error) {
+      if (LIST_QUERY_ERRORS.has(error.message)) {
+        return respondError(reply, { statusCode: 400, error: error.message, context: 'list-domains' });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/domains/search', routeOptions.searchDomains, async (request, reply) => {
+    const query = typeof request.query?.q === 'string' ? request.query.q : '';
+    try {
+      return store.searchDomains(query, { limit: request.query.limit });
+    } catch (error) {
+      if (error.message === 'SEARCH_QUERY_REQUIRED') {
+        return respondError(reply, { statusCode: 400, error: 'SEARCH_QUERY_REQUIRED', context: 'search-domains' });
+      }
+      throw error;
+    }
+  });
+
+  // Always 200: the answer (including why a name is unavailable) is the payload.
+  app.get('/domains/:domain/availability', routeOptions.getDomainAvailability, async (request) =>
+    store.getDomainAvailability(request.params.domain)
+  );
+
+  app.get('/domains/:domain', routeOptions.getDomain, async (request, reply) => {
+    const record = store.getDomain(request.params.domain);
+    if (!record) {
+      return respondError(reply, {
+        statusCode: 404,
+        error: 'DOMAIN_NOT_FOUND',
+        context: 'get-domain',
+        domain: request.params.domain
+      });
+    }
+    return record;
+  });
+
+  app.post('/reports', routeOptions.createReport, async (request, reply) => {
+    const payload = request.body ?? {};
+    try {
+      const report = store.createAbuseReport({
+        targetType: payload.targetType,
+        target: payload.target,
+        reason: payload.reason,
+        details: payload.details ?? null,
+        reporter: typeof payload.reporter === 'string' && payload.reporter ? payload.reporter : resolveAuditActor(request)
+      });
+      reply.code(201);
+      return report;
+    } catch (error) {
+      const statusCode = MODERATION_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'create-report' });
+      }
+      throw error;
+    }
+  });
+
+  // Everything under /admin is restricted to REGISTRY_ADMIN_API_KEYS by the auth hook.
+  app.get('/admin/reports', routeOptions.listReports, async (request, reply) => {
+    try {
+      const options = parseListQuery(request.query);
+      ['status', 'targetType', 'target'].forEach((name) => {
+        const value = request.query?.[name];
+        if (typeof value === 'string' && value.trim()) {
+          options[name] = value.trim();
+        }
+      });
+      const page = store.listAbuseReports(options);
+      return { reports: page.items, nextCursor: page.nextCursor, total: page.total };
+    } catch (error) {
+      if (LIST_QUERY_ERRORS.has(error.message)) {
+        return respondError(reply, { statusCode: 400, error: error.message, context: 'list-reports' });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/admin/reports/:reportId', routeOptions.getReport, async (request, reply) => {
+    const report = store.getAbuseReport(request.params.reportId);
+    if (!report) {
+      return respondError(reply, { statusCode: 404, error: 'REPORT_NOT_FOUND', context: 'get-report' });
+    }
+    return report;
+  });
+
+  app.patch('/admin/reports/:reportId', routeOptions.resolveReport, async (request, reply) => {
+    const payload = request.body ?? {};
+    try {
+      return store.resolveAbuseReport(request.params.reportId, {
+        status: payload.status,
+        note: typeof payload.note === 'string' && payload.note ? payload.note : null,
+        actor: resolveAuditActor(request)
+      });
+    } catch (error) {
+      const statusCode = MODERATION_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'resolve-report' });
+      }
+      throw error;
+    }
+  });
+
+  app.post('/admin/domains/:domain/suspension', routeOptions.suspendDomain, async (request, reply) => {
+    const { domain } = request.params;
+    const payload = request.body ?? {};
+    try {
+      const suspension = store.suspendTarget('domain', domain, {
+        reason: typeof payload.reason === 'string' && payload.reason ? payload.reason : null,
+        reportId: typeof payload.reportId === 'string' && payload.reportId ? payload.reportId : null,
+        actor: resolveAuditActor(request)
+      });
+      reply.code(201);
+      return suspension;
+    } catch (error) {
+      const statusCode = MODERATION_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'suspend-domain', domain });
+      }
+      throw error;
+    }
+  });
+
+  // Binds a domain registered without a key to a dweb:0x owner and its key, after
+  // which only that key can change it.
+  app.put('/admin/domains/:domain/owner', routeOptions.claimDomain, async (request, reply) => {
+    const { domain } = request.params;
+    const { owner, ownerPublicKey } = request.body;
+    const existing = store.getDomain(domain);
+    if (!existing) {
+      return respondError(reply, { statusCode: 404, error: 'DOMAIN_NOT_FOUND', context: 'claim-domain', domain });
+    }
+    if (existing.publicKey) {
+      return respondError(reply, { statusCode: 409, error: 'TRANSFER_REQUIRED', context: 'claim-domain', domain });
+    }
+    if (!owner.startsWith('dweb:0x') || deriveOwnerIdFromPublicKey(ownerPublicKey) !== owner) {
+      return respondError(reply, { statusCode: 400, error: 'OWNER_MISMATCH', context: 'claim-domain', domain });
+    }
+    return store.updateDomain(
+      domain,
+      { owner, publicKey: ownerPublicKey },
+      { actor: resolveAuditActor(request), reason: 'claim' }
+    );
+  });
+
+  app.delete('/admin/domains/:domain/suspension', routeOptions.unsuspendDomain, async (request, reply) => {
+    const { domain } = request.params;
+    try {
+      return store.liftSuspension('domain', domain);
+    } catch (error) {
+      const statusCode = MODERATION_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'unsuspend-domain', domain });
+      }
+      throw error;
+    }
+  });
+
+  app.post('/admin/manifests/:manifestId/suspension', routeOptions.suspendManifest, async (request, reply) => {
+    const { manifestId } = request.params;
+    const payload = request.body ?? {};
+    try {
+      const suspension = store.suspendTarget('manifest', manifestId, {
+        reason: typeof payload.reason === 'string' && payload.reason ? payload.reason : null,
+        reportId: typeof payload.reportId === 'string' && payload.reportId ? payload.reportId : null,
+        actor: resolveAuditActor(request)
+      });
+      reply.code(201);
+      return suspension;
+    } catch (error) {
+      const statusCode = MODERATION_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'suspend-manifest', manifestId });
+      }
+      throw error;
+    }
+  });
+
+  app.delete('/admin/manifests/:manifestId/suspension', routeOptions.unsuspendManifest, async (request, reply) => {
+    const { manifestId } = request.params;
+    try {
+      return store.liftSuspension('manifest', manifestId);
+    } catch (error) {
+      const statusCode = MODERATION_ERROR_STATUS[error.message];
+      if (statusCode) {
+        return respondError(reply, { statusCode, error: error.message, context: 'unsuspend-manifest', manifestId });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/audit', routeOptions.listAudit, async (request, reply) => {
+    try {
+      const options = parseListQuery(request.query);
+      ['domain', 'manifestId', 'actor', 'action'].forEach((name) => {
+        const value = request.query?.[name];
+        if (typeof value === 'string' && value.trim()) {
+          options[name] = value.trim();
+        }
+      });
+      const page = store.listAuditLog(options);
+      return { entries: page.items, nextCursor: page.nextCursor, total: page.total };
+    } catch (error) {
+      if (LIST_QUERY_ERRORS.has(error.message)) {
+        return respondError(reply, { statusCode: 400, error: error.message, context: 'list-audit' });
+      }
+      throw error;
+    }
+  });
+
+  app.get('/changes', routeOptions.listChanges, async (request, reply) => {
+    const since = parseChangeSeq(request.query?.since ?? '0');
+    if (since === null) {
+      return respondError(reply, { statusCode: 400, error: 'INVALID_CHANGE_SEQ', context: 'list-changes' });
+    }
+    return store.listChanges({ since, limit: request.query.limit });
+  });
+
+  // Open change streams are ended on shutdown so they do not hold the server open.
+  const changeStreams = new Set();
+  app.addHook('preClose', (done) => {
+    changeStreams.forEach((close) => close());
+    done();
+  });
+
+  // Server-sent events. Replays changes after `since` (or the Last-Event-ID a
+  // reconnecting client sends), then streams each change as it commits. Without
+  // either, the stream starts at the current tail.
+  app.get('/changes/stream', routeOptions.streamChanges, async (request, reply) => {
+    const since = parseChangeSeq(
+      request.headers['last-event-id'] ?? request.query?.since ?? String(store.getLatestChangeSeq())
+    );
+    if (since === null) {
+      return respondError(reply, { statusCode: 400, error: 'INVALID_CHANGE_SEQ', context: 'change-stream' });
+    }
+
+    reply.hijack();
+    const stream = reply.raw;
+    stream.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    let cursor = since;
+    // The bare id tells a client that has seen no change yet where to resume from.
+    stream.write(`retry: ${CHANGE_STREAM_RETRY_MS}\nid: ${cursor}\n\n`);
+    const send = (change) => {
+      if (change.seq <= cursor) return;
+      cursor = change.seq;
+      stream.write(`id: ${change.seq}\ndata: ${JSON.stringify(change)}\n\n`);
+    };
+
+    // The store is synchronous, so nothing can commit between the replay and subscribing.
+    let page;
+    do {
+      page = store.listChanges({ since: cursor, limit: CHANGE_STREAM_PAGE_SIZE });
+      if (page.reset) {
+        cursor = page.lastSeq;
+        stream.write(`id: ${page.lastSeq}\nevent: reset\ndata: ${JSON.stringify({ lastSeq: page.lastSeq })}\n\n`);
+        break;
+      }
+      page.changes.forEach(send);
+    } while (page.hasMore);
+
+    const unsubscribe = store.subscribeChanges(send);
+    const heartbeat = setInterval(() => stream.write(': keep-alive\n\n'), CHANGE_STREAM_HEARTBEAT_MS);
+    const close = () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      changeStreams.delete(close);
+      stream.end();
+    };
+    changeStreams.add(close);
+    stream.on('close', close);
+  });
+
+  app.get('/federation/ops', routeOptions.listFederationOps, async (request) => {
+    const { nodeId, publicKey } = store.getNodeIdentity();
+    return {
+      node: { nodeId, publicKey },
+      ...store.listFederationOps({ after: request.query.after, limit: request.query.limit })
+    };
+  });
+
+  app.get('/federation/status', routeOptions.getFederationStatus, async () => store.getFederationStatus());
+
+  app.post('/maintenance/prune-pointers', routeOptions.prunePointers, async (request) => {
+    const now = request.body?.now;
+    const timestamp = typeof now === 'number' && Number.isFinite(now) ? now : Date.now();
+    const result = store.pruneExpiredPointers(timestamp);
+    // A prune touches no single record; its outcome is the audited state.
+    request.audit.after = result;
+    return result;
+  });
+}
+
+/**
+ * Subdomains may only be registered by the delegate named for them or, without a
+ * delegation, by the owner of the parent domain. A parent registered with a key
+ * must be proved by a register envelope verified against that key; `signingKey`
+ * is the key the request's envelope was verified with, or null if it was unsigned.
+ */
+function checkSubdomainAuthority(store, payload, signingKey) {
+  const parentDomain = parentDomainOf(payload.domain);
+  if (!parentDomain) {
+    return null;
+  }
+  const parent = store.getDomain(parentDomain);
+  if (!parent) {
+    return { statusCode: 404, error: 'PARENT_DOMAIN_NOT_FOUND' };
+  }
+
+  const delegation = store.getDomainDelegation(payload.domain);
+  if (delegation) {
+    return delegation.delegateOwner === payload.owner
+      ? null
+      : { statusCode: 403, error: 'NOT_SUBDOMAIN_DELEGATE' };
+  }
+  if (parent.publicKey && !signingKey) {
+    return { statusCode: 401, error: 'SIGNATURE_REQUIRED' };
+  }
+  if (parent.owner !== payload.owner || (parent.publicKey && parent.publicKey !== signingKey)) {
+    return { statusCode: 403, error: 'NOT_PARENT_OWNER' };
+  }
+  return null;
+}
+
+/**
+ * Accepts either a bare label (`blog`) or a full name and returns the normalised
+ * direct child of `parentDomain`, or null if it is not one.
+ */
+function resolveSubdomainName(parentDomain, input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return null;
+  }
+  const name = input.includes('.') ? input : `${input}.${parentDomain}`;
+  const result = validateDomainName(name);
+  if (!result.ok || parentDomainOf(result.domain) !== parentDomain) {
+    return null;
+  }
+  return result.domain;
+}
+
+/**
+ * Verifies a signed operation like verifySignedOperation and, once it holds,
+ * attributes the request to the signing owner in the audit log.
+ */
+async function verifyRequestSignature(request, store, options) {
+  const verification = await verifySignedOperation(store, options);
+  if (!verification.error) {
+    request.auditActor = deriveOwnerIdFromPublicKey(options.publicKey);
+  }
+  return verification;
+}
+
+/**
+ * Domains registered with a public key can only be mutated with a signed operation
+ * envelope from that key describing `expected`. Legacy domains without a stored key
+ * keep relying on the API key alone.
+ * Returns a respondError descriptor when the request must be rejected.
+ */
+async function verifyDomainOwnerSignature(request, store, record, payload, expected) {
+  if (!record.publicKey) {
+    if (typeof record.owner === 'string' && record.owner.startsWith('dweb:0x')) {
+      return { statusCode: 409, error: 'OWNER_KEY_MISSING' };
+    }
+    return null;
+  }
+
+  if (payload?.publicKey && payload.publicKey !== record.publicKey) {
+    return { statusCode: 403, error: 'NOT_DOMAIN_OWNER' };
+  }
+
+  const verification = await verifyRequestSignature(request, store, {
+    publicKey: record.publicKey,
+    payload,
+    expected
+  });
+  return verification.error ?? null;
+}
+
+/**
+ * Checks the signed `publish` envelope on a manifest upload: it must be signed by the
+ * key of the owner it names. Returns a respondError descriptor when the request must
+ * be rejected.
+ */
+async function verifyManifestOwnerSignature(request, store, payload, expected) {
+  if (typeof payload.publicKey !== 'string' || !payload.publicKey) {
+    return { statusCode: 401, error: 'SIGNATURE_REQUIRED' };
+  }
+  if (deriveOwnerIdFromPublicKey(payload.publicKey) !== expected.owner) {
+    return { statusCode: 401, error: 'OWNER_MISMATCH' };
+  }
+  const verification = await verifyRequestSignature(request, store, {
+    publicKey: payload.publicKey,
+    payload,
+    expected
+  });
+  return verification.error ?? null;
+}
+
+/**
+ * Maps `owner` on a legacy domain patch to the store fields. Key-bearing domains
+ * must use the transfer offer/accept routes instead, and attaching a key to a domain
+ * without one is an admin claim (PUT /admin/domains/:domain/owner): on this route
+ * any API key could otherwise bind someone else's name to its own key for good.
+ */
+function resolveOwnerChange(record, payload) {
+  const nextOwner = typeof payload?.owner === 'string' ? payload.owner.trim() : '';
+  if (!nextOwner || nextOwner === record.owner) {
+    return { patch: {} };
+  }
+
+  if (record.publicKey) {
+    // Signature-protected domains change hands through the two-step transfer flow.
+    return { error: { statusCode: 409, error: 'TRANSFER_REQUIRED' } };
+  }
+
+  if (nextOwner.startsWith('dweb:0x')) {
+    return { error: { statusCode: 403, error: 'OWNER_CLAIM_REQUIRED' } };
+  }
+
+  return { patch: { owner: nextOwner } };
+}
+
+// Checks the manifest schema cannot express: array lengths against chunkCount and the
+// bundle file layout.
+function validateManifest(manifest) {
+  if (manifest.chunkData === undefined || manifest.chunkData === null) {
+    manifest.chunkData = Array.from({ length: manifest.chunkCount }, () => null);
+  }
+  if (manifest.chunkData.length !== manifest.chunkCount) {
+    throw codedError('INVALID_MANIFEST', 'chunkData length must equal chunkCount');
+  }
+  // The manifestBytes quota charges every chunk at chunkSize, so it must be real.
+  if (manifest.chunkCount > 0 && !(Number.isInteger(manifest.chunkSize) && manifest.chunkSize > 0)) {
+    throw codedError('INVALID_MANIFEST', 'chunkSize must be a positive integer');
+  }
+  manifest.chunkData.forEach((data, index) => {
+    if (data && Buffer.byteLength(data, 'base64') > manifest.chunkSize) {
+      throw codedError('INVALID_MANIFEST', `chunkData[${index}] is larger than chunkSize`);
+    }
+  });
+  if (manifest.chunkReplicas && manifest.chunkReplicas.length !== manifest.chunkCount) {
+    throw codedError('INVALID_MANIFEST', 'chunkReplicas length must equal chunkCount');
+  }
+  if (Array.isArray(manifest.files)) {
+    validateBundleFiles(manifest);
+  }
+}
+
+function validateBundleFiles(manifest) {
+  const seenPaths = new Set();
+  const ranges = [];
+
+  manifest.files.forEach((file, position) => {
+    if (!isValidBundlePath(file.path)) {
+      throw codedError('INVALID_MANIFEST', `files[${position}].path must be a relative path`);
+    }
+    if (seenPaths.has(file.path)) {
+      throw codedError('INVALID_MANIFEST', `duplicate file path ${file.path}`);
+    }
+    seenPaths.add(file.path);
+
+    if (file.chunkStart + file.chunkCount > manifest.chunkCount) {
+      throw codedError('INVALID_MANIFEST', `${file.path} chunk range exceeds chunkCount`);
+    }
+    if (file.chunkCount > 0) {
+      ranges.push([file.chunkStart, file.chunkStart + file.chunkCount]);
     }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < ranges.length; i += 1) {
+    if (ranges[i][0] < ranges[i - 1][1]) {
+      throw codedError('INVALID_MANIFEST', 'file chunk ranges overlap');
+    }
+  }
+
+  if (manifest.entryPath !== undefined && manifest.entryPath !== null && !seenPaths.has(manifest.entryPath)) {
+    throw codedError('INVALID_MANIFEST', 'entryPath must reference a bundled file');
   }
+}
 
-  if (payload.expiresAt !== undefined && typeof payload.expiresAt !== 'number' && typeof payload.expiresAt !== 'string') {
-    throw new Error('INVALID_POINTER_PAYLOAD');
+function isValidBundlePath(value) {
+  if (typeof value !== 'string' || !value.length || value.length > 1024) {
+    return false;
+  }
+  if (value.startsWith('/') || value.includes('\\')) {
+    return false;
   }
+  return value
+    .split('/')
+    .every((segment) => segment.length > 0 && segment !== '.' && segment !== '..');
+}
 
-  if (payload.removeData !== undefined && typeof payload.removeData !== 'boolean') {
-    throw new Error('INVALID_POINTER_PAYLOAD');
+// Normalises the domain name and record set of a registration the schema accepted.
+function validateDomainPayload(payload) {
+  const domainCheck = validateDomainName(payload.domain);
+  if (!domainCheck.ok) {
+    throw codedError(domainCheck.code, domainCheck.message);
   }
+  payload.domain = domainCheck.domain;
+  if (payload.records !== undefined) {
+    payload.records = normalizeDomainRecords(payload.records, payload.domain);
+  }
+}
+
+/**
+ * Follows stored ALIAS records from the new target and reports whether they lead
+ * back to `domain`. Chains longer than MAX_ALIAS_CHAIN are treated as loops too.
+ */
+function createsAliasLoop(store, domain, records) {
+  let target = records.find((record) => record.type === 'ALIAS')?.value ?? null;
+  for (let hops = 0; target && hops < MAX_ALIAS_CHAIN; hops += 1) {
+    if (target === domain) {
+      return true;
+    }
+    target = store.getDomainRecords(target, { type: 'ALIAS' })[0]?.value ?? null;
+  }
+  return Boolean(target);
+}
+
+/**
+ * Domain, manifest and chunk a write request addresses, taken from its route
+ * parameters and body. Transfer routes are resolved to the transfer's domain.
+ */
+function resolveAuditTarget(store, request) {
+  const params = request.params ?? {};
+  const body = request.body && typeof request.body === 'object' ? request.body : {};
+  let domain = params.domain ?? (typeof body.domain === 'string' ? body.domain : null);
+  if (!domain && params.transferId) {
+    domain = store.getDomainTransfer(params.transferId)?.domain ?? null;
+  }
+  const domainCheck = domain ? validateDomainName(domain) : null;
+  const chunkIndex = Number.parseInt(params.index ?? '', 10);
+  return {
+    domain: domainCheck?.ok ? domainCheck.domain : domain,
+    manifestId: params.manifestId ?? null,
+    chunkIndex: Number.isInteger(chunkIndex) ? chunkIndex : null
+  };
+}
+
+// Requests whose signature a route verified are attributed to the signing owner
+// (verifyRequestSignature), everything else to the API key.
+function resolveAuditActor(request) {
+  if (request.auditActor) {
+    return request.auditActor;
+  }
+  return request.apiKeyId ? `key:${request.apiKeyId}` : 'anonymous';
+}
+
+// Quotas are charged to the same party the audit log records: the owner whose
+// signature the route verified, otherwise the API key. A body's `owner` alone is
+// never charged, so it can neither dodge a quota nor use up someone else's.
+function resolveQuotaOwner(request) {
+  return resolveAuditActor(request);
+}
+
+function digestRequest(request) {
+  return crypto
+    .createHash('sha256')
+    .update(`${request.method} ${request.url}\n${JSON.stringify(request.body ?? null)}`)
+    .digest('hex');
+}
+
+function readPayloadManifestId(payload) {
+  if (typeof payload !== 'string') return null;
+  try {
+    const manifestId = JSON.parse(payload)?.manifestId;
+    return typeof manifestId === 'string' ? manifestId : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseChangeSeq(value) {
+  const text = String(value ?? '').trim();
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+// Maps `GET /manifests` and `GET /domains` query strings onto store list options;
+// unset parameters fall back to the store defaults.
+function parseListQuery(query = {}) {
+  const options = {};
+  const text = (name) => (typeof query[name] === 'string' && query[name].trim() ? query[name].trim() : null);
+  ['owner', 'mimeType', 'createdAfter', 'createdBefore', 'sort', 'order', 'cursor', 'view'].forEach((name) => {
+    const value = text(name);
+    if (value !== null) {
+      options[name] = value;
+    }
+  });
+  // The route schema has already coerced limit to a positive integer.
+  if (query.limit !== undefined) {
+    options.limit = query.limit;
+  }
+  const fields = text('fields');
+  if (fields !== null) {
+    options.fields = fields.split(',').map((field) => field.trim()).filter(Boolean);
+  }
+  return options;
+}
+
+function quotaErrorDetails(error) {
+  return { quota: error.quota, limit: error.limit, used: error.used, requested: error.requested };
+}
+
+// Error code for a request that failed its route schema, from the route's
+// `config.validationErrors` keyed by the first invalid field.
+function validationErrorCode(request, error) {
+  const codes = request.routeOptions?.config?.validationErrors ?? {};
+  const [first] = error.validation ?? [];
+  const field = first?.params?.missingProperty ?? String(first?.instancePath ?? '').split('/')[1] ?? '';
+  return codes[field] ?? codes['*'] ?? 'INVALID_REQUEST';
 }
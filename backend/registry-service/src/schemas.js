@@ -0,0 +1,1257 @@
+import { REGISTRY_ERROR_CODES } from './errors.js';
+import {
+  MAX_REPLICATION_FACTOR,
+  MAX_REPORT_DETAILS_LENGTH,
+  REPORT_REASONS,
+  REPORT_RESOLUTIONS,
+  REPORT_TARGET_TYPES
+} from './store.js';
+
+/**
+ * JSON schemas for every registry route.
+ *
+ * Shared shapes are registered on the app by `registerSchemas` and referenced as
+ * `{ $ref: 'Name#' }`. Each `routeOptions` entry is passed as the options of one
+ * route: `schema` validates the request and serialises the response, and
+ * `config.validationErrors` names the error code for a request that fails it,
+ * keyed by the first invalid field (`*` for any other field). The OpenAPI document
+ * served at /openapi.json is generated from the same objects.
+ *
+ * Response objects allow additional properties: manifests keep arbitrary extra
+ * fields and `fields=` projections drop declared ones.
+ */
+
+const string = { type: 'string' };
+const nonEmptyString = { type: 'string', minLength: 1 };
+const nullableString = { type: ['string', 'null'] };
+const integer = { type: 'integer' };
+const timestamp = { type: 'integer', description: 'Unix time in milliseconds' };
+const nullableTimestamp = { type: ['integer', 'null'], description: 'Unix time in milliseconds' };
+const anyValue = {};
+const stringArray = { type: 'array', items: string };
+
+function object(properties, { required, description } = {}) {
+  const schema = { type: 'object', additionalProperties: true, properties };
+  if (required) schema.required = required;
+  if (description) schema.description = description;
+  return schema;
+}
+
+const signedOperationFields = {
+  publicKey: { type: 'string', description: 'Base64 SPKI public key of the signer' },
+  signature: { type: 'string', description: 'Base64 signature over signedMessage' },
+  signedMessage: { type: 'string', description: 'JSON operation envelope that was signed' }
+};
+
+const errorResponses = {
+  '4xx': { $ref: 'RegistryError#' },
+  '5xx': { $ref: 'RegistryError#' }
+};
+
+function responses(success) {
+  return { ...success, ...errorResponses };
+}
+
+const listPage = (key, item) =>
+  object(
+    {
+      [key]: { type: 'array', items: item },
+      nextCursor: { ...nullableString, description: 'Pass as cursor to fetch the next page' },
+      total: integer
+    },
+    { required: [key, 'nextCursor', 'total'] }
+  );
+
+const listQuery = (filters = {}) =>
+  object({
+    limit: { type: 'integer', minimum: 1 },
+    cursor: string,
+    order: { type: 'string', description: 'asc or desc' },
+    ...filters
+  });
+
+const listErrors = { limit: 'INVALID_LIST_LIMIT', '*': 'INVALID_LIST_FILTER' };
+
+const manifestParams = object({ manifestId: nonEmptyString }, { required: ['manifestId'] });
+const chunkParams = object(
+  { manifestId: nonEmptyString, index: { type: 'integer', minimum: 0 } },
+  { required: ['manifestId', 'index'] }
+);
+const domainParams = object({ domain: nonEmptyString }, { required: ['domain'] });
+const transferParams = object({ transferId: nonEmptyString }, { required: ['transferId'] });
+const reportParams = object({ reportId: nonEmptyString }, { required: ['reportId'] });
+const chunkErrors = { index: 'INVALID_CHUNK_INDEX' };
+
+const signedBody = object(signedOperationFields);
+const optionalSignedBody = { ...signedBody, type: ['object', 'null'] };
+
+const suspensionBody = {
+  ...object({
+    reason: { ...nullableString, description: 'Shown to visitors of the suspended content' },
+    reportId: { ...nullableString, description: 'Open report to mark as actioned' }
+  }),
+  type: ['object', 'null']
+};
+
+export const sharedSchemas = [
+  {
+    $id: 'RegistryError',
+    type: 'object',
+    required: ['error', 'message', 'statusCode'],
+    properties: {
+      error: { type: 'string', enum: REGISTRY_ERROR_CODES, description: 'Stable error code' },
+      message: { type: 'string', description: 'Human-readable explanation; may change between versions' },
+      statusCode: integer,
+      details: { type: 'object', additionalProperties: true }
+    }
+  },
+  {
+    $id: 'Suspension',
+    type: ['object', 'null'],
+    additionalProperties: true,
+    properties: {
+      targetType: { type: 'string', enum: REPORT_TARGET_TYPES },
+      target: string,
+      reason: nullableString,
+      reportId: nullableString,
+      suspendedBy: nullableString,
+      suspendedAt: timestamp
+    }
+  },
+  {
+    $id: 'BundleFile',
+    ...object({
+      path: string,
+      mimeType: string,
+      size: { type: 'number' },
+      sha256: nullableString,
+      chunkStart: integer,
+      chunkCount: integer
+    })
+  },
+  {
+    $id: 'Manifest',
+    ...object({
+      manifestId: string,
+      transferId: string,
+      fileName: string,
+      fileSize: { type: 'number' },
+      mimeType: string,
+      chunkSize: { type: 'number' },
+      chunkCount: integer,
+      sha256: string,
+      chunkHashes: { type: 'array', items: nullableString },
+      merkleRoot: { ...nullableString, description: 'Merkle root over chunkHashes (base64url)' },
+      replicas: { type: 'array', items: anyValue },
+      chunkData: { type: 'array', items: { ...nullableString, description: 'Base64 chunk data' } },
+      chunkPointers: { type: 'array', items: nullableString },
+      chunkPointerExpiresAt: { type: 'array', items: nullableTimestamp },
+      chunkReplicas: { type: 'array', items: stringArray },
+      replicationFactor: integer,
+      owner: string,
+      status: { type: 'string', enum: ['active', 'suspended'] },
+      suspension: { $ref: 'Suspension#' },
+      metadata: anyValue,
+      entryPath: nullableString,
+      files: { type: 'array', items: { $ref: 'BundleFile#' } },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    })
+  },
+  {
+    $id: 'ManifestSummary',
+    ...object(
+      {
+        manifestId: string,
+        transferId: string,
+        fileName: string,
+        fileSize: { type: 'number' },
+        mimeType: string,
+        chunkCount: integer,
+        owner: nullableString,
+        replicaCount: integer,
+        replicationFactor: integer,
+        entryPath: nullableString,
+        fileCount: integer,
+        createdAt: timestamp,
+        updatedAt: timestamp
+      },
+      { description: 'Manifest without chunk data; view=full returns whole manifests instead' }
+    )
+  },
+  {
+    $id: 'DomainRecord',
+    ...object({
+      type: { type: 'string', enum: ['ALIAS', 'REDIRECT', 'TXT', 'PEERS'] },
+      value: string,
+      ttl: { type: ['integer', 'null'], description: 'Seconds' },
+      updatedAt: timestamp
+    })
+  },
+  {
+    $id: 'Domain',
+    ...object({
+      domain: string,
+      owner: string,
+      manifestId: string,
+      replicas: { type: 'array', items: anyValue },
+      publicKey: nullableString,
+      parentDomain: nullableString,
+      leaseDomain: string,
+      metadata: anyValue,
+      expiresAt: nullableTimestamp,
+      graceEndsAt: nullableTimestamp,
+      leaseStatus: { type: 'string', enum: ['active', 'grace', 'expired'] },
+      status: { type: 'string', enum: ['active', 'suspended'] },
+      suspension: { $ref: 'Suspension#' },
+      records: { type: 'array', items: { $ref: 'DomainRecord#' } },
+      createdAt: timestamp,
+      updatedAt: timestamp
+    })
+  },
+  {
+    $id: 'DomainTransfer',
+    ...object({
+      transferId: string,
+      domain: string,
+      fromOwner: string,
+      toOwner: string,
+      status: string,
+      createdAt: timestamp,
+      expiresAt: timestamp,
+      resolvedAt: nullableTimestamp
+    })
+  },
+  {
+    $id: 'DomainDelegation',
+    ...object({
+      domain: string,
+      parentDomain: string,
+      delegateOwner: string,
+      createdBy: nullableString,
+      createdAt: timestamp
+    })
+  },
+  {
+    $id: 'AbuseReport',
+    ...object({
+      reportId: string,
+      targetType: { type: 'string', enum: REPORT_TARGET_TYPES },
+      target: string,
+      reason: { type: 'string', enum: REPORT_REASONS },
+      details: nullableString,
+      reporter: nullableString,
+      status: { type: 'string', enum: ['open', ...REPORT_RESOLUTIONS] },
+      resolutionNote: nullableString,
+      resolvedBy: nullableString,
+      createdAt: timestamp,
+      resolvedAt: nullableTimestamp
+    })
+  },
+  {
+    $id: 'ChangeEvent',
+    ...object({
+      seq: integer,
+      type: { type: 'string', description: 'For example domain.registered or replica.removed' },
+      domain: nullableString,
+      manifestId: nullableString,
+      data: object({}),
+      createdAt: timestamp
+    })
+  },
+  {
+    $id: 'FederationOp',
+    ...object(
+      {
+        position: { type: 'integer', description: 'Position in the serving node\'s log; pass as after to resume' },
+        opId: { type: 'string', description: 'SHA-256 (base64url) of the signed message' },
+        version: integer,
+        origin: { type: 'string', description: 'Node ID of the registry that signed the op' },
+        seq: { type: 'integer', description: 'Position in the origin\'s own chain, from 1' },
+        prev: { ...nullableString, description: 'opId of the origin\'s previous op' },
+        type: { type: 'string', enum: ['domain.put', 'domain.delete', 'manifest.put'] },
+        target: { type: 'string', description: 'Domain name or manifest ID' },
+        payload: object({}),
+        timestamp: timestamp,
+        publicKey: { type: 'string', description: 'Base64 SPKI public key of the origin' },
+        signature: { type: 'string', description: 'Base64 ECDSA P-256 signature over the canonical op' }
+      },
+      { description: 'One entry of a registry node\'s signed, append-only operation log' }
+    )
+  },
+  {
+    $id: 'AuditEntry',
+    ...object({
+      auditId: integer,
+      action: string,
+      actor: string,
+      domain: nullableString,
+      manifestId: nullableString,
+      requestDigest: nullableString,
+      statusCode: { type: ['integer', 'null'] },
+      before: anyValue,
+      after: anyValue,
+      createdAt: timestamp
+    })
+  }
+];
+
+export function registerSchemas(app) {
+  sharedSchemas.forEach((schema) => app.addSchema(schema));
+}
+
+const manifestBody = {
+  ...object(
+    {
+      manifestId: { type: 'string', description: 'Optional; must equal the ID derived from the content' },
+      transferId: nonEmptyString,
+      fileName: string,
+      fileSize: { type: 'number', minimum: 0 },
+      mimeType: string,
+      sha256: string,
+      chunkSize: { type: 'number', minimum: 0 },
+      chunkCount: { type: 'integer', minimum: 0 },
+      chunkHashes: { type: 'array', items: nullableString },
+      merkleRoot: { type: 'string', description: 'Optional; must equal the Merkle root of chunkHashes' },
+      chunkData: { type: ['array', 'null'], items: { ...nullableString, description: 'Base64 chunk data' } },
+      chunkReplicas: { type: ['array', 'null'], items: stringArray },
+      owner: { type: 'string', description: 'A dweb:0x owner must sign a publish envelope for the manifest' },
+      replicationFactor: { type: 'integer', minimum: 1, maximum: MAX_REPLICATION_FACTOR },
+      entryPath: nullableString,
+      files: { type: ['array', 'null'] },
+      ...signedOperationFields
+    },
+    { required: ['transferId', 'chunkSize', 'chunkCount', 'chunkHashes'] }
+  ),
+  // Bundles describe each file in `files`, so the single-file fields are optional.
+  if: { required: ['files'], properties: { files: { type: 'array' } } },
+  then: {
+    properties: {
+      files: {
+        type: 'array',
+        minItems: 1,
+        items: object(
+          {
+            path: nonEmptyString,
+            mimeType: { type: 'string', pattern: '\\S' },
+            size: { type: 'number', minimum: 0 },
+            sha256: nonEmptyString,
+            chunkStart: { type: 'integer', minimum: 0 },
+            chunkCount: { type: 'integer', minimum: 0 }
+          },
+          { required: ['path', 'mimeType', 'size', 'sha256', 'chunkStart', 'chunkCount'] }
+        )
+      }
+    }
+  },
+  else: { required: ['fileName', 'fileSize', 'mimeType', 'sha256'] }
+};
+
+const domainRecordsInput = {
+  type: 'array',
+  items: object({ type: string, value: string, ttl: { type: ['integer', 'null'], minimum: 0 } }),
+  description: 'Replaces the whole record set; [] removes every record'
+};
+
+const domainBody = {
+  ...object(
+    {
+      domain: nonEmptyString,
+      owner: nonEmptyString,
+      manifestId: nonEmptyString,
+      replicas: { type: 'array' },
+      metadata: { type: 'object' },
+      records: domainRecordsInput,
+      ...signedOperationFields
+    },
+    { required: ['domain', 'owner', 'manifestId'] }
+  ),
+  // Cryptographic owners must sign the registration.
+  if: { required: ['owner'], properties: { owner: { type: 'string', pattern: '^dweb:0x' } } },
+  then: { required: ['signature', 'publicKey', 'signedMessage'] }
+};
+
+const domainResponses = responses({ 200: { $ref: 'Domain#' } });
+
+export const routeOptions = {
+  getServiceInfo: {
+    schema: {
+      operationId: 'getServiceInfo',
+      tags: ['service'],
+      security: [],
+      response: responses({ 200: object({ status: string, service: string, version: string }) })
+    }
+  },
+
+  getHealth: {
+    schema: {
+      operationId: 'getHealth',
+      tags: ['service'],
+      security: [],
+      response: responses({ 200: object({ status: string, timestamp }) })
+    }
+  },
+
+  getOpenApi: {
+    schema: {
+      operationId: 'getOpenApi',
+      summary: 'This OpenAPI document',
+      tags: ['service'],
+      security: [],
+      response: responses({ 200: { type: 'object', additionalProperties: true } })
+    }
+  },
+
+  createManifest: {
+    schema: {
+      operationId: 'createManifest',
+      summary: 'Store a content-addressed manifest (200 if it already exists)',
+      tags: ['manifests'],
+      body: manifestBody,
+      response: responses({ 200: { $ref: 'Manifest#' }, 201: { $ref: 'Manifest#' } })
+    },
+    config: { validationErrors: { replicationFactor: 'INVALID_REPLICATION_FACTOR', '*': 'INVALID_MANIFEST' } }
+  },
+
+  listManifests: {
+    schema: {
+      operationId: 'listManifests',
+      tags: ['manifests'],
+      querystring: listQuery({
+        owner: string,
+        mimeType: string,
+        createdAfter: string,
+        createdBefore: string,
+        sort: { type: 'string', enum: ['createdAt', 'updatedAt', 'fileSize'] },
+        view: { type: 'string', enum: ['summary', 'full'] },
+        fields: { type: 'string', description: 'Comma-separated fields to return' }
+      }),
+      response: responses({ 200: listPage('manifests', { $ref: 'ManifestSummary#' }) })
+    },
+    config: { validationErrors: { ...listErrors, sort: 'INVALID_LIST_SORT', view: 'INVALID_LIST_VIEW' } }
+  },
+
+  getChunkStats: {
+    schema: {
+      operationId: 'getChunkStats',
+      tags: ['chunks'],
+      response: responses({
+        200: object({
+          chunkCount: integer,
+          referenceCount: integer,
+          sharedChunkCount: integer,
+          storedChunkCount: integer,
+          storedDataBytes: integer
+        })
+      })
+    }
+  },
+
+  getManifest: {
+    schema: {
+      operationId: 'getManifest',
+      tags: ['manifests'],
+      params: manifestParams,
+      response: responses({ 200: { $ref: 'Manifest#' } })
+    }
+  },
+
+  updateManifestReplicas: {
+    schema: {
+      operationId: 'updateManifestReplicas',
+      summary: 'Announce that a peer holds chunks of a manifest (renews their leases)',
+      tags: ['replicas'],
+      params: manifestParams,
+      body: object(
+        {
+          peerId: { type: 'string', pattern: '\\S' },
+          chunkIndexes: {
+            type: 'array',
+            items: { type: 'integer', minimum: 0 },
+            description: 'Defaults to every chunk'
+          }
+        },
+        { required: ['peerId'] }
+      ),
+      response: responses({
+        200: object({
+          manifestId: string,
+          chunkReplicas: { type: 'array', items: stringArray },
+          updatedAt: timestamp
+        })
+      })
+    },
+    config: { validationErrors: { chunkIndexes: 'INVALID_CHUNK_INDEXES', '*': 'INVALID_PEER_ID' } }
+  },
+
+  setReplicationFactor: {
+    schema: {
+      operationId: 'setReplicationFactor',
+      tags: ['replicas'],
+      params: manifestParams,
+      body: object(
+        { replicationFactor: { type: 'integer', minimum: 1, maximum: MAX_REPLICATION_FACTOR } },
+        { required: ['replicationFactor'] }
+      ),
+      response: responses({
+        200: object({ manifestId: string, replicationFactor: integer, updatedAt: timestamp })
+      })
+    },
+    config: { validationErrors: { '*': 'INVALID_REPLICATION_FACTOR' } }
+  },
+
+  getOwnerUsage: {
+    schema: {
+      operationId: 'getOwnerUsage',
+      summary: 'Usage against each owner quota; a null limit means unlimited',
+      tags: ['owners'],
+      params: object({ ownerId: nonEmptyString }, { required: ['ownerId'] }),
+      response: responses({
+        200: object({
+          ownerId: string,
+          manifestCount: integer,
+          domains: object({ used: integer, limit: { type: ['integer', 'null'] } }),
+          manifestBytes: object({ used: { type: 'number' }, limit: { type: ['number', 'null'] } }),
+          inlineBytes: object({ used: { type: 'number' }, limit: { type: ['number', 'null'] } })
+        })
+      })
+    }
+  },
+
+  getReplicationHealth: {
+    schema: {
+      operationId: 'getReplicationHealth',
+      summary: 'Manifests with chunks below their replication factor',
+      tags: ['replicas'],
+      querystring: listQuery({
+        owner: string,
+        sort: { type: 'string', enum: ['minReplicas', 'createdAt'] }
+      }),
+      response: responses({
+        200: object(
+          {
+            manifests: {
+              type: 'array',
+              items: object({
+                manifestId: string,
+                owner: nullableString,
+                replicationFactor: integer,
+                chunkCount: integer,
+                minReplicas: integer,
+                underReplicatedChunks: integer,
+                chunks: {
+                  type: 'array',
+                  items: object({
+                    chunkIndex: integer,
+                    liveReplicas: integer,
+                    missingReplicas: integer,
+                    hasData: { type: 'boolean' },
+                    hasPointer: { type: 'boolean' },
+                    status: { type: 'string', enum: ['degraded', 'unavailable'] }
+                  })
+                },
+                createdAt: timestamp
+              })
+            },
+            nextCursor: nullableString,
+            total: integer,
+            checkedAt: timestamp
+          },
+          { required: ['manifests', 'nextCursor', 'total', 'checkedAt'] }
+        )
+      })
+    },
+    config: { validationErrors: { ...listErrors, sort: 'INVALID_LIST_SORT' } }
+  },
+
+  removeManifestReplica: {
+    schema: {
+      operationId: 'removeManifestReplica',
+      tags: ['replicas'],
+      params: object({ manifestId: nonEmptyString, peerId: nonEmptyString }, { required: ['manifestId', 'peerId'] }),
+      response: responses({
+        200: object({ manifestId: string, peerId: string, removedChunks: integer, replicas: { type: 'array', items: anyValue } })
+      })
+    }
+  },
+
+  heartbeatReplicas: {
+    schema: {
+      operationId: 'heartbeatReplicas',
+      summary: 'Renew the replica leases a peer holds',
+      tags: ['replicas'],
+      body: object(
+        {
+          peerId: { type: 'string', pattern: '\\S' },
+          manifestIds: {
+            type: ['array', 'null'],
+            items: nonEmptyString,
+            description: 'Limit the renewal to these manifests; missing ones are reported back'
+          }
+        },
+        { required: ['peerId'] }
+      ),
+      response: responses({
+        200: object({
+          peerId: string,
+          renewed: integer,
+          missingManifestIds: stringArray,
+          lastConfirmedAt: timestamp,
+          expiresAt: timestamp,
+          ttlMs: integer
+        })
+      })
+    },
+    config: { validationErrors: { manifestIds: 'INVALID_MANIFEST_IDS', '*': 'INVALID_PEER_ID' } }
+  },
+
+  getChunk: {
+    schema: {
+      operationId: 'getChunk',
+      summary: 'Chunk data and its live replicas (451 when the manifest is suspended)',
+      tags: ['chunks'],
+      params: chunkParams,
+      response: responses({
+        200: object({
+          manifestId: string,
+          chunkIndex: integer,
+          data: { ...nullableString, description: 'Base64 chunk data' },
+          pointerExpiresAt: nullableTimestamp,
+          pointer: nullableString,
+          replicas: stringArray,
+          replicaLeases: {
+            type: 'array',
+            items: object({ peerId: string, lastConfirmedAt: timestamp, expiresAt: timestamp })
+          },
+          chunkHash: nullableString,
+          refCount: integer,
+          merkleRoot: nullableString,
+          merkleProof: {
+            ...object(
+              { leafCount: integer, hashes: stringArray },
+              { description: 'Sibling hashes from the chunk leaf up to merkleRoot' }
+            ),
+            type: ['object', 'null']
+          }
+        })
+      })
+    },
+    config: { validationErrors: chunkErrors }
+  },
+
+  getChunkPointerHistory: {
+    schema: {
+      operationId: 'getChunkPointerHistory',
+      tags: ['chunks'],
+      params: chunkParams,
+      querystring: object({ limit: { type: 'integer', minimum: 1 } }),
+      response: responses({
+        200: object({
+          manifestId: string,
+          chunkIndex: integer,
+          history: {
+            type: 'array',
+            items: object({ pointer: nullableString, expiresAt: nullableTimestamp, recordedAt: timestamp })
+          }
+        })
+      })
+    },
+    config: { validationErrors: { ...chunkErrors, limit: 'INVALID_LIST_LIMIT' } }
+  },
+
+  updateChunkPointer: {
+    schema: {
+      operationId: 'updateChunkPointer',
+      tags: ['chunks'],
+      params: chunkParams,
+      body: {
+        ...object({
+          pointer: { anyOf: [{ type: 'string' }, { type: 'object' }], description: 'URL string or { pointer, expiresAt }' },
+          expiresAt: { anyOf: [{ type: 'number' }, { type: 'string' }] },
+          removeData: { type: 'boolean', description: 'Drop inline data once a pointer is set' }
+        }),
+        type: ['object', 'null']
+      },
+      response: responses({
+        200: object({
+          manifestId: string,
+          chunkIndex: integer,
+          data: nullableString,
+          pointer: nullableString,
+          pointerExpiresAt: nullableTimestamp,
+          replicas: stringArray
+        })
+      })
+    },
+    config: { validationErrors: { ...chunkErrors, '*': 'INVALID_POINTER_PAYLOAD' } }
+  },
+
+  registerDomain: {
+    schema: {
+      operationId: 'registerDomain',
+      tags: ['domains'],
+      body: domainBody,
+      response: responses({ 201: { $ref: 'Domain#' } })
+    },
+    config: {
+      validationErrors: {
+        domain: 'DOMAIN_REQUIRED',
+        owner: 'OWNER_REQUIRED',
+        manifestId: 'MANIFEST_ID_REQUIRED',
+        records: 'INVALID_RECORDS',
+        publicKey: 'SIGNATURE_REQUIRED',
+        signature: 'SIGNATURE_REQUIRED',
+        signedMessage: 'SIGNATURE_REQUIRED',
+        '*': 'INVALID_DOMAIN_PAYLOAD'
+      }
+    }
+  },
+
+  updateDomain: {
+    schema: {
+      operationId: 'updateDomain',
+      summary: 'Rebind, re-record or (for legacy domains) re-own a domain',
+      tags: ['domains'],
+      params: domainParams,
+      body: {
+        ...object({
+          manifestId: string,
+          replicas: { type: 'array' },
+          metadata: { type: 'object' },
+          records: domainRecordsInput,
+          owner: { type: 'string', description: 'New owner of a legacy domain; dweb:0x owners need an admin claim' },
+          ...signedOperationFields
+        }),
+        type: ['object', 'null']
+      },
+      response: domainResponses
+    },
+    config: { validationErrors: { records: 'INVALID_RECORDS', '*': 'INVALID_DOMAIN_PAYLOAD' } }
+  },
+
+  releaseDomain: {
+    schema: {
+      operationId: 'releaseDomain',
+      tags: ['domains'],
+      params: domainParams,
+      body: optionalSignedBody,
+      response: responses({
+        200: object({
+          domain: string,
+          previousOwner: string,
+          releasedAt: timestamp,
+          availableAt: timestamp,
+          releasedSubdomains: stringArray
+        })
+      })
+    },
+    config: { validationErrors: { '*': 'INVALID_SIGNED_MESSAGE' } }
+  },
+
+  renewDomain: {
+    schema: {
+      operationId: 'renewDomain',
+      tags: ['domains'],
+      params: domainParams,
+      body: optionalSignedBody,
+      response: domainResponses
+    },
+    config: { validationErrors: { '*': 'INVALID_SIGNED_MESSAGE' } }
+  },
+
+  delegateSubdomain: {
+    schema: {
+      operationId: 'delegateSubdomain',
+      tags: ['delegations'],
+      params: domainParams,
+      body: object(
+        {
+          subdomain: { type: 'string', description: 'Label (blog) or full name (blog.alice.dweb)' },
+          toOwner: { type: 'string', description: 'dweb:0x owner ID of the delegate' },
+          ...signedOperationFields
+        },
+        { required: ['subdomain', 'toOwner'] }
+      ),
+      response: responses({ 201: { $ref: 'DomainDelegation#' } })
+    },
+    config: { validationErrors: { subdomain: 'INVALID_SUBDOMAIN', '*': 'INVALID_DELEGATE' } }
+  },
+
+  listDelegations: {
+    schema: {
+      operationId: 'listDelegations',
+      tags: ['delegations'],
+      params: domainParams,
+      response: responses({
+        200: object({ domain: string, delegations: { type: 'array', items: { $ref: 'DomainDelegation#' } } })
+      })
+    }
+  },
+
+  revokeDelegation: {
+    schema: {
+      operationId: 'revokeDelegation',
+      tags: ['delegations'],
+      params: object({ domain: nonEmptyString, subdomain: nonEmptyString }, { required: ['domain', 'subdomain'] }),
+      body: optionalSignedBody,
+      response: responses({
+        200: object({
+          delegation: { $ref: 'DomainDelegation#' },
+          released: { type: ['object', 'null'], additionalProperties: true, description: 'Set when the delegate had registered the subdomain' }
+        })
+      })
+    },
+    config: { validationErrors: { '*': 'INVALID_SIGNED_MESSAGE' } }
+  },
+
+  getDomainHistory: {
+    schema: {
+      operationId: 'getDomainHistory',
+      tags: ['domains'],
+      params: domainParams,
+      querystring: object({ limit: { type: 'integer', minimum: 1 } }),
+      response: responses({
+        200: object({
+          domain: string,
+          currentManifestId: string,
+          history: {
+            type: 'array',
+            items: object({
+              bindingId: integer,
+              domain: string,
+              manifestId: string,
+              previousManifestId: nullableString,
+              actor: nullableString,
+              reason: string,
+              recordedAt: timestamp
+            })
+          }
+        })
+      })
+    },
+    config: { validationErrors: { limit: 'INVALID_LIST_LIMIT' } }
+  },
+
+  rollbackDomain: {
+    schema: {
+      operationId: 'rollbackDomain',
+      summary: 'Rebind a domain to a manifest it pointed at before',
+      tags: ['domains'],
+      params: domainParams,
+      body: object({ manifestId: nonEmptyString, ...signedOperationFields }, { required: ['manifestId'] }),
+      response: domainResponses
+    },
+    config: { validationErrors: { manifestId: 'MANIFEST_ID_REQUIRED', '*': 'INVALID_SIGNED_MESSAGE' } }
+  },
+
+  getDomainRecords: {
+    schema: {
+      operationId: 'getDomainRecords',
+      tags: ['records'],
+      params: domainParams,
+      querystring: object({ type: { type: 'string', description: 'Only records of this type' } }),
+      response: responses({
+        200: object({ domain: string, records: { type: 'array', items: { $ref: 'DomainRecord#' } } })
+      })
+    }
+  },
+
+  resolveDomain: {
+    schema: {
+      operationId: 'resolveDomain',
+      summary: 'Resolve a name to the closest registered domain above it',
+      tags: ['records'],
+      params: domainParams,
+      response: responses({
+        200: {
+          allOf: [{ $ref: 'Domain#' }],
+          ...object({ requestedDomain: string, matchedDomain: string })
+        }
+      })
+    }
+  },
+
+  offerTransfer: {
+    schema: {
+      operationId: 'offerTransfer',
+      tags: ['transfers'],
+      params: domainParams,
+      body: object(
+        { toOwner: { type: 'string', description: 'dweb:0x owner ID of the recipient' }, ...signedOperationFields },
+        { required: ['toOwner'] }
+      ),
+      response: responses({ 201: { $ref: 'DomainTransfer#' } })
+    },
+    config: { validationErrors: { toOwner: 'INVALID_RECIPIENT', '*': 'INVALID_SIGNED_MESSAGE' } }
+  },
+
+  listDomainTransfers: {
+    schema: {
+      operationId: 'listDomainTransfers',
+      tags: ['transfers'],
+      params: domainParams,
+      querystring: object({ status: string }),
+      response: responses({
+        200: object({ domain: string, transfers: { type: 'array', items: { $ref: 'DomainTransfer#' } } })
+      })
+    }
+  },
+
+  listTransfers: {
+    schema: {
+      operationId: 'listTransfers',
+      tags: ['transfers'],
+      querystring: object({ owner: string, status: string }),
+      response: responses({
+        200: object({ transfers: { type: 'array', items: { $ref: 'DomainTransfer#' } } })
+      })
+    }
+  },
+
+  acceptTransfer: {
+    schema: {
+      operationId: 'acceptTransfer',
+      summary: 'Accept a transfer, signed by the recipient',
+      tags: ['transfers'],
+      params: transferParams,
+      body: optionalSignedBody,
+      response: responses({
+        200: object({ transfer: { $ref: 'DomainTransfer#' }, domain: { $ref: 'Domain#' } })
+      })
+    },
+    config: { validationErrors: { '*': 'INVALID_SIGNED_MESSAGE' } }
+  },
+
+  cancelTransfer: {
+    schema: {
+      operationId: 'cancelTransfer',
+      summary: 'Withdraw (current owner) or decline (recipient) a transfer',
+      tags: ['transfers'],
+      params: transferParams,
+      body: optionalSignedBody,
+      response: responses({ 200: { $ref: 'DomainTransfer#' } })
+    },
+    config: { validationErrors: { '*': 'INVALID_SIGNED_MESSAGE' } }
+  },
+
+  listDomains: {
+    schema: {
+      operationId: 'listDomains',
+      tags: ['domains'],
+      querystring: listQuery({
+        owner: string,
+        mimeType: string,
+        createdAfter: string,
+        createdBefore: string,
+        sort: { type: 'string', enum: ['domain', 'createdAt', 'updatedAt', 'expiresAt'] },
+        fields: { type: 'string', description: 'Comma-separated fields to return' }
+      }),
+      response: responses({ 200: listPage('domains', { $ref: 'Domain#' }) })
+    },
+    config: { validationErrors: { ...listErrors, sort: 'INVALID_LIST_SORT' } }
+  },
+
+  searchDomains: {
+    schema: {
+      operationId: 'searchDomains',
+      tags: ['domains'],
+      querystring: object({ q: string, limit: { type: 'integer', minimum: 1 } }),
+      response: responses({
+        200: object({
+          query: string,
+          results: {
+            type: 'array',
+            items: {
+              allOf: [{ $ref: 'Domain#' }],
+              ...object({ match: { type: 'string', enum: ['exact', 'prefix', 'substring', 'tag'] } })
+            }
+          },
+          truncated: { type: 'boolean' }
+        })
+      })
+    },
+    config: { validationErrors: { limit: 'INVALID_LIST_LIMIT', '*': 'SEARCH_QUERY_REQUIRED' } }
+  },
+
+  getDomainAvailability: {
+    schema: {
+      operationId: 'getDomainAvailability',
+      summary: 'Whether a name can be registered; always 200',
+      tags: ['domains'],
+      params: domainParams,
+      response: responses({
+        200: object({
+          domain: string,
+          unicode: string,
+          available: { type: 'boolean' },
+          reason: { ...nullableString, description: 'Error code explaining why the name is unavailable' },
+          message: string,
+          parentDomain: nullableString,
+          availableAt: timestamp,
+          suggestions: stringArray
+        })
+      })
+    }
+  },
+
+  getDomain: {
+    schema: {
+      operationId: 'getDomain',
+      tags: ['domains'],
+      params: domainParams,
+      response: domainResponses
+    }
+  },
+
+  createReport: {
+    schema: {
+      operationId: 'createReport',
+      summary: 'Report a domain or manifest for abuse',
+      tags: ['moderation'],
+      security: [],
+      body: object(
+        {
+          targetType: { type: 'string', enum: REPORT_TARGET_TYPES },
+          target: nonEmptyString,
+          reason: { type: 'string', enum: REPORT_REASONS },
+          details: { type: ['string', 'null'], maxLength: MAX_REPORT_DETAILS_LENGTH },
+          reporter: string
+        },
+        { required: ['targetType', 'target', 'reason'] }
+      ),
+      response: responses({ 201: { $ref: 'AbuseReport#' } })
+    },
+    config: {
+      validationErrors: {
+        reason: 'INVALID_REPORT_REASON',
+        details: 'INVALID_REPORT_DETAILS',
+        '*': 'INVALID_REPORT_TARGET'
+      }
+    }
+  },
+
+  listReports: {
+    schema: {
+      operationId: 'listReports',
+      summary: 'Moderation queue (admin key)',
+      tags: ['moderation'],
+      security: [{ adminApiKey: [] }],
+      querystring: listQuery({
+        status: { type: 'string', enum: ['open', ...REPORT_RESOLUTIONS] },
+        targetType: { type: 'string', enum: REPORT_TARGET_TYPES },
+        target: string
+      }),
+      response: responses({ 200: listPage('reports', { $ref: 'AbuseReport#' }) })
+    },
+    config: { validationErrors: listErrors }
+  },
+
+  getReport: {
+    schema: {
+      operationId: 'getReport',
+      tags: ['moderation'],
+      security: [{ adminApiKey: [] }],
+      params: reportParams,
+      response: responses({ 200: { $ref: 'AbuseReport#' } })
+    }
+  },
+
+  resolveReport: {
+    schema: {
+      operationId: 'resolveReport',
+      tags: ['moderation'],
+      security: [{ adminApiKey: [] }],
+      params: reportParams,
+      body: object(
+        { status: { type: 'string', enum: REPORT_RESOLUTIONS }, note: nullableString },
+        { required: ['status'] }
+      ),
+      response: responses({ 200: { $ref: 'AbuseReport#' } })
+    },
+    config: { validationErrors: { '*': 'INVALID_REPORT_STATUS' } }
+  },
+
+  suspendDomain: {
+    schema: {
+      operationId: 'suspendDomain',
+      tags: ['moderation'],
+      security: [{ adminApiKey: [] }],
+      params: domainParams,
+      body: suspensionBody,
+      response: responses({ 201: { $ref: 'Suspension#' } })
+    }
+  },
+
+  claimDomain: {
+    schema: {
+      operationId: 'claimDomain',
+      summary: 'Bind a domain registered without a key to a dweb:0x owner and its public key',
+      tags: ['moderation'],
+      security: [{ adminApiKey: [] }],
+      params: domainParams,
+      body: object(
+        {
+          owner: { ...nonEmptyString, description: 'dweb:0x owner ID derived from ownerPublicKey' },
+          ownerPublicKey: { ...nonEmptyString, description: 'Base64 SPKI public key of the new owner' }
+        },
+        { required: ['owner', 'ownerPublicKey'] }
+      ),
+      response: domainResponses
+    },
+    config: {
+      validationErrors: {
+        owner: 'OWNER_REQUIRED',
+        ownerPublicKey: 'OWNER_PUBLIC_KEY_REQUIRED',
+        '*': 'INVALID_DOMAIN_PAYLOAD'
+      }
+    }
+  },
+
+  unsuspendDomain: {
+    schema: {
+      operationId: 'unsuspendDomain',
+      tags: ['moderation'],
+      security: [{ adminApiKey: [] }],
+      params: domainParams,
+      response: responses({ 200: { allOf: [{ $ref: 'Suspension#' }], ...object({ liftedAt: timestamp }) } })
+    }
+  },
+
+  suspendManifest: {
+    schema: {
+      operationId: 'suspendManifest',
+      tags: ['moderation'],
+      security: [{ adminApiKey: [] }],
+      params: manifestParams,
+      body: suspensionBody,
+      response: responses({ 201: { $ref: 'Suspension#' } })
+    }
+  },
+
+  unsuspendManifest: {
+    schema: {
+      operationId: 'unsuspendManifest',
+      tags: ['moderation'],
+      security: [{ adminApiKey: [] }],
+      params: manifestParams,
+      response: responses({ 200: { allOf: [{ $ref: 'Suspension#' }], ...object({ liftedAt: timestamp }) } })
+    }
+  },
+
+  listAudit: {
+    schema: {
+      operationId: 'listAudit',
+      summary: 'Audit log of registry writes (always requires an API key)',
+      tags: ['audit'],
+      querystring: listQuery({
+        domain: string,
+        manifestId: string,
+        actor: string,
+        action: string,
+        createdAfter: string,
+        createdBefore: string,
+        sort: { type: 'string', enum: ['createdAt'] }
+      }),
+      response: responses({ 200: listPage('entries', { $ref: 'AuditEntry#' }) })
+    },
+    config: { validationErrors: { ...listErrors, sort: 'INVALID_LIST_SORT' } }
+  },
+
+  listChanges: {
+    schema: {
+      operationId: 'listChanges',
+      summary: 'Change feed events after `since`',
+      tags: ['changes'],
+      querystring: object({
+        since: { type: 'string', pattern: '^\\s*\\d+\\s*$' },
+        limit: { type: 'integer', minimum: 1 }
+      }),
+      response: responses({
+        200: object({
+          changes: { type: 'array', items: { $ref: 'ChangeEvent#' } },
+          lastSeq: integer,
+          hasMore: { type: 'boolean' },
+          reset: { type: 'boolean', description: 'Requested events are no longer retained' }
+        })
+      })
+    },
+    config: { validationErrors: { limit: 'INVALID_LIST_LIMIT', '*': 'INVALID_CHANGE_SEQ' } }
+  },
+
+  streamChanges: {
+    schema: {
+      operationId: 'streamChanges',
+      summary: 'Server-sent events stream of the change feed (resumes from Last-Event-ID)',
+      tags: ['changes'],
+      querystring: object({ since: { type: 'string', pattern: '^\\s*\\d+\\s*$' } }),
+      response: responses({
+        200: {
+          description: 'Each event carries one ChangeEvent as JSON data and its seq as id',
+          content: { 'text/event-stream': { schema: string } }
+        }
+      })
+    },
+    config: { validationErrors: { '*': 'INVALID_CHANGE_SEQ' } }
+  },
+
+  listFederationOps: {
+    schema: {
+      operationId: 'listFederationOps',
+      summary: 'Federation log entries after a log position, for peer registries to pull',
+      tags: ['federation'],
+      querystring: object({
+        after: { type: 'integer', minimum: 0, default: 0 },
+        limit: { type: 'integer', minimum: 1 }
+      }),
+      response: responses({
+        200: object({
+          node: object({ nodeId: string, publicKey: string }),
+          ops: { type: 'array', items: { $ref: 'FederationOp#' } },
+          lastPosition: integer,
+          hasMore: { type: 'boolean' }
+        })
+      })
+    },
+    config: { validationErrors: { limit: 'INVALID_LIST_LIMIT', '*': 'INVALID_FEDERATION_CURSOR' } }
+  },
+
+  getFederationStatus: {
+    schema: {
+      operationId: 'getFederationStatus',
+      summary: 'Node identity, newest op per origin and peer sync state',
+      tags: ['federation'],
+      response: responses({
+        200: object({
+          node: object({ nodeId: string, publicKey: string }),
+          lastPosition: integer,
+          origins: {
+            type: 'array',
+            items: object({ origin: string, seq: integer, opCount: integer, lastOpAt: timestamp })
+          },
+          peers: {
+            type: 'array',
+            items: object({
+              url: string,
+              nodeId: nullableString,
+              cursor: integer,
+              lastSyncedAt: nullableTimestamp,
+              lastError: nullableString
+            })
+          }
+        })
+      })
+    }
+  },
+
+  prunePointers: {
+    schema: {
+      operationId: 'prunePointers',
+      tags: ['chunks'],
+      body: {
+        ...object({ now: { type: 'number', description: 'Prune as of this time instead of now' } }),
+        type: ['object', 'null']
+      },
+      response: responses({ 200: object({ cleared: integer, processedAt: timestamp }) })
+    }
+  }
+};
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import { verifySignature } from '../../common/crypto.js';
+import { validateDomainName } from '../../common/domainName.js';
+
+export const SIGNED_OPERATION_VERSION = 2;
+
+const SIGNATURE_MAX_AGE_MS = Number(process.env.REGISTRY_SIGNATURE_MAX_AGE_MS ?? 5 * 60 * 1000);
+const SIGNATURE_MAX_SKEW_MS = Number(process.env.REGISTRY_SIGNATURE_MAX_SKEW_MS ?? 60 * 1000);
+
+const ENVELOPE_FIELDS = ['version', 'operation', 'domain', 'manifestId', 'owner', 'payloadDigest', 'issuedAt', 'nonce'];
+const SIGNATURE_FIELDS = new Set(['publicKey', 'signature', 'signedMessage']);
+
+/**
+ * Canonical string that clients sign for a domain operation. Keys are emitted in a
+ * fixed order so the client (`signDomainOperation` in the panel) and the registry
+ * produce byte-identical messages.
+ */
+export function canonicalOperationMessage(envelope) {
+  const canonical = {};
+  ENVELOPE_FIELDS.forEach((field) => {
+    const value = envelope?.[field];
+    canonical[field] = value === undefined ? null : value;
+  });
+  return JSON.stringify(canonical);
+}
+
+/**
+ * SHA-256 (base64url) of the request body without its signature fields, serialised
+ * as JSON with object keys sorted. The envelope carries it as `payloadDigest`, so
+ * fields the envelope does not name (records, metadata, replicas, ...) are signed too.
+ */
+export function operationPayloadDigest(payload) {
+  const body = Object.fromEntries(
+    Object.entries(payload ?? {}).filter(([field]) => !SIGNATURE_FIELDS.has(field))
+  );
+  return crypto.createHash('sha256').update(stableStringify(body)).digest('base64url');
+}
+
+export function parseSignedOperation(signedMessage) {
+  if (typeof signedMessage !== 'string' || !signedMessage) {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(signedMessage);
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return null;
+  }
+  // Only the canonical encoding is accepted; anything else could smuggle extra meaning.
+  if (canonicalOperationMessage(parsed) !== signedMessage) {
+    return null;
+  }
+  return parsed;
+}
+
+/**
+ * Verifies that `payload.signedMessage` is a canonical envelope signed by `publicKey`,
+ * that it describes exactly the `expected` operation and the rest of `payload`, that
+ * it is fresh and that its nonce has not been used before. The nonce is consumed on success.
+ * Returns a respondError descriptor on failure and `{ envelope }` on success.
+ */
+export async function verifySignedOperation(store, { publicKey, payload, expected, now = Date.now() }) {
+  if (
+    typeof payload?.signature !== 'string' ||
+    !payload.signature ||
+    typeof payload?.signedMessage !== 'string' ||
+    !payload.signedMessage
+  ) {
+    return { error: { statusCode: 401, error: 'SIGNATURE_REQUIRED' } };
+  }
+
+  const valid = await verifySignature(publicKey, payload.signedMessage, payload.signature);
+  if (!valid) {
+    return { error: { statusCode: 401, error: 'INVALID_SIGNATURE' } };
+  }
+
+  const envelope = parseSignedOperation(payload.signedMessage);
+  if (!envelope || envelope.version !== SIGNED_OPERATION_VERSION) {
+    return { error: { statusCode: 400, error: 'INVALID_SIGNED_MESSAGE' } };
+  }
+
+  const mismatch = Object.entries(expected).some(([field, value]) => {
+    const signedValue = envelope[field] ?? null;
+    const expectedValue = value ?? null;
+    if (field === 'domain' && typeof signedValue === 'string') {
+      return canonicalDomain(signedValue) !== canonicalDomain(expectedValue);
+    }
+    return signedValue !== expectedValue;
+  });
+  if (mismatch || envelope.payloadDigest !== operationPayloadDigest(payload)) {
+    return { error: { statusCode: 401, error: 'SIGNED_PAYLOAD_MISMATCH' } };
+  }
+
+  if (!Number.isFinite(envelope.issuedAt)) {
+    return { error: { statusCode: 400, error: 'INVALID_SIGNED_MESSAGE' } };
+  }
+  if (!isWithinSignatureWindow(envelope.issuedAt, now)) {
+    return { error: { statusCode: 401, error: 'SIGNATURE_EXPIRED' } };
+  }
+
+  if (typeof envelope.nonce !== 'string' || envelope.nonce.length < 8 || envelope.nonce.length > 128) {
+    return { error: { statusCode: 400, error: 'INVALID_SIGNED_MESSAGE' } };
+  }
+
+  try {
+    store.consumeOperationNonce(envelope.nonce, {
+      operation: envelope.operation,
+      domain: envelope.domain,
+      issuedAt: envelope.issuedAt,
+      retainUntil: envelope.issuedAt + SIGNATURE_MAX_AGE_MS + SIGNATURE_MAX_SKEW_MS
+    });
+  } catch (error) {
+    if (error.message === 'NONCE_REPLAYED') {
+      return { error: { statusCode: 409, error: 'NONCE_REPLAYED' } };
+    }
+    throw error;
+  }
+
+  return { envelope };
+}
+
+/**
+ * Whether a request signed at `issuedAt` would be accepted at time `at`: it may be
+ * up to the maximum signature age old and at most the allowed clock skew ahead.
+ */
+export function isWithinSignatureWindow(issuedAt, at) {
+  return issuedAt >= at - SIGNATURE_MAX_AGE_MS && issuedAt <= at + SIGNATURE_MAX_SKEW_MS;
+}
+
+/**
+ * The signed request a verified operation was made with, as federation carries it:
+ * the signing key, the envelope and its signature, and the body the envelope's
+ * payload digest covers. Null for an unsigned request.
+ */
+export function signedRequestOf(payload, publicKey) {
+  if (typeof publicKey !== 'string' || !publicKey || typeof payload?.signedMessage !== 'string') {
+    return null;
+  }
+  const body = Object.fromEntries(
+    Object.entries(payload).filter(([field]) => !SIGNATURE_FIELDS.has(field))
+  );
+  return { publicKey, signedMessage: payload.signedMessage, signature: payload.signature, body };
+}
+
+/**
+ * Checks a signed request from signedRequestOf again on another registry: the
+ * signature, the canonical envelope and the payload digest. Freshness and nonces
+ * are the accepting registry's business and are not checked. Returns the envelope,
+ * or null when any check fails.
+ */
+export async function verifySignedRequest(request) {
+  if (
+    !request ||
+    typeof request !== 'object' ||
+    typeof request.publicKey !== 'string' ||
+    typeof request.signature !== 'string' ||
+    !request.body ||
+    typeof request.body !== 'object' ||
+    Array.isArray(request.body)
+  ) {
+    return null;
+  }
+  const envelope = parseSignedOperation(request.signedMessage);
+  if (
+    !envelope ||
+    envelope.version !== SIGNED_OPERATION_VERSION ||
+    !Number.isFinite(envelope.issuedAt) ||
+    typeof envelope.nonce !== 'string' ||
+    envelope.payloadDigest !== operationPayloadDigest(request.body)
+  ) {
+    return null;
+  }
+  const valid = await verifySignature(request.publicKey, request.signedMessage, request.signature);
+  return valid ? envelope : null;
+}
+
+// Unicode and punycode spellings of the same name must compare equal.
+export function canonicalDomain(value) {
+  const result = validateDomainName(String(value ?? ''));
+  return result.ok ? result.domain : String(value ?? '').trim().toLowerCase();
+}
+
+// JSON with object keys sorted, so the same value always yields the same signed bytes.
+export function stableStringify(value) {
+  return JSON.stringify(value, (key, entry) =>
+    entry && typeof entry === 'object' && !Array.isArray(entry)
+      ? Object.fromEntries(Object.keys(entry).sort().map((name) => [name, entry[name]]))
+      : entry
+  );
+}
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+export const STORAGE_ENGINES = ['sqlite', 'memory'];
+
+const STATEMENT_CACHE_SIZE = 256;
+
+// The sql.js module, compiled on first use of the memory engine (see loadStorageEngine).
+let SQL = null;
+
+/**
+ * Loads what `engine` needs before createStorageEngine can open it synchronously.
+ * Only `memory` has anything to load: the sql.js WASM module, compiled once per process,
+ * so a registry on the default `sqlite` engine never pays for it.
+ */
+export async function loadStorageEngine(engine = process.env.REGISTRY_DB_ENGINE ?? 'sqlite') {
+  if (engine === 'memory' && !SQL) {
+    const { default: initSqlJs } = await import('sql.js');
+    SQL ??= await initSqlJs({ locateFile: locateSqlWasm });
+  }
+}
+
+/**
+ * Opens the storage engine behind RegistryStore. `sqlite` (default) is a file-backed
+ * SQLite database in WAL mode that writes only the pages a transaction touches;
+ * `memory` is an in-process sql.js database that is never written to disk and is
+ * meant for tests and throwaway registries.
+ *
+ * Both engines expose the same synchronous interface: exec, run, all, get,
+ * transaction and close.
+ */
+export function createStorageEngine({ engine = process.env.REGISTRY_DB_ENGINE ?? 'sqlite', dbPath } = {}) {
+  if (engine === 'memory') {
+    return new SqlJsMemoryEngine();
+  }
+  if (engine !== 'sqlite') {
+    throw new Error(`Unknown registry storage engine "${engine}" (expected ${STORAGE_ENGINES.join(' or ')})`);
+  }
+  return new SqliteFileEngine(dbPath);
+}
+
+class SqliteFileEngine {
+  constructor(dbPath) {
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    this.name = 'sqlite';
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    // WAL with NORMAL sync survives process crashes; only an OS crash can lose the last commits.
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('foreign_keys = ON');
+    this.statements = new Map();
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  run(sql, params = []) {
+    const result = this.prepare(sql).run(...bindable(params));
+    return { changes: result.changes };
+  }
+
+  all(sql, params = []) {
+    return this.prepare(sql).all(...bindable(params));
+  }
+
+  get(sql, params = []) {
+    return this.prepare(sql).get(...bindable(params)) ?? null;
+  }
+
+  /**
+   * Runs `fn` atomically. Nested calls become savepoints, so a store method may call
+   * another transactional method.
+   */
+  transaction(fn) {
+    return this.db.transaction(fn).immediate();
+  }
+
+  close() {
+    this.statements.clear();
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+
+  prepare(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = this.db.prepare(sql);
+      if (this.statements.size >= STATEMENT_CACHE_SIZE) {
+        this.statements.delete(this.statements.keys().next().value);
+      }
+      this.statements.set(sql, statement);
+    }
+    return statement;
+  }
+}
+
+class SqlJsMemoryEngine {
+  constructor() {
+    if (!SQL) {
+      throw new Error('The memory storage engine is not loaded; await loadStorageEngine(\'memory\') first');
+    }
+    this.name = 'memory';
+    this.db = new SQL.Database();
+    this.db.exec('PRAGMA foreign_keys = ON;');
+    this.depth = 0;
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params);
+    return { changes: this.db.getRowsModified() };
+  }
+
+  all(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  get(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      return stmt.step() ? stmt.getAsObject() : null;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  transaction(fn) {
+    const savepoint = `registry_sp_${this.depth}`;
+    this.db.exec(this.depth ? `SAVEPOINT ${savepoint}` : 'BEGIN IMMEDIATE');
+    this.depth += 1;
+    try {
+      const result = fn();
+      this.depth -= 1;
+      this.db.exec(this.depth ? `RELEASE ${savepoint}` : 'COMMIT');
+      return result;
+    } catch (error) {
+      this.depth -= 1;
+      this.db.exec(this.depth ? `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}` : 'ROLLBACK');
+      throw error;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// sql.js binds booleans as 0/1; better-sqlite3 rejects them, so both engines accept the same params.
+function bindable(params) {
+  return params.map((value) => (typeof value === 'boolean' ? Number(value) : value));
+}
+
+function locateSqlWasm(file) {
+  const candidates = [
+    path.resolve(process.cwd(), 'node_modules/sql.js/dist', file),
+    path.resolve(process.cwd(), '../node_modules/sql.js/dist', file),
+    path.resolve(process.cwd(), '../../node_modules/sql.js/dist', file),
+    path.resolve(process.cwd(), '../../../node_modules/sql.js/dist', file)
+  ];
+
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return path.resolve('node_modules/sql.js/dist', file);
+}
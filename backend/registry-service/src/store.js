@@ -1,23 +1,83 @@
-import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
-import initSqlJs from 'sql.js';
 import { nanoid } from 'nanoid';
-
-const SQL = await initSqlJs({
-  locateFile: locateSqlWasm
-});
+import { DWEB_TLD, parentDomainOf, rootDomainOf, validateDomainName } from '../../common/domainName.js';
+import { computeMerkleRoot } from '../../common/merkle.js';
+import {
+  FEDERATION_OP_VERSION,
+  canonicalFederationMessage,
+  createNodeIdentity,
+  federationOpId,
+  foldDomainRegistration,
+  registrationIdOf,
+  signFederationMessage
+} from './federation.js';
+import { applyMigrations, getSchemaStatus } from './migrations.js';
+import { canonicalDomain, parseSignedOperation } from './signedOperations.js';
+import { createStorageEngine } from './storageEngines.js';
 
 const DEFAULT_HISTORY_LIMIT = 100;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+// Full manifests carry inline chunk data, so far fewer fit in one page.
+const MAX_FULL_MANIFEST_LIST_LIMIT = 20;
+const LIST_VIEWS = ['summary', 'full'];
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const MAX_DOMAIN_SUGGESTIONS = 5;
+const SUGGESTION_PATTERNS = [
+  (label) => `${label}-app`,
+  (label) => `${label}-site`,
+  (label) => `my${label}`,
+  (label) => `get${label}`,
+  (label) => `${label}-web`,
+  (label) => `the${label}`,
+  (label) => `${label}hq`,
+  (label) => `${label}1`,
+  (label) => `${label}2`
+];
+const MANIFEST_SORT_COLUMNS = {
+  createdAt: 'm.created_at',
+  updatedAt: 'm.updated_at',
+  fileSize: 'COALESCE(m.file_size, b.total_size, 0)'
+};
+const AUDIT_SORT_COLUMNS = {
+  createdAt: 'created_at'
+};
+const REPORT_SORT_COLUMNS = {
+  createdAt: 'created_at'
+};
+export const REPORT_TARGET_TYPES = ['domain', 'manifest'];
+export const REPORT_REASONS = ['malware', 'phishing', 'spam', 'illegal', 'copyright', 'other'];
+export const REPORT_RESOLUTIONS = ['actioned', 'dismissed'];
+export const MAX_REPORT_DETAILS_LENGTH = 2000;
+const REPLICATION_HEALTH_SORT_COLUMNS = {
+  minReplicas: 'h.min_replicas',
+  createdAt: 'h.created_at'
+};
+const DOMAIN_SORT_COLUMNS = {
+  domain: 'd.domain',
+  createdAt: 'd.created_at',
+  updatedAt: 'd.updated_at',
+  expiresAt: 'COALESCE(d.expires_at, 0)'
+};
+const DEFAULT_DOMAIN_RELEASE_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TRANSFER_OFFER_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_DOMAIN_LEASE_MS = 365 * 24 * 60 * 60 * 1000;
+const DEFAULT_DOMAIN_GRACE_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_FEDERATION_MAX_LAG_MS = 60 * 60 * 1000;
+const DEFAULT_CHANGE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_REPLICA_TTL_MS = 30 * 60 * 1000;
+const DEFAULT_REPLICATION_FACTOR = 2;
+export const MAX_REPLICATION_FACTOR = 16;
+const DEFAULT_OWNER_QUOTAS = {
+  domains: 100,
+  manifestBytes: 2 * 1024 * 1024 * 1024,
+  inlineBytes: 256 * 1024 * 1024
+};
+const MAX_CHANGE_LIST_LIMIT = 500;
+const MAX_FEDERATION_OPS_LIMIT = 500;
 
-function safeExec(db, statement) {
-  try {
-    db.exec(statement);
-  } catch (error) {
-    if (!String(error).toLowerCase().includes('duplicate column name')) {
-      throw error;
-    }
-  }
-}
 
 const KNOWN_MANIFEST_FIELDS = [
   'transferId',
@@ -28,6 +88,7 @@ const KNOWN_MANIFEST_FIELDS = [
   'chunkCount',
   'sha256',
   'chunkHashes',
+  'merkleRoot',
   'chunkData',
   'chunkPointers',
   'chunkPointerExpiresAt',
@@ -36,194 +97,323 @@ const KNOWN_MANIFEST_FIELDS = [
   'metadata',
   'createdAt',
   'updatedAt',
-  'manifestId'
+  'manifestId',
+  'files',
+  'entryPath',
+  'owner',
+  'replicationFactor',
+  'status',
+  'suspension'
 ];
 
 export class RegistryStore {
   constructor(options = {}) {
     this.dbPath =
       options.dbPath ?? process.env.REGISTRY_DB_PATH ?? path.resolve(process.cwd(), 'registry-data/registry.sqlite');
-    ensureDirectory(path.dirname(this.dbPath));
+    this.domainReleaseCooldownMs = readDurationOption(
+      options.domainReleaseCooldownMs,
+      process.env.REGISTRY_DOMAIN_RELEASE_COOLDOWN_MS,
+      DEFAULT_DOMAIN_RELEASE_COOLDOWN_MS
+    );
+    this.transferOfferTtlMs = readDurationOption(
+      options.transferOfferTtlMs,
+      process.env.REGISTRY_TRANSFER_OFFER_TTL_MS,
+      DEFAULT_TRANSFER_OFFER_TTL_MS
+    );
+    this.domainLeaseMs = readDurationOption(
+      options.domainLeaseMs,
+      process.env.REGISTRY_DOMAIN_LEASE_MS,
+      DEFAULT_DOMAIN_LEASE_MS
+    );
+    this.domainGracePeriodMs = readDurationOption(
+      options.domainGracePeriodMs,
+      process.env.REGISTRY_DOMAIN_GRACE_PERIOD_MS,
+      DEFAULT_DOMAIN_GRACE_PERIOD_MS
+    );
+    this.federationMaxLagMs = readDurationOption(
+      options.federationMaxLagMs,
+      process.env.REGISTRY_FEDERATION_MAX_LAG_MS,
+      DEFAULT_FEDERATION_MAX_LAG_MS
+    );
+    this.changeRetentionMs = readDurationOption(
+      options.changeRetentionMs,
+      process.env.REGISTRY_CHANGE_RETENTION_MS,
+      DEFAULT_CHANGE_RETENTION_MS
+    );
+    this.replicaTtlMs = readDurationOption(
+      options.replicaTtlMs,
+      process.env.REGISTRY_REPLICA_TTL_MS,
+      DEFAULT_REPLICA_TTL_MS
+    );
+    // A quota of 0 disables that limit.
+    this.ownerQuotas = {
+      domains: readQuotaOption(options.quotas?.domains, process.env.REGISTRY_QUOTA_DOMAINS, DEFAULT_OWNER_QUOTAS.domains),
+      manifestBytes: readQuotaOption(
+        options.quotas?.manifestBytes,
+        process.env.REGISTRY_QUOTA_MANIFEST_BYTES,
+        DEFAULT_OWNER_QUOTAS.manifestBytes
+      ),
+      inlineBytes: readQuotaOption(
+        options.quotas?.inlineBytes,
+        process.env.REGISTRY_QUOTA_INLINE_BYTES,
+        DEFAULT_OWNER_QUOTAS.inlineBytes
+      )
+    };
+    this.defaultReplicationFactor = normalizeReplicationFactor(
+      options.defaultReplicationFactor ?? process.env.REGISTRY_DEFAULT_REPLICATION_FACTOR ?? DEFAULT_REPLICATION_FACTOR
+    );
 
-    const initialData = fs.existsSync(this.dbPath) ? fs.readFileSync(this.dbPath) : null;
-    this.db = initialData ? new SQL.Database(initialData) : new SQL.Database();
+    this.engine = createStorageEngine({ engine: options.engine, dbPath: this.dbPath });
 
-    this.prepareSchema();
+    // `migrate: false` opens the database as-is, e.g. for the migrate CLI's status and dry runs.
+    // Either way a schema newer than this code throws SCHEMA_VERSION_TOO_NEW.
+    if (options.migrate !== false) {
+      applyMigrations(this);
+    }
+    this.schemaStatus = getSchemaStatus(this);
 
     this.lastPointerHistoryStamp = 0;
+    this.transactionDepth = 0;
+    this.changeListeners = new Set();
+    this.changesPending = false;
+    // Set while ops from a peer's log are applied, so the writes are not logged a second time.
+    this.applyingFederationOp = false;
+    // The owner's signed request behind the domain write in progress (withAuthorization).
+    this.federationAuthorization = null;
+    // A database opened without migrating may predate the change feed.
+    this.lastPublishedSeq = this.schemaStatus.pending.length ? 0 : this.getLatestChangeSeq();
   }
 
-  prepareSchema() {
-    this.db.exec(`PRAGMA foreign_keys = ON;`);
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS manifests (
-        manifest_id TEXT PRIMARY KEY,
-        transfer_id TEXT,
-        file_name TEXT,
-        file_size INTEGER,
-        mime_type TEXT,
-        chunk_size INTEGER,
-        chunk_count INTEGER,
-        sha256 TEXT,
-        chunk_hashes TEXT,
-        replicas TEXT,
-        metadata TEXT,
-        additional_data TEXT,
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL
-      );
-
-      CREATE TABLE IF NOT EXISTS manifest_chunks (
-        manifest_id TEXT NOT NULL,
-        chunk_index INTEGER NOT NULL,
-        data TEXT,
-        pointer TEXT,
-        expires_at INTEGER,
-        PRIMARY KEY (manifest_id, chunk_index)
-      );
-
-      CREATE TABLE IF NOT EXISTS manifest_chunk_replicas (
-        manifest_id TEXT NOT NULL,
-        chunk_index INTEGER NOT NULL,
-        peer_id TEXT NOT NULL,
-        PRIMARY KEY (manifest_id, chunk_index, peer_id)
-      );
-
-      CREATE TABLE IF NOT EXISTS manifest_chunk_pointer_history (
-        manifest_id TEXT NOT NULL,
-        chunk_index INTEGER NOT NULL,
-        pointer TEXT,
-        expires_at INTEGER,
-        recorded_at INTEGER NOT NULL,
-        PRIMARY KEY (manifest_id, chunk_index, recorded_at)
-      );
-
-      CREATE TABLE IF NOT EXISTS domains (
-        domain TEXT PRIMARY KEY,
-        owner TEXT NOT NULL,
-        manifest_id TEXT NOT NULL,
-        replicas TEXT,
-        metadata TEXT,
-        created_at INTEGER NOT NULL,
-        updated_at INTEGER NOT NULL
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_manifest_chunks_manifest
-        ON manifest_chunks (manifest_id);
-
-      CREATE INDEX IF NOT EXISTS idx_manifest_chunk_replicas_manifest
-        ON manifest_chunk_replicas (manifest_id);
-
-      CREATE INDEX IF NOT EXISTS idx_manifest_chunk_history_manifest
-        ON manifest_chunk_pointer_history (manifest_id);
-
-      CREATE INDEX IF NOT EXISTS idx_domains_manifest
-        ON domains (manifest_id);
-    `);
-    safeExec(this.db, 'ALTER TABLE manifest_chunks ADD COLUMN expires_at INTEGER');
-    safeExec(
-      this.db,
-      'CREATE INDEX IF NOT EXISTS idx_manifest_chunk_history_pointer ON manifest_chunk_pointer_history (manifest_id, chunk_index, recorded_at DESC)'
-    );
-    this.persist();
-  }
-
-  createManifest(manifest) {
-    const manifestId = manifest.transferId ?? manifest.manifestId ?? `mf-${Date.now()}-${nanoid(5)}`;
-    const chunkReplicas = manifest.chunkReplicas && Array.isArray(manifest.chunkReplicas)
-      ? normalizeChunkReplicas(manifest)
-      : buildChunkReplicas(manifest);
-    const chunkData = normalizeArray(manifest.chunkData, manifest.chunkCount);
-    const rawPointers = normalizeArray(manifest.chunkPointers, manifest.chunkCount);
-    const chunkPointerExpires = Array.isArray(manifest.chunkPointerExpiresAt)
-      ? manifest.chunkPointerExpiresAt
-      : [];
-    const chunkPointers = rawPointers.map((entry, index) =>
-      normalizePointerEntry(entry, chunkPointerExpires[index])
-    );
-    const chunkHashes = Array.isArray(manifest.chunkHashes) ? manifest.chunkHashes : [];
-    const replicas = Array.isArray(manifest.replicas) ? uniqStrings(manifest.replicas) : [];
-    const metadataJson = manifest.metadata !== undefined ? JSON.stringify(manifest.metadata) : null;
-    const additionalData = extractAdditionalManifestFields(manifest);
-    const additionalJson = Object.keys(additionalData).length ? JSON.stringify(additionalData) : null;
-    const createdAt = Date.now();
-
-    this.run('DELETE FROM manifest_chunk_replicas WHERE manifest_id = ?', [manifestId]);
-    this.run('DELETE FROM manifest_chunks WHERE manifest_id = ?', [manifestId]);
-    this.run('DELETE FROM manifests WHERE manifest_id = ?', [manifestId]);
+  /**
+   * Moves chunk state that older registries stored per manifest row into the shared
+   * `chunks` table, leaving `manifest_chunks` as a plain index -> hash mapping.
+   */
+  migrateInlineChunks() {
+    const rows = this.getAll(
+      `SELECT mc.manifest_id, mc.chunk_index, mc.data, mc.pointer, mc.expires_at, m.chunk_hashes
+       FROM manifest_chunks mc
+       LEFT JOIN manifests m ON m.manifest_id = mc.manifest_id
+       WHERE mc.chunk_hash IS NULL`
+    );
+    if (!rows.length) return;
+
+    const now = Date.now();
+    rows.forEach((row) => {
+      const hashes = parseJSON(row.chunk_hashes, []);
+      const chunkHash = resolveChunkKey(row.manifest_id, row.chunk_index, hashes[row.chunk_index]);
+      this.attachChunk(chunkHash, { data: row.data, pointer: row.pointer, expiresAt: row.expires_at }, now);
+      this.run(
+        `INSERT OR IGNORE INTO chunk_replicas (chunk_hash, peer_id)
+         SELECT ?, peer_id FROM manifest_chunk_replicas WHERE manifest_id = ? AND chunk_index = ?`,
+        [chunkHash, row.manifest_id, row.chunk_index]
+      );
+      this.run(
+        `UPDATE manifest_chunks SET chunk_hash = ?, data = NULL, pointer = NULL, expires_at = NULL
+         WHERE manifest_id = ? AND chunk_index = ?`,
+        [chunkHash, row.manifest_id, row.chunk_index]
+      );
+    });
+    this.run('DELETE FROM manifest_chunk_replicas');
+  }
 
+  /**
+   * Adds one manifest reference to the shared chunk `chunkHash`, creating it on first
+   * use. Data and pointer only fill gaps; an existing chunk keeps what it already has.
+   */
+  attachChunk(chunkHash, { data = null, pointer = null, expiresAt = null } = {}, now = Date.now()) {
+    const existing = this.getOne('SELECT chunk_hash FROM chunks WHERE chunk_hash = ?', [chunkHash]);
+    if (!existing) {
+      this.run(
+        `INSERT INTO chunks (chunk_hash, data, pointer, expires_at, ref_count, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 1, ?, ?)`,
+        [chunkHash, data ?? null, pointer ?? null, pointer ? expiresAt ?? null : null, now, now]
+      );
+      return;
+    }
     this.run(
-      `INSERT INTO manifests (
-        manifest_id,
-        transfer_id,
-        file_name,
-        file_size,
-        mime_type,
-        chunk_size,
-        chunk_count,
-        sha256,
-        chunk_hashes,
-        replicas,
-        metadata,
-        additional_data,
-        created_at,
-        updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        manifestId,
-        manifest.transferId ?? manifestId,
-        manifest.fileName ?? null,
-        manifest.fileSize ?? null,
-        manifest.mimeType ?? null,
-        manifest.chunkSize ?? null,
-        manifest.chunkCount ?? (chunkData?.length ?? 0),
-        manifest.sha256 ?? null,
-        JSON.stringify(chunkHashes),
-        JSON.stringify(replicas),
-        metadataJson,
-        additionalJson,
-        createdAt,
-        createdAt
-      ]
+      `UPDATE chunks SET
+         ref_count = ref_count + 1,
+         data = COALESCE(data, ?),
+         expires_at = CASE WHEN pointer IS NULL AND ? IS NOT NULL THEN ? ELSE expires_at END,
+         pointer = COALESCE(pointer, ?),
+         updated_at = ?
+       WHERE chunk_hash = ?`,
+      [data ?? null, pointer ?? null, expiresAt ?? null, pointer ?? null, now, chunkHash]
     );
+  }
 
-    const totalChunks = manifest.chunkCount ?? chunkData.length ?? 0;
-    for (let index = 0; index < totalChunks; index += 1) {
-      const pointerEntry = chunkPointers[index] ?? { pointer: null, expiresAt: null };
-      this.run(
-        `INSERT INTO manifest_chunks (manifest_id, chunk_index, data, pointer, expires_at) VALUES (?, ?, ?, ?, ?)`,
-        [manifestId, index, chunkData[index] ?? null, pointerEntry.pointer, pointerEntry.expiresAt]
+  /**
+   * Stores a new manifest under `manifest.manifestId`. Manifests are immutable;
+   * writing an existing ID throws MANIFEST_IMMUTABLE. The manifest is charged to
+   * `quotaOwner`, which the caller must have authenticated (see getOwnerUsage);
+   * without one nothing is charged. `replicated` is set for manifests applied from a
+   * peer's federation log: they keep the origin's creation time and are not charged
+   * against this registry's owner quotas.
+   */
+  createManifest(manifest, { replicated = false, quotaOwner = null } = {}) {
+    return this.transaction(() => {
+      const manifestId = manifest.manifestId ?? `mf-${Date.now()}-${nanoid(5)}`;
+      if (this.getOne('SELECT manifest_id FROM manifests WHERE manifest_id = ?', [manifestId])) {
+        throw new Error('MANIFEST_IMMUTABLE');
+      }
+      const chunkReplicas = manifest.chunkReplicas && Array.isArray(manifest.chunkReplicas)
+        ? normalizeChunkReplicas(manifest)
+        : buildChunkReplicas(manifest);
+      const chunkData = normalizeArray(manifest.chunkData, manifest.chunkCount);
+      const rawPointers = normalizeArray(manifest.chunkPointers, manifest.chunkCount);
+      const chunkPointerExpires = Array.isArray(manifest.chunkPointerExpiresAt)
+        ? manifest.chunkPointerExpiresAt
+        : [];
+      const chunkPointers = rawPointers.map((entry, index) =>
+        normalizePointerEntry(entry, chunkPointerExpires[index])
+      );
+      const chunkHashes = Array.isArray(manifest.chunkHashes) ? manifest.chunkHashes : [];
+      const replicas = Array.isArray(manifest.replicas) ? uniqStrings(manifest.replicas) : [];
+      const metadataJson = manifest.metadata !== undefined ? JSON.stringify(manifest.metadata) : null;
+      const additionalData = extractAdditionalManifestFields(manifest);
+      const additionalJson = Object.keys(additionalData).length ? JSON.stringify(additionalData) : null;
+      const bundleFiles = normalizeBundleFiles(manifest.files);
+      const replicationFactor = normalizeReplicationFactor(manifest.replicationFactor ?? this.defaultReplicationFactor);
+      const owner = typeof manifest.owner === 'string' && manifest.owner ? manifest.owner : null;
+      const chargedTo = replicated ? null : quotaOwner;
+      const createdAt = replicated && Number.isFinite(manifest.createdAt) ? manifest.createdAt : Date.now();
+      const totalChunks = manifest.chunkCount ?? chunkData.length ?? 0;
+      const inlineBytes = chunkData.reduce((sum, data) => sum + (data ? base64ByteLength(data) : 0), 0);
+      if (chargedTo) {
+        this.assertWithinQuota(chargedTo, 'manifestBytes', manifestQuotaBytes(totalChunks, manifest.chunkSize));
+        this.assertWithinQuota(chargedTo, 'inlineBytes', inlineBytes);
+      }
+      const chunkKeys = Array.from({ length: totalChunks }, (_, index) =>
+        resolveChunkKey(manifestId, index, chunkHashes[index])
       );
 
-      this.recordChunkPointerHistory(manifestId, index, pointerEntry.pointer, pointerEntry.expiresAt, {
-        force: Boolean(pointerEntry.pointer)
+      // Inline data must match the hash listed for it, whether or not that hash is
+      // shared: clients check chunks against chunkHashes and the Merkle root. A hash
+      // that is not a content hash never matches, so such chunks cannot be inline.
+      chunkData.forEach((data, index) => {
+        if (data && chunkHashes[index] != null && hashChunkData(data) !== chunkHashes[index]) {
+          const error = new Error('CHUNK_HASH_MISMATCH');
+          error.chunkIndex = index;
+          throw error;
+        }
       });
 
-      const peers = Array.isArray(chunkReplicas[index]) ? chunkReplicas[index] : [];
-      peers.forEach((peerId) => {
-        if (peerId) {
+      this.run(
+        `INSERT INTO manifests (
+          manifest_id,
+          transfer_id,
+          file_name,
+          file_size,
+          mime_type,
+          chunk_size,
+          chunk_count,
+          sha256,
+          chunk_hashes,
+          merkle_root,
+          replicas,
+          metadata,
+          additional_data,
+          owner,
+          quota_owner,
+          replication_factor,
+          inline_bytes,
+          created_at,
+          updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          manifestId,
+          manifest.transferId ?? manifestId,
+          manifest.fileName ?? null,
+          manifest.fileSize ?? null,
+          manifest.mimeType ?? null,
+          manifest.chunkSize ?? null,
+          manifest.chunkCount ?? (chunkData?.length ?? 0),
+          manifest.sha256 ?? null,
+          JSON.stringify(chunkHashes),
+          typeof manifest.merkleRoot === 'string' && manifest.merkleRoot ? manifest.merkleRoot : null,
+          JSON.stringify(replicas),
+          metadataJson,
+          additionalJson,
+          owner,
+          chargedTo,
+          replicationFactor,
+          inlineBytes,
+          createdAt,
+          createdAt
+        ]
+      );
+
+      if (bundleFiles.length) {
+        const totalSize = bundleFiles.reduce((sum, file) => sum + (file.size ?? 0), 0);
+        this.run(
+          `INSERT INTO manifest_bundles (manifest_id, entry_path, file_count, total_size) VALUES (?, ?, ?, ?)`,
+          [manifestId, resolveEntryPath(manifest.entryPath, bundleFiles), bundleFiles.length, totalSize]
+        );
+        bundleFiles.forEach((file) => {
           this.run(
-            `INSERT OR IGNORE INTO manifest_chunk_replicas (manifest_id, chunk_index, peer_id) VALUES (?, ?, ?)`,
-            [manifestId, index, peerId]
+            `INSERT INTO manifest_files (manifest_id, path, mime_type, size, sha256, chunk_start, chunk_count)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [manifestId, file.path, file.mimeType, file.size, file.sha256, file.chunkStart, file.chunkCount]
           );
-        }
-      });
-    }
+        });
+      }
+
+      for (let index = 0; index < totalChunks; index += 1) {
+        const pointerEntry = chunkPointers[index] ?? { pointer: null, expiresAt: null };
+        const chunkHash = chunkKeys[index];
+        this.run(
+          `INSERT INTO manifest_chunks (manifest_id, chunk_index, chunk_hash) VALUES (?, ?, ?)`,
+          [manifestId, index, chunkHash]
+        );
+        this.attachChunk(
+          chunkHash,
+          { data: chunkData[index], pointer: pointerEntry.pointer, expiresAt: pointerEntry.expiresAt },
+          createdAt
+        );
+
+        this.recordChunkPointerHistory(manifestId, index, pointerEntry.pointer, pointerEntry.expiresAt, {
+          force: Boolean(pointerEntry.pointer)
+        });
+
+        const peers = Array.isArray(chunkReplicas[index]) ? chunkReplicas[index] : [];
+        peers.forEach((peerId) => {
+          if (peerId) {
+            this.run(
+              `INSERT OR IGNORE INTO chunk_replicas (chunk_hash, peer_id, last_confirmed_at, expires_at)
+               VALUES (?, ?, ?, ?)`,
+              [chunkHash, peerId, createdAt, createdAt + this.replicaTtlMs]
+            );
+          }
+        });
+      }
 
-    this.persist();
-    return this.getManifest(manifestId);
+      this.recordChange(
+        'manifest.created',
+        { manifestId, owner, chunkCount: totalChunks },
+        createdAt
+      );
+      return this.getManifest(manifestId);
+    });
   }
 
   getManifest(manifestId) {
     const row = this.getOne(`SELECT * FROM manifests WHERE manifest_id = ?`, [manifestId]);
     if (!row) return null;
     const chunkRows = this.getAll(
-      `SELECT chunk_index, data, pointer, expires_at FROM manifest_chunks WHERE manifest_id = ? ORDER BY chunk_index ASC`,
+      `SELECT mc.chunk_index, c.data, c.pointer, c.expires_at
+       FROM manifest_chunks mc
+       LEFT JOIN chunks c ON c.chunk_hash = mc.chunk_hash
+       WHERE mc.manifest_id = ?
+       ORDER BY mc.chunk_index ASC`,
       [manifestId]
     );
     const replicaRows = this.getAll(
-      `SELECT chunk_index, peer_id FROM manifest_chunk_replicas WHERE manifest_id = ? ORDER BY chunk_index ASC`,
-      [manifestId]
+      `SELECT mc.chunk_index, cr.peer_id
+       FROM manifest_chunks mc
+       JOIN chunk_replicas cr ON cr.chunk_hash = mc.chunk_hash
+       WHERE mc.manifest_id = ? AND cr.expires_at > ?
+       ORDER BY mc.chunk_index ASC`,
+      [manifestId, Date.now()]
     );
 
     const chunkCount = row.chunk_count ?? chunkRows.length ?? 0;
@@ -256,20 +446,35 @@ export class RegistryStore {
       chunkCount,
       sha256: row.sha256 ?? undefined,
       chunkHashes: parseJSON(row.chunk_hashes, []),
+      merkleRoot: row.merkle_root ?? null,
       replicas: parseJSON(row.replicas, []),
       chunkData,
       chunkPointers,
       chunkPointerExpiresAt,
       chunkReplicas,
+      replicationFactor: row.replication_factor,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     };
 
+    if (row.owner) {
+      manifest.owner = row.owner;
+    }
+
+    manifest.suspension = this.getSuspension('manifest', manifestId);
+    manifest.status = manifest.suspension ? 'suspended' : 'active';
+
     const metadata = parseJSON(row.metadata, null);
     if (metadata !== null) {
       manifest.metadata = metadata;
     }
 
+    const bundle = this.getManifestBundle(manifestId);
+    if (bundle) {
+      manifest.entryPath = bundle.entryPath;
+      manifest.files = bundle.files;
+    }
+
     const additional = parseJSON(row.additional_data, {});
     Object.entries(additional).forEach(([key, value]) => {
       if (!(key in manifest)) {
@@ -280,93 +485,378 @@ export class RegistryStore {
     return manifest;
   }
 
-  listManifests() {
-    const rows = this.getAll(`SELECT manifest_id FROM manifests ORDER BY created_at DESC`);
-    return rows.map((row) => this.getManifest(row.manifest_id));
+  getManifestBundle(manifestId) {
+    const bundleRow = this.getOne(`SELECT * FROM manifest_bundles WHERE manifest_id = ?`, [manifestId]);
+    if (!bundleRow) return null;
+
+    const files = this.getAll(
+      `SELECT path, mime_type, size, sha256, chunk_start, chunk_count FROM manifest_files
+       WHERE manifest_id = ?
+       ORDER BY chunk_start ASC, path ASC`,
+      [manifestId]
+    ).map((file) => ({
+      path: file.path,
+      mimeType: file.mime_type ?? 'application/octet-stream',
+      size: file.size ?? 0,
+      sha256: file.sha256 ?? null,
+      chunkStart: file.chunk_start,
+      chunkCount: file.chunk_count
+    }));
+
+    return {
+      entryPath: bundleRow.entry_path ?? null,
+      fileCount: bundleRow.file_count,
+      totalSize: bundleRow.total_size ?? null,
+      files
+    };
+  }
+
+  /**
+   * One page of manifests, newest first by default. `view: 'summary'` (the default)
+   * leaves out chunk data, pointers and replicas; `view: 'full'` returns whole
+   * manifests with a smaller page cap. Returns `{ items, nextCursor, total }`.
+   */
+  listManifests({
+    owner = null,
+    mimeType = null,
+    createdAfter = null,
+    createdBefore = null,
+    sort = 'createdAt',
+    order = 'desc',
+    limit = DEFAULT_LIST_LIMIT,
+    cursor = null,
+    view = 'summary',
+    fields = null
+  } = {}) {
+    const clauses = [];
+    const params = [];
+    if (owner) {
+      clauses.push('m.owner = ?');
+      params.push(owner);
+    }
+    if (mimeType) {
+      pushMimeTypeClause(clauses, params, 'm.mime_type', mimeType);
+    }
+    pushTimeRangeClauses(clauses, params, 'm.created_at', createdAfter, createdBefore);
+
+    const page = this.listPage({
+      from: 'manifests m LEFT JOIN manifest_bundles b ON b.manifest_id = m.manifest_id',
+      select: 'm.*, b.entry_path, b.file_count, b.total_size',
+      keyColumn: 'm.manifest_id',
+      keyField: 'manifest_id',
+      sortColumns: MANIFEST_SORT_COLUMNS,
+      clauses,
+      params,
+      sort,
+      order,
+      limit: boundListLimit(limit, view === 'full' ? MAX_FULL_MANIFEST_LIST_LIMIT : MAX_LIST_LIMIT),
+      cursor,
+      view
+    });
+    const items = page.rows.map((row) =>
+      view === 'full' ? this.getManifest(row.manifest_id) : mapManifestSummaryRow(row)
+    );
+    return { items: projectFields(items, fields, 'manifestId'), nextCursor: page.nextCursor, total: page.total };
+  }
+
+  /**
+   * What an owner has registered against each quota. A `limit` of null means the
+   * quota is disabled. Rows count against the `quota_owner` they were charged to:
+   * the owner whose signature the route verified, or `key:<id>` for unsigned writes.
+   * Manifest bytes are the chunks a manifest lays out (manifestQuotaBytes), not the
+   * file size it declares.
+   */
+  getOwnerUsage(ownerId) {
+    const domains = this.getOne('SELECT COUNT(*) AS count FROM domains WHERE quota_owner = ?', [ownerId]).count;
+    const manifests = this.getOne(
+      `SELECT COUNT(*) AS count,
+         COALESCE(SUM(COALESCE(chunk_count, 0) * COALESCE(chunk_size, 0)), 0) AS manifest_bytes,
+         COALESCE(SUM(inline_bytes), 0) AS inline_bytes
+       FROM manifests
+       WHERE quota_owner = ?`,
+      [ownerId]
+    );
+    return {
+      ownerId,
+      manifestCount: manifests.count,
+      domains: { used: domains, limit: this.ownerQuotas.domains },
+      manifestBytes: { used: manifests.manifest_bytes, limit: this.ownerQuotas.manifestBytes },
+      inlineBytes: { used: manifests.inline_bytes, limit: this.ownerQuotas.inlineBytes }
+    };
+  }
+
+  assertWithinQuota(ownerId, quota, requested) {
+    const limit = this.ownerQuotas[quota];
+    if (limit === null || !requested) return;
+    const { used } = this.getOwnerUsage(ownerId)[quota];
+    if (used + requested > limit) {
+      const error = new Error('QUOTA_EXCEEDED');
+      error.quota = quota;
+      error.limit = limit;
+      error.used = used;
+      error.requested = requested;
+      throw error;
+    }
+  }
+
+  /**
+   * Sets the number of live replicas every chunk of the manifest should have.
+   * Manifests are immutable, but the target is not part of their content ID.
+   */
+  setManifestReplicationFactor(manifestId, replicationFactor) {
+    return this.transaction(() => {
+      const factor = normalizeReplicationFactor(replicationFactor);
+      const now = Date.now();
+      const { changes } = this.run(
+        'UPDATE manifests SET replication_factor = ?, updated_at = ? WHERE manifest_id = ?',
+        [factor, now, manifestId]
+      );
+      if (!changes) {
+        throw new Error('MANIFEST_NOT_FOUND');
+      }
+      return { manifestId, replicationFactor: factor, updatedAt: now };
+    });
+  }
+
+  /**
+   * One page of manifests with at least one chunk whose live replica count is below
+   * the manifest's replication factor, most at risk first by default. Each entry
+   * lists those chunks and whether the registry still holds inline data or an
+   * unexpired storage pointer for them; chunks with neither and no live replica
+   * are `unavailable`. Returns `{ items, nextCursor, total, checkedAt }`.
+   */
+  getReplicationHealth({
+    owner = null,
+    sort = 'minReplicas',
+    order = 'asc',
+    limit = DEFAULT_LIST_LIMIT,
+    cursor = null
+  } = {}) {
+    const now = Date.now();
+    const clauses = ['h.under_replicated > 0'];
+    const params = [now];
+    if (owner) {
+      clauses.push('h.owner = ?');
+      params.push(owner);
+    }
+
+    const page = this.listPage({
+      from: `(SELECT m.manifest_id, m.owner, m.created_at,
+                m.replication_factor,
+                COUNT(*) AS chunk_count,
+                MIN(live.replica_count) AS min_replicas,
+                SUM(live.replica_count < m.replication_factor) AS under_replicated
+              FROM manifests m
+              JOIN (
+                SELECT mc.manifest_id, (
+                  SELECT COUNT(*) FROM chunk_replicas cr WHERE cr.chunk_hash = mc.chunk_hash AND cr.expires_at > ?
+                ) AS replica_count
+                FROM manifest_chunks mc
+              ) live ON live.manifest_id = m.manifest_id
+              GROUP BY m.manifest_id) h`,
+      select: 'h.*',
+      keyColumn: 'h.manifest_id',
+      keyField: 'manifest_id',
+      sortColumns: REPLICATION_HEALTH_SORT_COLUMNS,
+      clauses,
+      params,
+      sort,
+      order,
+      limit: boundListLimit(limit, MAX_LIST_LIMIT),
+      cursor,
+      view: 'summary'
+    });
+
+    const items = page.rows.map((row) => ({
+      manifestId: row.manifest_id,
+      owner: row.owner ?? null,
+      replicationFactor: row.replication_factor,
+      chunkCount: row.chunk_count,
+      minReplicas: row.min_replicas,
+      underReplicatedChunks: row.under_replicated,
+      chunks: this.getUnderReplicatedChunks(row.manifest_id, row.replication_factor, now),
+      createdAt: row.created_at
+    }));
+    return { items, nextCursor: page.nextCursor, total: page.total, checkedAt: now };
+  }
+
+  getUnderReplicatedChunks(manifestId, replicationFactor, now = Date.now()) {
+    return this.getAll(
+      `SELECT mc.chunk_index, c.data IS NOT NULL AS has_data, c.pointer, c.expires_at, (
+         SELECT COUNT(*) FROM chunk_replicas cr WHERE cr.chunk_hash = mc.chunk_hash AND cr.expires_at > ?
+       ) AS replica_count
+       FROM manifest_chunks mc
+       LEFT JOIN chunks c ON c.chunk_hash = mc.chunk_hash
+       WHERE mc.manifest_id = ?
+       ORDER BY mc.chunk_index ASC`,
+      [now, manifestId]
+    )
+      .filter((row) => row.replica_count < replicationFactor)
+      .map((row) => {
+        const hasData = Boolean(row.has_data);
+        const hasPointer = Boolean(row.pointer) && (row.expires_at === null || row.expires_at > now);
+        return {
+          chunkIndex: row.chunk_index,
+          liveReplicas: row.replica_count,
+          missingReplicas: replicationFactor - row.replica_count,
+          hasData,
+          hasPointer,
+          status: row.replica_count === 0 && !hasData && !hasPointer ? 'unavailable' : 'degraded'
+        };
+      });
   }
 
   getManifestChunk(manifestId, index) {
     const chunk = this.getOne(
-      `SELECT data, pointer, expires_at FROM manifest_chunks WHERE manifest_id = ? AND chunk_index = ?`,
+      `SELECT c.chunk_hash, c.data, c.pointer, c.expires_at, c.ref_count
+       FROM manifest_chunks mc
+       JOIN chunks c ON c.chunk_hash = mc.chunk_hash
+       WHERE mc.manifest_id = ? AND mc.chunk_index = ?`,
       [manifestId, index]
     );
     if (!chunk) return null;
 
-    const replicas = this.getAll(
-      `SELECT peer_id FROM manifest_chunk_replicas WHERE manifest_id = ? AND chunk_index = ?`,
-      [manifestId, index]
-    ).map((row) => row.peer_id);
+    // Replicas whose lease lapsed are left out even before the sweeper removes them.
+    const replicaLeases = this.getAll(
+      `SELECT peer_id, last_confirmed_at, expires_at FROM chunk_replicas
+       WHERE chunk_hash = ? AND expires_at > ?
+       ORDER BY last_confirmed_at DESC`,
+      [chunk.chunk_hash, Date.now()]
+    ).map((row) => ({ peerId: row.peer_id, lastConfirmedAt: row.last_confirmed_at, expiresAt: row.expires_at }));
 
     return {
       data: chunk.data ?? null,
       pointer: chunk.pointer ?? null,
       pointerExpiresAt: chunk.expires_at ?? null,
-      replicas
+      replicas: replicaLeases.map((lease) => lease.peerId),
+      replicaLeases,
+      chunkHash: isContentHash(chunk.chunk_hash) ? chunk.chunk_hash : null,
+      refCount: chunk.ref_count
     };
   }
 
-  updateChunkPointer(manifestId, index, options = {}) {
-    const manifestRow = this.getOne('SELECT * FROM manifests WHERE manifest_id = ?', [manifestId]);
-   if (!manifestRow) {
-      throw new Error('MANIFEST_NOT_FOUND');
-    }
-
-    const existingChunk = this.getOne('SELECT pointer, expires_at FROM manifest_chunks WHERE manifest_id = ? AND chunk_index = ?', [manifestId, index]);
-    const removeData = options.removeData === true;
-    const pointerProvided = Object.prototype.hasOwnProperty.call(options, 'pointer');
+  /**
+   * The manifest's chunk hashes in chunk order and its stored Merkle root, the
+   * inputs for a chunk inclusion proof. Null when the manifest does not exist.
+   */
+  getMerkleLeaves(manifestId) {
+    const row = this.getOne('SELECT chunk_hashes, merkle_root FROM manifests WHERE manifest_id = ?', [manifestId]);
+    if (!row) return null;
+    return { chunkHashes: parseJSON(row.chunk_hashes, []), merkleRoot: row.merkle_root ?? null };
+  }
 
-    const pointerEntry = pointerProvided
-      ? normalizePointerEntry(options.pointer, options.expiresAt ?? options.pointerExpiresAt ?? null)
-      : existingChunk
-        ? { pointer: existingChunk.pointer ?? null, expiresAt: existingChunk.expires_at ?? null }
-        : { pointer: null, expiresAt: parseTimestamp(options.expiresAt ?? options.pointerExpiresAt ?? null) };
+  /**
+   * Fills in the Merkle root of manifests stored without one: manifests from before
+   * roots were kept, and replicated manifests whose origin did not send one. Hashing
+   * uses Web Crypto and is async, so this runs outside migrations.
+   */
+  async backfillMerkleRoots({ batchSize = 100 } = {}) {
+    let updated = 0;
+    let after = '';
+    for (;;) {
+      const rows = this.getAll(
+        `SELECT manifest_id, chunk_hashes FROM manifests
+         WHERE merkle_root IS NULL AND chunk_hashes NOT IN ('[]', '') AND manifest_id > ?
+         ORDER BY manifest_id ASC LIMIT ?`,
+        [after, batchSize]
+      );
+      if (!rows.length) break;
+      for (const row of rows) {
+        const merkleRoot = await computeMerkleRoot(parseJSON(row.chunk_hashes, []));
+        if (merkleRoot) {
+          this.run('UPDATE manifests SET merkle_root = ? WHERE manifest_id = ? AND merkle_root IS NULL', [
+            merkleRoot,
+            row.manifest_id
+          ]);
+          updated += 1;
+        }
+      }
+      after = rows[rows.length - 1].manifest_id;
+    }
+    return { updated };
+  }
 
-    const now = Date.now();
+  updateChunkPointer(manifestId, index, options = {}) {
+    return this.transaction(() => {
+      const manifestRow = this.getOne('SELECT * FROM manifests WHERE manifest_id = ?', [manifestId]);
+      if (!manifestRow) {
+        throw new Error('MANIFEST_NOT_FOUND');
+      }
 
-    if (!existingChunk) {
-      this.run(
-        'INSERT INTO manifest_chunks (manifest_id, chunk_index, data, pointer, expires_at) VALUES (?, ?, ?, ?, ?)',
-        [manifestId, index, null, pointerEntry.pointer, pointerEntry.expiresAt]
+      const mapping = this.getOne(
+        'SELECT chunk_hash FROM manifest_chunks WHERE manifest_id = ? AND chunk_index = ?',
+        [manifestId, index]
       );
-    } else {
+      const chunkHash = mapping?.chunk_hash
+        ?? resolveChunkKey(manifestId, index, parseJSON(manifestRow.chunk_hashes, [])[index]);
+      const existingChunk = mapping
+        ? this.getOne('SELECT pointer, expires_at FROM chunks WHERE chunk_hash = ?', [chunkHash])
+        : null;
+      const removeData = options.removeData === true;
+      const pointerProvided = Object.prototype.hasOwnProperty.call(options, 'pointer');
+
+      const pointerEntry = pointerProvided
+        ? normalizePointerEntry(options.pointer, options.expiresAt ?? options.pointerExpiresAt ?? null)
+        : existingChunk
+          ? { pointer: existingChunk.pointer ?? null, expiresAt: existingChunk.expires_at ?? null }
+          : { pointer: null, expiresAt: parseTimestamp(options.expiresAt ?? options.pointerExpiresAt ?? null) };
+
+      const now = Date.now();
+
+      if (!mapping) {
+        this.run(
+          'INSERT INTO manifest_chunks (manifest_id, chunk_index, chunk_hash) VALUES (?, ?, ?)',
+          [manifestId, index, chunkHash]
+        );
+        this.attachChunk(chunkHash, {}, now);
+      }
+      // The pointer belongs to the shared chunk, so every manifest containing it sees the update.
       this.run(
-        'UPDATE manifest_chunks SET pointer = ?, expires_at = ?, data = CASE WHEN ? THEN NULL ELSE data END WHERE manifest_id = ? AND chunk_index = ?',
-        [pointerEntry.pointer, pointerEntry.expiresAt, removeData ? 1 : 0, manifestId, index]
+        'UPDATE chunks SET pointer = ?, expires_at = ?, data = CASE WHEN ? THEN NULL ELSE data END, updated_at = ? WHERE chunk_hash = ?',
+        [pointerEntry.pointer, pointerEntry.expiresAt, removeData ? 1 : 0, now, chunkHash]
       );
-    }
 
-    const oldPointer = existingChunk ? existingChunk.pointer ?? null : null;
-    const oldExpires = existingChunk ? existingChunk.expires_at ?? null : null;
-    const pointerChanged = oldPointer !== pointerEntry.pointer;
-    const expiryChanged = oldExpires !== pointerEntry.expiresAt;
-
-    if (pointerChanged || expiryChanged) {
-      this.recordChunkPointerHistory(manifestId, index, pointerEntry.pointer, pointerEntry.expiresAt);
-    }
+      const oldPointer = existingChunk ? existingChunk.pointer ?? null : null;
+      const oldExpires = existingChunk ? existingChunk.expires_at ?? null : null;
+      const pointerChanged = oldPointer !== pointerEntry.pointer;
+      const expiryChanged = oldExpires !== pointerEntry.expiresAt;
+
+      if (pointerChanged || expiryChanged) {
+        this.recordChunkPointerHistory(manifestId, index, pointerEntry.pointer, pointerEntry.expiresAt);
+        this.recordChange(
+          'pointer.changed',
+          {
+            manifestId,
+            chunkIndex: index,
+            chunkHash: isContentHash(chunkHash) ? chunkHash : null,
+            pointer: pointerEntry.pointer,
+            expiresAt: pointerEntry.expiresAt
+          },
+          now
+        );
+      }
 
-    this.run('UPDATE manifests SET updated_at = ? WHERE manifest_id = ?', [now, manifestId]);
-    this.persist();
-    return this.getManifestChunk(manifestId, index);
+      this.run('UPDATE manifests SET updated_at = ? WHERE manifest_id = ?', [now, manifestId]);
+      return this.getManifestChunk(manifestId, index);
+    });
   }
 
   pruneExpiredPointers(now = Date.now()) {
-    const expired = this.getAll(
-      'SELECT manifest_id, chunk_index FROM manifest_chunks WHERE pointer IS NOT NULL AND expires_at IS NOT NULL AND expires_at <= ?',
-      [now]
-    );
-
-    expired.forEach((row) => {
-      this.run(
-        'UPDATE manifest_chunks SET pointer = NULL, expires_at = NULL WHERE manifest_id = ? AND chunk_index = ?',
-        [row.manifest_id, row.chunk_index]
+    return this.transaction(() => {
+      const expired = this.getAll(
+        'SELECT chunk_hash FROM chunks WHERE pointer IS NOT NULL AND expires_at IS NOT NULL AND expires_at <= ?',
+        [now]
       );
-    });
 
-    if (expired.length) {
-      this.persist();
-    }
+      expired.forEach((row) => {
+        this.run(
+          'UPDATE chunks SET pointer = NULL, expires_at = NULL, updated_at = ? WHERE chunk_hash = ?',
+          [now, row.chunk_hash]
+        );
+      });
 
-    return { cleared: expired.length, processedAt: now };
+      return { cleared: expired.length, processedAt: now };
+    });
   }
 
   getChunkPointerHistory(manifestId, index, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
@@ -405,198 +895,2092 @@ export class RegistryStore {
   }
 
   registerDomain(domainName, data) {
+    return this.transaction(() => {
+      const normalized = normalizeDomain(domainName);
+      const parentDomain = parentDomainOf(normalized);
+      const now = Date.now();
+
+      if (parentDomain && !this.getOne('SELECT domain FROM domains WHERE domain = ?', [parentDomain])) {
+        throw new Error('PARENT_DOMAIN_NOT_FOUND');
+      }
+
+      const tombstone = this.getDomainTombstone(normalized, now);
+      if (tombstone && tombstone.previousOwner !== data.owner) {
+        const error = new Error('DOMAIN_IN_COOLDOWN');
+        error.availableAt = tombstone.availableAt;
+        throw error;
+      }
+      // Charged to `data.quotaOwner`, which the caller must have authenticated.
+      if (data.quotaOwner && !this.getOne('SELECT domain FROM domains WHERE domain = ?', [normalized])) {
+        this.assertWithinQuota(data.quotaOwner, 'domains', 1);
+      }
+
+      try {
+        this.run(
+          `INSERT INTO domains (domain, owner, quota_owner, manifest_id, replicas, metadata, public_key, expires_at, parent_domain, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            normalized,
+            data.owner,
+            data.quotaOwner ?? null,
+            data.manifestId,
+            JSON.stringify(Array.isArray(data.replicas) ? data.replicas : []),
+            data.metadata !== undefined ? JSON.stringify(data.metadata) : null,
+            data.publicKey ?? null,
+            parentDomain ? null : now + this.domainLeaseMs,
+            parentDomain,
+            now,
+            now
+          ]
+        );
+      } catch (error) {
+        if (String(error).includes('PRIMARY KEY') || String(error).includes('UNIQUE')) {
+          throw new Error('DOMAIN_ALREADY_REGISTERED');
+        }
+        throw error;
+      }
+
+      if (Array.isArray(data.records)) {
+        this.writeDomainRecords(normalized, data.records, now);
+      }
+      this.recordDomainBinding(normalized, {
+        manifestId: data.manifestId,
+        previousManifestId: null,
+        actor: data.owner,
+        reason: 'register',
+        recordedAt: now
+      });
+      this.recordChange(
+        'domain.registered',
+        { domain: normalized, manifestId: data.manifestId ?? null, owner: data.owner },
+        now
+      );
+
+      this.run('DELETE FROM domain_tombstones WHERE domain = ?', [normalized]);
+      return this.getDomain(normalized);
+    });
+  }
+
+  releaseDomain(domainName, { now = Date.now() } = {}) {
+    return this.transaction(() => {
+      const normalized = normalizeDomain(domainName);
+      const existing = this.getOne(`SELECT * FROM domains WHERE domain = ?`, [normalized]);
+      if (!existing) {
+        throw new Error('DOMAIN_NOT_FOUND');
+      }
+
+      const [, ...subdomains] = this.deleteDomainTree(normalized, now);
+      [normalized, ...subdomains].forEach((name) => {
+        this.recordChange('domain.deleted', { domain: name }, now);
+      });
+
+      // Only the parent's owner or a delegate may claim a subdomain, so no cooldown is needed.
+      const availableAt = existing.parent_domain ? now : now + this.domainReleaseCooldownMs;
+      if (!existing.parent_domain) {
+        this.run(
+          `INSERT OR REPLACE INTO domain_tombstones (domain, previous_owner, released_at, available_at)
+           VALUES (?, ?, ?, ?)`,
+          [normalized, existing.owner, now, availableAt]
+        );
+      }
+
+      return {
+        domain: normalized,
+        previousOwner: existing.owner,
+        releasedAt: now,
+        availableAt,
+        releasedSubdomains: subdomains
+      };
+    });
+  }
+
+  /**
+   * Removes `domain` with its subdomains and delegations, since none of them can
+   * outlive the name they hang off. Returns the removed names, `domain` first.
+   * Callers wrap it in their transaction and record the changes.
+   */
+  deleteDomainTree(domain, now = Date.now()) {
+    const suffix = `.${domain}`;
+    const subdomains = this.getAll(
+      'SELECT domain FROM domains WHERE substr(domain, -?) = ? ORDER BY domain ASC',
+      [suffix.length, suffix]
+    ).map((row) => row.domain);
+
+    [domain, ...subdomains].forEach((name) => this.deleteDomainRows(name, now));
+    this.run('DELETE FROM domain_delegations WHERE domain = ? OR substr(domain, -?) = ?', [
+      domain,
+      suffix.length,
+      suffix
+    ]);
+    return [domain, ...subdomains];
+  }
+
+  // Removes one name and everything kept for it; callers wrap it in their transaction.
+  deleteDomainRows(name, now = Date.now()) {
+    this.run('DELETE FROM domains WHERE domain = ?', [name]);
+    this.run('DELETE FROM domain_records WHERE domain = ?', [name]);
+    // A future owner of the name must not be able to roll back to this owner's releases.
+    this.run('DELETE FROM domain_bindings_history WHERE domain = ?', [name]);
+    this.run(
+      `UPDATE domain_transfers SET status = 'cancelled', resolved_at = ? WHERE domain = ? AND status = 'pending'`,
+      [now, name]
+    );
+  }
+
+  getDomainTombstone(domainName, now = Date.now()) {
     const normalized = normalizeDomain(domainName);
-    const now = Date.now();
+    const row = this.getOne(
+      `SELECT * FROM domain_tombstones WHERE domain = ? AND available_at > ?`,
+      [normalized, now]
+    );
+    if (!row) return null;
+    return {
+      domain: row.domain,
+      previousOwner: row.previous_owner ?? null,
+      releasedAt: row.released_at,
+      availableAt: row.available_at
+    };
+  }
+
+  updateDomain(domainName, patch, { actor = null, reason = 'update' } = {}) {
+    return this.transaction(() => {
+      const normalized = normalizeDomain(domainName);
+      const existing = this.getOne(`SELECT * FROM domains WHERE domain = ?`, [normalized]);
+      if (!existing) {
+        throw new Error('DOMAIN_NOT_FOUND');
+      }
+      const now = Date.now();
+      const manifestId = patch.manifestId ?? patch.contentId ?? existing.manifest_id;
+
+      const replicasJson = JSON.stringify(
+        Array.isArray(patch.replicas) ? patch.replicas : parseJSON(existing.replicas, [])
+      );
+      const metadataJson =
+        patch.metadata !== undefined ? JSON.stringify(patch.metadata) : existing.metadata ?? null;
 
-    try {
       this.run(
-        `INSERT INTO domains (domain, owner, manifest_id, replicas, metadata, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        `UPDATE domains
+         SET owner = ?, manifest_id = ?, replicas = ?, metadata = ?, public_key = ?, updated_at = ?
+         WHERE domain = ?`,
         [
-          normalized,
-          data.owner,
-          data.manifestId,
-          JSON.stringify(Array.isArray(data.replicas) ? data.replicas : []),
-          data.metadata !== undefined ? JSON.stringify(data.metadata) : null,
+          patch.owner ?? existing.owner,
+          manifestId,
+          replicasJson,
+          metadataJson,
+          patch.publicKey !== undefined ? patch.publicKey : existing.public_key ?? null,
           now,
-          now
+          normalized
         ]
       );
-    } catch (error) {
-      if (String(error).includes('PRIMARY KEY')) {
-        throw new Error('DOMAIN_ALREADY_REGISTERED');
+
+      if (Array.isArray(patch.records)) {
+        this.writeDomainRecords(normalized, patch.records, now);
       }
-      throw error;
-    }
+      if (manifestId !== existing.manifest_id) {
+        this.recordDomainBinding(normalized, {
+          manifestId,
+          previousManifestId: existing.manifest_id,
+          actor: actor ?? existing.owner,
+          reason,
+          recordedAt: now
+        });
+      }
+      this.recordChange(
+        'domain.updated',
+        {
+          domain: normalized,
+          manifestId,
+          previousManifestId: existing.manifest_id ?? null,
+          owner: patch.owner ?? existing.owner,
+          reason
+        },
+        now
+      );
 
-    this.persist();
-    return this.getDomain(normalized);
+      return this.getDomain(normalized);
+    });
   }
 
-  updateDomain(domainName, patch) {
+  /**
+   * Rebinds a domain to a manifest it was bound to before. Only manifests from the
+   * domain's own binding history are accepted.
+   */
+  rollbackDomain(domainName, manifestId, { actor = null } = {}) {
     const normalized = normalizeDomain(domainName);
-    const existing = this.getOne(`SELECT * FROM domains WHERE domain = ?`, [normalized]);
+    const existing = this.getOne(`SELECT manifest_id FROM domains WHERE domain = ?`, [normalized]);
     if (!existing) {
       throw new Error('DOMAIN_NOT_FOUND');
     }
-
-    const replicasJson = JSON.stringify(
-      Array.isArray(patch.replicas) ? patch.replicas : parseJSON(existing.replicas, [])
+    const known = this.getOne(
+      `SELECT binding_id FROM domain_bindings_history
+       WHERE domain = ? AND (manifest_id = ? OR previous_manifest_id = ?) LIMIT 1`,
+      [normalized, manifestId, manifestId]
     );
-    const metadataJson =
-      patch.metadata !== undefined ? JSON.stringify(patch.metadata) : existing.metadata ?? null;
+    if (!known) {
+      throw new Error('ROLLBACK_TARGET_NOT_FOUND');
+    }
+    if (existing.manifest_id === manifestId) {
+      throw new Error('ROLLBACK_TARGET_ACTIVE');
+    }
+    return this.updateDomain(normalized, { manifestId }, { actor, reason: 'rollback' });
+  }
+
+  getDomainHistory(domainName, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const boundedLimit = Number.isInteger(limit) && limit > 0 ? Math.min(limit, DEFAULT_HISTORY_LIMIT) : DEFAULT_HISTORY_LIMIT;
+    return this.getAll(
+      `SELECT * FROM domain_bindings_history WHERE domain = ? ORDER BY binding_id DESC LIMIT ?`,
+      [normalizeDomain(domainName), boundedLimit]
+    ).map(mapDomainBindingRow);
+  }
 
+  recordDomainBinding(domain, { manifestId, previousManifestId, actor, reason, recordedAt }) {
     this.run(
-      `UPDATE domains
-       SET owner = ?, manifest_id = ?, replicas = ?, metadata = ?, updated_at = ?
-       WHERE domain = ?`,
-      [
-        patch.owner ?? existing.owner,
-        patch.manifestId ?? patch.contentId ?? existing.manifest_id,
-        replicasJson,
-        metadataJson,
-        Date.now(),
-        normalized
-      ]
+      `INSERT INTO domain_bindings_history (domain, manifest_id, previous_manifest_id, actor, reason, recorded_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [domain, manifestId, previousManifestId ?? null, actor ?? null, reason, recordedAt]
     );
+  }
+
+  getDomainRecords(domainName, { type = null } = {}) {
+    const params = [normalizeDomain(domainName)];
+    let sql = 'SELECT * FROM domain_records WHERE domain = ?';
+    if (type) {
+      sql += ' AND type = ?';
+      params.push(String(type).toUpperCase());
+    }
+    sql += ' ORDER BY position ASC';
+    return this.getAll(sql, params).map(mapDomainRecordRow);
+  }
 
-    this.persist();
-    return this.getDomain(normalized);
+  // Replaces the full record set of a domain; callers wrap it in their transaction.
+  writeDomainRecords(domain, records, now = Date.now()) {
+    this.run('DELETE FROM domain_records WHERE domain = ?', [domain]);
+    records.forEach((record, position) => {
+      this.run(
+        `INSERT INTO domain_records (domain, position, type, value, ttl, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [domain, position, record.type, record.value, record.ttl ?? null, now]
+      );
+    });
   }
 
   getDomain(domainName) {
     const normalized = normalizeDomain(domainName);
     const row = this.getOne(`SELECT * FROM domains WHERE domain = ?`, [normalized]);
     if (!row) return null;
+    return this.mapDomain(row);
+  }
 
-    const record = {
-      domain: row.domain,
-      owner: row.owner,
-      manifestId: row.manifest_id,
-      replicas: parseJSON(row.replicas, []),
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    };
+  /**
+   * One page of domains, alphabetical by default. `mimeType` matches the MIME type
+   * of the bound manifest. Returns `{ items, nextCursor, total }`.
+   */
+  listDomains({
+    owner = null,
+    mimeType = null,
+    createdAfter = null,
+    createdBefore = null,
+    sort = 'domain',
+    order = 'asc',
+    limit = DEFAULT_LIST_LIMIT,
+    cursor = null,
+    view = 'summary',
+    fields = null
+  } = {}) {
+    const clauses = [];
+    const params = [];
+    if (owner) {
+      clauses.push('d.owner = ?');
+      params.push(owner);
+    }
+    if (mimeType) {
+      pushMimeTypeClause(clauses, params, 'm.mime_type', mimeType);
+    }
+    pushTimeRangeClauses(clauses, params, 'd.created_at', createdAfter, createdBefore);
+
+    const page = this.listPage({
+      from: 'domains d LEFT JOIN manifests m ON m.manifest_id = d.manifest_id',
+      select: 'd.*',
+      keyColumn: 'd.domain',
+      keyField: 'domain',
+      sortColumns: DOMAIN_SORT_COLUMNS,
+      clauses,
+      params,
+      sort,
+      order,
+      limit: boundListLimit(limit, MAX_LIST_LIMIT),
+      cursor,
+      view
+    });
+    const now = Date.now();
+    const items = page.rows.map((row) => {
+      const record = this.mapDomain(row, now);
+      return view === 'full' ? record : toDomainSummary(record);
+    });
+    return { items: projectFields(items, fields, 'domain'), nextCursor: page.nextCursor, total: page.total };
+  }
 
-    const metadata = parseJSON(row.metadata, null);
-    if (metadata !== null) {
-      record.metadata = metadata;
+  /**
+   * Finds domains whose name equals, starts with (at any label) or contains `query`,
+   * or whose `metadata.tags` include it. Results are ranked in that order, then
+   * alphabetically, and returned as domain summaries with a `match` field.
+   */
+  searchDomains(query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const term = String(query ?? '').trim().toLowerCase().replace(/\.$/, '');
+    if (!term) {
+      throw new Error('SEARCH_QUERY_REQUIRED');
     }
+    const boundedLimit = boundListLimit(limit, MAX_SEARCH_LIMIT);
+    const asDomain = normalizeDomain(term.endsWith(`.${DWEB_TLD}`) ? term : `${term}.${DWEB_TLD}`);
+    const escaped = term.replace(/[\\%_]/g, (char) => `\\${char}`);
+    const tagMatch = `EXISTS (
+      SELECT 1 FROM json_each(CASE WHEN json_valid(d.metadata) THEN d.metadata ELSE '{}' END, '$.tags') tag
+      WHERE LOWER(tag.value) = ?
+    )`;
+    const rankExpr = `CASE
+      WHEN d.domain = ? THEN 0
+      WHEN d.domain LIKE ? ESCAPE '\\' OR d.domain LIKE ? ESCAPE '\\' THEN 1
+      WHEN d.domain LIKE ? ESCAPE '\\' THEN 2
+      ELSE 3
+    END`;
+    const rankParams = [asDomain, `${escaped}%`, `%.${escaped}%`, `%${escaped}%`];
+    const rows = this.getAll(
+      `SELECT d.*, ${rankExpr} AS match_rank FROM domains d
+       WHERE d.domain = ? OR d.domain LIKE ? ESCAPE '\\' OR ${tagMatch}
+       ORDER BY match_rank ASC, d.domain ASC
+       LIMIT ?`,
+      [...rankParams, asDomain, `%${escaped}%`, term, boundedLimit + 1]
+    );
 
-    return record;
+    const now = Date.now();
+    const matches = ['exact', 'prefix', 'substring', 'tag'];
+    return {
+      query: term,
+      results: rows.slice(0, boundedLimit).map((row) => ({
+        ...toDomainSummary(this.mapDomain(row, now)),
+        match: matches[row.match_rank]
+      })),
+      truncated: rows.length > boundedLimit
+    };
   }
 
-  listDomains() {
-    return this.getAll(`SELECT * FROM domains ORDER BY domain ASC`).map((row) => {
-      const record = {
-        domain: row.domain,
-        owner: row.owner,
-        manifestId: row.manifest_id,
-        replicas: parseJSON(row.replicas, []),
-        createdAt: row.created_at,
-        updatedAt: row.updated_at
-      };
-      const metadata = parseJSON(row.metadata, null);
-      if (metadata !== null) {
-        record.metadata = metadata;
+  /**
+   * Whether `domainName` could be registered right now. Never throws for bad input:
+   * invalid names come back unavailable with the validation code as `reason`.
+   * Taken root names include up to five free alternatives in `suggestions`.
+   */
+  getDomainAvailability(domainName, { now = Date.now() } = {}) {
+    const check = validateDomainName(domainName);
+    if (!check.ok) {
+      const result = { domain: String(domainName ?? ''), available: false, reason: check.code, message: check.message };
+      if (check.code === 'DOMAIN_RESERVED') {
+        result.suggestions = this.suggestDomainNames(String(domainName).trim().toLowerCase(), now);
       }
-      return record;
-    });
-  }
-
-  updateManifestReplicas(manifestId, payload) {
-    const manifestRow = this.getOne(`SELECT * FROM manifests WHERE manifest_id = ?`, [manifestId]);
-    if (!manifestRow) {
-      throw new Error('MANIFEST_NOT_FOUND');
+      return result;
     }
 
-    const peerId = typeof payload.peerId === 'string' ? payload.peerId.trim() : '';
-    if (!peerId) {
-      throw new Error('INVALID_PEER_ID');
-    }
+    const domain = check.domain;
+    const parentDomain = parentDomainOf(domain);
+    const result = { domain, unicode: check.unicode, available: true, reason: null, parentDomain };
 
-    const chunkCount = manifestRow.chunk_count ?? 0;
-    const indexes = Array.isArray(payload.chunkIndexes) && payload.chunkIndexes.length
-      ? payload.chunkIndexes
-      : Array.from({ length: chunkCount }, (_, index) => index);
+    if (parentDomain && !this.getOne('SELECT domain FROM domains WHERE domain = ?', [parentDomain])) {
+      return { ...result, available: false, reason: 'PARENT_DOMAIN_NOT_FOUND' };
+    }
+    if (this.getOne('SELECT domain FROM domains WHERE domain = ?', [domain])) {
+      return {
+        ...result,
+        available: false,
+        reason: 'DOMAIN_ALREADY_REGISTERED',
+        suggestions: parentDomain ? [] : this.suggestDomainNames(domain, now)
+      };
+    }
+    const tombstone = this.getDomainTombstone(domain, now);
+    if (tombstone) {
+      return {
+        ...result,
+        available: false,
+        reason: 'DOMAIN_IN_COOLDOWN',
+        availableAt: tombstone.availableAt,
+        suggestions: parentDomain ? [] : this.suggestDomainNames(domain, now)
+      };
+    }
+    return result;
+  }
 
-    const validIndexes = uniqNumbers(
-      indexes
-        .map((value) => Number(value))
-        .filter((idx) => Number.isInteger(idx) && idx >= 0 && idx < chunkCount)
+  suggestDomainNames(domain, now = Date.now()) {
+    const label = domain.split('.')[0];
+    const candidates = uniqStrings(
+      SUGGESTION_PATTERNS.map((pattern) => validateDomainName(`${pattern(label)}.${DWEB_TLD}`))
+        .filter((check) => check.ok)
+        .map((check) => check.domain)
     );
+    if (!candidates.length) return [];
+
+    const placeholders = candidates.map(() => '?').join(', ');
+    const taken = new Set([
+      ...this.getAll(`SELECT domain FROM domains WHERE domain IN (${placeholders})`, candidates),
+      ...this.getAll(
+        `SELECT domain FROM domain_tombstones WHERE domain IN (${placeholders}) AND available_at > ?`,
+        [...candidates, now]
+      )
+    ].map((row) => row.domain));
+    return candidates.filter((candidate) => !taken.has(candidate)).slice(0, MAX_DOMAIN_SUGGESTIONS);
+  }
 
-    validIndexes.forEach((idx) => {
-      this.run(
-        `INSERT OR IGNORE INTO manifest_chunk_replicas (manifest_id, chunk_index, peer_id) VALUES (?, ?, ?)`,
-        [manifestId, idx, peerId]
-      );
-    });
+  /**
+   * Keyset pagination shared by the list methods. The cursor is an opaque token
+   * holding the sort key and row key of the last item, so pages stay stable while
+   * rows are inserted. Throws INVALID_LIST_SORT, INVALID_LIST_VIEW or INVALID_CURSOR.
+   */
+  listPage({ from, select, keyColumn, keyField, sortColumns, clauses, params, sort, order, limit, cursor, view }) {
+    const sortExpr = sortColumns[sort];
+    const direction = String(order).toLowerCase();
+    if (!sortExpr || (direction !== 'asc' && direction !== 'desc')) {
+      throw new Error('INVALID_LIST_SORT');
+    }
+    if (!LIST_VIEWS.includes(view)) {
+      throw new Error('INVALID_LIST_VIEW');
+    }
 
-    const existingReplicas = new Set(parseJSON(manifestRow.replicas, []));
-    existingReplicas.add(peerId);
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const total = this.getOne(`SELECT COUNT(*) AS total FROM ${from} ${where}`, params).total;
 
-    this.run(
-      `UPDATE manifests SET replicas = ?, updated_at = ? WHERE manifest_id = ?`,
-      [JSON.stringify([...existingReplicas]), Date.now(), manifestId]
+    const pageClauses = [...clauses];
+    const pageParams = [...params];
+    if (cursor) {
+      const position = decodeListCursor(cursor, sort, direction);
+      const op = direction === 'asc' ? '>' : '<';
+      pageClauses.push(`(${sortExpr} ${op} ? OR (${sortExpr} = ? AND ${keyColumn} ${op} ?))`);
+      pageParams.push(position.value, position.value, position.key);
+    }
+    const pageWhere = pageClauses.length ? `WHERE ${pageClauses.join(' AND ')}` : '';
+    const rows = this.getAll(
+      `SELECT ${select}, ${sortExpr} AS sort_value FROM ${from} ${pageWhere}
+       ORDER BY ${sortExpr} ${direction.toUpperCase()}, ${keyColumn} ${direction.toUpperCase()}
+       LIMIT ?`,
+      [...pageParams, limit + 1]
     );
 
-    this.persist();
-    return this.getManifest(manifestId);
-  }
-
-  run(sql, params = []) {
-    this.db.run(sql, params);
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+    return {
+      rows: pageRows,
+      total,
+      nextCursor: hasMore ? encodeListCursor(sort, direction, last.sort_value, last[keyField]) : null
+    };
   }
 
-  getAll(sql, params = []) {
-    const stmt = this.db.prepare(sql);
-    stmt.bind(params);
-    const rows = [];
-    while (stmt.step()) {
-      rows.push(stmt.getAsObject());
+  /**
+   * Resolves a name to the closest registered domain, walking up through its parents
+   * (`docs.blog.alice.dweb` -> `blog.alice.dweb` -> `alice.dweb`).
+   */
+  resolveDomain(domainName) {
+    const requested = normalizeDomain(domainName);
+    for (let candidate = requested; candidate; candidate = parentDomainOf(candidate)) {
+      const record = this.getDomain(candidate);
+      if (record) {
+        return {
+          ...record,
+          records: this.getDomainRecords(candidate),
+          requestedDomain: requested,
+          matchedDomain: candidate
+        };
+      }
     }
-    stmt.free();
-    return rows;
+    return null;
   }
 
-  getOne(sql, params = []) {
-    const stmt = this.db.prepare(sql);
-    stmt.bind(params);
-    const row = stmt.step() ? stmt.getAsObject() : null;
-    stmt.free();
-    return row;
+  mapDomain(row, now = Date.now()) {
+    const record = mapDomainRow(row);
+    let expiresAt = row.expires_at ?? null;
+    if (row.parent_domain) {
+      record.leaseDomain = rootDomainOf(row.domain);
+      const root = this.getOne('SELECT expires_at FROM domains WHERE domain = ?', [record.leaseDomain]);
+      expiresAt = root?.expires_at ?? null;
+    }
+    record.expiresAt = expiresAt;
+    record.graceEndsAt = expiresAt !== null ? expiresAt + this.domainGracePeriodMs : null;
+    record.leaseStatus = resolveLeaseStatus(expiresAt, record.graceEndsAt, now);
+    // Suspending a registrable name takes its subdomains down with it.
+    record.suspension =
+      this.getSuspension('domain', row.domain) ??
+      (row.parent_domain ? this.getSuspension('domain', rootDomainOf(row.domain)) : null);
+    record.status = record.suspension ? 'suspended' : 'active';
+    return record;
   }
 
-  persist() {
-    const data = this.db.export();
-    fs.writeFileSync(this.dbPath, Buffer.from(data));
+  renewDomain(domainName, { now = Date.now() } = {}) {
+    return this.transaction(() => {
+      const normalized = normalizeDomain(domainName);
+      const existing = this.getOne(`SELECT * FROM domains WHERE domain = ?`, [normalized]);
+      if (!existing) {
+        throw new Error('DOMAIN_NOT_FOUND');
+      }
+      if (existing.parent_domain) {
+        throw new Error('SUBDOMAIN_LEASE_INHERITED');
+      }
+
+      const expiresAt = existing.expires_at ?? now;
+      if (now >= expiresAt + this.domainGracePeriodMs) {
+        throw new Error('DOMAIN_EXPIRED');
+      }
+
+      // Renewing early extends the current term; renewing in grace restarts from now.
+      const nextExpiresAt = Math.max(expiresAt, now) + this.domainLeaseMs;
+      this.run(`UPDATE domains SET expires_at = ?, updated_at = ? WHERE domain = ?`, [
+        nextExpiresAt,
+        now,
+        normalized
+      ]);
+      this.recordChange(
+        'domain.updated',
+        { domain: normalized, manifestId: existing.manifest_id ?? null, reason: 'renew', expiresAt: nextExpiresAt },
+        now
+      );
+
+      return this.getDomain(normalized);
+    });
+  }
+
+  releaseExpiredDomains(now = Date.now()) {
+    const lapsed = this.getAll(
+      'SELECT domain FROM domains WHERE expires_at IS NOT NULL AND expires_at <= ?',
+      [now - this.domainGracePeriodMs]
+    );
+
+    const released = lapsed.map((row) => this.releaseDomain(row.domain, { now }));
+    return { released, processedAt: now };
+  }
+
+  createDomainDelegation(domainName, { delegateOwner, createdBy = null, now = Date.now() } = {}) {
+    return this.transaction(() => {
+      const normalized = normalizeDomain(domainName);
+      const parentDomain = parentDomainOf(normalized);
+      if (!parentDomain) {
+        throw new Error('INVALID_SUBDOMAIN');
+      }
+      if (!this.getOne('SELECT domain FROM domains WHERE domain = ?', [parentDomain])) {
+        throw new Error('PARENT_DOMAIN_NOT_FOUND');
+      }
+      if (this.getOne('SELECT domain FROM domains WHERE domain = ?', [normalized])) {
+        throw new Error('SUBDOMAIN_ALREADY_REGISTERED');
+      }
+
+      this.run(
+        `INSERT OR REPLACE INTO domain_delegations (domain, parent_domain, delegate_owner, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [normalized, parentDomain, delegateOwner, createdBy, now]
+      );
+
+      return this.getDomainDelegation(normalized);
+    });
+  }
+
+  getDomainDelegation(domainName) {
+    const row = this.getOne('SELECT * FROM domain_delegations WHERE domain = ?', [
+      normalizeDomain(domainName)
+    ]);
+    return row ? mapDomainDelegationRow(row) : null;
+  }
+
+  listDomainDelegations(parentDomain) {
+    return this.getAll(
+      'SELECT * FROM domain_delegations WHERE parent_domain = ? ORDER BY domain ASC',
+      [normalizeDomain(parentDomain)]
+    ).map(mapDomainDelegationRow);
+  }
+
+  /**
+   * Withdraws a delegation. A subdomain the delegate already registered is released
+   * together with everything below it.
+   */
+  revokeDomainDelegation(domainName, { now = Date.now() } = {}) {
+    return this.transaction(() => {
+      const delegation = this.getDomainDelegation(domainName);
+      if (!delegation) {
+        throw new Error('DELEGATION_NOT_FOUND');
+      }
+
+      const registered = this.getOne('SELECT owner FROM domains WHERE domain = ?', [delegation.domain]);
+      const released =
+        registered && registered.owner === delegation.delegateOwner
+          ? this.releaseDomain(delegation.domain, { now })
+          : null;
+      this.run('DELETE FROM domain_delegations WHERE domain = ?', [delegation.domain]);
+
+      return { delegation, released };
+    });
+  }
+
+  /**
+   * Offers `domainName` to `toOwner`. `authorization` is the owner's signed offer
+   * (signedRequestOf); it is kept so the acceptance can be logged for peers with it.
+   */
+  createDomainTransfer(domainName, { toOwner, authorization = null, now = Date.now() } = {}) {
+    return this.transaction(() => {
+      const normalized = normalizeDomain(domainName);
+      const existing = this.getOne(`SELECT * FROM domains WHERE domain = ?`, [normalized]);
+      if (!existing) {
+        throw new Error('DOMAIN_NOT_FOUND');
+      }
+      if (existing.owner === toOwner) {
+        throw new Error('TRANSFER_TO_SELF');
+      }
+
+      this.expireDomainTransfers(now);
+      const pending = this.getOne(
+        `SELECT transfer_id FROM domain_transfers WHERE domain = ? AND status = 'pending'`,
+        [normalized]
+      );
+      if (pending) {
+        throw new Error('TRANSFER_ALREADY_PENDING');
+      }
+
+      const transferId = `dt-${now}-${nanoid(8)}`;
+      this.run(
+        `INSERT INTO domain_transfers (transfer_id, domain, from_owner, to_owner, status, created_at, expires_at, resolved_at, offer_authorization)
+         VALUES (?, ?, ?, ?, 'pending', ?, ?, NULL, ?)`,
+        [
+          transferId,
+          normalized,
+          existing.owner,
+          toOwner,
+          now,
+          now + this.transferOfferTtlMs,
+          authorization ? JSON.stringify(authorization) : null
+        ]
+      );
+
+      return this.getDomainTransfer(transferId);
+    });
+  }
+
+  getDomainTransfer(transferId) {
+    this.expireDomainTransfers();
+    const row = this.getOne(`SELECT * FROM domain_transfers WHERE transfer_id = ?`, [transferId]);
+    return row ? mapDomainTransferRow(row) : null;
   }
-}
 
-function locateSqlWasm(file) {
-  const candidates = [
-    path.resolve(process.cwd(), 'node_modules/sql.js/dist', file),
-    path.resolve(process.cwd(), '../node_modules/sql.js/dist', file),
-    path.resolve(process.cwd(), '../../node_modules/sql.js/dist', file),
-    path.resolve(process.cwd(), '../../../node_modules/sql.js/dist', file)
-  ];
+  listDomainTransfers({ domain = null, owner = null, status = null } = {}) {
+    this.expireDomainTransfers();
+    const clauses = [];
+    const params = [];
+    if (domain) {
+      clauses.push('domain = ?');
+      params.push(normalizeDomain(domain));
+    }
+    if (owner) {
+      clauses.push('(from_owner = ? OR to_owner = ?)');
+      params.push(owner, owner);
+    }
+    if (status) {
+      clauses.push('status = ?');
+      params.push(status);
+    }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.getAll(
+      `SELECT * FROM domain_transfers ${where} ORDER BY created_at DESC`,
+      params
+    ).map(mapDomainTransferRow);
+  }
+
+  acceptDomainTransfer(transferId, { publicKey, now = Date.now() } = {}) {
+    return this.transaction(() => {
+      const transfer = this.requirePendingTransfer(transferId, now);
+      const domainRow = this.getOne(`SELECT * FROM domains WHERE domain = ?`, [transfer.domain]);
+      if (!domainRow || domainRow.owner !== transfer.fromOwner) {
+        // The offer no longer reflects the current owner; it cannot be honoured.
+        this.resolveDomainTransfer(transferId, 'cancelled', now);
+        throw new Error('TRANSFER_STALE');
+      }
+
+      // The recipient signed the acceptance, so the name now counts against their quota.
+      this.run(
+        `UPDATE domains SET owner = ?, quota_owner = ?, public_key = ?, updated_at = ? WHERE domain = ?`,
+        [transfer.toOwner, transfer.toOwner, publicKey ?? null, now, transfer.domain]
+      );
+      this.resolveDomainTransfer(transferId, 'accepted', now);
+      // Peers check an acceptance against the offer it accepts, so it is only logged with one.
+      const offer = parseJSON(
+        this.getOne('SELECT offer_authorization FROM domain_transfers WHERE transfer_id = ?', [transferId])
+          ?.offer_authorization,
+        null
+      );
+      const authorization = this.federationAuthorization && offer ? { ...this.federationAuthorization, offer } : null;
+      this.withAuthorization(authorization, () =>
+        this.recordChange(
+          'domain.updated',
+          { domain: transfer.domain, manifestId: domainRow.manifest_id ?? null, owner: transfer.toOwner, reason: 'transfer' },
+          now
+        )
+      );
+
+      return {
+        transfer: this.getDomainTransfer(transferId),
+        domain: this.getDomain(transfer.domain)
+      };
+    });
+  }
 
-  for (const candidate of candidates) {
-    if (fs.existsSync(candidate)) {
-      return candidate;
+  cancelDomainTransfer(transferId, { now = Date.now() } = {}) {
+    return this.transaction(() => {
+      this.requirePendingTransfer(transferId, now);
+      this.resolveDomainTransfer(transferId, 'cancelled', now);
+      return this.getDomainTransfer(transferId);
+    });
+  }
+
+  requirePendingTransfer(transferId, now = Date.now()) {
+    const transfer = this.getDomainTransfer(transferId);
+    if (!transfer) {
+      throw new Error('TRANSFER_NOT_FOUND');
+    }
+    if (transfer.status !== 'pending' || transfer.expiresAt <= now) {
+      throw new Error('TRANSFER_NOT_PENDING');
     }
+    return transfer;
   }
 
-  return path.resolve('node_modules/sql.js/dist', file);
-}
+  resolveDomainTransfer(transferId, status, now = Date.now()) {
+    this.run(
+      `UPDATE domain_transfers SET status = ?, resolved_at = ? WHERE transfer_id = ?`,
+      [status, now, transferId]
+    );
+  }
+
+  expireDomainTransfers(now = Date.now()) {
+    this.run(
+      `UPDATE domain_transfers SET status = 'expired', resolved_at = expires_at
+       WHERE status = 'pending' AND expires_at <= ?`,
+      [now]
+    );
+  }
+
+  consumeOperationNonce(nonce, { operation = null, domain = null, issuedAt = null, retainUntil } = {}) {
+    return this.transaction(() => {
+      const now = Date.now();
+      // Nonces only need to outlive the signature freshness window.
+      this.run('DELETE FROM operation_nonces WHERE retain_until < ?', [now]);
+
+      try {
+        this.run(
+          `INSERT INTO operation_nonces (nonce, operation, domain, issued_at, retain_until, recorded_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [nonce, operation, domain, issuedAt, Number.isFinite(retainUntil) ? retainUntil : now, now]
+        );
+      } catch (error) {
+        if (String(error).includes('PRIMARY KEY') || String(error).includes('UNIQUE')) {
+          throw new Error('NONCE_REPLAYED');
+        }
+        throw error;
+      }
+    });
+  }
+
+  updateManifestReplicas(manifestId, payload) {
+    return this.transaction(() => {
+      const manifestRow = this.getOne(`SELECT * FROM manifests WHERE manifest_id = ?`, [manifestId]);
+      if (!manifestRow) {
+        throw new Error('MANIFEST_NOT_FOUND');
+      }
+
+      const peerId = typeof payload.peerId === 'string' ? payload.peerId.trim() : '';
+      if (!peerId) {
+        throw new Error('INVALID_PEER_ID');
+      }
 
-function ensureDirectory(dir) {
-  fs.mkdirSync(dir, { recursive: true });
+      const chunkCount = manifestRow.chunk_count ?? 0;
+      const indexes = Array.isArray(payload.chunkIndexes) && payload.chunkIndexes.length
+        ? payload.chunkIndexes
+        : Array.from({ length: chunkCount }, (_, index) => index);
+
+      const validIndexes = uniqNumbers(
+        indexes
+          .map((value) => Number(value))
+          .filter((idx) => Number.isInteger(idx) && idx >= 0 && idx < chunkCount)
+      );
+
+      const now = Date.now();
+      const expiresAt = now + this.replicaTtlMs;
+      // Announcing a chunk again renews its lease; only new rows count as added.
+      const addedIndexes = validIndexes.filter((idx) => {
+        const inserted = this.run(
+          `INSERT OR IGNORE INTO chunk_replicas (chunk_hash, peer_id, last_confirmed_at, expires_at)
+           SELECT chunk_hash, ?, ?, ? FROM manifest_chunks WHERE manifest_id = ? AND chunk_index = ? AND chunk_hash IS NOT NULL`,
+          [peerId, now, expiresAt, manifestId, idx]
+        ).changes > 0;
+        if (!inserted) {
+          this.run(
+            `UPDATE chunk_replicas SET last_confirmed_at = ?, expires_at = ?
+             WHERE peer_id = ? AND chunk_hash = (
+               SELECT chunk_hash FROM manifest_chunks WHERE manifest_id = ? AND chunk_index = ?
+             )`,
+            [now, expiresAt, peerId, manifestId, idx]
+          );
+        }
+        return inserted;
+      });
+
+      const existingReplicas = new Set(parseJSON(manifestRow.replicas, []));
+      const newPeer = !existingReplicas.has(peerId);
+      existingReplicas.add(peerId);
+
+      this.run(
+        `UPDATE manifests SET replicas = ?, updated_at = ? WHERE manifest_id = ?`,
+        [JSON.stringify([...existingReplicas]), now, manifestId]
+      );
+      // Repeated announcements of chunks the peer already holds are not news.
+      if (newPeer || addedIndexes.length) {
+        this.recordChange(
+          'replica.added',
+          { manifestId, peerId, chunkIndexes: addedIndexes, replicaCount: existingReplicas.size },
+          now
+        );
+      }
+
+      return this.getManifest(manifestId);
+    });
+  }
+
+  /**
+   * Renews every replica lease `peerId` holds, or only those for `manifestIds`.
+   * Manifests the peer holds no lease for are reported in `missingManifestIds`; the
+   * peer has to announce them again through updateManifestReplicas.
+   */
+  heartbeatReplicas(peerId, { manifestIds = null, now = Date.now() } = {}) {
+    return this.transaction(() => {
+      const expiresAt = now + this.replicaTtlMs;
+      let renewed = 0;
+      const missingManifestIds = [];
+      if (Array.isArray(manifestIds)) {
+        uniqStrings(manifestIds).forEach((manifestId) => {
+          const { changes } = this.run(
+            `UPDATE chunk_replicas SET last_confirmed_at = ?, expires_at = ?
+             WHERE peer_id = ? AND chunk_hash IN (SELECT chunk_hash FROM manifest_chunks WHERE manifest_id = ?)`,
+            [now, expiresAt, peerId, manifestId]
+          );
+          renewed += changes;
+          if (!changes) {
+            missingManifestIds.push(manifestId);
+          }
+        });
+      } else {
+        renewed = this.run(
+          'UPDATE chunk_replicas SET last_confirmed_at = ?, expires_at = ? WHERE peer_id = ?',
+          [now, expiresAt, peerId]
+        ).changes;
+      }
+      return { peerId, renewed, missingManifestIds, lastConfirmedAt: now, expiresAt, ttlMs: this.replicaTtlMs };
+    });
+  }
+
+  /**
+   * Drops `peerId` as a replica of every chunk in the manifest and from the
+   * manifest's replica list. Chunks shared with other manifests lose the replica
+   * there as well, since the peer no longer holds them.
+   */
+  removeManifestReplica(manifestId, peerId, { now = Date.now() } = {}) {
+    return this.transaction(() => {
+      if (!this.getOne('SELECT manifest_id FROM manifests WHERE manifest_id = ?', [manifestId])) {
+        throw new Error('MANIFEST_NOT_FOUND');
+      }
+      const { changes } = this.run(
+        `DELETE FROM chunk_replicas
+         WHERE peer_id = ? AND chunk_hash IN (SELECT chunk_hash FROM manifest_chunks WHERE manifest_id = ?)`,
+        [peerId, manifestId]
+      );
+      const listed = parseJSON(
+        this.getOne('SELECT replicas FROM manifests WHERE manifest_id = ?', [manifestId]).replicas,
+        []
+      );
+      if (!changes && !listed.includes(peerId)) {
+        throw new Error('REPLICA_NOT_FOUND');
+      }
+
+      const replicas = listed.filter((entry) => entry !== peerId);
+      this.run('UPDATE manifests SET replicas = ?, updated_at = ? WHERE manifest_id = ?', [
+        JSON.stringify(replicas),
+        now,
+        manifestId
+      ]);
+      this.recordChange('replica.removed', { manifestId, peerId, reason: 'removed', replicaCount: replicas.length }, now);
+      return { manifestId, peerId, removedChunks: changes, replicas };
+    });
+  }
+
+  /**
+   * Deletes replica leases that were not renewed in time and drops peers that no
+   * longer hold any live chunk from the affected manifests' replica lists.
+   */
+  expireStaleReplicas(now = Date.now()) {
+    return this.transaction(() => {
+      const stale = this.getAll('SELECT chunk_hash, peer_id FROM chunk_replicas WHERE expires_at <= ?', [now]);
+      if (!stale.length) {
+        return { expired: 0, removed: [], processedAt: now };
+      }
+      this.run('DELETE FROM chunk_replicas WHERE expires_at <= ?', [now]);
+
+      const chunkHashes = uniqStrings(stale.map((row) => row.chunk_hash));
+      const stalePeers = new Set(stale.map((row) => row.peer_id));
+      const manifestIds = uniqStrings(
+        chunkHashes.flatMap((chunkHash) =>
+          this.getAll('SELECT manifest_id FROM manifest_chunks WHERE chunk_hash = ?', [chunkHash]).map(
+            (row) => row.manifest_id
+          )
+        )
+      );
+
+      const removed = [];
+      manifestIds.forEach((manifestId) => {
+        const listed = parseJSON(
+          this.getOne('SELECT replicas FROM manifests WHERE manifest_id = ?', [manifestId])?.replicas,
+          []
+        );
+        const live = new Set(
+          this.getAll(
+            `SELECT DISTINCT cr.peer_id FROM manifest_chunks mc
+             JOIN chunk_replicas cr ON cr.chunk_hash = mc.chunk_hash
+             WHERE mc.manifest_id = ?`,
+            [manifestId]
+          ).map((row) => row.peer_id)
+        );
+        const dropped = listed.filter((peerId) => stalePeers.has(peerId) && !live.has(peerId));
+        if (!dropped.length) return;
+
+        const replicas = listed.filter((peerId) => !dropped.includes(peerId));
+        this.run('UPDATE manifests SET replicas = ?, updated_at = ? WHERE manifest_id = ?', [
+          JSON.stringify(replicas),
+          now,
+          manifestId
+        ]);
+        dropped.forEach((peerId) => {
+          removed.push({ manifestId, peerId });
+          this.recordChange('replica.removed', { manifestId, peerId, reason: 'expired', replicaCount: replicas.length }, now);
+        });
+      });
+
+      return { expired: stale.length, removed, processedAt: now };
+    });
+  }
+
+  getChunkStats() {
+    const totals = this.getOne(
+      `SELECT COUNT(*) AS chunk_count,
+              COALESCE(SUM(ref_count), 0) AS reference_count,
+              COALESCE(SUM(CASE WHEN ref_count > 1 THEN 1 ELSE 0 END), 0) AS shared_count,
+              COALESCE(SUM(CASE WHEN data IS NOT NULL THEN 1 ELSE 0 END), 0) AS stored_count,
+              COALESCE(SUM(LENGTH(data)), 0) AS stored_bytes
+       FROM chunks`
+    );
+    return {
+      chunkCount: totals.chunk_count,
+      referenceCount: totals.reference_count,
+      sharedChunkCount: totals.shared_count,
+      storedChunkCount: totals.stored_count,
+      storedDataBytes: totals.stored_bytes
+    };
+  }
+
+  /**
+   * Appends an event to the change feed. Callers run it inside their transaction;
+   * subscribers hear about it once the outermost transaction commits.
+   */
+  recordChange(type, { domain = null, manifestId = null, ...data } = {}, now = Date.now()) {
+    // Like operation nonces, events only need to outlive the retention window.
+    this.run('DELETE FROM change_events WHERE created_at < ?', [now - this.changeRetentionMs]);
+    this.run(
+      `INSERT INTO change_events (type, domain, manifest_id, data, created_at) VALUES (?, ?, ?, ?, ?)`,
+      [type, domain, manifestId, JSON.stringify(data), now]
+    );
+    this.changesPending = true;
+    if (!this.applyingFederationOp) {
+      this.recordLocalFederationOp(type, { domain, manifestId }, now);
+    }
+  }
+
+  /**
+   * Events with a sequence number above `since`, oldest first. When events after
+   * `since` were already pruned (or `since` is ahead of this registry) the page is
+   * empty with `reset: true`; the client must refetch its state and resume from
+   * `lastSeq`.
+   */
+  listChanges({ since = 0, limit } = {}) {
+    const boundedLimit = boundListLimit(limit, MAX_CHANGE_LIST_LIMIT);
+    const lastSeq = this.getLatestChangeSeq();
+    const oldestSeq = this.getOne('SELECT MIN(seq) AS seq FROM change_events')?.seq ?? lastSeq + 1;
+    if (since > lastSeq || since < oldestSeq - 1) {
+      return { changes: [], lastSeq, hasMore: false, reset: true };
+    }
+
+    const changes = this.getAll(
+      'SELECT * FROM change_events WHERE seq > ? ORDER BY seq ASC LIMIT ?',
+      [since, boundedLimit]
+    ).map(mapChangeRow);
+    const tail = changes.length ? changes[changes.length - 1].seq : since;
+    return { changes, lastSeq, hasMore: tail < lastSeq, reset: false };
+  }
+
+  getLatestChangeSeq() {
+    return this.getOne(`SELECT seq FROM sqlite_sequence WHERE name = 'change_events'`)?.seq ?? 0;
+  }
+
+  /**
+   * Calls `listener(change)` for every change committed from now on. Returns a
+   * function that removes the listener.
+   */
+  subscribeChanges(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  publishChanges() {
+    if (!this.changesPending) return;
+    this.changesPending = false;
+    if (!this.changeListeners.size) {
+      this.lastPublishedSeq = this.getLatestChangeSeq();
+      return;
+    }
+
+    const changes = this.getAll('SELECT * FROM change_events WHERE seq > ? ORDER BY seq ASC', [
+      this.lastPublishedSeq
+    ]).map(mapChangeRow);
+    if (!changes.length) return;
+    this.lastPublishedSeq = changes[changes.length - 1].seq;
+
+    changes.forEach((change) => {
+      this.changeListeners.forEach((listener) => {
+        try {
+          listener(change);
+        } catch {
+          // A broken subscriber must not fail the write that produced the change.
+        }
+      });
+    });
+  }
+
+  /**
+   * Appends one entry to the audit log. `before` and `after` are snapshots from
+   * getAuditSnapshot taken around the write.
+   */
+  recordAudit(
+    { action, actor, domain = null, manifestId = null, requestDigest = null, statusCode = null, before = null, after = null },
+    now = Date.now()
+  ) {
+    return this.transaction(() => {
+      this.run(
+        `INSERT INTO audit_log (action, actor, domain, manifest_id, request_digest, status_code, before_state, after_state, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          action,
+          actor,
+          domain,
+          manifestId,
+          requestDigest,
+          statusCode,
+          before === null ? null : JSON.stringify(before),
+          after === null ? null : JSON.stringify(after),
+          now
+        ]
+      );
+    });
+  }
+
+  /**
+   * Compact state of what an audited write can touch: the domain with its records,
+   * the manifest's owner and replicas, and one chunk's pointer. Chunk data itself is
+   * left out. Returns null when there is no target.
+   */
+  getAuditSnapshot({ domain = null, manifestId = null, chunkIndex = null } = {}) {
+    const snapshot = {};
+    if (domain) {
+      const record = this.getDomain(domain);
+      snapshot.domain = record
+        ? {
+            owner: record.owner,
+            manifestId: record.manifestId,
+            replicas: record.replicas,
+            metadata: record.metadata ?? null,
+            publicKey: record.publicKey,
+            expiresAt: record.expiresAt,
+            records: this.getDomainRecords(record.domain),
+            suspension: record.suspension
+          }
+        : null;
+    }
+    if (manifestId) {
+      const row = this.getOne('SELECT owner, replicas FROM manifests WHERE manifest_id = ?', [manifestId]);
+      snapshot.manifest = row
+        ? {
+            owner: row.owner ?? null,
+            replicas: parseJSON(row.replicas, []),
+            suspension: this.getSuspension('manifest', manifestId)
+          }
+        : null;
+      if (Number.isInteger(chunkIndex)) {
+        const chunk = this.getManifestChunk(manifestId, chunkIndex);
+        snapshot.chunk = chunk
+          ? {
+              pointer: chunk.pointer,
+              pointerExpiresAt: chunk.pointerExpiresAt,
+              hasData: chunk.data !== null,
+              replicas: chunk.replicas
+            }
+          : null;
+      }
+    }
+    return Object.keys(snapshot).length ? snapshot : null;
+  }
+
+  listAuditLog({
+    domain = null,
+    manifestId = null,
+    actor = null,
+    action = null,
+    createdAfter = null,
+    createdBefore = null,
+    order = 'desc',
+    limit = DEFAULT_LIST_LIMIT,
+    cursor = null
+  } = {}) {
+    const clauses = [];
+    const params = [];
+    if (domain) {
+      clauses.push('domain = ?');
+      params.push(normalizeDomain(domain));
+    }
+    if (manifestId) {
+      clauses.push('manifest_id = ?');
+      params.push(manifestId);
+    }
+    if (actor) {
+      clauses.push('actor = ?');
+      params.push(actor);
+    }
+    if (action) {
+      clauses.push('action = ?');
+      params.push(action);
+    }
+    pushTimeRangeClauses(clauses, params, 'created_at', createdAfter, createdBefore);
+
+    const page = this.listPage({
+      from: 'audit_log',
+      select: '*',
+      keyColumn: 'audit_id',
+      keyField: 'audit_id',
+      sortColumns: AUDIT_SORT_COLUMNS,
+      clauses,
+      params,
+      sort: 'createdAt',
+      order,
+      limit: boundListLimit(limit, MAX_LIST_LIMIT),
+      cursor,
+      view: 'summary'
+    });
+    return { items: page.rows.map(mapAuditRow), nextCursor: page.nextCursor, total: page.total };
+  }
+
+  /**
+   * Files a report against a domain or manifest into the moderation queue.
+   */
+  createAbuseReport({ targetType, target, reason, details = null, reporter = null } = {}, now = Date.now()) {
+    return this.transaction(() => {
+      const key = this.requireModerationTarget(targetType, target);
+      if (!REPORT_REASONS.includes(reason)) {
+        throw new Error('INVALID_REPORT_REASON');
+      }
+      if (details !== null && (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH)) {
+        throw new Error('INVALID_REPORT_DETAILS');
+      }
+      const reportId = `ar-${now}-${nanoid(8)}`;
+      this.run(
+        `INSERT INTO abuse_reports (report_id, target_type, target, reason, details, reporter, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'open', ?)`,
+        [reportId, targetType, key, reason, details, reporter, now]
+      );
+      return this.getAbuseReport(reportId);
+    });
+  }
+
+  getAbuseReport(reportId) {
+    const row = this.getOne('SELECT * FROM abuse_reports WHERE report_id = ?', [reportId]);
+    return row ? mapAbuseReportRow(row) : null;
+  }
+
+  /**
+   * One page of the moderation queue, oldest first so reports are handled in the
+   * order they arrived. Returns `{ items, nextCursor, total }`.
+   */
+  listAbuseReports({
+    status = null,
+    targetType = null,
+    target = null,
+    order = 'asc',
+    limit = DEFAULT_LIST_LIMIT,
+    cursor = null
+  } = {}) {
+    const clauses = [];
+    const params = [];
+    if (status) {
+      if (status !== 'open' && !REPORT_RESOLUTIONS.includes(status)) {
+        throw new Error('INVALID_LIST_FILTER');
+      }
+      clauses.push('status = ?');
+      params.push(status);
+    }
+    if (targetType) {
+      clauses.push('target_type = ?');
+      params.push(targetType);
+    }
+    if (target) {
+      clauses.push('target = ?');
+      params.push(targetType === 'domain' ? normalizeDomain(target) : target);
+    }
+    const page = this.listPage({
+      from: 'abuse_reports',
+      select: '*',
+      keyColumn: 'report_id',
+      keyField: 'report_id',
+      sortColumns: REPORT_SORT_COLUMNS,
+      clauses,
+      params,
+      sort: 'createdAt',
+      order,
+      limit: boundListLimit(limit, MAX_LIST_LIMIT),
+      cursor,
+      view: 'summary'
+    });
+    return { items: page.rows.map(mapAbuseReportRow), nextCursor: page.nextCursor, total: page.total };
+  }
+
+  resolveAbuseReport(reportId, { status, note = null, actor = null } = {}, now = Date.now()) {
+    return this.transaction(() => {
+      if (!REPORT_RESOLUTIONS.includes(status)) {
+        throw new Error('INVALID_REPORT_STATUS');
+      }
+      const report = this.getAbuseReport(reportId);
+      if (!report) {
+        throw new Error('REPORT_NOT_FOUND');
+      }
+      if (report.status !== 'open') {
+        throw new Error('REPORT_NOT_OPEN');
+      }
+      this.run(
+        `UPDATE abuse_reports SET status = ?, resolution_note = ?, resolved_by = ?, resolved_at = ? WHERE report_id = ?`,
+        [status, note, actor, now, reportId]
+      );
+      return this.getAbuseReport(reportId);
+    });
+  }
+
+  /**
+   * Takes a domain (with its subdomains) or a manifest down. Passing the `reportId`
+   * that prompted it marks that report as actioned.
+   */
+  suspendTarget(targetType, target, { reason = null, reportId = null, actor = null } = {}, now = Date.now()) {
+    return this.transaction(() => {
+      const key = this.requireModerationTarget(targetType, target);
+      if (reportId) {
+        this.resolveAbuseReport(reportId, { status: 'actioned', note: reason, actor }, now);
+      }
+      this.run(
+        `INSERT OR REPLACE INTO suspensions (target_type, target, reason, report_id, suspended_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [targetType, key, reason, reportId, actor, now]
+      );
+      this.recordChange(
+        `${targetType}.suspended`,
+        targetType === 'domain' ? { domain: key, reason } : { manifestId: key, reason },
+        now
+      );
+      return this.getSuspension(targetType, key);
+    });
+  }
+
+  liftSuspension(targetType, target, now = Date.now()) {
+    return this.transaction(() => {
+      const key = targetType === 'domain' ? normalizeDomain(target) : target;
+      const suspension = this.getSuspension(targetType, key);
+      if (!suspension) {
+        throw new Error('SUSPENSION_NOT_FOUND');
+      }
+      this.run('DELETE FROM suspensions WHERE target_type = ? AND target = ?', [targetType, key]);
+      this.recordChange(
+        `${targetType}.unsuspended`,
+        targetType === 'domain' ? { domain: key } : { manifestId: key },
+        now
+      );
+      return { ...suspension, liftedAt: now };
+    });
+  }
+
+  getSuspension(targetType, target) {
+    const row = this.getOne('SELECT * FROM suspensions WHERE target_type = ? AND target = ?', [targetType, target]);
+    return row
+      ? {
+          targetType: row.target_type,
+          target: row.target,
+          reason: row.reason ?? null,
+          reportId: row.report_id ?? null,
+          suspendedBy: row.suspended_by ?? null,
+          suspendedAt: row.created_at
+        }
+      : null;
+  }
+
+  // Returns the stored key of an existing moderation target.
+  requireModerationTarget(targetType, target) {
+    if (!REPORT_TARGET_TYPES.includes(targetType) || typeof target !== 'string' || !target.trim()) {
+      throw new Error('INVALID_REPORT_TARGET');
+    }
+    if (targetType === 'domain') {
+      const domain = normalizeDomain(target);
+      if (!this.getOne('SELECT domain FROM domains WHERE domain = ?', [domain])) {
+        throw new Error('DOMAIN_NOT_FOUND');
+      }
+      return domain;
+    }
+    if (!this.getOne('SELECT manifest_id FROM manifests WHERE manifest_id = ?', [target])) {
+      throw new Error('MANIFEST_NOT_FOUND');
+    }
+    return target;
+  }
+
+  createNodeIdentity(now = Date.now()) {
+    if (this.getOne('SELECT node_id FROM federation_node WHERE id = 1')) return;
+    const identity = createNodeIdentity();
+    this.run(
+      `INSERT INTO federation_node (id, node_id, public_key, private_key, created_at) VALUES (1, ?, ?, ?, ?)`,
+      [identity.nodeId, identity.publicKey, identity.privateKey, now]
+    );
+  }
+
+  // The key lives in the database because the log it signs lives there too.
+  getNodeIdentity() {
+    const row = this.getOne('SELECT * FROM federation_node WHERE id = 1');
+    if (!row) {
+      throw new Error('FEDERATION_NODE_MISSING');
+    }
+    return { nodeId: row.node_id, publicKey: row.public_key, privateKey: row.private_key };
+  }
+
+  // Logs every manifest that predates the federation log as this node's own op. Domains
+  // enter the log only with an owner's signed request (recordLocalFederationOp).
+  seedFederationLog(now = Date.now()) {
+    this.getAll('SELECT manifest_id, created_at FROM manifests ORDER BY created_at ASC, manifest_id ASC').forEach(
+      (row) => {
+        this.recordFederationOp(
+          'manifest.put',
+          row.manifest_id,
+          { manifest: this.getManifestSnapshot(row.manifest_id) },
+          row.created_at ?? now
+        );
+      }
+    );
+  }
+
+  /**
+   * Runs `fn` with `authorization`, the owner's signed request (signedRequestOf) for
+   * the domain write `fn` makes, so the write is logged for peers together with it.
+   * A transfer acceptance carries the accepted offer as `offer`.
+   */
+  withAuthorization(authorization, fn) {
+    const previous = this.federationAuthorization;
+    this.federationAuthorization = authorization;
+    try {
+      return fn();
+    } finally {
+      this.federationAuthorization = previous;
+    }
+  }
+
+  /**
+   * Appends the federation op for a local write that produced change `type`. A
+   * domain write is logged only when it was made with the owner's signed request
+   * for that name, since that is what peers verify; writes to unsigned or delegated
+   * names, subdomains released with their parent and lease sweeps stay local.
+   * Domain ops name the registration they belong to: it starts with the register
+   * request and ends when the name is released.
+   */
+  recordLocalFederationOp(type, { domain = null, manifestId = null } = {}, now = Date.now()) {
+    if (type === 'manifest.created') {
+      this.recordFederationOp('manifest.put', manifestId, { manifest: this.getManifestSnapshot(manifestId) }, now);
+      return;
+    }
+    if (!domain || !['domain.registered', 'domain.updated', 'domain.deleted'].includes(type)) return;
+
+    const held = this.getOne('SELECT * FROM federation_domains WHERE domain = ?', [domain]);
+    if (type === 'domain.deleted') {
+      this.run('DELETE FROM federation_domains WHERE domain = ?', [domain]);
+    }
+    const { offer = null, ...authorization } = this.federationAuthorization ?? {};
+    const envelope = parseSignedOperation(authorization.signedMessage);
+    if (!envelope || canonicalDomain(envelope.domain) !== domain) return;
+
+    if (type === 'domain.registered') {
+      const delegated = this.getOne('SELECT domain FROM domain_delegations WHERE domain = ?', [domain]);
+      if (envelope.operation !== 'register' || delegated) return;
+      const registrationId = registrationIdOf(authorization);
+      const op = this.recordFederationOp('domain.put', domain, { registrationId, authorization }, now);
+      this.run(
+        `INSERT OR REPLACE INTO federation_domains (domain, registration_id, registered_at, op_id) VALUES (?, ?, ?, ?)`,
+        [domain, registrationId, envelope.issuedAt, op.opId]
+      );
+      return;
+    }
+
+    const deleting = type === 'domain.deleted';
+    if (!held || deleting !== (envelope.operation === 'delete')) return;
+    if (envelope.operation === 'transfer-accept' && !offer) return;
+    const op = this.recordFederationOp(
+      deleting ? 'domain.delete' : 'domain.put',
+      domain,
+      { registrationId: held.registration_id, authorization, ...(offer ? { offer } : {}) },
+      now
+    );
+    if (!deleting) {
+      this.run('UPDATE federation_domains SET op_id = ? WHERE domain = ?', [op.opId, domain]);
+    }
+  }
+
+  // Signs the next op of this node's chain and appends it to the log.
+  recordFederationOp(type, target, payload, now = Date.now()) {
+    const identity = this.getNodeIdentity();
+    const head = this.getFederationHead(identity.nodeId);
+    const op = {
+      version: FEDERATION_OP_VERSION,
+      origin: identity.nodeId,
+      seq: (head?.seq ?? 0) + 1,
+      prev: head?.opId ?? null,
+      type,
+      target,
+      payload,
+      timestamp: now
+    };
+    const message = canonicalFederationMessage(op);
+    op.opId = federationOpId(message);
+    op.publicKey = identity.publicKey;
+    op.signature = signFederationMessage(identity.privateKey, message);
+    this.insertFederationOp(op, now);
+    return op;
+  }
+
+  insertFederationOp(op, receivedAt = Date.now()) {
+    this.run(
+      `INSERT INTO federation_ops (op_id, version, origin, origin_seq, prev_op_id, type, target, payload, timestamp, public_key, signature, received_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        op.opId,
+        op.version,
+        op.origin,
+        op.seq,
+        op.prev ?? null,
+        op.type,
+        op.target,
+        JSON.stringify(op.payload),
+        op.timestamp,
+        op.publicKey,
+        op.signature,
+        receivedAt
+      ]
+    );
+  }
+
+  getFederationHead(origin) {
+    const row = this.getOne(
+      'SELECT origin_seq, op_id FROM federation_ops WHERE origin = ? ORDER BY origin_seq DESC LIMIT 1',
+      [origin]
+    );
+    return row ? { seq: row.origin_seq, opId: row.op_id } : null;
+  }
+
+  /**
+   * Applies one op from a peer. Callers verify its signature first
+   * (verifyFederationOp); this checks that it extends its origin's chain. Ops already
+   * held are skipped, so the same op may arrive from several peers.
+   * Throws FEDERATION_LOG_GAP when earlier ops of the origin are missing and
+   * FEDERATION_LOG_FORK when the origin signed a different op at this position.
+   */
+  applyFederationOp(op, now = Date.now()) {
+    return this.transaction(() => {
+      if (this.getOne('SELECT position FROM federation_ops WHERE op_id = ?', [op.opId])) {
+        return { applied: false, duplicate: true };
+      }
+      const head = this.getFederationHead(op.origin);
+      if (op.seq !== (head?.seq ?? 0) + 1 || (op.prev ?? null) !== (head?.opId ?? null)) {
+        const error = new Error(op.seq <= (head?.seq ?? 0) ? 'FEDERATION_LOG_FORK' : 'FEDERATION_LOG_GAP');
+        error.origin = op.origin;
+        error.seq = op.seq;
+        throw error;
+      }
+      this.insertFederationOp(op, now);
+
+      this.applyingFederationOp = true;
+      try {
+        if (op.type === 'manifest.put') {
+          // Manifest IDs are content hashes, so a manifest already held is the same manifest.
+          if (!this.getOne('SELECT manifest_id FROM manifests WHERE manifest_id = ?', [op.target])) {
+            this.createManifest({ ...op.payload.manifest, manifestId: op.target }, { replicated: true });
+          }
+        } else if (op.type === 'domain.put' || op.type === 'domain.delete') {
+          this.reconcileFederatedDomain(op.target, now);
+        }
+      } finally {
+        this.applyingFederationOp = false;
+      }
+      return { applied: true, duplicate: false };
+    });
+  }
+
+  /**
+   * Brings the local copy of `domain` in line with the registration that holds it
+   * by the ops this node has (resolveFederatedDomain), then does the same for its
+   * subdomains. A name this node holds outside federation is left alone.
+   */
+  reconcileFederatedDomain(domain, now = Date.now()) {
+    const winner = this.resolveFederatedDomain(domain, now);
+    const current = this.getOne('SELECT * FROM federation_domains WHERE domain = ?', [domain]);
+    const localOnly = !current && Boolean(this.getOne('SELECT domain FROM domains WHERE domain = ?', [domain]));
+
+    if ((current?.op_id ?? null) !== (winner?.opId ?? null) && !localOnly) {
+      const applying = this.applyingFederationOp;
+      this.applyingFederationOp = true;
+      try {
+        if (winner) {
+          this.writeFederatedDomain(domain, winner, current, now);
+        } else {
+          this.removeFederatedDomain(domain, now);
+        }
+      } finally {
+        this.applyingFederationOp = applying;
+      }
+    }
+
+    const suffix = `.${domain}`;
+    this.getAll(
+      `SELECT DISTINCT target FROM federation_ops
+       WHERE type IN ('domain.put', 'domain.delete') AND substr(target, -?) = ?`,
+      [suffix.length, suffix]
+    )
+      .map((row) => row.target)
+      .filter((target) => parentDomainOf(target) === domain)
+      .forEach((subdomain) => this.reconcileFederatedDomain(subdomain, now));
+  }
+
+  /**
+   * The registration that holds `domain` by the domain ops this node has, each
+   * folded from its owner requests (foldDomainRegistration), or null. Registrations
+   * are replayed in the order their register requests were signed: one only counts
+   * if every earlier counted registration was released before it, so when two nodes
+   * accepted the name before they synced, the first registrant keeps it everywhere.
+   *
+   * Signing times come from owners, so a registration that reached this node more
+   * than `federationMaxLagMs` after it was signed cannot displace the registration
+   * this node already holds; a backdated request that surfaces late takes nothing.
+   */
+  resolveFederatedDomain(domain, now = Date.now()) {
+    const parentDomain = parentDomainOf(domain);
+    const parent = parentDomain ? this.resolveFederatedDomain(parentDomain, now) : null;
+    if (parentDomain && !parent) return null;
+
+    const registrations = new Map();
+    this.getAll(
+      `SELECT op_id, payload, received_at FROM federation_ops
+       WHERE target = ? AND type IN ('domain.put', 'domain.delete')`,
+      [domain]
+    ).forEach((row) => {
+      const payload = parseJSON(row.payload, {});
+      const entries = registrations.get(payload.registrationId) ?? [];
+      entries.push({ opId: row.op_id, payload, receivedAt: row.received_at });
+      registrations.set(payload.registrationId, entries);
+    });
+
+    const held = this.getOne('SELECT registration_id FROM federation_domains WHERE domain = ?', [domain]);
+    let holder = null;
+    [...registrations.values()]
+      .map((entries) =>
+        foldDomainRegistration(entries, {
+          domain,
+          leaseMs: this.domainLeaseMs,
+          graceMs: this.domainGracePeriodMs,
+          transferOfferTtlMs: this.transferOfferTtlMs,
+          parent
+        })
+      )
+      .filter(Boolean)
+      .sort((a, b) => a.registeredAt - b.registeredAt || compareText(a.registrationId, b.registrationId))
+      .forEach((registration) => {
+        if (holder && holder.releasedAt > registration.registeredAt) return;
+        const late = registration.receivedAt - registration.registeredAt > this.federationMaxLagMs;
+        if (late && held && held.registration_id !== registration.registrationId) return;
+        holder = registration;
+      });
+    return holder && holder.releasedAt > now ? holder : null;
+  }
+
+  writeFederatedDomain(domain, registration, current, now = Date.now()) {
+    const { state } = registration;
+    const existing = this.getOne('SELECT * FROM domains WHERE domain = ?', [domain]);
+    const sameRegistration = Boolean(existing) && current?.registration_id === registration.registrationId;
+    // Nothing of a losing registration carries over to the winner, subdomains included.
+    if (existing && !sameRegistration) {
+      const [, ...subdomains] = this.deleteDomainTree(domain, now);
+      subdomains.forEach((name) => {
+        this.run('DELETE FROM federation_domains WHERE domain = ?', [name]);
+        this.recordChange('domain.deleted', { domain: name, reason: 'replicated' }, now);
+      });
+    }
+
+    this.run(
+      `INSERT OR REPLACE INTO domains (domain, owner, manifest_id, replicas, metadata, public_key, expires_at, parent_domain, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        domain,
+        state.owner,
+        state.manifestId,
+        JSON.stringify(state.replicas),
+        JSON.stringify(state.metadata),
+        state.publicKey,
+        state.expiresAt,
+        state.parentDomain,
+        state.createdAt,
+        state.updatedAt
+      ]
+    );
+    this.writeDomainRecords(domain, state.records, state.updatedAt);
+    this.run('DELETE FROM domain_bindings_history WHERE domain = ?', [domain]);
+    registration.history.forEach((binding) => this.recordDomainBinding(domain, binding));
+    // Offers made by an owner the name has since moved away from cannot be accepted.
+    this.run(
+      `UPDATE domain_transfers SET status = 'cancelled', resolved_at = ?
+       WHERE domain = ? AND status = 'pending' AND from_owner != ?`,
+      [now, domain, state.owner]
+    );
+    this.run('DELETE FROM domain_tombstones WHERE domain = ?', [domain]);
+    this.run(
+      `INSERT OR REPLACE INTO federation_domains (domain, registration_id, registered_at, op_id) VALUES (?, ?, ?, ?)`,
+      [domain, registration.registrationId, registration.registeredAt, registration.opId]
+    );
+    this.recordChange(
+      sameRegistration ? 'domain.updated' : 'domain.registered',
+      { domain, manifestId: state.manifestId, owner: state.owner, reason: 'replicated' },
+      now
+    );
+  }
+
+  removeFederatedDomain(domain, now = Date.now()) {
+    this.run('DELETE FROM federation_domains WHERE domain = ?', [domain]);
+    const existing = this.getOne('SELECT * FROM domains WHERE domain = ?', [domain]);
+    if (!existing) return;
+
+    const names = this.deleteDomainTree(domain, now);
+    // The cooldown of a release made elsewhere applies here as well.
+    if (!existing.parent_domain) {
+      this.run(
+        `INSERT OR REPLACE INTO domain_tombstones (domain, previous_owner, released_at, available_at)
+         VALUES (?, ?, ?, ?)`,
+        [domain, existing.owner, now, now + this.domainReleaseCooldownMs]
+      );
+    }
+    names.forEach((name) => {
+      this.run('DELETE FROM federation_domains WHERE domain = ?', [name]);
+      this.recordChange('domain.deleted', { domain: name, reason: 'replicated' }, now);
+    });
+  }
+
+  // Manifest as carried by a manifest.put op. Chunk data, pointers and replicas stay with each registry.
+  getManifestSnapshot(manifestId) {
+    const manifest = this.getManifest(manifestId);
+    if (!manifest) return null;
+    const {
+      chunkData,
+      chunkPointers,
+      chunkPointerExpiresAt,
+      chunkReplicas,
+      replicas,
+      status,
+      suspension,
+      updatedAt,
+      ...snapshot
+    } = manifest;
+    return snapshot;
+  }
+
+  /**
+   * Ops after log position `after`, in the order this node received them, for a
+   * peer to pull. Returns `{ ops, lastPosition, hasMore }`.
+   */
+  listFederationOps({ after = 0, limit } = {}) {
+    const boundedLimit = boundListLimit(limit, MAX_FEDERATION_OPS_LIMIT);
+    const lastPosition = this.getOne(`SELECT seq FROM sqlite_sequence WHERE name = 'federation_ops'`)?.seq ?? 0;
+    const ops = this.getAll('SELECT * FROM federation_ops WHERE position > ? ORDER BY position ASC LIMIT ?', [
+      after,
+      boundedLimit
+    ]).map(mapFederationOpRow);
+    const tail = ops.length ? ops[ops.length - 1].position : after;
+    return { ops, lastPosition, hasMore: tail < lastPosition };
+  }
+
+  getFederationPeer(url) {
+    const row = this.getOne('SELECT * FROM federation_peers WHERE url = ?', [url]);
+    return row ? mapFederationPeerRow(row) : { url, nodeId: null, cursor: 0, lastSyncedAt: null, lastError: null };
+  }
+
+  saveFederationPeer(url, { nodeId = null, cursor = 0, lastSyncedAt, lastError = null } = {}, now = Date.now()) {
+    return this.transaction(() => {
+      const existing = this.getFederationPeer(url);
+      this.run(
+        `INSERT OR REPLACE INTO federation_peers (url, node_id, cursor, last_synced_at, last_error, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [url, nodeId ?? existing.nodeId, cursor, lastSyncedAt ?? existing.lastSyncedAt, lastError, now]
+      );
+    });
+  }
+
+  /**
+   * This node's identity, the newest op held from every origin and the sync state
+   * of each peer.
+   */
+  getFederationStatus() {
+    const { nodeId, publicKey } = this.getNodeIdentity();
+    const origins = this.getAll(
+      `SELECT origin, MAX(origin_seq) AS seq, MAX(timestamp) AS last_op_at, COUNT(*) AS op_count
+       FROM federation_ops GROUP BY origin ORDER BY origin ASC`
+    ).map((row) => ({ origin: row.origin, seq: row.seq, opCount: row.op_count, lastOpAt: row.last_op_at }));
+    const peers = this.getAll('SELECT * FROM federation_peers ORDER BY url ASC').map(mapFederationPeerRow);
+    return {
+      node: { nodeId, publicKey },
+      lastPosition: this.getOne(`SELECT seq FROM sqlite_sequence WHERE name = 'federation_ops'`)?.seq ?? 0,
+      origins,
+      peers
+    };
+  }
+
+  run(sql, params = []) {
+    return this.engine.run(sql, params);
+  }
+
+  getAll(sql, params = []) {
+    return this.engine.all(sql, params);
+  }
+
+  getOne(sql, params = []) {
+    return this.engine.get(sql, params);
+  }
+
+  // Every mutating method runs inside one transaction, so a failure halfway leaves no partial writes.
+  transaction(fn) {
+    this.transactionDepth += 1;
+    let result;
+    try {
+      result = this.engine.transaction(fn);
+    } finally {
+      this.transactionDepth -= 1;
+    }
+    // Subscribers only ever see committed changes.
+    if (this.transactionDepth === 0) {
+      this.publishChanges();
+    }
+    return result;
+  }
+
+  close() {
+    this.engine.close();
+  }
 }
 
 function normalizeDomain(domain) {
-  return String(domain ?? '').trim().toLowerCase();
+  // Lookups fall back to the plain form so names stored before strict validation stay reachable.
+  const result = validateDomainName(String(domain ?? ''));
+  return result.ok ? result.domain : String(domain ?? '').trim().toLowerCase();
+}
+
+function mapDomainRow(row) {
+  const record = {
+    domain: row.domain,
+    owner: row.owner,
+    manifestId: row.manifest_id,
+    replicas: parseJSON(row.replicas, []),
+    publicKey: row.public_key ?? null,
+    parentDomain: row.parent_domain ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  const metadata = parseJSON(row.metadata, null);
+  if (metadata !== null) {
+    record.metadata = metadata;
+  }
+  return record;
+}
+
+function resolveLeaseStatus(expiresAt, graceEndsAt, now) {
+  if (expiresAt === null) return 'active';
+  if (now < expiresAt) return 'active';
+  if (now < graceEndsAt) return 'grace';
+  return 'expired';
+}
+
+function mapManifestSummaryRow(row) {
+  const summary = {
+    manifestId: row.manifest_id,
+    transferId: row.transfer_id ?? row.manifest_id,
+    fileName: row.file_name ?? undefined,
+    fileSize: row.file_size ?? row.total_size ?? undefined,
+    mimeType: row.mime_type ?? undefined,
+    chunkSize: row.chunk_size ?? undefined,
+    chunkCount: row.chunk_count ?? 0,
+    sha256: row.sha256 ?? undefined,
+    owner: row.owner ?? null,
+    replicaCount: parseJSON(row.replicas, []).length,
+    replicationFactor: row.replication_factor,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (row.file_count !== null && row.file_count !== undefined) {
+    summary.entryPath = row.entry_path ?? null;
+    summary.fileCount = row.file_count;
+  }
+  return summary;
+}
+
+function toDomainSummary(record) {
+  const { replicas, metadata, publicKey, ...summary } = record;
+  summary.replicaCount = replicas.length;
+  return summary;
+}
+
+function boundListLimit(limit, max) {
+  const value = Number(limit);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, max) : Math.min(DEFAULT_LIST_LIMIT, max);
+}
+
+function pushMimeTypeClause(clauses, params, column, mimeType) {
+  const value = String(mimeType).trim().toLowerCase();
+  // `image/*` matches every subtype.
+  if (value.endsWith('/*')) {
+    clauses.push(`LOWER(${column}) LIKE ?`);
+    params.push(`${value.slice(0, -1)}%`);
+  } else {
+    clauses.push(`LOWER(${column}) = ?`);
+    params.push(value);
+  }
+}
+
+function pushTimeRangeClauses(clauses, params, column, after, before) {
+  const from = parseTimestamp(after);
+  const to = parseTimestamp(before);
+  if (after !== null && after !== undefined && from === null) {
+    throw new Error('INVALID_LIST_FILTER');
+  }
+  if (before !== null && before !== undefined && to === null) {
+    throw new Error('INVALID_LIST_FILTER');
+  }
+  if (from !== null) {
+    clauses.push(`${column} >= ?`);
+    params.push(from);
+  }
+  if (to !== null) {
+    clauses.push(`${column} < ?`);
+    params.push(to);
+  }
+}
+
+function encodeListCursor(sort, order, value, key) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, k: key })).toString('base64url');
+}
+
+function decodeListCursor(cursor, sort, order) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('INVALID_CURSOR');
+  }
+  // A cursor only makes sense for the ordering it was issued under.
+  if (
+    !parsed ||
+    parsed.s !== sort ||
+    parsed.o !== order ||
+    parsed.v === undefined ||
+    (typeof parsed.k !== 'string' && !Number.isInteger(parsed.k))
+  ) {
+    throw new Error('INVALID_CURSOR');
+  }
+  return { value: parsed.v, key: parsed.k };
+}
+
+function projectFields(items, fields, keyField) {
+  if (!Array.isArray(fields) || !fields.length) {
+    return items;
+  }
+  const wanted = new Set([keyField, ...fields]);
+  return items.map((item) =>
+    Object.fromEntries(Object.entries(item).filter(([field]) => wanted.has(field)))
+  );
+}
+
+function mapDomainBindingRow(row) {
+  return {
+    bindingId: row.binding_id,
+    domain: row.domain,
+    manifestId: row.manifest_id,
+    previousManifestId: row.previous_manifest_id ?? null,
+    actor: row.actor ?? null,
+    reason: row.reason,
+    recordedAt: row.recorded_at
+  };
+}
+
+function mapDomainRecordRow(row) {
+  return {
+    type: row.type,
+    value: row.value,
+    ttl: row.ttl ?? null,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapAuditRow(row) {
+  return {
+    auditId: row.audit_id,
+    action: row.action,
+    actor: row.actor,
+    domain: row.domain ?? null,
+    manifestId: row.manifest_id ?? null,
+    requestDigest: row.request_digest ?? null,
+    statusCode: row.status_code ?? null,
+    before: parseJSON(row.before_state, null),
+    after: parseJSON(row.after_state, null),
+    createdAt: row.created_at
+  };
+}
+
+function mapChangeRow(row) {
+  return {
+    seq: row.seq,
+    type: row.type,
+    domain: row.domain ?? null,
+    manifestId: row.manifest_id ?? null,
+    data: parseJSON(row.data, {}),
+    createdAt: row.created_at
+  };
+}
+
+function mapDomainDelegationRow(row) {
+  return {
+    domain: row.domain,
+    parentDomain: row.parent_domain,
+    delegateOwner: row.delegate_owner,
+    createdBy: row.created_by ?? null,
+    createdAt: row.created_at
+  };
+}
+
+function mapDomainTransferRow(row) {
+  return {
+    transferId: row.transfer_id,
+    domain: row.domain,
+    fromOwner: row.from_owner,
+    toOwner: row.to_owner,
+    status: row.status,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    resolvedAt: row.resolved_at ?? null
+  };
+}
+
+function mapAbuseReportRow(row) {
+  return {
+    reportId: row.report_id,
+    targetType: row.target_type,
+    target: row.target,
+    reason: row.reason,
+    details: row.details ?? null,
+    reporter: row.reporter ?? null,
+    status: row.status,
+    resolutionNote: row.resolution_note ?? null,
+    resolvedBy: row.resolved_by ?? null,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at ?? null
+  };
+}
+
+function mapFederationOpRow(row) {
+  return {
+    position: row.position,
+    opId: row.op_id,
+    version: row.version,
+    origin: row.origin,
+    seq: row.origin_seq,
+    prev: row.prev_op_id ?? null,
+    type: row.type,
+    target: row.target,
+    payload: parseJSON(row.payload, {}),
+    timestamp: row.timestamp,
+    publicKey: row.public_key,
+    signature: row.signature
+  };
+}
+
+function mapFederationPeerRow(row) {
+  return {
+    url: row.url,
+    nodeId: row.node_id ?? null,
+    cursor: row.cursor,
+    lastSyncedAt: row.last_synced_at ?? null,
+    lastError: row.last_error ?? null
+  };
+}
+
+function compareText(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function normalizeReplicationFactor(value) {
+  const factor = Number(value);
+  if (!Number.isInteger(factor) || factor < 1 || factor > MAX_REPLICATION_FACTOR) {
+    throw new Error('INVALID_REPLICATION_FACTOR');
+  }
+  return factor;
+}
+
+function readQuotaOption(optionValue, envValue, fallback) {
+  const value = readDurationOption(optionValue, envValue, fallback);
+  return value === 0 ? null : Math.floor(value);
+}
+
+// Decoded size of a base64 string without decoding it.
+// Bytes a manifest is charged against the manifestBytes quota: every chunk it lays
+// out at the full chunk size. getOwnerUsage sums the same product in SQL.
+function manifestQuotaBytes(chunkCount, chunkSize) {
+  return Math.max(0, Number(chunkCount) || 0) * Math.max(0, Number(chunkSize) || 0);
+}
+
+function base64ByteLength(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.max(0, Math.floor((data.length * 3) / 4) - padding);
+}
+
+function readDurationOption(optionValue, envValue, fallback) {
+  const value = Number(optionValue ?? envValue ?? fallback);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Chunk hashes from `chunkHashes` are base64url SHA-256 digests. Anything else is kept
+// private to its manifest under a synthetic key so malformed hashes never collide.
+const CONTENT_HASH_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+function isContentHash(value) {
+  return typeof value === 'string' && CONTENT_HASH_PATTERN.test(value);
+}
+
+function resolveChunkKey(manifestId, index, chunkHash) {
+  return isContentHash(chunkHash) ? chunkHash : `${manifestId}#${index}`;
+}
+
+function hashChunkData(base64) {
+  return crypto.createHash('sha256').update(Buffer.from(base64, 'base64')).digest('base64url');
 }
 
 function normalizeArray(value, lengthHint) {
@@ -688,6 +3072,28 @@ function normalizeChunkReplicas(manifest) {
   );
 }
 
+function normalizeBundleFiles(files) {
+  if (!Array.isArray(files)) return [];
+  return files.map((file) => ({
+    path: String(file.path),
+    mimeType: typeof file.mimeType === 'string' && file.mimeType.trim()
+      ? file.mimeType.trim()
+      : 'application/octet-stream',
+    size: Number.isFinite(Number(file.size)) ? Math.floor(Number(file.size)) : 0,
+    sha256: typeof file.sha256 === 'string' ? file.sha256 : null,
+    chunkStart: Number(file.chunkStart),
+    chunkCount: Number(file.chunkCount)
+  }));
+}
+
+function resolveEntryPath(entryPath, files) {
+  if (typeof entryPath === 'string' && files.some((file) => file.path === entryPath)) {
+    return entryPath;
+  }
+  const index = files.find((file) => file.path === 'index.html');
+  return index ? index.path : files[0]?.path ?? null;
+}
+
 function extractAdditionalManifestFields(manifest) {
   const copy = { ...manifest };
   KNOWN_MANIFEST_FIELDS.forEach((field) => {
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createOwnerKey, createTestRegistry, inlineManifest, signedRegistration } from './helpers.js';
+
+describe('audit log', () => {
+  let registry;
+  const alice = createOwnerKey();
+  const mallory = createOwnerKey();
+
+  before(async () => {
+    registry = await createTestRegistry({}, { apiKeyId: 'test-key' });
+  });
+  after(() => registry.close());
+
+  async function latestEntry(query) {
+    const { statusCode, body } = await registry.request('GET', `/audit?${query}&limit=1`);
+    assert.equal(statusCode, 200);
+    return body.entries[0];
+  }
+
+  test('a verified signed write is attributed to the signing owner', async () => {
+    assert.equal((await registry.request('POST', '/domains', signedRegistration(alice, 'alice.dweb'))).statusCode, 201);
+    const updated = await registry.request(
+      'PATCH',
+      '/domains/alice.dweb',
+      alice.sign({ operation: 'update', domain: 'alice.dweb', manifestId: 'mf-next' }, { manifestId: 'mf-next' })
+    );
+    assert.equal(updated.statusCode, 200);
+
+    const entry = await latestEntry('domain=alice.dweb');
+    assert.equal(entry.action, 'PATCH /domains/:domain');
+    assert.equal(entry.actor, alice.owner);
+    assert.equal(entry.before.domain.manifestId, 'unbound');
+    assert.equal(entry.after.domain.manifestId, 'mf-next');
+  });
+
+  test('a public key the route did not verify leaves the write on the API key', async () => {
+    const created = await registry.request('POST', '/manifests', {
+      ...inlineManifest(['hello']),
+      publicKey: alice.publicKey
+    });
+    assert.equal(created.statusCode, 201);
+    const manifestEntry = await latestEntry(`manifestId=${created.body.manifestId}`);
+    assert.equal(manifestEntry.actor, 'key:test-key');
+
+    const replicas = await registry.request('PATCH', `/manifests/${created.body.manifestId}/replicas`, {
+      peerId: 'peer-a',
+      publicKey: mallory.publicKey
+    });
+    assert.equal(replicas.statusCode, 200);
+    assert.equal((await latestEntry(`manifestId=${created.body.manifestId}`)).actor, 'key:test-key');
+  });
+
+  test('rejected writes are not recorded', async () => {
+    const { body: before } = await registry.request('GET', '/audit?domain=alice.dweb');
+    const rejected = await registry.request('PATCH', '/domains/alice.dweb', { manifestId: 'mf-unsigned' });
+    assert.equal(rejected.statusCode, 401);
+    const { body: after } = await registry.request('GET', '/audit?domain=alice.dweb');
+    assert.equal(after.total, before.total);
+  });
+
+  test('entries filter by actor', async () => {
+    const { statusCode, body } = await registry.request('GET', `/audit?actor=${encodeURIComponent(alice.owner)}`);
+    assert.equal(statusCode, 200);
+    assert.ok(body.entries.length >= 2);
+    assert.ok(body.entries.every((entry) => entry.actor === alice.owner));
+  });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { createTestRegistry } from './helpers.js';
+
+// Reads server-sent events from a `/changes/stream` response body.
+function readEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  return {
+    // Resolves with the next event that carries data, as `{ id, event, data }`.
+    async next() {
+      for (;;) {
+        const end = buffered.indexOf('\n\n');
+        if (end !== -1) {
+          const block = buffered.slice(0, end);
+          buffered = buffered.slice(end + 2);
+          const fields = Object.fromEntries(
+            block
+              .split('\n')
+              .filter((line) => line && !line.startsWith(':'))
+              .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()])
+          );
+          if (fields.data !== undefined) {
+            return { id: Number(fields.id), event: fields.event ?? 'message', data: JSON.parse(fields.data) };
+          }
+          continue;
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error('change stream ended');
+        buffered += decoder.decode(value, { stream: true });
+      }
+    },
+    cancel: () => reader.cancel()
+  };
+}
+
+describe('change feed', () => {
+  let registry;
+
+  async function register(domain) {
+    const { statusCode } = await registry.request('POST', '/domains', { domain, owner: 'user-1', manifestId: 'unbound' });
+    assert.equal(statusCode, 201);
+  }
+
+  const domainsOf = (changes) => changes.map(({ domain }) => domain);
+
+  beforeEach(async () => {
+    registry = await createTestRegistry();
+    await register('a.dweb');
+    await register('b.dweb');
+    await register('c.dweb');
+  });
+  afterEach(() => registry.close());
+
+  test('pages resume from the last seq a client saw', async () => {
+    const first = await registry.request('GET', '/changes?limit=2');
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(domainsOf(first.body.changes), ['a.dweb', 'b.dweb']);
+    assert.equal(first.body.hasMore, true);
+    assert.equal(first.body.reset, false);
+
+    const resumed = await registry.request('GET', `/changes?since=${first.body.changes[1].seq}`);
+    assert.deepEqual(domainsOf(resumed.body.changes), ['c.dweb']);
+    assert.equal(resumed.body.hasMore, false);
+    assert.equal(resumed.body.lastSeq, resumed.body.changes[0].seq);
+
+    const caughtUp = await registry.request('GET', `/changes?since=${resumed.body.lastSeq}`);
+    assert.deepEqual(caughtUp.body, { changes: [], lastSeq: resumed.body.lastSeq, hasMore: false, reset: false });
+
+    const invalid = await registry.request('GET', '/changes?since=-1');
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.error, 'INVALID_CHANGE_SEQ');
+  });
+
+  test('a client behind the retained events or ahead of the registry is told to reset', async () => {
+    const { lastSeq } = (await registry.request('GET', '/changes')).body;
+    assert.deepEqual((await registry.request('GET', `/changes?since=${lastSeq + 5}`)).body, {
+      changes: [],
+      lastSeq,
+      hasMore: false,
+      reset: true
+    });
+
+    // Age the first event out of the retention window; the next write prunes it.
+    registry.store.run('UPDATE change_events SET created_at = 0 WHERE seq = 1');
+    await register('d.dweb');
+    const pruned = await registry.request('GET', '/changes?since=0');
+    assert.equal(pruned.body.reset, true);
+    assert.deepEqual(pruned.body.changes, []);
+    assert.equal(pruned.body.lastSeq, lastSeq + 1);
+    assert.equal((await registry.request('GET', '/changes?since=1')).body.reset, false);
+  });
+
+  describe('stream', () => {
+    let baseUrl;
+    const streams = [];
+
+    async function openStream(query = '', headers = {}) {
+      const response = await fetch(`${baseUrl}/changes/stream${query}`, { headers });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'text/event-stream');
+      const events = readEvents(response);
+      streams.push(events);
+      return events;
+    }
+
+    beforeEach(async () => {
+      baseUrl = await registry.app.listen({ port: 0, host: '127.0.0.1' });
+    });
+    afterEach(async () => {
+      await Promise.all(streams.splice(0).map((events) => events.cancel()));
+    });
+
+    test('replays the changes after `since`, then streams new ones', async () => {
+      const events = await openStream('?since=1');
+      assert.equal((await events.next()).data.domain, 'b.dweb');
+      assert.equal((await events.next()).data.domain, 'c.dweb');
+      await register('d.dweb');
+      const live = await events.next();
+      assert.equal(live.data.domain, 'd.dweb');
+      assert.equal(live.id, live.data.seq);
+    });
+
+    test('a reconnect resumes from Last-Event-ID over `since`', async () => {
+      const events = await openStream('?since=0', { 'Last-Event-ID': '2' });
+      const { id, data } = await events.next();
+      assert.equal(data.domain, 'c.dweb');
+      assert.equal(id, 3);
+    });
+
+    test('sends a reset event when the missed changes are gone', async () => {
+      registry.store.run('UPDATE change_events SET created_at = 0 WHERE seq = 1');
+      await register('d.dweb');
+      const events = await openStream('?since=0');
+      const reset = await events.next();
+      assert.equal(reset.event, 'reset');
+      assert.deepEqual(reset.data, { lastSeq: 4 });
+      await register('e.dweb');
+      assert.equal((await events.next()).data.domain, 'e.dweb');
+    });
+  });
+});
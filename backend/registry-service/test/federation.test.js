@@ -0,0 +1,193 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { createFederationSync, registrationIdOf } from '../src/federation.js';
+import { signedRequestOf } from '../src/signedOperations.js';
+import { createOwnerKey, createTestRegistry, signedRegistration } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Serves `GET {url}/federation/ops` from the registry mounted at each URL.
+function peerFetch(registries) {
+  return async (url) => {
+    const { origin, pathname, search } = new URL(url);
+    const response = await registries[origin].app.inject({ method: 'GET', url: `${pathname}${search}` });
+    return { ok: response.statusCode < 400, status: response.statusCode, json: async () => response.json() };
+  };
+}
+
+function nodeIdOf(registry) {
+  return registry.store.getNodeIdentity().nodeId;
+}
+
+describe('federation', () => {
+  let origin;
+  let rogue;
+  let peer;
+  const alice = createOwnerKey();
+  const bob = createOwnerKey();
+  const mallory = createOwnerKey();
+
+  // `peer` pulls from the honest origin and from a rogue node it also trusts.
+  async function sync(url, trustedNodes = [nodeIdOf(origin), nodeIdOf(rogue)]) {
+    const federation = createFederationSync({
+      store: peer.store,
+      peers: [url],
+      trustedNodes,
+      fetchImpl: peerFetch({ 'http://origin.test': origin, 'http://rogue.test': rogue })
+    });
+    const [result] = await federation.syncAll();
+    return result;
+  }
+
+  async function registerOnOrigin(domain) {
+    const registration = signedRegistration(alice, domain);
+    const { statusCode } = await origin.request('POST', '/domains', registration);
+    assert.equal(statusCode, 201);
+    return registration;
+  }
+
+  beforeEach(async () => {
+    [origin, rogue, peer] = await Promise.all([createTestRegistry(), createTestRegistry(), createTestRegistry()]);
+  });
+  afterEach(async () => {
+    await Promise.all([origin.close(), rogue.close(), peer.close()]);
+  });
+
+  test('sync needs a list of trusted nodes', () => {
+    assert.throws(() => createFederationSync({ store: peer.store, peers: ['http://origin.test'] }), {
+      message: 'FEDERATION_TRUSTED_NODES_REQUIRED'
+    });
+  });
+
+  test('ops from a node that is not trusted are refused', async () => {
+    await registerOnOrigin('alice.dweb');
+    const result = await sync('http://origin.test', [nodeIdOf(rogue)]);
+    assert.equal(result.error, 'UNTRUSTED_FEDERATION_NODE');
+    assert.equal(peer.store.getDomain('alice.dweb'), null);
+  });
+
+  test('signed registrations, updates and transfers replicate', async () => {
+    await registerOnOrigin('alice.dweb');
+    const update = await origin.request(
+      'PATCH',
+      '/domains/alice.dweb',
+      alice.sign(
+        { operation: 'update', domain: 'alice.dweb', manifestId: 'mf-second' },
+        { manifestId: 'mf-second', records: [{ type: 'TXT', value: 'hello' }] }
+      )
+    );
+    assert.equal(update.statusCode, 200);
+    const offer = await origin.request(
+      'POST',
+      '/domains/alice.dweb/transfers',
+      alice.sign({ operation: 'transfer-offer', domain: 'alice.dweb', owner: bob.owner }, { toOwner: bob.owner })
+    );
+    assert.equal(offer.statusCode, 201);
+    const accept = await origin.request(
+      'POST',
+      `/transfers/${offer.body.transferId}/accept`,
+      bob.sign({ operation: 'transfer-accept', domain: 'alice.dweb', owner: bob.owner })
+    );
+    assert.equal(accept.statusCode, 200);
+
+    const result = await sync('http://origin.test');
+    assert.equal(result.error, undefined);
+    const replicated = peer.store.getDomain('alice.dweb');
+    assert.equal(replicated.owner, bob.owner);
+    assert.equal(replicated.publicKey, bob.publicKey);
+    assert.equal(replicated.manifestId, 'mf-second');
+    assert.deepEqual(
+      peer.store.getDomainRecords('alice.dweb').map(({ type, value }) => ({ type, value })),
+      [{ type: 'TXT', value: 'hello' }]
+    );
+  });
+
+  test('a release replicates together with the subdomains below it', async () => {
+    await registerOnOrigin('alice.dweb');
+    await registerOnOrigin('blog.alice.dweb');
+    assert.equal((await sync('http://origin.test')).error, undefined);
+    assert.equal(peer.store.getDomain('blog.alice.dweb').owner, alice.owner);
+
+    const release = await origin.request(
+      'DELETE',
+      '/domains/alice.dweb',
+      alice.sign({ operation: 'delete', domain: 'alice.dweb' })
+    );
+    assert.equal(release.statusCode, 200);
+
+    assert.equal((await sync('http://origin.test')).error, undefined);
+    assert.equal(peer.store.getDomain('alice.dweb'), null);
+    assert.equal(peer.store.getDomain('blog.alice.dweb'), null);
+  });
+
+  test('a domain op whose owner request was altered is refused', async () => {
+    const registration = await registerOnOrigin('alice.dweb');
+    const authorization = signedRequestOf(registration, alice.publicKey);
+    rogue.store.recordFederationOp('domain.put', 'alice.dweb', {
+      registrationId: registrationIdOf(authorization),
+      authorization: { ...authorization, body: { ...authorization.body, manifestId: 'mf-forged' } }
+    });
+
+    const result = await sync('http://rogue.test');
+    assert.equal(result.error, 'INVALID_DOMAIN_AUTHORIZATION');
+    assert.equal(peer.store.getDomain('alice.dweb'), null);
+  });
+
+  test('requests signed by a key that does not hold the name change nothing', async () => {
+    const registration = await registerOnOrigin('alice.dweb');
+    assert.equal((await sync('http://origin.test')).error, undefined);
+
+    const forged = mallory.sign(
+      { operation: 'update', domain: 'alice.dweb', manifestId: 'mf-forged' },
+      { manifestId: 'mf-forged' }
+    );
+    rogue.store.recordFederationOp('domain.put', 'alice.dweb', {
+      registrationId: registrationIdOf(signedRequestOf(registration, alice.publicKey)),
+      authorization: signedRequestOf(forged, mallory.publicKey)
+    });
+
+    assert.equal((await sync('http://rogue.test')).error, undefined);
+    assert.equal(peer.store.getDomain('alice.dweb').manifestId, 'unbound');
+  });
+
+  test('a backdated registration that arrives late does not take a held name', async () => {
+    await registerOnOrigin('alice.dweb');
+    assert.equal((await sync('http://origin.test')).error, undefined);
+
+    const issuedAt = Date.now() - 2 * HOUR_MS;
+    const backdated = mallory.sign(
+      { operation: 'register', domain: 'alice.dweb', manifestId: 'unbound', owner: mallory.owner, issuedAt },
+      { domain: 'alice.dweb', owner: mallory.owner, manifestId: 'unbound' }
+    );
+    const authorization = signedRequestOf(backdated, mallory.publicKey);
+    rogue.store.recordFederationOp(
+      'domain.put',
+      'alice.dweb',
+      { registrationId: registrationIdOf(authorization), authorization },
+      issuedAt
+    );
+
+    assert.equal((await sync('http://rogue.test')).error, undefined);
+    assert.equal(peer.store.getDomain('alice.dweb').owner, alice.owner);
+  });
+
+  test('a manifest op must carry the manifest its ID names', async () => {
+    const created = await origin.request('POST', '/manifests', {
+      transferId: 'transfer-1',
+      fileName: 'site.txt',
+      mimeType: 'text/plain',
+      fileSize: 5,
+      chunkSize: 5,
+      chunkCount: 1,
+      sha256: 'content-hash',
+      chunkHashes: ['chunk-hash']
+    });
+    assert.equal(created.statusCode, 201);
+    const manifest = origin.store.getManifestSnapshot(created.body.manifestId);
+    rogue.store.recordFederationOp('manifest.put', 'mf-not-this-manifest', { manifest });
+
+    const result = await sync('http://rogue.test');
+    assert.equal(result.error, 'INVALID_FEDERATION_OP');
+    assert.equal(peer.store.getManifest('mf-not-this-manifest'), null);
+  });
+});
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+
+// Telemetry appends to a file in the working directory unless told otherwise.
+process.env.TELEMETRY_LOG_PATH ??= path.join(os.tmpdir(), 'dweb-registry-test-telemetry.log');
+
+const { default: Fastify } = await import('fastify');
+const { deriveOwnerIdFromPublicKey } = await import('../../common/crypto.js');
+const { registerRoutes } = await import('../src/routes.js');
+const { loadStorageEngine } = await import('../src/storageEngines.js');
+const { RegistryStore } = await import('../src/store.js');
+const { SIGNED_OPERATION_VERSION, canonicalOperationMessage, operationPayloadDigest } = await import(
+  '../src/signedOperations.js'
+);
+
+/**
+ * A registry on an in-memory database with the routes mounted, for `app.inject`.
+ * API-key auth and rate limiting live in index.js and are not part of it; with
+ * `apiKeyId`, every request is attributed to that key as the auth hook would.
+ */
+export async function createTestRegistry(storeOptions = {}, { apiKeyId } = {}) {
+  await loadStorageEngine('memory');
+  const store = new RegistryStore({ engine: 'memory', ...storeOptions });
+  const app = Fastify();
+  if (apiKeyId) {
+    app.addHook('onRequest', async (request) => {
+      request.apiKeyId = apiKeyId;
+    });
+  }
+  registerRoutes(app, store, {});
+  await app.ready();
+  return {
+    app,
+    store,
+    async request(method, url, payload) {
+      const response = await app.inject({ method, url, payload });
+      return { statusCode: response.statusCode, body: response.json() };
+    },
+    async close() {
+      await app.close();
+      store.close();
+    }
+  };
+}
+
+/**
+ * A P-256 owner key like the panel's. `sign(envelope, body)` returns `body` with the
+ * signature fields for the envelope, filling in version, payloadDigest, issuedAt and nonce.
+ */
+export function createOwnerKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const publicKeyBase64 = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+
+  const signMessage = (message) => crypto.sign('sha256', Buffer.from(message), privateKey).toString('base64');
+
+  return {
+    publicKey: publicKeyBase64,
+    owner: deriveOwnerIdFromPublicKey(publicKeyBase64),
+    signMessage,
+    sign(envelope, body = {}) {
+      const signedMessage = canonicalOperationMessage({
+        version: SIGNED_OPERATION_VERSION,
+        payloadDigest: operationPayloadDigest(body),
+        issuedAt: Date.now(),
+        nonce: crypto.randomBytes(16).toString('hex'),
+        ...envelope
+      });
+      return { ...body, publicKey: publicKeyBase64, signedMessage, signature: signMessage(signedMessage) };
+    }
+  };
+}
+
+/** Signed registration body for `domain`, owned by `key`. */
+export function signedRegistration(key, domain, { manifestId = 'unbound', ...body } = {}) {
+  return key.sign(
+    { operation: 'register', domain, manifestId, owner: key.owner },
+    { domain, owner: key.owner, manifestId, ...body }
+  );
+}
+
+/** SHA-256 of a chunk as the extension lists it in `chunkHashes` (base64url). */
+export function hashChunk(chunk) {
+  return crypto.createHash('sha256').update(chunk).digest('base64url');
+}
+
+/** Manifest body carrying `chunks` (strings) inline, hashed the way the extension does. */
+export function inlineManifest(chunks, fields = {}) {
+  const buffers = chunks.map((chunk) => Buffer.from(chunk));
+  return {
+    transferId: `transfer-${crypto.randomBytes(4).toString('hex')}`,
+    fileName: 'site.txt',
+    mimeType: 'text/plain',
+    fileSize: buffers.reduce((sum, buffer) => sum + buffer.length, 0),
+    chunkSize: Math.max(1, ...buffers.map((buffer) => buffer.length)),
+    chunkCount: buffers.length,
+    sha256: hashChunk(Buffer.concat(buffers)),
+    chunkHashes: buffers.map(hashChunk),
+    chunkData: buffers.map((buffer) => buffer.toString('base64')),
+    ...fields
+  };
+}
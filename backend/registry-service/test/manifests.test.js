@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createTestRegistry, inlineManifest } from './helpers.js';
+
+describe('inline chunk data', () => {
+  let registry;
+
+  before(async () => {
+    registry = await createTestRegistry();
+  });
+  after(() => registry.close());
+
+  test('chunks are stored under their content hash and served back', async () => {
+    const manifest = inlineManifest(['hello ', 'world']);
+    const created = await registry.request('POST', '/manifests', manifest);
+    assert.equal(created.statusCode, 201);
+
+    const { statusCode, body } = await registry.request('GET', `/manifests/${created.body.manifestId}/chunks/1`);
+    assert.equal(statusCode, 200);
+    assert.equal(body.chunkHash, manifest.chunkHashes[1]);
+    assert.equal(Buffer.from(body.data, 'base64').toString(), 'world');
+  });
+
+  test('data that does not match its content hash is rejected', async () => {
+    const manifest = inlineManifest(['first', 'second']);
+    manifest.chunkData[1] = Buffer.from('forged').toString('base64');
+    const { statusCode, body } = await registry.request('POST', '/manifests', manifest);
+    assert.equal(statusCode, 400);
+    assert.equal(body.error, 'CHUNK_HASH_MISMATCH');
+    assert.equal(body.details.chunkIndex, 1);
+  });
+
+  test('inline data cannot be listed under a hash that is not a content hash', async () => {
+    const manifest = inlineManifest(['private']);
+    manifest.chunkHashes = ['not-a-sha256'];
+    const { statusCode, body } = await registry.request('POST', '/manifests', manifest);
+    assert.equal(statusCode, 400);
+    assert.equal(body.error, 'CHUNK_HASH_MISMATCH');
+    assert.equal(body.details.chunkIndex, 0);
+  });
+
+  test('chunks without a listed hash are kept private to the manifest', async () => {
+    const manifest = inlineManifest(['unhashed']);
+    manifest.chunkHashes = [null];
+    const created = await registry.request('POST', '/manifests', manifest);
+    assert.equal(created.statusCode, 201);
+
+    const { body } = await registry.request('GET', `/manifests/${created.body.manifestId}/chunks/0`);
+    assert.equal(body.chunkHash, null);
+    assert.equal(Buffer.from(body.data, 'base64').toString(), 'unhashed');
+  });
+});
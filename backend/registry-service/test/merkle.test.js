@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { buildMerkleProof, computeMerkleRoot, verifyMerkleProof } from '../../common/merkle.js';
+import { createTestRegistry, hashChunk, inlineManifest } from './helpers.js';
+
+const leaves = (count) => Array.from({ length: count }, (_, index) => hashChunk(`chunk ${index}`));
+
+describe('Merkle proofs', () => {
+  test('every leaf of trees of any shape proves against the root', async () => {
+    for (let count = 1; count <= 9; count += 1) {
+      const chunkHashes = leaves(count);
+      const root = await computeMerkleRoot(chunkHashes);
+      for (let index = 0; index < count; index += 1) {
+        const proof = await buildMerkleProof(chunkHashes, index);
+        assert.equal(proof.root, root);
+        assert.equal(await verifyMerkleProof({ chunkHash: chunkHashes[index], index, ...proof }), true);
+      }
+    }
+  });
+
+  test('a chunk cannot be proven at another index or with another hash', async () => {
+    const chunkHashes = leaves(6);
+    const proof = await buildMerkleProof(chunkHashes, 2);
+    assert.equal(await verifyMerkleProof({ chunkHash: chunkHashes[2], index: 3, ...proof }), false);
+    assert.equal(await verifyMerkleProof({ chunkHash: chunkHashes[3], index: 2, ...proof }), false);
+    assert.equal(
+      await verifyMerkleProof({ chunkHash: chunkHashes[2], index: 2, ...proof, hashes: proof.hashes.slice(1) }),
+      false
+    );
+  });
+
+  test('a manifest without chunk hashes has no root', async () => {
+    assert.equal(await computeMerkleRoot([]), null);
+    assert.equal(await buildMerkleProof([], 0), null);
+  });
+});
+
+describe('chunk proofs served by the registry', () => {
+  let registry;
+
+  before(async () => {
+    registry = await createTestRegistry();
+  });
+  after(() => registry.close());
+
+  test('a client-sent root must match the chunk hashes', async () => {
+    const manifest = inlineManifest(['a', 'b'], { merkleRoot: await computeMerkleRoot(leaves(2)) });
+    const { statusCode, body } = await registry.request('POST', '/manifests', manifest);
+    assert.equal(statusCode, 400);
+    assert.equal(body.error, 'MERKLE_ROOT_MISMATCH');
+  });
+
+  test('each chunk proves against the stored root and the tree is built once', async () => {
+    const chunks = ['one', 'two', 'three', 'four', 'five'];
+    const created = await registry.request('POST', '/manifests', inlineManifest(chunks));
+    const { manifestId, merkleRoot } = created.body;
+    assert.equal(merkleRoot, await computeMerkleRoot(chunks.map(hashChunk)));
+
+    const getMerkleLeaves = registry.store.getMerkleLeaves;
+    let treeLoads = 0;
+    registry.store.getMerkleLeaves = (...args) => {
+      treeLoads += 1;
+      return getMerkleLeaves.apply(registry.store, args);
+    };
+    try {
+      for (let index = 0; index < chunks.length; index += 1) {
+        const { body } = await registry.request('GET', `/manifests/${manifestId}/chunks/${index}`);
+        assert.equal(body.merkleRoot, merkleRoot);
+        const chunkHash = hashChunk(Buffer.from(body.data, 'base64'));
+        assert.equal(
+          await verifyMerkleProof({ chunkHash, index, root: merkleRoot, ...body.merkleProof }),
+          true
+        );
+      }
+    } finally {
+      registry.store.getMerkleLeaves = getMerkleLeaves;
+    }
+    assert.equal(treeLoads, 1);
+  });
+
+  test('no proof is served against a stored root the chunk hashes do not produce', async () => {
+    const created = await registry.request('POST', '/manifests', inlineManifest(['left', 'right']));
+    const { manifestId } = created.body;
+    registry.store.run('UPDATE manifests SET merkle_root = ? WHERE manifest_id = ?', [
+      await computeMerkleRoot(leaves(2)),
+      manifestId
+    ]);
+
+    const { statusCode, body } = await registry.request('GET', `/manifests/${manifestId}/chunks/0`);
+    assert.equal(statusCode, 200);
+    assert.equal(body.merkleRoot, null);
+    assert.equal(body.merkleProof, null);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { LATEST_SCHEMA_VERSION } from '../src/migrations.js';
+import { RegistryStore } from '../src/store.js';
+
+const MIGRATE_CLI = fileURLToPath(new URL('../src/migrate.js', import.meta.url));
+
+describe('migration runner', () => {
+  let dir;
+  let dbPath;
+
+  // Runs the migrate CLI against the test database; resolves with its exit code and output.
+  async function migrate(...args) {
+    const env = { ...process.env, REGISTRY_DB_ENGINE: 'sqlite', REGISTRY_DB_PATH: dbPath };
+    try {
+      const { stdout } = await promisify(execFile)(process.execPath, [MIGRATE_CLI, ...args], { env, timeout: 30_000 });
+      return { code: 0, stdout };
+    } catch (error) {
+      if (typeof error.code !== 'number') throw error;
+      return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+  }
+
+  function openStore(options = {}) {
+    return new RegistryStore({ engine: 'sqlite', dbPath, ...options });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dweb-registry-migrations-'));
+    dbPath = path.join(dir, 'registry.sqlite');
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('status lists what a new database still has to apply', async () => {
+    const { code, stdout } = await migrate('status');
+    assert.equal(code, 0);
+    assert.match(stdout, new RegExp(`Schema version: 0 \\(latest ${LATEST_SCHEMA_VERSION}\\)`));
+    assert.match(stdout, /\[ \] 1 initial_schema/);
+    assert.doesNotMatch(stdout, /\[x\]/);
+  });
+
+  test('a dry run applies nothing and up brings the schema to the latest version', async () => {
+    const dryRun = await migrate('up', '--dry-run');
+    assert.equal(dryRun.code, 0);
+    assert.match(dryRun.stdout, /Would apply 1 initial_schema/);
+    assert.match(dryRun.stdout, /Dry run succeeded; database left at version 0\./);
+    assert.match((await migrate('status')).stdout, /Schema version: 0 /);
+
+    const up = await migrate('up');
+    assert.equal(up.code, 0);
+    assert.match(up.stdout, new RegExp(`Schema migrated from version 0 to ${LATEST_SCHEMA_VERSION}\\.`));
+    const status = await migrate('status');
+    assert.match(status.stdout, new RegExp(`Schema version: ${LATEST_SCHEMA_VERSION} `));
+    assert.doesNotMatch(status.stdout, /\[ \]/);
+    assert.match((await migrate('up')).stdout, /Schema is up to date/);
+  });
+
+  test('a database written by a newer registry is refused', async () => {
+    const store = openStore();
+    store.engine.exec(
+      `INSERT INTO schema_migrations (version, name, applied_at) VALUES (${LATEST_SCHEMA_VERSION + 1}, 'from_the_future', 0)`
+    );
+    store.close();
+
+    assert.throws(() => openStore(), { message: 'SCHEMA_VERSION_TOO_NEW' });
+    assert.throws(() => openStore({ migrate: false }), { message: 'SCHEMA_VERSION_TOO_NEW' });
+    const { code, stderr } = await migrate('status');
+    assert.equal(code, 1);
+    assert.match(stderr, new RegExp(`schema is at version ${LATEST_SCHEMA_VERSION + 1}`));
+  });
+});
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { createTestRegistry, inlineManifest } from './helpers.js';
+
+describe('moderation', () => {
+  let registry;
+
+  async function register(domain) {
+    const { statusCode } = await registry.request('POST', '/domains', { domain, owner: 'user-1', manifestId: 'unbound' });
+    assert.equal(statusCode, 201);
+  }
+
+  async function report(target, fields = {}) {
+    const { statusCode, body } = await registry.request('POST', '/reports', {
+      targetType: 'domain',
+      target,
+      reason: 'phishing',
+      ...fields
+    });
+    assert.equal(statusCode, 201);
+    return body;
+  }
+
+  beforeEach(async () => {
+    // API-key auth, including the admin check on /admin, is index.js's job; here every
+    // request comes from the same key.
+    registry = await createTestRegistry({}, { apiKeyId: 'moderator' });
+    await register('alice.dweb');
+    await register('blog.alice.dweb');
+  });
+  afterEach(() => registry.close());
+
+  test('reports queue up in arrival order and are resolved once', async () => {
+    const first = await report('Alice.dweb', { details: 'login form' });
+    assert.equal(first.status, 'open');
+    assert.equal(first.target, 'alice.dweb');
+    assert.equal(first.reporter, 'key:moderator');
+    const second = await report('blog.alice.dweb', { reason: 'spam', reporter: 'user-9' });
+    assert.equal(second.reporter, 'user-9');
+
+    const queue = await registry.request('GET', '/admin/reports?status=open');
+    assert.deepEqual(
+      queue.body.reports.map(({ reportId }) => reportId),
+      [first.reportId, second.reportId]
+    );
+    const filtered = await registry.request('GET', '/admin/reports?targetType=domain&target=blog.alice.dweb');
+    assert.deepEqual(filtered.body.reports.map(({ reportId }) => reportId), [second.reportId]);
+
+    const dismissed = await registry.request('PATCH', `/admin/reports/${second.reportId}`, {
+      status: 'dismissed',
+      note: 'not spam'
+    });
+    assert.equal(dismissed.statusCode, 200);
+    assert.equal(dismissed.body.status, 'dismissed');
+    assert.equal(dismissed.body.resolutionNote, 'not spam');
+    assert.equal(dismissed.body.resolvedBy, 'key:moderator');
+    const reopened = await registry.request('PATCH', `/admin/reports/${second.reportId}`, { status: 'actioned' });
+    assert.equal(reopened.statusCode, 409);
+    assert.equal(reopened.body.error, 'REPORT_NOT_OPEN');
+    assert.equal((await registry.request('GET', '/admin/reports?status=open')).body.total, 1);
+  });
+
+  test('reports must name an existing target and a known reason', async () => {
+    const missing = await registry.request('POST', '/reports', {
+      targetType: 'domain',
+      target: 'nobody.dweb',
+      reason: 'spam'
+    });
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.body.error, 'DOMAIN_NOT_FOUND');
+    const reason = await registry.request('POST', '/reports', {
+      targetType: 'domain',
+      target: 'alice.dweb',
+      reason: 'dislike'
+    });
+    assert.equal(reason.statusCode, 400);
+    const unknown = await registry.request('GET', '/admin/reports/ar-unknown');
+    assert.equal(unknown.statusCode, 404);
+    assert.equal(unknown.body.error, 'REPORT_NOT_FOUND');
+  });
+
+  test('a suspended domain is served with its suspension, and so are its subdomains', async () => {
+    const filed = await report('alice.dweb');
+    const suspended = await registry.request('POST', '/admin/domains/alice.dweb/suspension', {
+      reason: 'phishing kit',
+      reportId: filed.reportId
+    });
+    assert.equal(suspended.statusCode, 201);
+    assert.equal(suspended.body.suspendedBy, 'key:moderator');
+    assert.equal((await registry.request('GET', `/admin/reports/${filed.reportId}`)).body.status, 'actioned');
+
+    for (const domain of ['alice.dweb', 'blog.alice.dweb']) {
+      const { statusCode, body } = await registry.request('GET', `/domains/${domain}`);
+      assert.equal(statusCode, 200);
+      assert.equal(body.status, 'suspended');
+      assert.equal(body.suspension.reason, 'phishing kit');
+      assert.equal(body.suspension.reportId, filed.reportId);
+    }
+
+    const lifted = await registry.request('DELETE', '/admin/domains/alice.dweb/suspension');
+    assert.equal(lifted.statusCode, 200);
+    const active = (await registry.request('GET', '/domains/blog.alice.dweb')).body;
+    assert.equal(active.status, 'active');
+    assert.equal(active.suspension, null);
+    const again = await registry.request('DELETE', '/admin/domains/alice.dweb/suspension');
+    assert.equal(again.statusCode, 404);
+    assert.equal(again.body.error, 'SUSPENSION_NOT_FOUND');
+
+    const { changes } = (await registry.request('GET', '/changes')).body;
+    assert.deepEqual(
+      changes.filter(({ type }) => type.includes('suspended')).map(({ type, domain }) => [type, domain]),
+      [
+        ['domain.suspended', 'alice.dweb'],
+        ['domain.unsuspended', 'alice.dweb']
+      ]
+    );
+  });
+
+  test('a suspended manifest stays listed but its chunks are withheld', async () => {
+    const { body: created } = await registry.request('POST', '/manifests', inlineManifest(['payload']));
+    const suspended = await registry.request('POST', `/admin/manifests/${created.manifestId}/suspension`, {
+      reason: 'malware'
+    });
+    assert.equal(suspended.statusCode, 201);
+
+    const manifest = await registry.request('GET', `/manifests/${created.manifestId}`);
+    assert.equal(manifest.statusCode, 200);
+    assert.equal(manifest.body.status, 'suspended');
+    const chunk = await registry.request('GET', `/manifests/${created.manifestId}/chunks/0`);
+    assert.equal(chunk.statusCode, 451);
+    assert.equal(chunk.body.error, 'CONTENT_SUSPENDED');
+    assert.equal(chunk.body.details.reason, 'malware');
+
+    await registry.request('DELETE', `/admin/manifests/${created.manifestId}/suspension`);
+    assert.equal((await registry.request('GET', `/manifests/${created.manifestId}/chunks/0`)).statusCode, 200);
+    const unknown = await registry.request('POST', '/admin/manifests/mf-unknown/suspension', { reason: 'malware' });
+    assert.equal(unknown.statusCode, 404);
+    assert.equal(unknown.body.error, 'MANIFEST_NOT_FOUND');
+  });
+});
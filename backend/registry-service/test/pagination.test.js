@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createTestRegistry, inlineManifest } from './helpers.js';
+
+describe('list pagination', () => {
+  let registry;
+
+  // Follows `nextCursor` from `url` to the last page; every page must report the same total.
+  async function walk(url, key) {
+    const seen = [];
+    let cursor = null;
+    let total = null;
+    do {
+      const separator = url.includes('?') ? '&' : '?';
+      const { statusCode, body } = await registry.request(
+        'GET',
+        cursor ? `${url}${separator}cursor=${encodeURIComponent(cursor)}` : url
+      );
+      assert.equal(statusCode, 200);
+      total ??= body.total;
+      assert.equal(body.total, total);
+      seen.push(...body[key]);
+      cursor = body.nextCursor;
+    } while (cursor);
+    assert.equal(seen.length, total);
+    return seen;
+  }
+
+  before(async () => {
+    registry = await createTestRegistry();
+    const domains = [
+      ['delta.dweb', 'user-1'],
+      ['alpha.dweb', 'user-1'],
+      ['echo.dweb', 'user-2'],
+      ['charlie.dweb', 'user-1'],
+      ['bravo.dweb', 'user-2'],
+      ['foxtrot.dweb', 'user-1']
+    ];
+    for (const [domain, owner] of domains) {
+      const { statusCode } = await registry.request('POST', '/domains', { domain, owner, manifestId: 'unbound' });
+      assert.equal(statusCode, 201);
+    }
+    const manifests = [
+      ['a.png', 'image/png', ['xx']],
+      ['b.txt', 'text/plain', ['xxxxxx']],
+      ['c.jpg', 'image/jpeg', ['xxxxx']],
+      ['d.gif', 'image/gif', ['x']],
+      ['e.png', 'image/png', ['xxx']]
+    ];
+    for (const [fileName, mimeType, chunks] of manifests) {
+      const { statusCode } = await registry.request('POST', '/manifests', inlineManifest(chunks, { fileName, mimeType }));
+      assert.equal(statusCode, 201);
+    }
+  });
+  after(() => registry.close());
+
+  test('domain pages filtered by owner cover every match exactly once', async () => {
+    const ascending = await walk('/domains?owner=user-1&limit=2', 'domains');
+    assert.deepEqual(
+      ascending.map(({ domain }) => domain),
+      ['alpha.dweb', 'charlie.dweb', 'delta.dweb', 'foxtrot.dweb']
+    );
+    const descending = await walk('/domains?owner=user-1&order=desc&limit=3', 'domains');
+    assert.deepEqual(
+      descending.map(({ domain }) => domain),
+      ['foxtrot.dweb', 'delta.dweb', 'charlie.dweb', 'alpha.dweb']
+    );
+  });
+
+  test('manifest pages keep the filter and sort across cursors', async () => {
+    const images = await walk('/manifests?mimeType=image/*&sort=fileSize&order=desc&limit=1&fields=fileName', 'manifests');
+    assert.deepEqual(
+      images.map(({ fileName }) => fileName),
+      ['c.jpg', 'e.png', 'a.png', 'd.gif']
+    );
+    assert.deepEqual(Object.keys(images[0]).sort(), ['fileName', 'manifestId']);
+
+    // Rows created within the same millisecond are ordered by ID, so none is skipped or repeated.
+    const byCreation = await walk('/manifests?sort=createdAt&limit=2', 'manifests');
+    assert.equal(new Set(byCreation.map(({ manifestId }) => manifestId)).size, 5);
+  });
+
+  test('a cursor only continues the listing it came from', async () => {
+    const { body } = await registry.request('GET', '/domains?limit=2');
+    assert.ok(body.nextCursor);
+
+    const resorted = await registry.request('GET', `/domains?sort=createdAt&limit=2&cursor=${encodeURIComponent(body.nextCursor)}`);
+    assert.equal(resorted.statusCode, 400);
+    assert.equal(resorted.body.error, 'INVALID_CURSOR');
+    const reversed = await registry.request('GET', `/domains?order=desc&limit=2&cursor=${encodeURIComponent(body.nextCursor)}`);
+    assert.equal(reversed.body.error, 'INVALID_CURSOR');
+    assert.equal((await registry.request('GET', '/manifests?cursor=not-a-cursor')).body.error, 'INVALID_CURSOR');
+  });
+
+  test('invalid list parameters are rejected', async () => {
+    const cases = [
+      ['/domains?sort=fileSize', 'INVALID_LIST_SORT'],
+      ['/manifests?order=sideways', 'INVALID_LIST_SORT'],
+      ['/manifests?view=everything', 'INVALID_LIST_VIEW'],
+      ['/manifests?limit=0', 'INVALID_LIST_LIMIT'],
+      ['/domains?createdAfter=yesterday', 'INVALID_LIST_FILTER']
+    ];
+    for (const [url, error] of cases) {
+      const response = await registry.request('GET', url);
+      assert.equal(response.statusCode, 400, url);
+      assert.equal(response.body.error, error, url);
+    }
+  });
+});
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, test } from 'node:test';
+import { createOwnerKey, createTestRegistry, inlineManifest, signedRegistration } from './helpers.js';
+
+describe('owner quotas', () => {
+  let registry;
+  const alice = createOwnerKey();
+  const mallory = createOwnerKey();
+
+  async function open(quotas) {
+    registry = await createTestRegistry({ quotas }, { apiKeyId: 'uploader' });
+  }
+  afterEach(() => registry.close());
+
+  async function usage(ownerId) {
+    const { statusCode, body } = await registry.request('GET', `/owners/${encodeURIComponent(ownerId)}/usage`);
+    assert.equal(statusCode, 200);
+    return body;
+  }
+
+  function signedManifest(key, chunks) {
+    return key.sign({ operation: 'publish', owner: key.owner }, inlineManifest(chunks, { owner: key.owner }));
+  }
+
+  test('unsigned registrations count against the API key whatever owner they name', async () => {
+    await open({ domains: 1 });
+    const first = await registry.request('POST', '/domains', { domain: 'one.dweb', owner: 'owner-1', manifestId: 'unbound' });
+    assert.equal(first.statusCode, 201);
+
+    const second = await registry.request('POST', '/domains', { domain: 'two.dweb', owner: 'owner-2', manifestId: 'unbound' });
+    assert.equal(second.statusCode, 403);
+    assert.equal(second.body.error, 'QUOTA_EXCEEDED');
+    assert.equal(second.body.details.quota, 'domains');
+    assert.equal((await usage('key:uploader')).domains.used, 1);
+    assert.equal((await usage('owner-1')).domains.used, 0);
+
+    const signed = await registry.request('POST', '/domains', signedRegistration(alice, 'alice.dweb'));
+    assert.equal(signed.statusCode, 201);
+    assert.equal((await usage(alice.owner)).domains.used, 1);
+  });
+
+  test('a manifest without an owner is charged to the API key', async () => {
+    await open({ manifestBytes: 10 });
+    const first = await registry.request('POST', '/manifests', inlineManifest(['hello', 'world']));
+    assert.equal(first.statusCode, 201);
+
+    const over = await registry.request('POST', '/manifests', inlineManifest(['again']));
+    assert.equal(over.statusCode, 403);
+    assert.equal(over.body.error, 'QUOTA_EXCEEDED');
+    assert.deepEqual(over.body.details, { quota: 'manifestBytes', limit: 10, used: 10, requested: 5 });
+  });
+
+  test('manifest bytes come from the chunk layout, not the declared file size', async () => {
+    await open({ manifestBytes: 100 });
+    const created = await registry.request('POST', '/manifests', inlineManifest(['hello', 'world'], { fileSize: 0 }));
+    assert.equal(created.statusCode, 201);
+    assert.equal((await usage('key:uploader')).manifestBytes.used, 10);
+
+    const zeroChunks = await registry.request('POST', '/manifests', inlineManifest(['hello'], { chunkSize: 0 }));
+    assert.equal(zeroChunks.statusCode, 400);
+    assert.equal(zeroChunks.body.error, 'INVALID_MANIFEST');
+
+    const undersized = await registry.request('POST', '/manifests', inlineManifest(['hello', 'world!'], { chunkSize: 1 }));
+    assert.equal(undersized.statusCode, 400);
+    assert.equal(undersized.body.error, 'INVALID_MANIFEST');
+  });
+
+  test('naming someone else as owner neither charges nor credits them', async () => {
+    await open({ manifestBytes: 100 });
+    const spoofed = await registry.request('POST', '/manifests', inlineManifest(['hello'], { owner: alice.owner }));
+    assert.equal(spoofed.statusCode, 401);
+    assert.equal(spoofed.body.error, 'SIGNATURE_REQUIRED');
+
+    const foreignKey = mallory.sign(
+      { operation: 'publish', owner: alice.owner },
+      inlineManifest(['hello'], { owner: alice.owner })
+    );
+    const forged = await registry.request('POST', '/manifests', foreignKey);
+    assert.equal(forged.statusCode, 401);
+    assert.equal(forged.body.error, 'OWNER_MISMATCH');
+    assert.equal((await usage(alice.owner)).manifestCount, 0);
+
+    const published = await registry.request('POST', '/manifests', signedManifest(alice, ['hello', 'world']));
+    assert.equal(published.statusCode, 201);
+    assert.equal(published.body.owner, alice.owner);
+    const aliceUsage = await usage(alice.owner);
+    assert.equal(aliceUsage.manifestCount, 1);
+    assert.equal(aliceUsage.manifestBytes.used, 10);
+    assert.equal(aliceUsage.inlineBytes.used, 10);
+    assert.equal((await usage('key:uploader')).manifestCount, 0);
+  });
+
+  test('a signed manifest over the owner quota is refused', async () => {
+    await open({ inlineBytes: 8 });
+    const over = await registry.request('POST', '/manifests', signedManifest(alice, ['hello', 'world']));
+    assert.equal(over.statusCode, 403);
+    assert.equal(over.body.error, 'QUOTA_EXCEEDED');
+    assert.equal(over.body.details.quota, 'inlineBytes');
+  });
+});
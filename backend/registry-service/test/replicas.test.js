@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import { createTestRegistry, inlineManifest } from './helpers.js';
+
+const REPLICA_TTL_MS = 60_000;
+
+describe('replica leases', () => {
+  let registry;
+  let manifestId;
+
+  async function announce(peerId, id = manifestId) {
+    const { statusCode } = await registry.request('PATCH', `/manifests/${id}/replicas`, { peerId });
+    assert.equal(statusCode, 200);
+  }
+
+  async function getManifest() {
+    return (await registry.request('GET', `/manifests/${manifestId}`)).body;
+  }
+
+  async function replicaRemovals() {
+    const { changes } = (await registry.request('GET', '/changes')).body;
+    return changes
+      .filter(({ type }) => type === 'replica.removed')
+      .map(({ data }) => ({ peerId: data.peerId, reason: data.reason }));
+  }
+
+  beforeEach(async () => {
+    registry = await createTestRegistry({ replicaTtlMs: REPLICA_TTL_MS });
+    const created = await registry.request('POST', '/manifests', inlineManifest(['first', 'second']));
+    assert.equal(created.statusCode, 201);
+    manifestId = created.body.manifestId;
+  });
+  afterEach(() => registry.close());
+
+  test('a heartbeat renews the leases a peer holds and names the manifests it lost', async () => {
+    await announce('peer-a');
+    registry.store.run('UPDATE chunk_replicas SET expires_at = 0');
+
+    const before = Date.now();
+    const { statusCode, body } = await registry.request('POST', '/replicas/heartbeat', {
+      peerId: 'peer-a',
+      manifestIds: [manifestId, 'mf-unknown']
+    });
+    assert.equal(statusCode, 200);
+    assert.equal(body.renewed, 2);
+    assert.deepEqual(body.missingManifestIds, ['mf-unknown']);
+    assert.equal(body.ttlMs, REPLICA_TTL_MS);
+    assert.ok(body.expiresAt >= before + REPLICA_TTL_MS);
+    assert.deepEqual((await getManifest()).chunkReplicas, [['peer-a'], ['peer-a']]);
+
+    const all = await registry.request('POST', '/replicas/heartbeat', { peerId: 'peer-a' });
+    assert.equal(all.body.renewed, 2);
+    assert.equal((await registry.request('POST', '/replicas/heartbeat', { peerId: 'peer-b' })).body.renewed, 0);
+
+    const invalid = await registry.request('POST', '/replicas/heartbeat', { peerId: ' ' });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.error, 'INVALID_PEER_ID');
+  });
+
+  test('a peer can be removed from a manifest', async () => {
+    await announce('peer-a');
+    await announce('peer-b');
+
+    const removed = await registry.request('DELETE', `/manifests/${manifestId}/replicas/peer-a`);
+    assert.equal(removed.statusCode, 200);
+    assert.deepEqual(removed.body, { manifestId, peerId: 'peer-a', removedChunks: 2, replicas: ['peer-b'] });
+    const manifest = await getManifest();
+    assert.deepEqual(manifest.replicas, ['peer-b']);
+    assert.deepEqual(manifest.chunkReplicas, [['peer-b'], ['peer-b']]);
+    assert.deepEqual(await replicaRemovals(), [{ peerId: 'peer-a', reason: 'removed' }]);
+
+    const again = await registry.request('DELETE', `/manifests/${manifestId}/replicas/peer-a`);
+    assert.equal(again.statusCode, 404);
+    assert.equal(again.body.error, 'REPLICA_NOT_FOUND');
+    const missing = await registry.request('DELETE', '/manifests/mf-unknown/replicas/peer-b');
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.body.error, 'MANIFEST_NOT_FOUND');
+  });
+
+  test('the sweep drops peers whose leases lapsed and keeps those that sent a heartbeat', async () => {
+    await announce('peer-a');
+    await announce('peer-b');
+    registry.store.run('UPDATE chunk_replicas SET expires_at = 0');
+    await registry.request('POST', '/replicas/heartbeat', { peerId: 'peer-a' });
+
+    const result = registry.store.expireStaleReplicas();
+    assert.equal(result.expired, 2);
+    assert.deepEqual(result.removed, [{ manifestId, peerId: 'peer-b' }]);
+    const manifest = await getManifest();
+    assert.deepEqual(manifest.replicas, ['peer-a']);
+    assert.deepEqual(manifest.chunkReplicas, [['peer-a'], ['peer-a']]);
+    assert.deepEqual(await replicaRemovals(), [{ peerId: 'peer-b', reason: 'expired' }]);
+
+    const heartbeat = await registry.request('POST', '/replicas/heartbeat', {
+      peerId: 'peer-b',
+      manifestIds: [manifestId]
+    });
+    assert.deepEqual(heartbeat.body.missingManifestIds, [manifestId]);
+  });
+});
@@ -0,0 +1,217 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createOwnerKey, createTestRegistry, signedRegistration } from './helpers.js';
+
+describe('signed domain operations', () => {
+  let registry;
+  const alice = createOwnerKey();
+  const bob = createOwnerKey();
+
+  before(async () => {
+    registry = await createTestRegistry();
+  });
+  after(() => registry.close());
+
+  test('a dweb:0x owner cannot register without a signature', async () => {
+    const { statusCode, body } = await registry.request('POST', '/domains', {
+      domain: 'unsigned.dweb',
+      owner: alice.owner,
+      manifestId: 'unbound'
+    });
+    assert.equal(statusCode, 401);
+    assert.equal(body.error, 'SIGNATURE_REQUIRED');
+  });
+
+  test('a signed registration stores the owner key', async () => {
+    const { statusCode, body } = await registry.request('POST', '/domains', signedRegistration(alice, 'alice.dweb'));
+    assert.equal(statusCode, 201);
+    assert.equal(body.owner, alice.owner);
+    assert.equal(body.publicKey, alice.publicKey);
+  });
+
+  test('the signature covers the body as sent, before normalisation', async () => {
+    const records = [{ type: 'txt', value: ' hello ' }];
+    const { statusCode } = await registry.request('POST', '/domains', signedRegistration(alice, 'normalised.dweb', { records }));
+    assert.equal(statusCode, 201);
+    const { body: stored } = await registry.request('GET', '/domains/normalised.dweb/records');
+    assert.deepEqual(stored.records.map(({ type, value }) => ({ type, value })), [{ type: 'TXT', value: 'hello' }]);
+  });
+
+  test('a signed body cannot be replayed', async () => {
+    const payload = signedRegistration(alice, 'replay.dweb');
+    assert.equal((await registry.request('POST', '/domains', payload)).statusCode, 201);
+    await registry.request('DELETE', '/domains/replay.dweb', alice.sign({ operation: 'delete', domain: 'replay.dweb' }));
+
+    const { statusCode, body } = await registry.request('POST', '/domains', payload);
+    assert.equal(statusCode, 409);
+    assert.equal(body.error, 'NONCE_REPLAYED');
+  });
+
+  test('the envelope must describe the request', async () => {
+    const payload = alice.sign(
+      { operation: 'register', domain: 'mismatch.dweb', manifestId: 'signed', owner: alice.owner },
+      { domain: 'mismatch.dweb', owner: alice.owner, manifestId: 'sent' }
+    );
+    const { statusCode, body } = await registry.request('POST', '/domains', payload);
+    assert.equal(statusCode, 401);
+    assert.equal(body.error, 'SIGNED_PAYLOAD_MISMATCH');
+  });
+
+  test('fields added after signing are rejected', async () => {
+    await registry.request('POST', '/domains', signedRegistration(alice, 'records.dweb'));
+    const signed = alice.sign(
+      { operation: 'update', domain: 'records.dweb' },
+      { records: [{ type: 'TXT', value: 'signed' }] }
+    );
+
+    const tampered = await registry.request('PATCH', '/domains/records.dweb', {
+      ...signed,
+      records: [{ type: 'REDIRECT', value: 'https://example.com' }]
+    });
+    assert.equal(tampered.statusCode, 401);
+    assert.equal(tampered.body.error, 'SIGNED_PAYLOAD_MISMATCH');
+
+    const extended = await registry.request('PATCH', '/domains/records.dweb', { ...signed, metadata: { title: 'x' } });
+    assert.equal(extended.statusCode, 401);
+    assert.equal(extended.body.error, 'SIGNED_PAYLOAD_MISMATCH');
+
+    const accepted = await registry.request('PATCH', '/domains/records.dweb', signed);
+    assert.equal(accepted.statusCode, 200);
+    const { body } = await registry.request('GET', '/domains/records.dweb/records');
+    assert.deepEqual(
+      body.records.map(({ type, value }) => ({ type, value })),
+      [{ type: 'TXT', value: 'signed' }]
+    );
+  });
+
+  test('stale envelopes are rejected', async () => {
+    const payload = alice.sign(
+      { operation: 'register', domain: 'stale.dweb', manifestId: 'unbound', owner: alice.owner, issuedAt: Date.now() - 60 * 60 * 1000 },
+      { domain: 'stale.dweb', owner: alice.owner, manifestId: 'unbound' }
+    );
+    const { statusCode, body } = await registry.request('POST', '/domains', payload);
+    assert.equal(statusCode, 401);
+    assert.equal(body.error, 'SIGNATURE_EXPIRED');
+  });
+
+  test('only the canonical envelope encoding is accepted', async () => {
+    const payload = signedRegistration(alice, 'order.dweb');
+    const reordered = JSON.stringify(Object.fromEntries(Object.entries(JSON.parse(payload.signedMessage)).reverse()));
+    const { statusCode, body } = await registry.request('POST', '/domains', {
+      ...payload,
+      signedMessage: reordered,
+      signature: alice.signMessage(reordered)
+    });
+    assert.equal(statusCode, 400);
+    assert.equal(body.error, 'INVALID_SIGNED_MESSAGE');
+  });
+
+  test('the owner ID must belong to the signing key', async () => {
+    const payload = alice.sign(
+      { operation: 'register', domain: 'stolen.dweb', manifestId: 'unbound', owner: bob.owner },
+      { domain: 'stolen.dweb', owner: bob.owner, manifestId: 'unbound' }
+    );
+    const { statusCode, body } = await registry.request('POST', '/domains', payload);
+    assert.equal(statusCode, 401);
+    assert.equal(body.error, 'OWNER_MISMATCH');
+  });
+
+  test('updates must be signed by the stored key', async () => {
+    const envelope = { operation: 'update', domain: 'alice.dweb', manifestId: 'mf-next' };
+
+    const foreign = await registry.request('PATCH', '/domains/alice.dweb', bob.sign(envelope, { manifestId: 'mf-next' }));
+    assert.equal(foreign.statusCode, 403);
+    assert.equal(foreign.body.error, 'NOT_DOMAIN_OWNER');
+
+    const forged = bob.sign(envelope, { manifestId: 'mf-next' });
+    const invalid = await registry.request('PATCH', '/domains/alice.dweb', { ...forged, publicKey: alice.publicKey });
+    assert.equal(invalid.statusCode, 401);
+    assert.equal(invalid.body.error, 'INVALID_SIGNATURE');
+
+    const unsigned = await registry.request('PATCH', '/domains/alice.dweb', { manifestId: 'mf-next' });
+    assert.equal(unsigned.statusCode, 401);
+    assert.equal(unsigned.body.error, 'SIGNATURE_REQUIRED');
+
+    const updated = await registry.request('PATCH', '/domains/alice.dweb', alice.sign(envelope, { manifestId: 'mf-next' }));
+    assert.equal(updated.statusCode, 200);
+    assert.equal(updated.body.manifestId, 'mf-next');
+  });
+
+  test('a released name stays in cooldown for other owners', async () => {
+    await registry.request('POST', '/domains', signedRegistration(alice, 'released.dweb'));
+    const released = await registry.request(
+      'DELETE',
+      '/domains/released.dweb',
+      alice.sign({ operation: 'delete', domain: 'released.dweb' })
+    );
+    assert.equal(released.statusCode, 200);
+
+    const { statusCode, body } = await registry.request('POST', '/domains', signedRegistration(bob, 'released.dweb'));
+    assert.equal(statusCode, 409);
+    assert.equal(body.error, 'DOMAIN_IN_COOLDOWN');
+  });
+
+  test('ownership moves only when the recipient accepts a transfer', async () => {
+    await registry.request('POST', '/domains', signedRegistration(alice, 'moving.dweb'));
+    const offer = await registry.request(
+      'POST',
+      '/domains/moving.dweb/transfers',
+      alice.sign({ operation: 'transfer-offer', domain: 'moving.dweb', owner: bob.owner }, { toOwner: bob.owner })
+    );
+    assert.equal(offer.statusCode, 201);
+
+    const acceptEnvelope = { operation: 'transfer-accept', domain: 'moving.dweb', owner: bob.owner };
+    const intruder = await registry.request(
+      'POST',
+      `/transfers/${offer.body.transferId}/accept`,
+      alice.sign(acceptEnvelope)
+    );
+    assert.equal(intruder.statusCode, 403);
+    assert.equal(intruder.body.error, 'NOT_TRANSFER_RECIPIENT');
+
+    const accepted = await registry.request('POST', `/transfers/${offer.body.transferId}/accept`, bob.sign(acceptEnvelope));
+    assert.equal(accepted.statusCode, 200);
+    assert.equal((await registry.request('GET', '/domains/moving.dweb')).body.owner, bob.owner);
+  });
+
+  test('a key is attached to a keyless domain only through an admin claim', async () => {
+    assert.equal(
+      (await registry.request('POST', '/domains', { domain: 'legacy.dweb', owner: 'legacy-owner', manifestId: 'unbound' }))
+        .statusCode,
+      201
+    );
+
+    const takeover = await registry.request('PATCH', '/domains/legacy.dweb', {
+      owner: bob.owner,
+      ownerPublicKey: bob.publicKey
+    });
+    assert.equal(takeover.statusCode, 403);
+    assert.equal(takeover.body.error, 'OWNER_CLAIM_REQUIRED');
+    assert.equal((await registry.request('GET', '/domains/legacy.dweb')).body.publicKey, null);
+
+    const mismatched = await registry.request('PUT', '/admin/domains/legacy.dweb/owner', {
+      owner: bob.owner,
+      ownerPublicKey: alice.publicKey
+    });
+    assert.equal(mismatched.statusCode, 400);
+    assert.equal(mismatched.body.error, 'OWNER_MISMATCH');
+
+    const claimed = await registry.request('PUT', '/admin/domains/legacy.dweb/owner', {
+      owner: alice.owner,
+      ownerPublicKey: alice.publicKey
+    });
+    assert.equal(claimed.statusCode, 200);
+    assert.equal(claimed.body.owner, alice.owner);
+
+    const unsigned = await registry.request('PATCH', '/domains/legacy.dweb', { manifestId: 'mf-next' });
+    assert.equal(unsigned.statusCode, 401);
+    assert.equal(unsigned.body.error, 'SIGNATURE_REQUIRED');
+
+    const reclaimed = await registry.request('PUT', '/admin/domains/legacy.dweb/owner', {
+      owner: bob.owner,
+      ownerPublicKey: bob.publicKey
+    });
+    assert.equal(reclaimed.statusCode, 409);
+    assert.equal(reclaimed.body.error, 'TRANSFER_REQUIRED');
+  });
+});
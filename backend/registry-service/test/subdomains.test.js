@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { createOwnerKey, createTestRegistry, signedRegistration } from './helpers.js';
+
+describe('subdomain registration', () => {
+  let registry;
+  const alice = createOwnerKey();
+  const bob = createOwnerKey();
+
+  before(async () => {
+    registry = await createTestRegistry();
+    await registry.request('POST', '/domains', signedRegistration(alice, 'parent.dweb'));
+  });
+  after(() => registry.close());
+
+  test('copying the parent key without signing is not enough', async () => {
+    const { statusCode, body } = await registry.request('POST', '/domains', {
+      domain: 'copied.parent.dweb',
+      owner: 'legacy-owner',
+      manifestId: 'unbound',
+      publicKey: alice.publicKey
+    });
+    assert.equal(statusCode, 401);
+    assert.equal(body.error, 'SIGNATURE_REQUIRED');
+  });
+
+  test('another key cannot register under the parent', async () => {
+    const { statusCode, body } = await registry.request('POST', '/domains', signedRegistration(bob, 'blog.parent.dweb'));
+    assert.equal(statusCode, 403);
+    assert.equal(body.error, 'NOT_PARENT_OWNER');
+  });
+
+  test('the parent key registers its subdomains', async () => {
+    const { statusCode, body } = await registry.request('POST', '/domains', signedRegistration(alice, 'blog.parent.dweb'));
+    assert.equal(statusCode, 201);
+    assert.equal(body.owner, alice.owner);
+  });
+
+  test('a delegated subdomain belongs to the delegate only', async () => {
+    const delegated = await registry.request(
+      'POST',
+      '/domains/parent.dweb/delegations',
+      alice.sign(
+        { operation: 'delegate', domain: 'shop.parent.dweb', owner: bob.owner },
+        { subdomain: 'shop', toOwner: bob.owner }
+      )
+    );
+    assert.equal(delegated.statusCode, 201);
+
+    const byParent = await registry.request('POST', '/domains', signedRegistration(alice, 'shop.parent.dweb'));
+    assert.equal(byParent.statusCode, 403);
+    assert.equal(byParent.body.error, 'NOT_SUBDOMAIN_DELEGATE');
+
+    const byDelegate = await registry.request('POST', '/domains', signedRegistration(bob, 'shop.parent.dweb'));
+    assert.equal(byDelegate.statusCode, 201);
+  });
+});
@@ -7,6 +7,10 @@ const DEFAULT_SIGNALING_URL = 'ws://34.107.74.70:8787';
 const DEFAULT_REGISTRY_URL = 'http://34.107.74.70:8788';
 const DEFAULT_SIGNALING_SECRET = 'choose-a-strong-secret';
 const DEFAULT_REGISTRY_API_KEY = 'registry-test-key';
+// Well inside the registry's default 30 minute replica lease
+const REPLICA_HEARTBEAT_INTERVAL_MS = 10 * 60 * 1000;
+// Manifests we do not host whose replicas are still tracked for chunk-not-found hints
+const MAX_TRACKED_MANIFESTS = 256;
 
 let connectionManager = null;
 let chunkManager = null;
@@ -16,6 +20,11 @@ const chunkCache = new Map();
 let discoveredPeers = [];
 const activePeerConnections = new Map();
 const connectionAttempts = new Map();
+// Other peers replicating manifests we host or were asked for, seeded from the
+// registry and kept current from its change feed
+const manifestReplicas = new Map();
+let registryChangeFeed = null;
+let replicaHeartbeatTimer = null;
 
 console.log('[Offscreen] Background peer service initialized');
 
@@ -60,6 +69,10 @@ async function startBackgroundPeer(config = {}) {
   
   chunkManager = new ChunkManager();
   registryClient = new RegistryClient(DEFAULT_REGISTRY_URL, { apiKey: registryApiKey });
+  registryChangeFeed = registryClient.subscribeChanges({
+    onChange: handleRegistryChange,
+    onError: (error) => console.warn('[Offscreen] Registry change feed error:', error.message)
+  });
   
   localPeerId = `bg-peer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
   
@@ -79,9 +92,15 @@ async function startBackgroundPeer(config = {}) {
     type: 'background-peer-connected',
     peerId: localPeerId
   });
+  
+  replicaHeartbeatTimer = setInterval(sendReplicaHeartbeat, REPLICA_HEARTBEAT_INTERVAL_MS);
 }
 
 function stopBackgroundPeer() {
+  clearInterval(replicaHeartbeatTimer);
+  replicaHeartbeatTimer = null;
+  releaseReplicas(registryClient, localPeerId, [...chunkCache.keys()]);
+  
   if (connectionManager) {
     connectionManager.disconnect();
     connectionManager = null;
@@ -93,6 +112,9 @@ function stopBackgroundPeer() {
   activePeerConnections.clear();
   connectionAttempts.clear();
   chunkCache.clear();
+  registryChangeFeed?.close();
+  registryChangeFeed = null;
+  manifestReplicas.clear();
   localPeerId = null;
   
   console.log('[Offscreen] Background peer stopped');
@@ -372,6 +394,63 @@ async function handleChunkUpload(message, manager) {
   }
 }
 
+async function sendReplicaHeartbeat() {
+  if (!registryClient || !localPeerId || !chunkCache.size) {
+    return;
+  }
+  try {
+    const result = await registryClient.heartbeatReplicas(localPeerId, [...chunkCache.keys()]);
+    // Leases that lapsed anyway (e.g. while the browser slept) have to be announced again
+    for (const manifestId of result.missingManifestIds ?? []) {
+      const chunkIndexes = Object.keys(chunkCache.get(manifestId) ?? []).map(Number);
+      if (chunkIndexes.length) {
+        await registryClient.updateChunkReplica(manifestId, {
+          peerId: localPeerId,
+          chunkIndexes,
+          status: 'available'
+        });
+      }
+    }
+  } catch (error) {
+    console.warn('[Offscreen] Replica heartbeat failed:', error.message);
+  }
+}
+
+function releaseReplicas(client, peerId, manifestIds) {
+  if (!client || !peerId) {
+    return;
+  }
+  // Best effort: leases that are not released here expire on the registry
+  manifestIds.forEach((manifestId) => {
+    client.removeReplica(manifestId, peerId).catch((error) => {
+      console.warn('[Offscreen] Replica release failed:', error.message);
+    });
+  });
+}
+
+function handleRegistryChange(change) {
+  // Only manifests this peer hosts or was asked for are of interest
+  if (!chunkCache.has(change.manifestId) && !manifestReplicas.has(change.manifestId)) {
+    return;
+  }
+  const peerId = change.data?.peerId;
+  if (!peerId || peerId === localPeerId) {
+    return;
+  }
+  if (change.type === 'replica.removed') {
+    manifestReplicas.get(change.manifestId)?.delete(peerId);
+    return;
+  }
+  if (change.type !== 'replica.added') {
+    return;
+  }
+  if (!manifestReplicas.has(change.manifestId)) {
+    manifestReplicas.set(change.manifestId, new Set());
+  }
+  manifestReplicas.get(change.manifestId).add(peerId);
+  console.log(`[Offscreen] Registry: ${peerId} now replicates ${change.manifestId}`);
+}
+
 async function handleChunkRequest(message, manager) {
   const { requestId, manifestId, chunkIndex } = message;
   
@@ -392,12 +471,41 @@ async function handleChunkRequest(message, manager) {
       requestId,
       manifestId,
       chunkIndex,
-      reason: 'chunk-not-found'
+      reason: 'chunk-not-found',
+      // Lets the requester try other replicas without asking the registry first
+      replicas: await replicaHint(manifestId)
     });
     console.log(`[Offscreen] Chunk ${chunkIndex} not found in cache`);
   }
 }
 
+async function replicaHint(manifestId) {
+  if (!manifestReplicas.has(manifestId)) {
+    // Tracked from now on, so feed changes that arrive while the registry answers count too
+    manifestReplicas.set(manifestId, new Set());
+    forgetUntrackedManifests();
+    try {
+      const manifest = await registryClient?.getManifest(manifestId);
+      (manifest?.replicas ?? []).forEach((peerId) => {
+        if (peerId !== localPeerId) {
+          manifestReplicas.get(manifestId)?.add(peerId);
+        }
+      });
+    } catch (error) {
+      console.warn('[Offscreen] Replica lookup failed:', error.message);
+    }
+  }
+  return [...(manifestReplicas.get(manifestId) ?? [])];
+}
+
+function forgetUntrackedManifests() {
+  const untracked = [...manifestReplicas.keys()].filter((manifestId) => !chunkCache.has(manifestId));
+  // Map keys keep insertion order, so the oldest lookups go first
+  untracked.slice(0, Math.max(0, untracked.length - MAX_TRACKED_MANIFESTS)).forEach((manifestId) => {
+    manifestReplicas.delete(manifestId);
+  });
+}
+
 function base64ToUint8Array(base64) {
   try {
     const binary = atob(base64);
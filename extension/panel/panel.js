@@ -1,5 +1,5 @@
 import { WebRTCConnectionManager } from '../scripts/webrtc/connectionManager.js';
-import { ChunkManager } from '../scripts/webrtc/chunkManager.js';
+import { ChunkManager, DEFAULT_CHUNK_SIZE } from '../scripts/webrtc/chunkManager.js';
 import { RegistryClient } from '../scripts/api/registryClient.js';
 import { TelemetryClient } from '../scripts/telemetry/telemetryClient.js';
 import {
@@ -8,8 +8,13 @@ import {
   exportPublicKey,
   signMessage,
   storeKeypair,
-  loadKeypair
+  loadKeypair,
+  canonicalOperationMessage,
+  createOperationNonce,
+  operationPayloadDigest,
+  SIGNED_OPERATION_VERSION
 } from '../scripts/crypto/identity.js';
+import { validateDomainName } from '../scripts/domain/domainName.js';
 
 const navButtons = document.querySelectorAll('.nav-item');
 const views = document.querySelectorAll('.view');
@@ -249,9 +254,9 @@ async function refreshDashboardOverview() {
   
   if (domainsCountEl) {
     try {
-      const result = await registryClient.listDomains();
+      const result = await registryClient.listDomains({ limit: 1, fields: ['domain'] });
       const list = Array.isArray(result) ? result : (Array.isArray(result?.domains) ? result.domains : []);
-      domainsCountEl.textContent = list.length;
+      domainsCountEl.textContent = result?.total ?? list.length;
     } catch {
       domainsCountEl.textContent = '0';
     }
@@ -273,6 +278,8 @@ async function refreshDashboardOverview() {
     networkStatusEl.className = 'stat-value ' + (sidebarStatusBadge?.className.split(' ').find(c => c.startsWith('status-')) || '');
   }
   
+  await refreshOwnerUsage();
+  
   // Add recent activity
   const activityEl = document.getElementById('dashboardActivity');
   if (activityEl && publishedApps.length > 0) {
@@ -287,6 +294,72 @@ async function refreshDashboardOverview() {
   }
 }
 
+// Registry quota usage of the signed-in owner; null when unknown
+let ownerUsage = null;
+const QUOTA_WARNING_RATIO = 0.9;
+
+async function refreshOwnerUsage() {
+  const ownerId = authState?.ownerId;
+  if (!registryClient || !ownerId) {
+    ownerUsage = null;
+  } else {
+    try {
+      ownerUsage = await registryClient.getOwnerUsage(ownerId);
+    } catch (error) {
+      console.warn('[quota] Failed to load owner usage:', error.message);
+      ownerUsage = null;
+    }
+  }
+  renderOwnerUsage();
+  return ownerUsage;
+}
+
+function renderOwnerUsage() {
+  const usageEl = document.getElementById('dashboardQuotaUsage');
+  const detailEl = document.getElementById('dashboardQuotaDetail');
+  if (!usageEl) return;
+  if (!ownerUsage) {
+    usageEl.textContent = '—';
+    usageEl.className = 'stat-value';
+    if (detailEl) detailEl.textContent = authState?.ownerId ? 'Unavailable' : 'Sign in to see usage';
+    return;
+  }
+  const quotas = [
+    { label: 'domains', ...ownerUsage.domains, format: String },
+    { label: 'manifest data', ...ownerUsage.manifestBytes, format: formatBytes },
+    { label: 'inline chunks', ...ownerUsage.inlineBytes, format: formatBytes }
+  ];
+  const limited = quotas.filter((quota) => quota.limit !== null && quota.limit > 0);
+  const ratio = limited.reduce((max, quota) => Math.max(max, quota.used / quota.limit), 0);
+  usageEl.textContent = limited.length ? `${Math.round(ratio * 100)}%` : 'Unlimited';
+  usageEl.className = 'stat-value' +
+    (ratio >= 1 ? ' quota-exceeded' : ratio >= QUOTA_WARNING_RATIO ? ' quota-warning' : '');
+  if (detailEl) {
+    detailEl.textContent = quotas
+      .map((quota) => `${quota.format(quota.used)}${quota.limit !== null ? ` / ${quota.format(quota.limit)}` : ''} ${quota.label}`)
+      .join(' · ');
+  }
+}
+
+/**
+ * Warning text when publishing `files` would exceed the owner's registry quotas, or
+ * null. The registry enforces the quotas; this only warns ahead of time. Manifest
+ * data is charged in whole chunks, and each file starts a chunk of its own.
+ */
+function describeQuotaShortfall(files) {
+  if (!ownerUsage) return null;
+  const chunkSize = chunkManager?.chunkSize ?? DEFAULT_CHUNK_SIZE;
+  const totalBytes = Array.from(files).reduce((sum, file) => sum + Math.ceil(file.size / chunkSize) * chunkSize, 0);
+  const checks = [{ name: 'manifest data', quota: ownerUsage.manifestBytes }];
+  if (shouldStoreChunkDataInRegistry()) {
+    checks.push({ name: 'inline chunk data', quota: ownerUsage.inlineBytes });
+  }
+  const exceeded = checks.find(({ quota }) => quota?.limit !== null && quota.used + totalBytes > quota.limit);
+  if (!exceeded) return null;
+  const remaining = Math.max(0, exceeded.quota.limit - exceeded.quota.used);
+  return `This upload exceeds your ${exceeded.name} quota (${formatBytes(remaining)} left of ${formatBytes(exceeded.quota.limit)}); the registry will reject it.`;
+}
+
 async function refreshDashboardMetrics() {
   const directRatioCard = document.getElementById('metricDirectRate');
   const ttfbP50Card = document.getElementById('metricTtfb');
@@ -325,18 +398,40 @@ async function refreshDashboardMetrics() {
   }
 }
 
-async function refreshDomainsList() {
+const DOMAIN_PAGE_SIZE = 25;
+let domainListCursor = null;
+
+async function refreshDomainsList({ append = false } = {}) {
   const domainsTableBody = document.getElementById('domainsTableBody');
   if (!domainsTableBody) return;
+  const loadMoreBtn = document.getElementById('loadMoreDomainsBtn');
+  const onlyMine = document.getElementById('domainOwnerFilter')?.checked && authState?.ownerId;
+  
+  if (!append) {
+    domainListCursor = null;
+    refreshTransfersList();
+  }
   
   try {
-    const result = await registryClient.listDomains();
-    domainsTableBody.innerHTML = '';
+    const result = await registryClient.listDomains({
+      view: 'summary',
+      limit: DOMAIN_PAGE_SIZE,
+      cursor: append ? domainListCursor : null,
+      owner: onlyMine ? authState.ownerId : null
+    });
+    if (!append) {
+      domainsTableBody.innerHTML = '';
+    }
     
     const list = Array.isArray(result) ? result : (Array.isArray(result?.domains) ? result.domains : []);
+    domainListCursor = result?.nextCursor ?? null;
+    if (loadMoreBtn) {
+      loadMoreBtn.classList.toggle('hidden', !domainListCursor);
+      loadMoreBtn.textContent = `Load more (${domainsTableBody.rows.length + list.length} of ${result?.total ?? '?'})`;
+    }
     
-    if (list.length === 0) {
-      domainsTableBody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:#8c93ab;">No domains registered</td></tr>';
+    if (list.length === 0 && !append) {
+      domainsTableBody.innerHTML = '<tr><td colspan="7" style="text-align:center;color:#8c93ab;">No domains registered</td></tr>';
       return;
     }
     
@@ -347,7 +442,9 @@ async function refreshDomainsList() {
       const statusText = isBound ? 'Bound' : 'Reserved';
       const updatedDate = domain.updatedAt ? new Date(domain.updatedAt).toLocaleString() : '—';
       const manifestIdShort = domain.manifestId ? domain.manifestId.slice(0, 12) + '...' : '—';
-      const replicaCount = domain.replicas?.length || 0;
+      const replicaCount = domain.replicaCount ?? domain.replicas?.length ?? 0;
+      const lease = describeDomainLease(domain);
+      const isOwner = Boolean(authState?.ownerId) && domain.owner === authState.ownerId;
       
       // Health status cell
       const healthCell = `<td><span class="health-status checking" data-domain="${escapeHtml(domain.domain)}">⏳</span></td>`;
@@ -358,8 +455,10 @@ async function refreshDomainsList() {
         <td><span class="status-badge ${statusClass}">${statusText}</span></td>
         <td title="${escapeHtml(domain.manifestId ?? '')}">${escapeHtml(manifestIdShort)}</td>
         <td>${replicaCount} peer${replicaCount !== 1 ? 's' : ''}</td>
+        <td><span class="status-badge ${lease.className}" title="${escapeHtml(lease.title)}">${escapeHtml(lease.label)}</span></td>
         <td>
           ${isBound ? `<button class="secondary small" data-action="test" data-domain="${escapeHtml(domain.domain ?? '')}">Test</button>` : ''}
+          ${isOwner && domain.expiresAt && !domain.parentDomain ? `<button class="secondary small" data-action="renew" data-domain="${escapeHtml(domain.domain ?? '')}">Renew</button>` : ''}
           <button class="secondary small" data-action="edit" data-domain="${escapeHtml(domain.domain ?? '')}">Edit</button>
           ${isBound ? `<button class="secondary small" data-action="open" data-domain="${escapeHtml(domain.domain ?? '')}">Open</button>` : ''}
         </td>
@@ -388,12 +487,192 @@ async function refreshDomainsList() {
             window.openAppDomain(domainName);
           } else if (action === 'test') {
             testDomain(domainName);
+          } else if (action === 'renew') {
+            renewDomain(domainName);
+          }
+        });
+      });
+    });
+  } catch (error) {
+    domainsTableBody.innerHTML = `<tr><td colspan="7" style="color:var(--danger);text-align:center;">Error: ${escapeHtml(error.message ?? error)}</td></tr>`;
+  }
+}
+
+// The registry change feed replaces polling: domain changes refresh the visible
+// tables, replica announcements update app peer counts in place.
+const CHANGE_FEED_REFRESH_DELAY_MS = 500;
+let registryChangeFeed = null;
+let changeFeedRefreshTimer = null;
+
+function startRegistryChangeFeed({ resume = true } = {}) {
+  const since = resume ? registryChangeFeed?.lastSeq ?? null : null;
+  registryChangeFeed?.close();
+  registryChangeFeed = registryClient.subscribeChanges({
+    since,
+    onChange: handleRegistryChange,
+    onReset: scheduleChangeFeedRefresh,
+    onError: (error) => console.warn('[change-feed]', error.message)
+  });
+}
+
+function handleRegistryChange(change) {
+  if (change.type.startsWith('domain.')) {
+    scheduleChangeFeedRefresh();
+    return;
+  }
+  if (change.type === 'replica.added') {
+    const app = publishedApps.find((entry) => entry.manifestId === change.manifestId);
+    if (!app) return;
+    app.peerCount = change.data?.replicaCount ?? app.peerCount;
+    saveAppsToStorage(publishedApps);
+    if (isViewActive('hosting')) {
+      renderAppsList();
+    }
+  }
+}
+
+// Bursts of changes (e.g. a release with subdomains) collapse into one refetch.
+function scheduleChangeFeedRefresh() {
+  clearTimeout(changeFeedRefreshTimer);
+  changeFeedRefreshTimer = setTimeout(() => {
+    if (isViewActive('domains')) {
+      refreshDomainsList();
+    } else if (isViewActive('dashboard')) {
+      refreshDashboardOverview();
+    }
+  }, CHANGE_FEED_REFRESH_DELAY_MS);
+}
+
+function isViewActive(viewId) {
+  return Boolean(document.getElementById(`view-${viewId}`)?.classList.contains('active'));
+}
+
+function describeDomainLease(domain) {
+  if (!domain?.expiresAt) {
+    return { label: 'No expiry', className: 'status-bound', title: '' };
+  }
+  const now = Date.now();
+  if (domain.leaseStatus === 'grace' || (now >= domain.expiresAt && now < (domain.graceEndsAt ?? 0))) {
+    return {
+      label: `Grace ${formatDuration(domain.graceEndsAt - now)}`,
+      className: 'status-unbound',
+      title: `Lease expired ${new Date(domain.expiresAt).toLocaleString()}; only the owner can renew until ${new Date(domain.graceEndsAt).toLocaleString()}`
+    };
+  }
+  if (now >= domain.expiresAt) {
+    return { label: 'Expired', className: 'status-unbound', title: 'Pending release' };
+  }
+  return {
+    label: `${formatDuration(domain.expiresAt - now)} left`,
+    className: 'status-bound',
+    title: domain.leaseDomain
+      ? `Follows the lease of ${domain.leaseDomain} (expires ${new Date(domain.expiresAt).toLocaleString()})`
+      : `Expires ${new Date(domain.expiresAt).toLocaleString()}`
+  };
+}
+
+function formatDuration(ms) {
+  const value = Math.max(0, Number(ms) || 0);
+  const days = Math.floor(value / 86_400_000);
+  if (days >= 1) return `${days}d`;
+  const hours = Math.floor(value / 3_600_000);
+  if (hours >= 1) return `${hours}h`;
+  return `${Math.max(1, Math.floor(value / 60_000))}m`;
+}
+
+async function renewDomain(domainName) {
+  if (!domainName) return;
+  try {
+    const signedPayload = await signDomainOperation({
+      operation: 'renew',
+      domain: domainName
+    });
+    const record = await registryClient.renewDomain(domainName, signedPayload);
+    alert(`Domain ${domainName} renewed until ${new Date(record.expiresAt).toLocaleString()}`);
+    await refreshDomainsList();
+  } catch (error) {
+    alert(`Failed to renew domain: ${error.message ?? error}`);
+  }
+}
+
+async function refreshTransfersList() {
+  const transfersTableBody = document.getElementById('transfersTableBody');
+  if (!transfersTableBody) return;
+  
+  if (!authState?.ownerId) {
+    transfersTableBody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:#8c93ab;">Sign in to see transfers</td></tr>';
+    return;
+  }
+  
+  try {
+    const result = await registryClient.listTransfers({ owner: authState.ownerId, status: 'pending' });
+    const list = Array.isArray(result?.transfers) ? result.transfers : [];
+    transfersTableBody.innerHTML = '';
+    
+    if (list.length === 0) {
+      transfersTableBody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:#8c93ab;">No pending transfers</td></tr>';
+      return;
+    }
+    
+    list.forEach((transfer) => {
+      const row = transfersTableBody.insertRow();
+      const incoming = transfer.toOwner === authState.ownerId;
+      const counterparty = incoming ? transfer.fromOwner : transfer.toOwner;
+      row.innerHTML = `
+        <td><strong>${escapeHtml(transfer.domain)}</strong></td>
+        <td>${incoming ? 'Incoming' : 'Outgoing'}</td>
+        <td title="${escapeHtml(counterparty)}">${escapeHtml(counterparty.slice(0, 18))}...</td>
+        <td>${new Date(transfer.expiresAt).toLocaleString()}</td>
+        <td>
+          ${incoming ? `<button class="primary small" data-action="accept">Accept</button>` : ''}
+          <button class="secondary small" data-action="cancel">${incoming ? 'Decline' : 'Cancel'}</button>
+        </td>
+      `;
+      
+      row.querySelectorAll('button[data-action]').forEach((btn) => {
+        btn.addEventListener('click', () => {
+          if (btn.dataset.action === 'accept') {
+            acceptDomainTransfer(transfer);
+          } else {
+            cancelDomainTransfer(transfer);
           }
         });
       });
     });
   } catch (error) {
-    domainsTableBody.innerHTML = `<tr><td colspan="5" style="color:var(--danger);text-align:center;">Error: ${escapeHtml(error.message ?? error)}</td></tr>`;
+    transfersTableBody.innerHTML = `<tr><td colspan="5" style="color:var(--danger);text-align:center;">Error: ${escapeHtml(error.message ?? error)}</td></tr>`;
+  }
+}
+
+async function acceptDomainTransfer(transfer) {
+  if (!confirm(`Accept ownership of ${transfer.domain}?`)) return;
+  try {
+    const signedPayload = await signDomainOperation({
+      operation: 'transfer-accept',
+      domain: transfer.domain,
+      owner: transfer.toOwner
+    });
+    await registryClient.acceptDomainTransfer(transfer.transferId, signedPayload);
+    alert(`You now own ${transfer.domain}`);
+    await refreshDomainsList();
+  } catch (error) {
+    alert(`Failed to accept transfer: ${error.message ?? error}`);
+  }
+}
+
+async function cancelDomainTransfer(transfer) {
+  const incoming = transfer.toOwner === authState?.ownerId;
+  if (!confirm(`${incoming ? 'Decline' : 'Cancel'} transfer of ${transfer.domain}?`)) return;
+  try {
+    const signedPayload = await signDomainOperation({
+      operation: 'transfer-cancel',
+      domain: transfer.domain,
+      owner: transfer.toOwner
+    });
+    await registryClient.cancelDomainTransfer(transfer.transferId, signedPayload);
+    await refreshTransfersList();
+  } catch (error) {
+    alert(`Failed to cancel transfer: ${error.message ?? error}`);
   }
 }
 
@@ -516,7 +795,12 @@ window.unbindDomain = async function (button) {
   if (!confirm(`Unbind domain ${domain}?`)) return;
   
   try {
-    await registryClient.updateDomainBinding(domain, { manifestId: null });
+    const signedPatch = await signDomainOperation({
+      operation: 'update',
+      domain,
+      manifestId: null
+    });
+    await registryClient.updateDomainBinding(domain, signedPatch);
     appendRegistryLog(`Domain ${domain} unbound`);
     await refreshDomainsList();
   } catch (error) {
@@ -539,27 +823,135 @@ window.editDomain = async function(domainName) {
     action += '2. Update domain metadata\n';
     action += '3. Transfer ownership\n';
     action += '4. Delete domain\n';
+    action += '5. Create subdomain\n';
+    action += '6. Delegate subdomain to another owner\n';
+    action += '7. Revoke subdomain delegation\n';
+    action += '8. Edit records (ALIAS, REDIRECT, TXT, PEERS)\n';
     
     const choice = prompt(action, '1');
     
     if (choice === '1') {
       const newManifestId = prompt('Enter new manifest ID:', domain.manifestId || '');
       if (newManifestId && newManifestId.trim()) {
-        await registryClient.updateDomainBinding(domainName, { manifestId: newManifestId.trim() });
+        const signedPatch = await signDomainOperation({
+          operation: 'update',
+          domain: domainName,
+          manifestId: newManifestId.trim()
+        });
+        await registryClient.updateDomainBinding(domainName, signedPatch);
         alert(`Domain ${domainName} rebound to ${newManifestId}`);
         await refreshDomainsList();
       }
     } else if (choice === '3') {
-      const newOwner = prompt('Enter new owner ID:', domain.owner || '');
+      const newOwner = prompt('Enter the recipient owner ID (dweb:0x...):', '');
       if (newOwner && newOwner.trim()) {
-        await registryClient.updateDomainBinding(domainName, { owner: newOwner.trim() });
-        alert(`Domain ${domainName} transferred to ${newOwner}`);
+        const toOwner = newOwner.trim();
+        const signedPayload = await signDomainOperation(
+          { operation: 'transfer-offer', domain: domainName, toOwner },
+          { owner: toOwner }
+        );
+        const transfer = await registryClient.offerDomainTransfer(domainName, signedPayload);
+        alert(
+          `Transfer offer for ${domainName} sent to ${toOwner}.\n` +
+            `The recipient must accept it before ${new Date(transfer.expiresAt).toLocaleString()}.`
+        );
         await refreshDomainsList();
       }
     } else if (choice === '4') {
       if (confirm(`Permanently delete domain ${domainName}? This cannot be undone.`)) {
-        await registryClient.deleteDomain(domainName);
-        alert(`Domain ${domainName} deleted`);
+        const signedPayload = await signDomainOperation({
+          operation: 'delete',
+          domain: domainName
+        });
+        const released = await registryClient.deleteDomain(domainName, signedPayload);
+        const availableAt = released?.availableAt
+          ? new Date(released.availableAt).toLocaleString()
+          : null;
+        alert(
+          `Domain ${domainName} deleted` +
+            (availableAt ? `\nThe name can be registered by others again after ${availableAt}.` : '')
+        );
+        await refreshDomainsList();
+      }
+    } else if (choice === '5') {
+      const label = prompt(`Subdomain label (creates <label>.${domainName}):`, '');
+      if (label && label.trim()) {
+        const domainCheck = validateDomainName(`${label.trim()}.${domainName}`);
+        if (!domainCheck.ok) {
+          alert(domainCheck.message);
+          return;
+        }
+        const manifestId = prompt('Manifest ID to bind (leave empty to reserve):', '')?.trim() || 'unbound';
+        const signedPayload = await signDomainOperation({
+          operation: 'register',
+          domain: domainCheck.domain,
+          owner: authState.ownerId,
+          manifestId
+        });
+        await registryClient.registerDomain(signedPayload);
+        alert(`Subdomain ${domainCheck.domain} created`);
+        await refreshDomainsList();
+      }
+    } else if (choice === '6') {
+      const label = prompt(`Subdomain label to delegate (under ${domainName}):`, '');
+      const delegate = label && label.trim() ? prompt('Delegate owner ID (dweb:0x...):', '') : null;
+      if (delegate && delegate.trim()) {
+        const domainCheck = validateDomainName(`${label.trim()}.${domainName}`);
+        if (!domainCheck.ok) {
+          alert(domainCheck.message);
+          return;
+        }
+        const toOwner = delegate.trim();
+        const signedPayload = await signDomainOperation(
+          { operation: 'delegate', domain: domainCheck.domain, subdomain: domainCheck.domain, toOwner },
+          { owner: toOwner }
+        );
+        await registryClient.delegateSubdomain(domainName, signedPayload);
+        alert(`${domainCheck.domain} delegated to ${toOwner}.\nThey can now register it with their own key.`);
+      }
+    } else if (choice === '7') {
+      const { delegations = [] } = await registryClient.listDomainDelegations(domainName);
+      if (!delegations.length) {
+        alert(`No subdomains of ${domainName} are delegated`);
+        return;
+      }
+      const choices = delegations
+        .map((entry, idx) => `${idx + 1}. ${entry.domain} -> ${entry.delegateOwner.slice(0, 18)}...`)
+        .join('\n');
+      const index = parseInt(prompt(`Revoke which delegation?\n\n${choices}`, '1')) - 1;
+      const delegation = delegations[index];
+      if (delegation && confirm(`Revoke ${delegation.domain}? A subdomain the delegate registered will be released.`)) {
+        const signedPayload = await signDomainOperation({
+          operation: 'undelegate',
+          domain: delegation.domain
+        });
+        await registryClient.revokeSubdomainDelegation(domainName, delegation.domain, signedPayload);
+        alert(`Delegation of ${delegation.domain} revoked`);
+        await refreshDomainsList();
+      }
+    } else if (choice === '8') {
+      const { records = [] } = await registryClient.getDomainRecords(domainName);
+      const current = records.map((record) => `${record.type} ${record.value}`).join('; ');
+      const input = prompt(
+        'Records as "TYPE value", separated by ";" (e.g. "ALIAS other.dweb; TXT verify=abc").\nLeave empty to remove all records.',
+        current
+      );
+      if (input !== null) {
+        const nextRecords = input
+          .split(';')
+          .map((entry) => entry.trim())
+          .filter(Boolean)
+          .map((entry) => {
+            const [type, ...rest] = entry.split(/\s+/);
+            return { type: type.toUpperCase(), value: rest.join(' ') };
+          });
+        const signedPatch = await signDomainOperation({
+          operation: 'update',
+          domain: domainName,
+          records: nextRecords
+        });
+        await registryClient.updateDomainBinding(domainName, signedPatch);
+        alert(`Records for ${domainName} updated (${nextRecords.length})`);
         await refreshDomainsList();
       }
     }
@@ -795,7 +1187,10 @@ publishFileInput?.addEventListener('change', () => {
   }
   
   const totalSize = Array.from(files).reduce((sum, f) => sum + f.size, 0);
-  publishFileHint.textContent = `${files.length} file(s), ${formatBytes(totalSize)}`;
+  const quotaWarning = describeQuotaShortfall(files);
+  publishFileHint.textContent = `${files.length} file(s), ${formatBytes(totalSize)}` +
+    (quotaWarning ? ` — ${quotaWarning}` : '');
+  publishFileHint.classList.toggle('quota-warning-hint', Boolean(quotaWarning));
   createManifestBtn.disabled = false;
   replicationProgressPill.textContent = 'Ready to create manifest';
 });
@@ -933,6 +1328,7 @@ const domainAvailability = document.getElementById('domainAvailability');
 const appsList = document.getElementById('appsList');
 
 const domainSearchInput = document.getElementById('domainSearchInput');
+const domainValidationHint = document.getElementById('domainValidationHint');
 const registerNewDomainBtn = document.getElementById('registerNewDomainBtn');
 const refreshDomainsBtn = document.getElementById('refreshDomainsBtn');
 
@@ -948,8 +1344,28 @@ function saveAppsToStorage(apps) {
 }
 
 async function updateAppsPeerCounts() {
+  // Summaries skip chunk data, so one listing covers most apps in a single request.
+  const summaries = new Map();
+  if (authState?.ownerId) {
+    try {
+      let cursor = null;
+      do {
+        const page = await registryClient.listManifests({ owner: authState.ownerId, view: 'summary', limit: 100, cursor });
+        (page?.manifests ?? []).forEach((summary) => summaries.set(summary.manifestId, summary));
+        cursor = page?.nextCursor ?? null;
+      } while (cursor && summaries.size < publishedApps.length);
+    } catch {
+      // Fall back to per-manifest lookups below
+    }
+  }
+
   for (const app of publishedApps) {
     if (!app.manifestId) continue;
+    const summary = summaries.get(app.manifestId);
+    if (summary) {
+      app.peerCount = summary.replicaCount;
+      continue;
+    }
     try {
       const manifest = await registryClient.getManifest(app.manifestId);
       if (manifest && Array.isArray(manifest.replicas)) {
@@ -1003,9 +1419,11 @@ function renderAppsList() {
           <span title="Connected peers">👥 ${app.peerCount || 0} peers</span>
         </div>
         ${app.manifestId ? `<div class="app-manifest-id" title="Manifest ID">ID: ${escapeHtml(app.manifestId.slice(0, 16))}...</div>` : ''}
+        <div class="app-versions hidden"></div>
       </div>
       <div class="app-actions">
         ${app.domain ? `<button class="secondary small" data-action="open" data-domain="${escapeHtml(app.domain)}">Open</button>` : `<button class="secondary small" data-action="bind" data-manifest="${escapeHtml(app.manifestId)}">Bind Domain</button>`}
+        ${app.domain ? `<button class="secondary small" data-action="versions" data-domain="${escapeHtml(app.domain)}">Versions</button>` : ''}
         <button class="secondary small" data-action="details" data-manifest="${escapeHtml(app.manifestId)}" title="Details">ⓘ</button>
         <button class="secondary small" data-action="remove" data-manifest="${escapeHtml(app.manifestId)}" title="Remove">🗑</button>
       </div>
@@ -1027,6 +1445,8 @@ function renderAppsList() {
           window.showAppDetails(manifestId);
         } else if (action === 'remove' && manifestId) {
           window.removeApp(manifestId);
+        } else if (action === 'versions' && domain) {
+          toggleAppVersions(item.querySelector('.app-versions'), domain);
         }
       });
     });
@@ -1035,6 +1455,66 @@ function renderAppsList() {
   });
 }
 
+async function toggleAppVersions(container, domain) {
+  if (!container) return;
+  if (!container.classList.contains('hidden')) {
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+  await renderAppVersions(container, domain);
+}
+
+async function renderAppVersions(container, domain) {
+  container.innerHTML = '<p class="app-versions-empty">Loading versions…</p>';
+  try {
+    const { currentManifestId, history = [] } = await registryClient.getDomainHistory(domain, { limit: 20 });
+    if (history.length === 0) {
+      container.innerHTML = '<p class="app-versions-empty">No releases recorded</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    const seen = new Set();
+    history.forEach((entry) => {
+      // Older entries for the same manifest add nothing; list each release once.
+      if (seen.has(entry.manifestId)) return;
+      seen.add(entry.manifestId);
+
+      const isCurrent = entry.manifestId === currentManifestId;
+      const row = document.createElement('div');
+      row.className = 'app-version-row';
+      row.innerHTML = `
+        <span class="app-manifest-id" title="${escapeHtml(entry.manifestId)}">${escapeHtml(entry.manifestId.slice(0, 16))}...</span>
+        <span class="app-version-meta">${escapeHtml(entry.reason)} · ${new Date(entry.recordedAt).toLocaleString()}</span>
+        ${isCurrent
+          ? '<span class="status-badge status-bound">Live</span>'
+          : `<button class="secondary small" data-manifest="${escapeHtml(entry.manifestId)}">Rollback</button>`}
+      `;
+      row.querySelector('button')?.addEventListener('click', () => {
+        rollbackAppDomain(container, domain, entry.manifestId);
+      });
+      container.appendChild(row);
+    });
+  } catch (error) {
+    container.innerHTML = `<p class="app-versions-empty">Error: ${escapeHtml(error.message ?? error)}</p>`;
+  }
+}
+
+async function rollbackAppDomain(container, domain, manifestId) {
+  try {
+    const signedPayload = await signDomainOperation({
+      operation: 'rollback',
+      domain,
+      manifestId
+    });
+    await registryClient.rollbackDomain(domain, signedPayload);
+    await renderAppVersions(container, domain);
+  } catch (error) {
+    alert(`Rollback failed: ${error.message ?? error}`);
+  }
+}
+
 window.openAppDomain = function(domain) {
   const url = chrome.runtime.getURL(`resolver/index.html?domain=${encodeURIComponent(domain)}`);
   chrome.tabs.create({ url });
@@ -1072,6 +1552,12 @@ window.showAppDetails = async function(manifestId) {
       details += `\nFile Name: ${manifest.fileName || 'N/A'}\n`;
       details += `File Size: ${formatBytes(manifest.fileSize || 0)}\n`;
       details += `MIME Type: ${manifest.mimeType || 'N/A'}\n`;
+      if (Array.isArray(manifest.files)) {
+        details += `Entry: ${manifest.entryPath || 'N/A'}\n`;
+        details += `\nFiles (${manifest.files.length}):\n${manifest.files
+          .map((file) => `  - ${file.path} (${formatBytes(file.size || 0)}, ${file.chunkCount} chunks)`)
+          .join('\n')}\n`;
+      }
       if (Array.isArray(manifest.replicas)) {
         details += `\nReplica Peers:\n${manifest.replicas.map(p => `  - ${p}`).join('\n')}`;
       }
@@ -1085,6 +1571,8 @@ window.showAppDetails = async function(manifestId) {
 
 function showPublishModal() {
   publishModal?.classList.remove('hidden');
+  // Fresh usage for the quota warning shown once a folder is picked
+  refreshOwnerUsage();
 }
 
 function hidePublishModal() {
@@ -1095,7 +1583,10 @@ function hidePublishModal() {
 function resetPublishModal() {
   showPublishStep(1);
   selectedFolder = null;
-  if (selectedFolderName) selectedFolderName.textContent = 'No folder selected';
+  if (selectedFolderName) {
+    selectedFolderName.textContent = 'No folder selected';
+    selectedFolderName.classList.remove('quota-warning-hint');
+  }
   if (startPublishBtn) startPublishBtn.disabled = true;
   if (modalDomainInput) modalDomainInput.value = '';
   if (domainAvailability) domainAvailability.textContent = '';
@@ -1132,7 +1623,11 @@ publishFolderInput?.addEventListener('change', () => {
   
   selectedFolder = files;
   const folderName = files[0].webkitRelativePath.split('/')[0] || 'Selected folder';
-  selectedFolderName.textContent = `${folderName} (${files.length} files)`;
+  const totalSize = Array.from(files).reduce((sum, file) => sum + file.size, 0);
+  const quotaWarning = describeQuotaShortfall(files);
+  selectedFolderName.textContent = `${folderName} (${files.length} files, ${formatBytes(totalSize)})` +
+    (quotaWarning ? ` — ${quotaWarning}` : '');
+  selectedFolderName.classList.toggle('quota-warning-hint', Boolean(quotaWarning));
   startPublishBtn.disabled = false;
 });
 
@@ -1143,20 +1638,21 @@ startPublishBtn?.addEventListener('click', async () => {
   
   try {
     const files = Array.from(selectedFolder);
-    const firstFile = files[0];
     
     document.getElementById('progressIcon1').textContent = '⏳';
     document.getElementById('progressText1').textContent = 'Preparing manifest...';
     
-    const { manifest, transfer } = await chunkManager.prepareTransfer(firstFile);
+    const { manifest, transfer } = await chunkManager.prepareBundle(files);
     
     document.getElementById('progressIcon1').textContent = '✓';
-    document.getElementById('progressText1').textContent = 'Manifest created';
+    document.getElementById('progressText1').textContent = `Manifest created (${manifest.files.length} files)`;
     
     currentPublishManifest = {
       manifestId: manifest.transferId,
       transferId: manifest.transferId,
-      fileName: firstFile.name,
+      fileName: manifest.fileName,
+      fileCount: manifest.files.length,
+      entryPath: manifest.entryPath,
       chunks: transfer.totalChunks,
       publishedAt: Date.now(),
       peerCount: 0,
@@ -1233,6 +1729,84 @@ goToDomainsBtn?.addEventListener('click', () => {
 
 // Domain binding removed from publish flow - now done via Domains page
 
+function withDwebSuffix(value) {
+  const name = String(value ?? '').trim();
+  // Auto-add .dweb if not present
+  return name && !name.toLowerCase().replace(/\.$/, '').endsWith('.dweb') ? `${name}.dweb` : name;
+}
+
+const AVAILABILITY_CHECK_DELAY_MS = 350;
+const AVAILABILITY_REASONS = {
+  DOMAIN_ALREADY_REGISTERED: 'is already registered',
+  DOMAIN_IN_COOLDOWN: 'was released recently and is in cooldown',
+  PARENT_DOMAIN_NOT_FOUND: 'needs its parent domain registered first',
+  DOMAIN_RESERVED: 'is reserved'
+};
+let availabilityTimer = null;
+let availabilityRequestId = 0;
+
+function updateDomainValidationHint(value) {
+  if (!domainValidationHint) return;
+  clearTimeout(availabilityTimer);
+  availabilityRequestId += 1;
+  domainValidationHint.classList.remove('available', 'taken');
+  if (!String(value ?? '').trim()) {
+    domainValidationHint.textContent = '';
+    return;
+  }
+  const result = validateDomainName(withDwebSuffix(value));
+  if (!result.ok) {
+    domainValidationHint.textContent = result.message;
+    domainValidationHint.classList.add('taken');
+    return;
+  }
+  const label = result.unicode === result.domain ? result.domain : `${result.unicode} (${result.domain})`;
+  domainValidationHint.textContent = `${label} — checking availability…`;
+  const requestId = availabilityRequestId;
+  availabilityTimer = setTimeout(() => checkDomainAvailability(result.domain, label, requestId), AVAILABILITY_CHECK_DELAY_MS);
+}
+
+async function checkDomainAvailability(domain, label, requestId) {
+  let availability;
+  try {
+    availability = await registryClient.getDomainAvailability(domain);
+  } catch {
+    availability = null;
+  }
+  // A newer keystroke has superseded this check.
+  if (requestId !== availabilityRequestId || !domainValidationHint) return;
+
+  if (!availability) {
+    domainValidationHint.textContent = label;
+    return;
+  }
+  if (availability.available) {
+    domainValidationHint.textContent = `✓ ${label} is available`;
+    domainValidationHint.classList.add('available');
+    return;
+  }
+
+  const reason = AVAILABILITY_REASONS[availability.reason] ?? 'is not available';
+  const availableAt = availability.availableAt ? ` until ${new Date(availability.availableAt).toLocaleString()}` : '';
+  domainValidationHint.textContent = `✗ ${label} ${reason}${availableAt}`;
+  domainValidationHint.classList.add('taken');
+  if (availability.suggestions?.length) {
+    domainValidationHint.append(' — try ');
+    availability.suggestions.forEach((suggestion, index) => {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'domain-suggestion';
+      link.textContent = suggestion;
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        domainSearchInput.value = suggestion;
+        updateDomainValidationHint(suggestion);
+      });
+      domainValidationHint.append(index ? ', ' : '', link);
+    });
+  }
+}
+
 registerNewDomainBtn?.addEventListener('click', async () => {
   let domainName = domainSearchInput?.value.trim();
   if (!domainName) {
@@ -1240,10 +1814,12 @@ registerNewDomainBtn?.addEventListener('click', async () => {
     return;
   }
   
-  // Auto-add .dweb if not present
-  if (!domainName.endsWith('.dweb')) {
-    domainName = `${domainName}.dweb`;
+  const domainCheck = validateDomainName(withDwebSuffix(domainName));
+  if (!domainCheck.ok) {
+    alert(domainCheck.message);
+    return;
   }
+  domainName = domainCheck.domain;
   
   if (!authState?.ownerId) {
     alert('Please authenticate first (click "Continue as guest" in welcome screen)');
@@ -1279,10 +1855,10 @@ registerNewDomainBtn?.addEventListener('click', async () => {
     
     // Sign domain registration
     const payload = {
+      operation: 'register',
       domain: domainName,
       owner: authState.ownerId,
-      manifestId: manifestId || 'unbound',
-      timestamp: Date.now()
+      manifestId: manifestId || 'unbound'
     };
     
     const signedPayload = await signDomainOperation(payload);
@@ -1292,6 +1868,7 @@ registerNewDomainBtn?.addEventListener('click', async () => {
     
     await refreshDomainsList();
     domainSearchInput.value = '';
+    updateDomainValidationHint('');
     
   } catch (error) {
     alert(`Failed to register domain: ${error.message ?? error}`);
@@ -1300,7 +1877,13 @@ registerNewDomainBtn?.addEventListener('click', async () => {
   }
 });
 
-refreshDomainsBtn?.addEventListener('click', refreshDomainsList);
+domainSearchInput?.addEventListener('input', () => {
+  updateDomainValidationHint(domainSearchInput.value);
+});
+
+refreshDomainsBtn?.addEventListener('click', () => refreshDomainsList());
+document.getElementById('domainOwnerFilter')?.addEventListener('change', () => refreshDomainsList());
+document.getElementById('loadMoreDomainsBtn')?.addEventListener('click', () => refreshDomainsList({ append: true }));
 
 registerDomainBtn?.addEventListener('click', async () => {
   const domain = domainInput?.value.trim();
@@ -1336,10 +1919,11 @@ registerDomainBtn?.addEventListener('click', async () => {
       appendRegistryLog(`Domain ${domain} reserved`);
     }
     
-    const bindPayload = {
-      manifestId: currentManifest.transferId,
-      status: 'bound'
-    };
+    const bindPayload = await signDomainOperation({
+      operation: 'update',
+      domain,
+      manifestId: currentManifest.transferId
+    });
     
     await registryClient.updateDomainBinding(domain, bindPayload);
     appendRegistryLog(`Domain ${domain} bound to ${currentManifest.transferId}`);
@@ -1395,6 +1979,7 @@ if (!storedStorageApiKey && DEFAULT_STORAGE_API_KEY) {
 registryClient = new RegistryClient(registryUrlInput.value || DEFAULT_REGISTRY_URL, {
   apiKey: storedRegistryApiKey
 });
+startRegistryChangeFeed();
 const chunkCache = new Map();
 const manifestReplicationState = new Map();
 const rawStorageServiceUrl = loadStorageServiceUrl();
@@ -1837,6 +2422,7 @@ if (registryApiKeyInput) {
   registryApiKeyInput.addEventListener('change', () => {
     const value = registryApiKeyInput.value.trim();
     registryClient.setApiKey(value);
+    startRegistryChangeFeed();
     persistRegistryApiKey(value);
     appendRegistryLog(value ? 'Registry API key updated.' : 'Registry API key cleared.');
   });
@@ -1895,6 +2481,8 @@ chrome.runtime.onMessage.addListener((message) => {
 
 registryUrlInput.addEventListener('change', () => {
   registryClient.setBaseUrl(registryUrlInput.value.trim());
+  // Sequence numbers belong to one registry; start the new one's feed at its tail.
+  startRegistryChangeFeed({ resume: false });
   appendRegistryLog(`Registry URL set to ${registryUrlInput.value.trim()}`);
   refreshRegisterButtonState();
 });
@@ -4063,7 +4651,10 @@ async function registerManifestWithRegistry(manifest, transferOverride = null) {
       chunkData: validatedChunkData,
       chunkReplicas,
       chunkPointers,
-      replicas: [localPeerId, ...(incomingTransfer?.manifest?.replicas ?? [])]
+      replicas: [localPeerId, ...(incomingTransfer?.manifest?.replicas ?? [])],
+      // The registry reports chunks whose live replica count drops below this target
+      replicationFactor: getEffectiveAckQuorum(),
+      owner: authState?.ownerId ?? undefined
     };
     
     console.log('[registerManifest] Payload:', {
@@ -4074,7 +4665,9 @@ async function registerManifestWithRegistry(manifest, transferOverride = null) {
       invalidCount: payload.chunkData?.filter(c => c !== null && typeof c !== 'string').length
     });
     
-    const record = await registryClient.registerManifest(payload);
+    // The registry only records (and charges) a dweb:0x owner who signed the upload.
+    const body = payload.owner ? await signDomainOperation({ operation: 'publish', ...payload }) : payload;
+    const record = await registryClient.registerManifest(body);
     lastManifestRecord = record;
     telemetry.setContext(
       'manifestId',
@@ -4103,7 +4696,12 @@ async function registerManifestWithRegistry(manifest, transferOverride = null) {
   }
 }
 
-async function signDomainOperation(payload) {
+/**
+ * Signs `payload` as the request body of a registry operation. The envelope names
+ * the operation and digests the whole body, so every field sent must be in
+ * `payload`; anything added after signing is rejected by the registry.
+ */
+async function signDomainOperation({ operation = 'register', ...payload }, { owner = payload.owner } = {}) {
   if (!authState?.ownerId) {
     throw new Error('Not authenticated');
   }
@@ -4114,8 +4712,17 @@ async function signDomainOperation(payload) {
     throw new Error('Keypair not found. Please re-authenticate.');
   }
   
-  // Create signed message
-  const message = JSON.stringify(payload);
+  // Canonical envelope binding the signature to this exact operation
+  const message = canonicalOperationMessage({
+    version: SIGNED_OPERATION_VERSION,
+    operation,
+    domain: payload.domain,
+    manifestId: payload.manifestId ?? null,
+    owner: owner ?? null,
+    payloadDigest: await operationPayloadDigest(payload),
+    issuedAt: Date.now(),
+    nonce: createOperationNonce()
+  });
   const signature = await signMessage(keypair.privateKey, message);
   
   return {
@@ -1,6 +1,7 @@
 import { RegistryClient } from "../scripts/api/registryClient.js";
 import { settings } from "./settings.js";
 import { TelemetryClient } from "../scripts/telemetry/telemetryClient.js";
+import { computeMerkleRoot, verifyMerkleProof } from "../scripts/webrtc/merkle.js";
 
 const domainInput = document.getElementById("domainInput");
 const registryUrlInput = document.getElementById("registryUrl");
@@ -27,6 +28,7 @@ const SOURCE_LABELS = {
 };
 
 const RESOLVE_CACHE_NAME = "dweb-resolver-cache-v1";
+const MAX_ALIAS_HOPS = 8;
 
 let currentRegistryApiKey = loadRegistryApiKey();
 let storageApiKey = loadStorageApiKey();
@@ -35,6 +37,7 @@ let storageServiceUrl =
 let storageServiceOrigin = computeOrigin(storageServiceUrl);
 let registryClient = new RegistryClient(registryUrlInput.value, {
   apiKey: currentRegistryApiKey,
+  onDisagreement: logRegistryDisagreement,
 });
 const telemetry = new TelemetryClient({ component: "resolver" });
 let currentResolveStats = createResolveStats();
@@ -104,6 +107,7 @@ if (domainParam) {
 registryUrlInput.addEventListener("change", () => {
   registryClient = new RegistryClient(registryUrlInput.value.trim(), {
     apiKey: currentRegistryApiKey,
+    onDisagreement: logRegistryDisagreement,
   });
   appendLog(`Registry URL set to ${registryUrlInput.value.trim()}`);
 });
@@ -123,7 +127,17 @@ resolveBtn.addEventListener("click", async () => {
   let manifestId = null;
 
   try {
-    const record = await registryClient.getDomain(domain);
+    const { record, redirect } = await followDomainRecords(domain);
+    if (redirect) {
+      appendLog(`${record.domain} redirects to ${redirect}`);
+      emitResolveSummary({
+        manifestId: null,
+        domain,
+        failureReason: null
+      });
+      window.location.assign(redirect);
+      return;
+    }
     if (!record) {
       appendLog(`Domain not found: ${domain}`);
       telemetry.emit("error.event", {
@@ -139,6 +153,19 @@ resolveBtn.addEventListener("click", async () => {
       return;
     }
 
+    if (record.status === "suspended") {
+      renderSuspendedNotice("domain", record.matchedDomain ?? record.domain, record.suspension);
+      emitResolveSummary({
+        manifestId: record.manifestId ?? null,
+        domain,
+        failureReason: "domain-suspended"
+      });
+      return;
+    }
+
+    if (record.matchedDomain && record.matchedDomain !== record.requestedDomain) {
+      appendLog(`${record.requestedDomain} is not registered; serving ${record.matchedDomain}`);
+    }
     appendLog(
       `Manifest ${record.manifestId} with ${record.replicas?.length ?? 0} replicas`
     );
@@ -161,16 +188,53 @@ resolveBtn.addEventListener("click", async () => {
       return;
     }
 
+    if (manifest.status === "suspended") {
+      renderSuspendedNotice("content", manifestId, manifest.suspension);
+      emitResolveSummary({
+        manifestId,
+        domain,
+        failureReason: "manifest-suspended"
+      });
+      return;
+    }
+
+    // Chunks fetched without a proof are checked against chunkHashes, so the list
+    // itself must match the root first.
+    if (
+      manifest.merkleRoot &&
+      (await computeMerkleRoot(manifest.chunkHashes)) !== manifest.merkleRoot
+    ) {
+      appendLog(`Manifest ${manifestId} chunk hashes do not match its Merkle root`);
+      telemetry.emit("error.event", {
+        component: "resolver",
+        context: "manifest-verify",
+        message: "MERKLE_ROOT_MISMATCH"
+      });
+      emitResolveSummary({
+        manifestId,
+        domain,
+        failureReason: "manifest-merkle-mismatch"
+      });
+      return;
+    }
+
     currentResolveStats.expectedChunks = manifest.chunkCount ?? 0;
 
     appendLog(
       `Manifest fetched: ${manifest.fileName} (${manifest.chunkCount} chunks)`
     );
 
+    // PEERS records are extra replica hints next to the peers holding a live
+    // lease on each chunk; lapsed replicas are already left out by the registry.
+    const peerHints = (record.records ?? [])
+      .filter((entry) => entry.type === "PEERS")
+      .map((entry) => entry.value);
+
     const chunks = [];
     for (let i = 0; i < manifest.chunkCount; i += 1) {
-      const chunkData = await fetchChunk(manifestId, i, record.replicas ?? []);
-      if (!chunkData) {
+      const replicas = [...new Set([...(manifest.chunkReplicas?.[i] ?? []), ...peerHints])];
+      const chunk = await fetchChunk(manifestId, i, replicas);
+      if (!chunk) {
         appendLog(`Failed to fetch chunk ${i}`);
         const failureReason = `chunk-${i}-fetch-failed`;
         telemetry.emit("error.event", {
@@ -185,15 +249,37 @@ resolveBtn.addEventListener("click", async () => {
         });
         return;
       }
-      chunks.push(chunkData);
+      if (!(await verifyChunk(manifest, i, chunk))) {
+        appendLog(`Chunk ${i} failed verification`);
+        const failureReason = `chunk-${i}-verification-failed`;
+        telemetry.emit("error.event", {
+          component: "resolver",
+          context: "chunk-verify",
+          message: failureReason
+        });
+        emitResolveSummary({
+          manifestId,
+          domain,
+          failureReason
+        });
+        return;
+      }
+      chunks.push(chunk.data);
       appendLog(`Chunk ${i + 1}/${manifest.chunkCount} fetched.`);
     }
 
-    const blob = new Blob(chunks, { type: manifest.mimeType });
-    const url = URL.createObjectURL(blob);
-    previewFrame.src = url;
-    previewFrame.onload = () => URL.revokeObjectURL(url);
-    appendLog(`Content rendered. (${manifest.fileName})`);
+    if (Array.isArray(manifest.files) && manifest.files.length) {
+      renderBundle(manifest, chunks);
+      appendLog(
+        `Bundle rendered. (${manifest.entryPath ?? manifest.files[0].path}, ${manifest.files.length} files)`
+      );
+    } else {
+      const blob = new Blob(chunks, { type: manifest.mimeType });
+      const url = URL.createObjectURL(blob);
+      previewFrame.src = url;
+      previewFrame.onload = () => URL.revokeObjectURL(url);
+      appendLog(`Content rendered. (${manifest.fileName})`);
+    }
     emitResolveSummary({
       manifestId,
       domain,
@@ -215,12 +301,228 @@ resolveBtn.addEventListener("click", async () => {
   }
 });
 
+/**
+ * Resolves `domain` and follows ALIAS records until a name serves content or
+ * REDIRECTs. Throws when an alias chain revisits a name or grows too long.
+ */
+async function followDomainRecords(domain) {
+  const visited = [];
+  let name = domain;
+  for (;;) {
+    const record = await registryClient.resolveDomain(name);
+    if (!record) {
+      return { record: null, redirect: null };
+    }
+    const current = record.matchedDomain ?? record.domain;
+    if (visited.includes(current)) {
+      throw new Error(`Alias loop detected: ${[...visited, current].join(" -> ")}`);
+    }
+    visited.push(current);
+    // A suspended name is not followed anywhere; the caller explains the takedown.
+    if (record.status === "suspended") {
+      return { record, redirect: null };
+    }
+
+    const records = Array.isArray(record.records) ? record.records : [];
+    const redirect = records.find((entry) => entry.type === "REDIRECT");
+    if (redirect) {
+      return { record, redirect: redirect.value };
+    }
+    const alias = records.find((entry) => entry.type === "ALIAS");
+    if (!alias) {
+      return { record, redirect: null };
+    }
+    if (visited.length > MAX_ALIAS_HOPS) {
+      throw new Error(`Alias chain longer than ${MAX_ALIAS_HOPS} hops`);
+    }
+    appendLog(`${current} is an alias of ${alias.value}`);
+    name = alias.value;
+  }
+}
+
+let activeBundleUrls = [];
+
+// Attribute values that name another file, quoted or not.
+const BUNDLE_ATTRIBUTE_PATTERN = /(\s(?:src|href|poster|data)\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi;
+const BUNDLE_SRCSET_PATTERN = /(\ssrcset\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi;
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)"'\s]+))\s*\)/gi;
+const CSS_IMPORT_PATTERN = /(@import\s+)(["'])([^"']+)\2/gi;
+
+/**
+ * Shows a multi-file bundle: every file becomes a blob URL and relative references
+ * between files are rewritten to those URLs when a file is first needed. Rewritten
+ * forms are `src`, `href`, `poster` and `data` attributes (quoted or not), `srcset`
+ * candidates and CSS `url(...)` / `@import "..."` in HTML and CSS files. References
+ * inside JavaScript (imports, fetch) and SVG files are not rewritten, and a page
+ * linking back to a page that links to it keeps the relative link.
+ */
+function renderBundle(manifest, chunks) {
+  activeBundleUrls.forEach((url) => URL.revokeObjectURL(url));
+  activeBundleUrls = [];
+
+  validateBundleFiles(manifest);
+  const files = new Map(manifest.files.map((file) => [file.path, file]));
+  const entryPath = manifest.entryPath ?? manifest.files[0].path;
+  if (!files.has(entryPath)) {
+    throw new Error(`Bundle entry ${entryPath} missing`);
+  }
+
+  const fileUrls = new Map();
+  const rendering = new Set();
+  const urlFor = (path) => {
+    const file = files.get(path);
+    if (fileUrls.has(path) || !file || rendering.has(path)) {
+      return fileUrls.get(path) ?? null;
+    }
+    rendering.add(path);
+    const parts = chunks.slice(file.chunkStart, file.chunkStart + file.chunkCount);
+    const body = /html|css/i.test(file.mimeType ?? "") ? [rewriteBundleText(file, parts, urlFor)] : parts;
+    rendering.delete(path);
+    const url = URL.createObjectURL(new Blob(body, { type: file.mimeType }));
+    fileUrls.set(path, url);
+    activeBundleUrls.push(url);
+    return url;
+  };
+
+  previewFrame.src = urlFor(entryPath);
+}
+
+/**
+ * Checks the manifest's file table before it is used to slice chunks: every range
+ * must lie within `chunkCount` and no two files may share a chunk. A registry is
+ * not trusted to have checked this.
+ */
+function validateBundleFiles(manifest) {
+  const ranges = [];
+  manifest.files.forEach((file, position) => {
+    const { chunkStart, chunkCount } = file ?? {};
+    if (typeof file?.path !== "string" || !file.path) {
+      throw new Error(`Bundle file ${position} has no path`);
+    }
+    if (
+      !Number.isInteger(chunkStart) ||
+      !Number.isInteger(chunkCount) ||
+      chunkStart < 0 ||
+      chunkCount < 0 ||
+      chunkStart + chunkCount > manifest.chunkCount
+    ) {
+      throw new Error(`Bundle file ${file.path} has an invalid chunk range`);
+    }
+    if (chunkCount > 0) {
+      ranges.push([chunkStart, chunkStart + chunkCount, file.path]);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  ranges.forEach(([start, , path], index) => {
+    if (index > 0 && start < ranges[index - 1][1]) {
+      throw new Error(`Bundle files ${ranges[index - 1][2]} and ${path} overlap`);
+    }
+  });
+}
+
+// Text of an HTML or CSS bundle file with its references to other files rewritten by `urlFor`.
+function rewriteBundleText(file, parts, urlFor) {
+  const decoder = new TextDecoder();
+  const text = parts.map((part) => decoder.decode(part, { stream: true })).join("") + decoder.decode();
+  const baseDir = file.path.includes("/") ? file.path.slice(0, file.path.lastIndexOf("/") + 1) : "";
+  const rewrite = (reference) => {
+    const target = resolveBundlePath(baseDir, reference.trim());
+    return (target && urlFor(target)) ?? reference;
+  };
+  // Each srcset candidate URL follows the start or a comma; its descriptors follow whitespace.
+  const rewriteSrcset = (value) =>
+    value.replace(/(^|,)(\s*)([^\s,]+)/g, (match, comma, space, reference) => `${comma}${space}${rewrite(reference)}`);
+  // Keeps the original quotes so values inside other quoted text stay valid.
+  const requote = (double, single, bare, map) => {
+    if (double !== undefined) return `"${map(double)}"`;
+    if (single !== undefined) return `'${map(single)}'`;
+    return map(bare);
+  };
+
+  let rewritten = text
+    .replace(CSS_URL_PATTERN, (match, double, single, bare) => `url(${requote(double, single, bare, rewrite)})`)
+    .replace(CSS_IMPORT_PATTERN, (match, prefix, quote, reference) => `${prefix}${quote}${rewrite(reference)}${quote}`);
+  if (/html/i.test(file.mimeType)) {
+    rewritten = rewritten
+      .replace(BUNDLE_ATTRIBUTE_PATTERN, (match, prefix, double, single, bare) =>
+        `${prefix}${requote(double, single, bare, rewrite)}`
+      )
+      .replace(BUNDLE_SRCSET_PATTERN, (match, prefix, double, single, bare) =>
+        `${prefix}${requote(double, single, bare, rewriteSrcset)}`
+      );
+  }
+  return rewritten;
+}
+
+// Shown instead of content the registry has taken down after an abuse report.
+function renderSuspendedNotice(kind, name, suspension) {
+  const reason = suspension?.reason ?? null;
+  appendLog(`Refusing to render suspended ${kind} ${name}${reason ? ` (${reason})` : ""}`);
+  const since = suspension?.suspendedAt ? new Date(suspension.suspendedAt).toLocaleString() : null;
+  const html = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <style>
+      body { font-family: system-ui, sans-serif; margin: 0; padding: 48px 32px; color: #1d2333; background: #f6f7fb; }
+      h1 { font-size: 22px; margin: 0 0 12px; }
+      p { line-height: 1.5; max-width: 560px; }
+      .meta { color: #5d6478; font-size: 14px; }
+    </style>
+  </head>
+  <body>
+    <h1>This ${kind} has been suspended</h1>
+    <p>The registry suspended <strong>${escapeHtml(name)}</strong> after a report of abuse, so the resolver will not load it.</p>
+    ${reason ? `<p class="meta">Reason: ${escapeHtml(reason)}</p>` : ""}
+    ${since ? `<p class="meta">Suspended since ${escapeHtml(since)}</p>` : ""}
+  </body>
+</html>`;
+  const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+  previewFrame.src = url;
+  previewFrame.onload = () => URL.revokeObjectURL(url);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+  })[char]);
+}
+
+function resolveBundlePath(baseDir, reference) {
+  if (/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference)) {
+    return null;
+  }
+  const cleaned = reference.split(/[?#]/)[0];
+  const segments = (cleaned.startsWith("/") ? cleaned.slice(1) : `${baseDir}${cleaned}`).split("/");
+  const resolved = [];
+  for (const segment of segments) {
+    if (!segment || segment === ".") continue;
+    if (segment === "..") {
+      resolved.pop();
+    } else {
+      resolved.push(segment);
+    }
+  }
+  return resolved.join("/");
+}
+
 function appendLog(text) {
   const time = new Date().toLocaleTimeString();
   logOutput.textContent += `[${time}] ${text}\n`;
   logOutput.scrollTop = logOutput.scrollHeight;
 }
 
+function logRegistryDisagreement({ answers }) {
+  const summary = answers
+    .map(({ url, value }) => `${url}: ${value ? `${value.owner ?? "-"} -> ${value.manifestId ?? "-"}` : "not found"}`)
+    .join(", ");
+  appendLog(`Registries disagree (${summary})`);
+}
+
 function createResolveStats() {
   return {
     total: 0,
@@ -373,7 +675,10 @@ async function fetchChunk(manifestId, index, replicas) {
           fallbackReason: aggregatedFallbackReason(),
           success: true
         });
-        return base64ToUint8Array(payload.data);
+        return {
+          data: base64ToUint8Array(payload.data),
+          merkleProof: payload.merkleProof ?? null
+        };
       }
     }
   }
@@ -396,7 +701,7 @@ async function fetchChunk(manifestId, index, replicas) {
           fallbackReason: aggregatedFallbackReason(),
           success: true
         });
-        return base64ToUint8Array(peerResponse.data);
+        return { data: base64ToUint8Array(peerResponse.data), merkleProof: null };
       }
       if (peerResponse?.status === "in-progress") {
         appendLog(`Chunk ${index} pending peer response; falling back.`);
@@ -452,7 +757,10 @@ async function fetchChunk(manifestId, index, replicas) {
           fallbackReason: aggregatedFallbackReason(),
           success: true
         });
-        return base64ToUint8Array(chunkRecord.data);
+        return {
+          data: base64ToUint8Array(chunkRecord.data),
+          merkleProof: chunkRecord.merkleProof ?? null
+        };
       }
 
       if (chunkRecord.pointer) {
@@ -476,7 +784,10 @@ async function fetchChunk(manifestId, index, replicas) {
                 fallbackReason: aggregatedFallbackReason(),
                 success: true
               });
-              return base64ToUint8Array(payload.data);
+              return {
+                data: base64ToUint8Array(payload.data),
+                merkleProof: chunkRecord.merkleProof ?? null
+              };
             }
           } else {
             appendLog(
@@ -510,6 +821,32 @@ async function fetchChunk(manifestId, index, replicas) {
   return null;
 }
 
+// A chunk that came with an inclusion proof is checked against the manifest's
+// Merkle root alone; any other chunk against its entry in chunkHashes.
+async function verifyChunk(manifest, index, { data, merkleProof }) {
+  const chunkHash = await sha256Base64Url(data);
+  if (manifest.merkleRoot && merkleProof) {
+    return verifyMerkleProof({
+      chunkHash,
+      index,
+      root: manifest.merkleRoot,
+      leafCount: merkleProof.leafCount,
+      hashes: merkleProof.hashes
+    });
+  }
+  const expected = manifest.chunkHashes?.[index];
+  return !expected || chunkHash === expected;
+}
+
+async function sha256Base64Url(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  let binary = "";
+  for (let i = 0; i < digest.byteLength; i += 1) {
+    binary += String.fromCharCode(digest[i]);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
 function emitResolveSummary({ manifestId, domain, failureReason }) {
   const stats = currentResolveStats ?? createResolveStats();
   const expectedChunks =
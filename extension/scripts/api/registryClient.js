@@ -1,13 +1,25 @@
+import { validateDomainName } from '../domain/domainName.js';
+
 const DEFAULT_REGISTRY_URL = 'http://localhost:8788';
+const CHANGE_STREAM_RETRY_MS = 3000;
 
+/**
+ * Client for one or more federated registries. `baseUrl` may be a list of URLs (an
+ * array or a comma-separated string): writes and feeds go to the first, and domain
+ * and manifest lookups are sent to all of them and cross-checked (see crossCheck).
+ * `options.onDisagreement({ answers })` is called whenever registries answer a lookup
+ * differently.
+ */
 export class RegistryClient {
   constructor(baseUrl = DEFAULT_REGISTRY_URL, options = {}) {
-    this.baseUrl = sanitizeBaseUrl(baseUrl);
+    this.setBaseUrl(baseUrl);
     this.apiKey = typeof options.apiKey === 'string' ? options.apiKey.trim() || null : null;
+    this.onDisagreement = typeof options.onDisagreement === 'function' ? options.onDisagreement : null;
   }
 
   setBaseUrl(url) {
-    this.baseUrl = sanitizeBaseUrl(url);
+    this.baseUrls = sanitizeBaseUrls(url);
+    this.baseUrl = this.baseUrls[0];
   }
 
   setApiKey(apiKey) {
@@ -48,10 +60,14 @@ export class RegistryClient {
   }
 
   async registerDomain(payload) {
+    const domainCheck = validateDomainName(payload?.domain);
+    if (!domainCheck.ok) {
+      throw new Error(domainCheck.message);
+    }
     const response = await fetch(`${this.baseUrl}/domains`, {
       method: 'POST',
       headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
-      body: JSON.stringify(payload)
+      body: JSON.stringify({ ...payload, domain: domainCheck.domain })
     });
 
     if (!response.ok) {
@@ -62,8 +78,13 @@ export class RegistryClient {
     return response.json();
   }
 
-  async listDomains() {
-    const response = await fetch(`${this.baseUrl}/domains`, {
+  /**
+   * One page of domains: `{ domains, nextCursor, total }`. Options map to the
+   * registry list query (owner, mimeType, createdAfter, createdBefore, sort, order,
+   * limit, cursor, view, fields).
+   */
+  async listDomains(options = {}) {
+    const response = await fetch(`${this.baseUrl}/domains${buildListQuery(options)}`, {
       headers: this.withAuthHeaders({ Accept: 'application/json' })
     });
 
@@ -75,33 +96,228 @@ export class RegistryClient {
     return response.json();
   }
 
-  async getDomain(domain) {
-    const response = await fetch(`${this.baseUrl}/domains/${encodeURIComponent(domain)}`, {
+  /**
+   * One page of manifest summaries: `{ manifests, nextCursor, total }`. Pass
+   * `view: 'full'` to include chunk data.
+   */
+  async listManifests(options = {}) {
+    const response = await fetch(`${this.baseUrl}/manifests${buildListQuery(options)}`, {
       headers: this.withAuthHeaders({ Accept: 'application/json' })
     });
-    if (response.status === 404) {
-      return null;
+
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Failed to list manifests (${response.status})`);
     }
+
+    return response.json();
+  }
+
+  /**
+   * `{ ownerId, manifestCount, domains, manifestBytes, inlineBytes }`; each quota is
+   * `{ used, limit }` with a null limit when the registry does not enforce it.
+   */
+  async getOwnerUsage(ownerId) {
+    const response = await fetch(`${this.baseUrl}/owners/${encodeURIComponent(ownerId)}/usage`, {
+      headers: this.withAuthHeaders({ Accept: 'application/json' })
+    });
+
     if (!response.ok) {
-      throw new Error(`Failed to fetch domain (${response.status})`);
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Failed to load owner usage (${response.status})`);
     }
+
     return response.json();
   }
 
-  async getManifest(manifestId) {
-    const response = await fetch(`${this.baseUrl}/manifests/${encodeURIComponent(manifestId)}`, {
+  /**
+   * One page of manifests with chunks below their replication factor:
+   * `{ manifests, nextCursor, total, checkedAt }`.
+   */
+  async getReplicationHealth(options = {}) {
+    const response = await fetch(`${this.baseUrl}/replication/health${buildListQuery(options)}`, {
       headers: this.withAuthHeaders({ Accept: 'application/json' })
     });
-    if (response.status === 404) {
-      return null;
+
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Failed to load replication health (${response.status})`);
+    }
+
+    return response.json();
+  }
+
+  async searchDomains(query, { limit } = {}) {
+    const response = await fetch(`${this.baseUrl}/domains/search${buildListQuery({ q: query, limit })}`, {
+      headers: this.withAuthHeaders({ Accept: 'application/json' })
+    });
+
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Domain search failed (${response.status})`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * `{ domain, available, reason, suggestions? }`. Invalid names are reported as
+   * unavailable rather than thrown.
+   */
+  async getDomainAvailability(domain) {
+    const response = await fetch(`${this.baseUrl}/domains/${encodeURIComponent(domain)}/availability`, {
+      headers: this.withAuthHeaders({ Accept: 'application/json' })
+    });
+
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Availability check failed (${response.status})`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Runs `read(baseUrl)` against every registry and returns the answer most of them
+   * agree on. Answers are compared by `fingerprint(answer)`, which should only pick
+   * replicated fields; lease status or suspensions are decided by each registry, so
+   * the majority answer returned is a suspended one if any registry in it suspends it.
+   * Registries that fail are left out. Throws REGISTRY_DISAGREEMENT when no answer
+   * has a strict majority of the ones received.
+   */
+  async crossCheck(read, fingerprint) {
+    if (this.baseUrls.length === 1) {
+      return read(this.baseUrl);
+    }
+
+    const settled = await Promise.allSettled(this.baseUrls.map((url) => read(url)));
+    const answers = [];
+    settled.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        answers.push({
+          url: this.baseUrls[index],
+          value: result.value,
+          key: JSON.stringify(fingerprint(result.value))
+        });
+      }
+    });
+    if (!answers.length) {
+      throw settled[0].reason;
+    }
+
+    const groups = new Map();
+    answers.forEach((answer) => {
+      groups.set(answer.key, [...(groups.get(answer.key) ?? []), answer]);
+    });
+    if (groups.size > 1) {
+      this.onDisagreement?.({ answers: answers.map(({ url, value }) => ({ url, value })) });
+    }
+    const [majority] = [...groups.values()].sort((a, b) => b.length - a.length);
+    if (majority.length * 2 <= answers.length) {
+      throw new Error('REGISTRY_DISAGREEMENT');
+    }
+    // The answer kept must not depend on the order the registries are listed in.
+    const suspended = majority.find(({ value }) => value?.status === 'suspended');
+    return (suspended ?? majority[0]).value;
+  }
+
+  async getDomain(domain) {
+    return this.crossCheck(async (baseUrl) => {
+      const response = await fetch(`${baseUrl}/domains/${encodeURIComponent(domain)}`, {
+        headers: this.withAuthHeaders({ Accept: 'application/json' })
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to fetch domain (${response.status})`);
+      }
+      return response.json();
+    }, domainFingerprint);
+  }
+
+  async resolveDomain(domain) {
+    return this.crossCheck(async (baseUrl) => {
+      const response = await fetch(`${baseUrl}/domains/${encodeURIComponent(domain)}/resolve`, {
+        headers: this.withAuthHeaders({ Accept: 'application/json' })
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to resolve domain (${response.status})`);
+      }
+      return response.json();
+    }, (record) => (record ? { ...domainFingerprint(record), matchedDomain: record.matchedDomain ?? null } : null));
+  }
+
+  async getDomainHistory(domain, { limit } = {}) {
+    const params = new URLSearchParams();
+    if (limit) {
+      params.set('limit', String(limit));
     }
+    const query = params.toString();
+    const response = await fetch(
+      `${this.baseUrl}/domains/${encodeURIComponent(domain)}/history${query ? `?${query}` : ''}`,
+      {
+        headers: this.withAuthHeaders({ Accept: 'application/json' })
+      }
+    );
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Failed to fetch domain history (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async rollbackDomain(domain, signedPayload) {
+    const response = await fetch(`${this.baseUrl}/domains/${encodeURIComponent(domain)}/rollback`, {
+      method: 'POST',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(signedPayload)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Domain rollback failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async getDomainRecords(domain, { type } = {}) {
+    const params = new URLSearchParams();
+    if (type) {
+      params.set('type', type);
+    }
+    const query = params.toString();
+    const response = await fetch(
+      `${this.baseUrl}/domains/${encodeURIComponent(domain)}/records${query ? `?${query}` : ''}`,
+      {
+        headers: this.withAuthHeaders({ Accept: 'application/json' })
+      }
+    );
     if (!response.ok) {
       const error = await safeJson(response);
-      throw new Error(error?.error ?? `Failed to fetch manifest (${response.status})`);
+      throw new Error(error?.error ?? `Failed to fetch domain records (${response.status})`);
     }
     return response.json();
   }
 
+  async getManifest(manifestId) {
+    return this.crossCheck(async (baseUrl) => {
+      const response = await fetch(`${baseUrl}/manifests/${encodeURIComponent(manifestId)}`, {
+        headers: this.withAuthHeaders({ Accept: 'application/json' })
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        const error = await safeJson(response);
+        throw new Error(error?.error ?? `Failed to fetch manifest (${response.status})`);
+      }
+      return response.json();
+    }, manifestFingerprint);
+  }
+
   async getManifestChunk(manifestId, chunkIndex) {
     const response = await fetch(
       `${this.baseUrl}/manifests/${encodeURIComponent(manifestId)}/chunks/${encodeURIComponent(chunkIndex)}`,
@@ -151,6 +367,38 @@ export class RegistryClient {
     return response.json();
   }
 
+  async removeReplica(manifestId, peerId) {
+    const response = await fetch(
+      `${this.baseUrl}/manifests/${encodeURIComponent(manifestId)}/replicas/${encodeURIComponent(peerId)}`,
+      {
+        method: 'DELETE',
+        headers: this.withAuthHeaders()
+      }
+    );
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Replica removal failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async heartbeatReplicas(peerId, manifestIds = null) {
+    const body = { peerId };
+    if (Array.isArray(manifestIds)) {
+      body.manifestIds = manifestIds;
+    }
+    const response = await fetch(`${this.baseUrl}/replicas/heartbeat`, {
+      method: 'POST',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Replica heartbeat failed (${response.status})`);
+    }
+    return response.json();
+  }
+
   async updateChunkPointer(manifestId, chunkIndex, payload) {
     const response = await fetch(
       `${this.baseUrl}/manifests/${encodeURIComponent(manifestId)}/chunks/${encodeURIComponent(chunkIndex)}`,
@@ -179,6 +427,255 @@ export class RegistryClient {
     }
     return response.json();
   }
+
+  async deleteDomain(domain, signedPayload = {}) {
+    const response = await fetch(`${this.baseUrl}/domains/${encodeURIComponent(domain)}`, {
+      method: 'DELETE',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(signedPayload)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Domain deletion failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async renewDomain(domain, signedPayload = {}) {
+    const response = await fetch(`${this.baseUrl}/domains/${encodeURIComponent(domain)}/renew`, {
+      method: 'POST',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(signedPayload)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Domain renewal failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async delegateSubdomain(domain, payload) {
+    const response = await fetch(`${this.baseUrl}/domains/${encodeURIComponent(domain)}/delegations`, {
+      method: 'POST',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Subdomain delegation failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async listDomainDelegations(domain) {
+    const response = await fetch(`${this.baseUrl}/domains/${encodeURIComponent(domain)}/delegations`, {
+      headers: this.withAuthHeaders({ Accept: 'application/json' })
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Failed to list delegations (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async revokeSubdomainDelegation(domain, subdomain, signedPayload) {
+    const response = await fetch(
+      `${this.baseUrl}/domains/${encodeURIComponent(domain)}/delegations/${encodeURIComponent(subdomain)}`,
+      {
+        method: 'DELETE',
+        headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(signedPayload)
+      }
+    );
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Failed to revoke delegation (${response.status})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Files an abuse report against a domain or manifest:
+   * `{ targetType: 'domain' | 'manifest', target, reason, details? }`.
+   */
+  async reportAbuse(payload) {
+    const response = await fetch(`${this.baseUrl}/reports`, {
+      method: 'POST',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Abuse report failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async offerDomainTransfer(domain, payload) {
+    const response = await fetch(`${this.baseUrl}/domains/${encodeURIComponent(domain)}/transfers`, {
+      method: 'POST',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Transfer offer failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async listDomainTransfers(domain, { status } = {}) {
+    const params = new URLSearchParams();
+    if (status) {
+      params.set('status', status);
+    }
+    const query = params.toString();
+    const response = await fetch(
+      `${this.baseUrl}/domains/${encodeURIComponent(domain)}/transfers${query ? `?${query}` : ''}`,
+      {
+        headers: this.withAuthHeaders({ Accept: 'application/json' })
+      }
+    );
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Failed to list domain transfers (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async listTransfers({ owner, status } = {}) {
+    const params = new URLSearchParams();
+    if (owner) {
+      params.set('owner', owner);
+    }
+    if (status) {
+      params.set('status', status);
+    }
+    const query = params.toString();
+    const response = await fetch(`${this.baseUrl}/transfers${query ? `?${query}` : ''}`, {
+      headers: this.withAuthHeaders({ Accept: 'application/json' })
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Failed to list transfers (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async acceptDomainTransfer(transferId, payload) {
+    const response = await fetch(`${this.baseUrl}/transfers/${encodeURIComponent(transferId)}/accept`, {
+      method: 'POST',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Transfer acceptance failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async cancelDomainTransfer(transferId, payload) {
+    const response = await fetch(`${this.baseUrl}/transfers/${encodeURIComponent(transferId)}/cancel`, {
+      method: 'POST',
+      headers: this.withAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      const error = await safeJson(response);
+      throw new Error(error?.error ?? `Transfer cancellation failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Follows the registry change feed (`GET /changes/stream`). `onChange(change)` is
+   * called for every change after `since` (default: changes from now on);
+   * `onReset({ lastSeq })` when the registry no longer has the changes the client
+   * missed, so cached state must be refetched. Reconnects with the last sequence
+   * number seen until `close()` is called on the returned subscription.
+   * fetch is used instead of EventSource so the API key header can be sent.
+   */
+  subscribeChanges({ since = null, onChange, onReset, onError } = {}) {
+    const subscription = {
+      lastSeq: Number.isInteger(since) ? since : null,
+      closed: false,
+      controller: null,
+      close() {
+        subscription.closed = true;
+        subscription.controller?.abort();
+      }
+    };
+
+    const connect = async () => {
+      let retryMs = CHANGE_STREAM_RETRY_MS;
+      while (!subscription.closed) {
+        subscription.controller = new AbortController();
+        try {
+          const query = subscription.lastSeq !== null ? `?since=${subscription.lastSeq}` : '';
+          const response = await fetch(`${this.baseUrl}/changes/stream${query}`, {
+            headers: this.withAuthHeaders({ Accept: 'text/event-stream' }),
+            signal: subscription.controller.signal
+          });
+          if (!response.ok || !response.body) {
+            const error = await safeJson(response);
+            throw new Error(error?.error ?? `Change stream failed (${response.status})`);
+          }
+          await readEventStream(response.body, (event) => {
+            if (event.retry) {
+              retryMs = event.retry;
+            }
+            if (event.id !== null) {
+              subscription.lastSeq = Number(event.id);
+            }
+            if (event.event === 'reset') {
+              onReset?.(JSON.parse(event.data));
+            } else if (event.data) {
+              onChange?.(JSON.parse(event.data));
+            }
+          });
+        } catch (error) {
+          if (subscription.closed) return;
+          onError?.(error);
+        }
+        await new Promise((resolve) => setTimeout(resolve, retryMs));
+      }
+    };
+
+    connect();
+    return subscription;
+  }
+}
+
+// Minimal text/event-stream parser: calls `onEvent({ id, event, data, retry })` per event.
+async function readEventStream(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let event = { id: null, event: 'message', data: '', retry: null };
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line) {
+        if (event.data || event.retry || event.id !== null) {
+          onEvent({ ...event, data: event.data.replace(/\n$/, '') });
+        }
+        event = { id: null, event: 'message', data: '', retry: null };
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const fieldValue = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'data') event.data += `${fieldValue}\n`;
+      else if (field === 'id') event.id = fieldValue;
+      else if (field === 'event') event.event = fieldValue;
+      else if (field === 'retry' && /^\d+$/.test(fieldValue)) event.retry = Number(fieldValue);
+    }
+  }
 }
 
 function sanitizeBaseUrl(value) {
@@ -186,6 +683,30 @@ function sanitizeBaseUrl(value) {
   return String(value).replace(/\/$/, '');
 }
 
+function sanitizeBaseUrls(value) {
+  const urls = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((url) => String(url ?? '').trim())
+    .filter(Boolean)
+    .map(sanitizeBaseUrl);
+  return urls.length ? [...new Set(urls)] : [DEFAULT_REGISTRY_URL];
+}
+
+// The parts of a manifest and a domain that federated registries replicate and must agree on.
+function manifestFingerprint(manifest) {
+  if (!manifest) return null;
+  return { manifestId: manifest.manifestId, owner: manifest.owner ?? null, chunkHashes: manifest.chunkHashes ?? [] };
+}
+
+function domainFingerprint(record) {
+  if (!record) return null;
+  return {
+    domain: record.domain,
+    owner: record.owner,
+    manifestId: record.manifestId ?? null,
+    records: (record.records ?? []).map(({ type, value, ttl }) => ({ type, value, ttl: ttl ?? null }))
+  };
+}
+
 async function safeJson(response) {
   try {
     return await response.json();
@@ -193,3 +714,13 @@ async function safeJson(response) {
     return null;
   }
 }
+
+function buildListQuery(options = {}) {
+  const params = new URLSearchParams();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
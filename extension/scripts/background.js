@@ -1,6 +1,8 @@
 // Service worker for the DWeb Hosting Network extension.
 // Uses offscreen documents for WebRTC (service workers don't support WebRTC APIs)
 
+import { validateDomainName } from './domain/domainName.js';
+
 const peerChunkQueue = [];
 const pendingChunkResponses = new Map();
 const REQUEST_TIMEOUT = 2000;
@@ -54,12 +56,13 @@ chrome.webNavigation.onBeforeNavigate.addListener(
       const url = new URL(details.url);
       const hostname = url.hostname.toLowerCase();
       
-      // Check if it's a .dweb domain
-      if (hostname.endsWith('.dweb')) {
-        console.log('[DWeb] Intercepting navigation to:', hostname);
+      // Check if it's a valid .dweb name; subdomains are resolved by walking up to their parents
+      const domainCheck = validateDomainName(hostname);
+      if (domainCheck.ok) {
+        console.log('[DWeb] Intercepting navigation to:', domainCheck.domain);
         
         // Redirect to resolver with domain parameter
-        const resolverUrl = chrome.runtime.getURL(`resolver/index.html?domain=${encodeURIComponent(hostname)}`);
+        const resolverUrl = chrome.runtime.getURL(`resolver/index.html?domain=${encodeURIComponent(domainCheck.domain)}`);
         
         chrome.tabs.update(details.tabId, { url: resolverUrl }, () => {
           if (chrome.runtime.lastError) {
@@ -77,6 +77,52 @@ export async function signMessage(privateKey, message) {
   }
 }
 
+export const SIGNED_OPERATION_VERSION = 2;
+
+const OPERATION_ENVELOPE_FIELDS = ['version', 'operation', 'domain', 'manifestId', 'owner', 'payloadDigest', 'issuedAt', 'nonce'];
+const OPERATION_SIGNATURE_FIELDS = ['publicKey', 'signature', 'signedMessage'];
+
+/**
+ * Canonical JSON for a signed registry operation (must match the registry's
+ * signedOperations.js byte for byte)
+ */
+export function canonicalOperationMessage(envelope) {
+  const canonical = {};
+  OPERATION_ENVELOPE_FIELDS.forEach((field) => {
+    const value = envelope?.[field];
+    canonical[field] = value === undefined ? null : value;
+  });
+  return JSON.stringify(canonical);
+}
+
+/**
+ * SHA-256 (base64url) of the request body a signed operation covers: the body
+ * without its signature fields, as JSON with sorted object keys (must match the
+ * registry's operationPayloadDigest)
+ */
+export async function operationPayloadDigest(payload) {
+  const body = Object.fromEntries(
+    Object.entries(payload ?? {}).filter(([field]) => !OPERATION_SIGNATURE_FIELDS.includes(field))
+  );
+  const json = JSON.stringify(body, (key, entry) =>
+    entry && typeof entry === 'object' && !Array.isArray(entry)
+      ? Object.fromEntries(Object.keys(entry).sort().map((name) => [name, entry[name]]))
+      : entry
+  );
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(json));
+  return arrayBufferToBase64(hashBuffer).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+/**
+ * Random single-use nonce for signed operations
+ */
+export function createOperationNonce() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes)
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
 /**
  * Verify a signature
  */
@@ -0,0 +1,245 @@
+/**
+ * .dweb domain name validation and normalisation, shared by the registry and the
+ * extension so a name is rejected before a request reaches the registry.
+ */
+
+export const DWEB_TLD = 'dweb';
+
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_LABEL_LENGTH = 63;
+
+export const RESERVED_DOMAIN_LABELS = new Set([
+  'admin',
+  'api',
+  'dweb',
+  'example',
+  'invalid',
+  'localhost',
+  'registry',
+  'resolver',
+  'root',
+  'signaling',
+  'storage',
+  'support',
+  'test',
+  'www'
+]);
+
+// Cyrillic and Greek letters that render like Latin ones.
+const LATIN_LOOKALIKES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k',
+  'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c',
+  'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j',
+  'ѕ': 's', 'һ': 'h', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w',
+  'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v',
+  'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x'
+};
+
+const FORBIDDEN_INPUT = /[\s/\\:?#@%[\]]/u;
+const LDH_LABEL = /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+/**
+ * Validates and normalises a domain name.
+ * Returns `{ ok: true, domain, unicode }` where `domain` is the lowercase ASCII
+ * (punycode) form used as registry key, or `{ ok: false, code, message }`.
+ */
+export function validateDomainName(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return failure('DOMAIN_REQUIRED', 'Domain name is required');
+  }
+
+  const trimmed = input.trim().normalize('NFC').toLowerCase().replace(/\.$/, '');
+  if (FORBIDDEN_INPUT.test(trimmed)) {
+    return failure('DOMAIN_INVALID_CHARACTERS', 'Domain name contains invalid characters');
+  }
+
+  const rawLabels = trimmed.split('.');
+  if (rawLabels.some((label) => label.length === 0)) {
+    return failure('DOMAIN_LABEL_EMPTY', 'Domain name contains an empty label');
+  }
+  if (rawLabels.length < 2 || rawLabels[rawLabels.length - 1] !== DWEB_TLD) {
+    return failure('DOMAIN_TLD_REQUIRED', `Domain name must end with .${DWEB_TLD}`);
+  }
+
+  let ascii;
+  try {
+    ascii = new URL(`http://${trimmed}`).hostname;
+  } catch {
+    return failure('DOMAIN_INVALID_PUNYCODE', 'Domain name could not be converted to ASCII');
+  }
+
+  if (ascii.length > MAX_DOMAIN_LENGTH) {
+    return failure('DOMAIN_TOO_LONG', `Domain name exceeds ${MAX_DOMAIN_LENGTH} characters`);
+  }
+
+  const labels = ascii.split('.');
+  const unicodeLabels = [];
+  for (const label of labels) {
+    if (label.length > MAX_LABEL_LENGTH) {
+      return failure('DOMAIN_LABEL_TOO_LONG', `Label "${label}" exceeds ${MAX_LABEL_LENGTH} characters`);
+    }
+    if (!LDH_LABEL.test(label)) {
+      return failure(
+        'DOMAIN_INVALID_LABEL',
+        `Label "${label}" may only contain letters, digits and inner hyphens`
+      );
+    }
+    const isPunycode = label.startsWith('xn--');
+    if (!isPunycode && label.slice(2, 4) === '--') {
+      return failure('DOMAIN_INVALID_LABEL', `Label "${label}" uses a reserved hyphen position`);
+    }
+
+    let unicodeLabel = label;
+    if (isPunycode) {
+      unicodeLabel = decodePunycode(label.slice(4));
+      if (unicodeLabel === null || unicodeLabel.normalize('NFC') !== unicodeLabel) {
+        return failure('DOMAIN_INVALID_PUNYCODE', `Label "${label}" is not valid punycode`);
+      }
+    }
+
+    const confusable = detectConfusable(unicodeLabel);
+    if (confusable) {
+      return failure(confusable, `Label "${unicodeLabel}" mixes scripts or imitates Latin characters`);
+    }
+    unicodeLabels.push(unicodeLabel);
+  }
+
+  const registrable = unicodeLabels[unicodeLabels.length - 2];
+  if (RESERVED_DOMAIN_LABELS.has(toLatinSkeleton(registrable))) {
+    return failure('DOMAIN_RESERVED', `${registrable}.${DWEB_TLD} is reserved`);
+  }
+
+  return { ok: true, domain: ascii, unicode: unicodeLabels.join('.') };
+}
+
+/**
+ * Returns the normalised ASCII domain or throws an Error whose message is the
+ * validation code.
+ */
+export function normalizeDomainName(input) {
+  const result = validateDomainName(input);
+  if (!result.ok) {
+    const error = new Error(result.code);
+    error.detail = result.message;
+    throw error;
+  }
+  return result.domain;
+}
+
+/**
+ * Parent of a normalised subdomain (`blog.alice.dweb` -> `alice.dweb`), or null for
+ * top-level names directly under the TLD.
+ */
+export function parentDomainOf(domain) {
+  const labels = String(domain ?? '').split('.');
+  return labels.length > 2 ? labels.slice(1).join('.') : null;
+}
+
+/**
+ * Registrable name a subdomain lives under (`docs.blog.alice.dweb` -> `alice.dweb`).
+ */
+export function rootDomainOf(domain) {
+  return String(domain ?? '').split('.').slice(-2).join('.');
+}
+
+function failure(code, message) {
+  return { ok: false, code, message };
+}
+
+function detectConfusable(label) {
+  const scripts = new Set();
+  for (const char of label) {
+    if (/[0-9-]/.test(char)) continue;
+    if (/\p{Script=Latin}/u.test(char)) scripts.add('latin');
+    else if (/\p{Script=Cyrillic}/u.test(char)) scripts.add('cyrillic');
+    else if (/\p{Script=Greek}/u.test(char)) scripts.add('greek');
+    else if (/\p{L}/u.test(char)) scripts.add('other');
+    else return 'DOMAIN_INVALID_CHARACTERS';
+  }
+
+  if (scripts.has('latin') && (scripts.has('cyrillic') || scripts.has('greek'))) {
+    return 'DOMAIN_MIXED_SCRIPT';
+  }
+  if (scripts.has('cyrillic') && scripts.has('greek')) {
+    return 'DOMAIN_MIXED_SCRIPT';
+  }
+
+  // A label written entirely in Latin lookalikes (e.g. Cyrillic "асе") spoofs an ASCII name.
+  const letters = [...label].filter((char) => /\p{L}/u.test(char));
+  if (
+    letters.length &&
+    (scripts.has('cyrillic') || scripts.has('greek')) &&
+    letters.every((char) => LATIN_LOOKALIKES[char])
+  ) {
+    return 'DOMAIN_CONFUSABLE';
+  }
+
+  return null;
+}
+
+function toLatinSkeleton(label) {
+  return [...label].map((char) => LATIN_LOOKALIKES[char] ?? char).join('');
+}
+
+// RFC 3492 decoder; returns null for malformed input.
+function decodePunycode(input) {
+  const base = 36;
+  const tMin = 1;
+  const tMax = 26;
+  const skew = 38;
+  const damp = 700;
+  const output = [];
+  let n = 128;
+  let i = 0;
+  let bias = 72;
+
+  const delimiter = input.lastIndexOf('-');
+  const basicLength = delimiter > 0 ? delimiter : 0;
+  for (let j = 0; j < basicLength; j += 1) {
+    const code = input.charCodeAt(j);
+    if (code >= 0x80) return null;
+    output.push(code);
+  }
+
+  for (let index = basicLength > 0 ? basicLength + 1 : 0; index < input.length; ) {
+    const oldI = i;
+    let w = 1;
+    for (let k = base; ; k += base) {
+      if (index >= input.length) return null;
+      const digit = decodeDigit(input.charCodeAt(index));
+      index += 1;
+      if (digit >= base) return null;
+      i += digit * w;
+      const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      if (digit < t) break;
+      w *= base - t;
+    }
+    const length = output.length + 1;
+    bias = adaptBias(i - oldI, length, oldI === 0, { base, tMin, tMax, skew, damp });
+    n += Math.floor(i / length);
+    i %= length;
+    if (n > 0x10ffff) return null;
+    output.splice(i, 0, n);
+    i += 1;
+  }
+
+  return String.fromCodePoint(...output);
+}
+
+function decodeDigit(code) {
+  if (code >= 0x30 && code <= 0x39) return code - 22;
+  if (code >= 0x41 && code <= 0x5a) return code - 0x41;
+  if (code >= 0x61 && code <= 0x7a) return code - 0x61;
+  return 36;
+}
+
+function adaptBias(delta, numPoints, firstTime, { base, tMin, tMax, skew, damp }) {
+  let value = firstTime ? Math.floor(delta / damp) : delta >> 1;
+  value += Math.floor(value / numPoints);
+  let k = 0;
+  while (value > ((base - tMin) * tMax) >> 1) {
+    value = Math.floor(value / (base - tMin));
+    k += base;
+  }
+  return k + Math.floor(((base - tMin + 1) * value) / (value + skew));
+}
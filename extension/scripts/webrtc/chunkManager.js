@@ -1,4 +1,8 @@
+import { computeManifestId } from './manifestId.js';
+import { computeMerkleRoot } from './merkle.js';
+
 export const DEFAULT_CHUNK_SIZE = 262_144; // 256 KiB
+export const BUNDLE_MIME_TYPE = 'application/x-dweb-bundle';
 
 export class ChunkManager {
   constructor({ chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
@@ -30,10 +34,8 @@ export class ChunkManager {
       chunkHashes.push(hash);
     }
 
-    const transferId = generateTransferId();
     const manifest = {
       type: 'manifest',
-      transferId,
       fileName: file.name,
       fileSize: file.size,
       mimeType: file.type || 'application/octet-stream',
@@ -41,8 +43,14 @@ export class ChunkManager {
       chunkCount: chunks.length,
       sha256: fullHash,
       chunkHashes,
+      // Lets a single chunk be checked against the root with a registry inclusion proof.
+      merkleRoot: await computeMerkleRoot(chunkHashes),
       createdAt: Date.now()
     };
+    // The registry derives the same content-addressed ID; the transfer is keyed by it too.
+    const transferId = await computeManifestId(manifest);
+    manifest.manifestId = transferId;
+    manifest.transferId = transferId;
 
     const transfer = new ChunkTransfer({
       transferId,
@@ -56,6 +64,87 @@ export class ChunkManager {
     return { manifest, transfer };
   }
 
+  /**
+   * Builds a single transfer for a whole site folder. Each file is chunked on
+   * its own and the chunks are laid out back to back, so `files[n].chunkStart`
+   * and `files[n].chunkCount` address the shared chunk index space.
+   * @param {File[]} files
+   * @param {{ entryPath?: string }} [options]
+   * @returns {Promise<{ manifest: object, transfer: ChunkTransfer }>}
+   */
+  async prepareBundle(files, { entryPath } = {}) {
+    const list = Array.from(files ?? []);
+    if (!list.length || !list.every((file) => file instanceof File)) {
+      throw new TypeError('prepareBundle expects a non-empty list of File objects');
+    }
+
+    const rootName = bundleRootName(list);
+    const chunks = [];
+    const chunkHashes = [];
+    const bundleFiles = [];
+    let totalSize = 0;
+
+    for (const file of list) {
+      const arrayBuffer = await file.arrayBuffer();
+      const fileChunks = sliceBuffer(arrayBuffer, this.chunkSize);
+      const chunkStart = chunks.length;
+
+      for (const chunk of fileChunks) {
+        chunks.push(chunk);
+        chunkHashes.push(await sha256(chunk.buffer.slice(
+          chunk.byteOffset,
+          chunk.byteOffset + chunk.byteLength
+        )));
+      }
+
+      bundleFiles.push({
+        path: bundleRelativePath(file, rootName),
+        mimeType: file.type || 'application/octet-stream',
+        size: file.size,
+        sha256: await sha256(arrayBuffer),
+        chunkStart,
+        chunkCount: fileChunks.length
+      });
+      totalSize += file.size;
+    }
+
+    bundleFiles.sort((a, b) => a.chunkStart - b.chunkStart);
+    const resolvedEntry = entryPath && bundleFiles.some((file) => file.path === entryPath)
+      ? entryPath
+      : (bundleFiles.find((file) => file.path === 'index.html') ?? bundleFiles[0]).path;
+
+    const fullHash = await sha256(new TextEncoder().encode(chunkHashes.join('\n')));
+    const manifest = {
+      type: 'manifest',
+      fileName: rootName || resolvedEntry,
+      fileSize: totalSize,
+      mimeType: BUNDLE_MIME_TYPE,
+      chunkSize: this.chunkSize,
+      chunkCount: chunks.length,
+      sha256: fullHash,
+      chunkHashes,
+      merkleRoot: await computeMerkleRoot(chunkHashes),
+      entryPath: resolvedEntry,
+      files: bundleFiles,
+      createdAt: Date.now()
+    };
+    const transferId = await computeManifestId(manifest);
+    manifest.manifestId = transferId;
+    manifest.transferId = transferId;
+
+    const transfer = new ChunkTransfer({
+      transferId,
+      file: null,
+      chunks,
+      chunkHashes,
+      fullHash,
+      mimeType: BUNDLE_MIME_TYPE
+    });
+
+    this.transfers.set(transferId, transfer);
+    return { manifest, transfer };
+  }
+
   getTransfer(transferId) {
     return this.transfers.get(transferId) ?? null;
   }
@@ -70,9 +159,10 @@ export class ChunkManager {
 }
 
 class ChunkTransfer {
-  constructor({ transferId, file, chunks, chunkHashes, fullHash }) {
+  constructor({ transferId, file, chunks, chunkHashes, fullHash, mimeType = null }) {
     this.transferId = transferId;
     this.file = file;
+    this.mimeType = mimeType ?? file?.type ?? 'application/octet-stream';
     this.chunks = chunks;
     this.chunkHashes = chunkHashes;
     this.fullHash = fullHash;
@@ -108,10 +198,28 @@ class ChunkTransfer {
   }
 
   toBlob() {
-    return new Blob(this.chunks, { type: this.file.type || 'application/octet-stream' });
+    return new Blob(this.chunks, { type: this.mimeType || 'application/octet-stream' });
   }
 }
 
+function bundleRootName(files) {
+  const roots = new Set(
+    files.map((file) => {
+      const relative = file.webkitRelativePath || '';
+      return relative.includes('/') ? relative.split('/')[0] : '';
+    })
+  );
+  return roots.size === 1 ? [...roots][0] : '';
+}
+
+function bundleRelativePath(file, rootName) {
+  const relative = file.webkitRelativePath || file.name;
+  if (rootName && relative.startsWith(`${rootName}/`)) {
+    return relative.slice(rootName.length + 1);
+  }
+  return relative;
+}
+
 function sliceBuffer(arrayBuffer, chunkSize) {
   const view = new Uint8Array(arrayBuffer);
   const result = [];
@@ -143,9 +251,3 @@ function toBase64(typedArray) {
   }
   return btoa(binary);
 }
-
-function generateTransferId() {
-  const stamp = Date.now();
-  const random = Math.random().toString(36).slice(2, 8);
-  return `tr-${stamp}-${random}`;
-}
@@ -0,0 +1,172 @@
+/**
+ * Merkle trees over manifest chunk hashes, built with Web Crypto only so the
+ * extension can check the proofs the registry serves.
+ *
+ * Leaves are SHA-256(0x00 || chunk hash as UTF-8) and inner nodes
+ * SHA-256(0x01 || left || right), in manifest chunk order. A level with an odd
+ * number of nodes carries its last node up unchanged, so the tree has the same
+ * shape as an RFC 6962 Merkle tree. Roots and proof hashes are base64url.
+ */
+
+const LEAF_PREFIX = 0x00;
+const NODE_PREFIX = 0x01;
+
+/**
+ * Root of the tree over `chunkHashes`, or null for a manifest without chunks.
+ * @param {string[]} chunkHashes
+ * @returns {Promise<string|null>}
+ */
+export async function computeMerkleRoot(chunkHashes) {
+  const levels = await buildLevels(chunkHashes);
+  return levels ? toBase64Url(levels[levels.length - 1][0]) : null;
+}
+
+/**
+ * Every level of the tree over `chunkHashes`, leaves first, as base64url hashes.
+ * Keeping a tree lets many proofs be answered without hashing the chunks again.
+ * @param {string[]} chunkHashes
+ * @returns {Promise<{ root: string, leafCount: number, levels: string[][] }|null>}
+ */
+export async function buildMerkleTree(chunkHashes) {
+  const levels = await buildLevels(chunkHashes);
+  if (!levels) {
+    return null;
+  }
+  return {
+    root: toBase64Url(levels[levels.length - 1][0]),
+    leafCount: levels[0].length,
+    levels: levels.map((level) => level.map(toBase64Url))
+  };
+}
+
+/**
+ * Inclusion proof for the chunk at `index`: the sibling hashes from the leaf up to
+ * the root. A level where the node has no sibling contributes nothing, so the
+ * verifier needs the leaf count to know which levels those are.
+ * @param {{ root: string, leafCount: number, levels: string[][] }|null} tree from buildMerkleTree
+ * @param {number} index
+ * @returns {{ root: string, leafCount: number, hashes: string[] }|null}
+ */
+export function merkleProofFromTree(tree, index) {
+  if (!tree || !Number.isInteger(index) || index < 0 || index >= tree.leafCount) {
+    return null;
+  }
+  const hashes = [];
+  let position = index;
+  for (const level of tree.levels.slice(0, -1)) {
+    const sibling = position % 2 === 1 ? position - 1 : position + 1;
+    if (sibling < level.length) {
+      hashes.push(level[sibling]);
+    }
+    position = Math.floor(position / 2);
+  }
+  return { root: tree.root, leafCount: tree.leafCount, hashes };
+}
+
+/**
+ * Inclusion proof for the chunk at `index` of the tree over `chunkHashes`; see
+ * merkleProofFromTree.
+ * @param {string[]} chunkHashes
+ * @param {number} index
+ * @returns {Promise<{ root: string, leafCount: number, hashes: string[] }|null>}
+ */
+export async function buildMerkleProof(chunkHashes, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= (chunkHashes?.length ?? 0)) {
+    return null;
+  }
+  return merkleProofFromTree(await buildMerkleTree(chunkHashes), index);
+}
+
+/**
+ * Checks that `chunkHash` is leaf `index` of a `leafCount`-leaf tree with `root`,
+ * given the sibling `hashes` of a proof from buildMerkleProof.
+ * The leaf position is part of the check, so a chunk cannot be proven at another index.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyMerkleProof({ chunkHash, index, leafCount, hashes, root }) {
+  if (
+    typeof chunkHash !== 'string' ||
+    typeof root !== 'string' ||
+    !Array.isArray(hashes) ||
+    !Number.isInteger(leafCount) ||
+    !Number.isInteger(index) ||
+    index < 0 ||
+    index >= leafCount
+  ) {
+    return false;
+  }
+
+  let node = await hashLeaf(chunkHash);
+  let position = index;
+  let width = leafCount;
+  let consumed = 0;
+  while (width > 1) {
+    const hasSibling = position % 2 === 1 || position + 1 < width;
+    if (hasSibling) {
+      if (consumed >= hashes.length || typeof hashes[consumed] !== 'string') {
+        return false;
+      }
+      const sibling = fromBase64Url(hashes[consumed]);
+      consumed += 1;
+      node = position % 2 === 1 ? await hashNode(sibling, node) : await hashNode(node, sibling);
+    }
+    position = Math.floor(position / 2);
+    width = Math.ceil(width / 2);
+  }
+  return consumed === hashes.length && toBase64Url(node) === root;
+}
+
+async function buildLevels(chunkHashes) {
+  const hashes = Array.isArray(chunkHashes) ? chunkHashes : [];
+  if (!hashes.length) {
+    return null;
+  }
+  const levels = [await Promise.all(hashes.map((chunkHash) => hashLeaf(chunkHash ?? '')))];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? await hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+function hashLeaf(chunkHash) {
+  const text = new TextEncoder().encode(chunkHash);
+  const bytes = new Uint8Array(text.byteLength + 1);
+  bytes[0] = LEAF_PREFIX;
+  bytes.set(text, 1);
+  return digest(bytes);
+}
+
+function hashNode(left, right) {
+  const bytes = new Uint8Array(left.byteLength + right.byteLength + 1);
+  bytes[0] = NODE_PREFIX;
+  bytes.set(left, 1);
+  bytes.set(right, left.byteLength + 1);
+  return digest(bytes);
+}
+
+async function digest(bytes) {
+  return new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', bytes));
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.byteLength; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * The extension is loaded unpacked and cannot import from backend/, so modules
+ * both sides need live in backend/common and are copied into the extension.
+ *
+ *   node scripts/sync-shared-modules.mjs           copy every module into the extension
+ *   node scripts/sync-shared-modules.mjs --check   fail if a copy differs (run by `npm test`)
+ *
+ * Edit the backend/common file and re-run the script; never edit a copy.
+ */
+
+import { copyFile, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const SHARED_MODULES = [
+  ['backend/common/domainName.js', 'extension/scripts/domain/domainName.js'],
+  ['backend/common/manifestId.js', 'extension/scripts/webrtc/manifestId.js'],
+  ['backend/common/merkle.js', 'extension/scripts/webrtc/merkle.js']
+];
+
+async function main() {
+  const check = process.argv.includes('--check');
+  const stale = [];
+
+  for (const [source, copy] of SHARED_MODULES) {
+    const sourcePath = path.join(ROOT, source);
+    const copyPath = path.join(ROOT, copy);
+    const [expected, actual] = await Promise.all([readFile(sourcePath), readFile(copyPath).catch(() => null)]);
+    if (actual && expected.equals(actual)) {
+      continue;
+    }
+    if (check) {
+      stale.push(`${copy} differs from ${source}`);
+    } else {
+      await copyFile(sourcePath, copyPath);
+      console.log(`Updated ${copy}`);
+    }
+  }
+
+  if (stale.length) {
+    stale.forEach((line) => console.error(line));
+    console.error('Run `npm run sync:shared` after editing backend/common.');
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});